@@ -0,0 +1,78 @@
+/**
+ * Ask the awesomebar index what it thinks of what you typed:
+ *
+ *   node awesome.js [--limit=N] "foo" [path/to/store.ldb]
+ *
+ * If what you typed starts with a keyword ("wiki llamas"), where that goes
+ * comes first, like it does in the URL bar.
+ **/
+var $fs = require('fs');
+
+var $awesomebar = require('./lib/awesomebar');
+var $cli = require('./places-leveldb');
+var $keywords = require('./lib/keywords');
+var $store = require('./lib/store');
+
+var USAGE = 'usage: node awesome.js [--limit=N] "what you typed" ' +
+            '[path/to/store.ldb]';
+
+var OPTIONS = {
+  limit: 'count'
+};
+
+var typed, limit, path;
+try {
+  var parsed = $cli.parseArgs(process.argv.slice(2), OPTIONS);
+  if (!parsed.positional.length)
+    throw new Error('missing what you typed');
+  if (parsed.positional.length > 2)
+    throw new Error('unexpected argument: ' + parsed.positional[2]);
+  typed = parsed.positional[0];
+  limit = parsed.options.limit || $awesomebar.DEFAULT_LIMIT;
+  path = parsed.positional[1] || $store.DEFAULT_PATH;
+}
+catch (ex) {
+  console.error(ex.message);
+  console.error(USAGE);
+  process.exit($cli.EXIT_USAGE);
+}
+if (!$fs.existsSync(path)) {
+  console.error(path, 'does not exist');
+  process.exit($cli.EXIT_NO_SOURCE);
+}
+
+$store.openLevelStore(path)
+  .then(function(db) {
+    return $keywords.resolveKeyword(db, typed)
+      .then(function(resolved) {
+        if (!resolved)
+          return;
+        console.log('Keyword', JSON.stringify(resolved.keyword) + ':',
+                    resolved.url);
+        if (resolved.postData !== null)
+          console.log('    POST:', resolved.postData);
+      })
+      .then(function() {
+        return $awesomebar.queryAwesomebar(db, typed, { limit: limit });
+      })
+      .then(function(hits) {
+        if (!hits.length)
+          console.log('Nothing matched', JSON.stringify(typed));
+        hits.forEach(function(hit, i) {
+          console.log((i + 1) + '.', hit.title || '(untitled)');
+          console.log('   ', hit.url);
+          console.log('    frecency:', hit.frecency,
+                      'terms:', hit.terms.join(', ') +
+                      (hit.inputUseCount ?
+                         ' typed-before: ' + hit.inputUseCount : '') +
+                      (hit.favicon ? ' (has favicon)' : ''));
+        });
+      })
+      .finally(function() {
+        return $store.closeLevelStore(db);
+      });
+  })
+  .catch(function(err) {
+    console.error('Awesomebar query failed:', err);
+    process.exitCode = $cli.EXIT_FAILED;
+  });
@@ -0,0 +1,152 @@
+/**
+ * Time the primary use cases against a places.sqlite and the store converted
+ * from it, and report how they compare:
+ *
+ *   node bench-places-leveldb.js [--sqlite=places.sqlite] [--samples=100]
+ *                                [--seed=1] [--use-cases=bookmarks,...]
+ *                                [--cache=cold|warm|both]
+ *                                [--queries=queries.json]
+ *                                [--save-queries=queries.json] [--json]
+ *                                [path/to/store.ldb]
+ *
+ * The queries are sampled from the places.sqlite (--samples per use case,
+ * picked by --seed) unless --queries names a query set saved by an earlier
+ * run's --save-queries.  See lib/benchmark.js for what gets measured.
+ **/
+var $fs = require('fs');
+
+var $benchmark = require('./lib/benchmark');
+var $cli = require('./places-leveldb');
+var $store = require('./lib/store');
+
+var USAGE = 'usage: node bench-places-leveldb.js [--sqlite=places.sqlite] ' +
+            '[--samples=N] [--seed=N] [--use-cases=' +
+            $benchmark.USE_CASES.join(',') + '] [--cache=cold|warm|both] ' +
+            '[--queries=FILE] [--save-queries=FILE] [--json] ' +
+            '[path/to/store.ldb]';
+
+var OPTIONS = {
+  sqlite: 'string',
+  samples: 'number',
+  seed: 'number',
+  'use-cases': 'string',
+  cache: 'string',
+  queries: 'string',
+  'save-queries': 'string',
+  json: 'boolean'
+};
+
+function usageError(message) {
+  var err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+function benchmarkOptions(args) {
+  var parsed = $cli.parseArgs(args, OPTIONS);
+  var options = parsed.options;
+  if (parsed.positional.length > 1)
+    throw usageError('unexpected argument: ' + parsed.positional[1]);
+
+  var useCases = options['use-cases'] ?
+                   options['use-cases'].split(',') : $benchmark.USE_CASES;
+  useCases.forEach(function(useCase) {
+    if ($benchmark.USE_CASES.indexOf(useCase) === -1)
+      throw usageError('unknown use case: ' + useCase);
+  });
+  var cache = options.cache || 'both';
+  if (cache !== 'both' && $benchmark.CACHE_MODES.indexOf(cache) === -1)
+    throw usageError('--cache wants cold, warm or both, not ' + cache);
+
+  var benchOptions = {
+    sqlitePath: options.sqlite || 'places.sqlite',
+    ldbPath: parsed.positional[0] || $store.DEFAULT_PATH,
+    samples: options.samples && Math.floor(options.samples),
+    seed: options.seed && Math.floor(options.seed),
+    useCases: useCases,
+    caches: cache === 'both' ? $benchmark.CACHE_MODES : [cache],
+    queries: options.queries ?
+               JSON.parse($fs.readFileSync(options.queries, 'utf8')) : null,
+    saveQueries: options['save-queries'] || null,
+    json: !!options.json
+  };
+  [benchOptions.sqlitePath, benchOptions.ldbPath].forEach(function(path) {
+    if (!$fs.existsSync(path))
+      throw usageError(path + ' does not exist');
+  });
+  return benchOptions;
+}
+
+function pad(value, width, left) {
+  var str = String(value);
+  while (str.length < width) {
+    str = left ? str + ' ' : ' ' + str;
+  }
+  return str;
+}
+
+function formatNumber(value, digits) {
+  return value === null ? '-' : value.toFixed(digits);
+}
+
+function printReport(report) {
+  console.log(pad('use case', 11, true), pad('cache', 5, true),
+              pad('engine', 7, true), pad('queries', 7), pad('mean ms', 9),
+              pad('p50', 8), pad('p90', 8), pad('p99', 8), pad('max', 8),
+              pad('row bytes', 10), pad('io bytes', 9));
+  for (var useCase in report.results) {
+    var byCache = report.results[useCase];
+    for (var cacheMode in byCache) {
+      var byEngine = byCache[cacheMode];
+      for (var engine in byEngine) {
+        var stats = byEngine[engine], latency = stats.latency;
+        console.log(pad(useCase, 11, true), pad(cacheMode, 5, true),
+                    pad(engine, 7, true), pad(stats.queries, 7),
+                    pad(formatNumber(latency.mean, 3), 9),
+                    pad(formatNumber(latency.p50, 3), 8),
+                    pad(formatNumber(latency.p90, 3), 8),
+                    pad(formatNumber(latency.p99, 3), 8),
+                    pad(formatNumber(latency.max, 3), 8),
+                    pad(formatNumber(stats.bytesRead.rows, 0), 10),
+                    pad(formatNumber(stats.bytesRead.io, 0), 9));
+      }
+    }
+  }
+  console.log();
+  console.log('Key codec:', report.keyCodec);
+  if (report.layout) {
+    var databases = report.layout.databases.map(function(database) {
+      return database.name + ' (' + database.namespaces +
+             (database.cacheSize ? ', ' + database.cacheSize + 'MB' : '') +
+             ')';
+    });
+    console.log('Databases:', databases.join(', '));
+  }
+  console.log('Bytes are per query; see lib/benchmark.js for what they count.');
+}
+
+var options;
+try {
+  options = benchmarkOptions(process.argv.slice(2));
+}
+catch (ex) {
+  console.error(ex.message);
+  console.error(USAGE);
+  process.exit(ex.code === 'USAGE' ? $cli.EXIT_USAGE : $cli.EXIT_FAILED);
+}
+
+$benchmark.runBenchmark(options)
+  .then(function(report) {
+    if (options.saveQueries) {
+      $fs.writeFileSync(options.saveQueries,
+                        JSON.stringify(report.queries, null, 2) + '\n');
+    }
+    if (options.json)
+      console.log(JSON.stringify(report, null, 2));
+    else
+      printReport(report);
+  })
+  .catch(function(err) {
+    console.error('Benchmark failed:', err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,66 @@
+/**
+ * Check a converted store for internal consistency:
+ *
+ *   node check-places-leveldb.js [--repair] [path/to/store.ldb]
+ *
+ * Exits with places-leveldb.js's codes: 1 if there are errors (that we didn't
+ * repair) or we couldn't check at all, 2 for a bad command line and 3 if
+ * there is no store.
+ **/
+var $fs = require('fs');
+
+var $check = require('./lib/check');
+var $cli = require('./places-leveldb');
+var $store = require('./lib/store');
+
+var USAGE = 'usage: node check-places-leveldb.js [--repair] ' +
+            '[path/to/store.ldb]';
+
+var OPTIONS = {
+  repair: 'boolean'
+};
+
+var repair, path;
+try {
+  var parsed = $cli.parseArgs(process.argv.slice(2), OPTIONS);
+  if (parsed.positional.length > 1)
+    throw new Error('unexpected argument: ' + parsed.positional[1]);
+  repair = !!parsed.options.repair;
+  path = parsed.positional[0] || $store.DEFAULT_PATH;
+}
+catch (ex) {
+  console.error(ex.message);
+  console.error(USAGE);
+  process.exit($cli.EXIT_USAGE);
+}
+if (!$fs.existsSync(path)) {
+  console.error(path, 'does not exist');
+  process.exit($cli.EXIT_NO_SOURCE);
+}
+
+$store.openLevelStore(path)
+  .then(function(db) {
+    return $check.checkStore(db, {
+        repair: repair,
+        onProblem: function(problem) {
+          console.log(problem.severity + ':', JSON.stringify(problem.key) +
+                      ':', problem.message +
+                      (problem.repair ?
+                         (repair ? ' (repaired)' : ' (repairable)') : ''));
+        }
+      })
+      .then(function(result) {
+        console.log('Checked', result.rows, 'rows:', result.errors, 'errors,',
+                    result.warnings, 'warnings,', result.repaired,
+                    'repaired');
+        process.exitCode = result.unrepairedErrors ? $cli.EXIT_FAILED :
+                                                     $cli.EXIT_OK;
+      })
+      .finally(function() {
+        return $store.closeLevelStore(db);
+      });
+  })
+  .catch(function(err) {
+    console.error('Check failed:', err);
+    process.exitCode = $cli.EXIT_FAILED;
+  });
@@ -25,11 +25,16 @@
  *   invert the encoding so that larger numbers are lexicographically smaller,
  *   our read order does what we want.  (And to start, we just seek to the
  *   largest value our encoding supports.)
+ * - How numbers (and strings) turn into key components is up to the key
+ *   codec in lib/codec.js.  The descriptions below say "zero padded" because
+ *   that's what the default 'decimal' codec does; the 'compact' codec packs
+ *   things much tighter but orders them the same way.
  *
  * Accordingly, I am creating the following separate LevelDB namespaces.  It
  * might make sense to create distinct databases in cases where we want
  * to have completely separate cache pools because the awesomebar is
- * fighting link colorizing.
+ * fighting link colorizing; the `layout` option (see lib/router.js) puts
+ * whichever namespaces you like in databases of their own.
  *
  * - 'B', Bookmarks.  Composite key: [depth, parent id, id].
  *    Depth does not need to be zero padded because we would never scan
@@ -41,6 +46,10 @@
  *    Note: folder_type is either null or a zero-length string, so I'm assuming
  *    it's stupid and leaving it out.
  *
+ *    The roots (menu, toolbar, unfiled) live at depth 0 alongside the
+ *    'places' root that is technically their parent; we don't also write
+ *    them beneath 'places'.
+ *
  *    Values: {
  *      url,
  *      title,
@@ -50,14 +59,21 @@
  *      position,
  *      dateAdded,
  *      lastModified,
- *      guid
+ *      guid,
+ *      annotations // moz_items_annos, shaped like the 'I' value's below
  *    }
  *
  * - 'b', Reverse bookmark mappings. Composite key: [url, id]
- *   Value: { parentId: parentId }
+ *   Only bookmarks with a URL get one; folders and separators do not.
+ *   Value: { parentId: parentId, depth: depth }
+ *
+ *   The depth is there so that we can go straight to the 'B' row.
  *
  * - 'K', Bookmark (search in the url bar) keywords. Composite key: [keyword]
- *   Value: { key: url }
+ *   Value: { url, postData }
+ *
+ *   postData is null unless the keyword submits a form by POST, which only
+ *   newer Places keeps track of.
  *
  * - 'T', Bookmarked URLs by tag. Composite key: [tag, url]
  *
@@ -65,6 +81,10 @@
  *
  * - 'H', History by time.  Single key: [zero-padded inverted timestamp with
  *    uniqueifying-value appended if needed]
+ *
+ *    Timestamps are PRTime (microseconds), same as Places, and cover the
+ *    epoch through $keys.MAX_TIMESTAMP.  Visits dated outside that get
+ *    reported and skipped rather than written with keys that sort wrong.
  *    Values: {
  *      url,
  *      prevKey: key of the visit that led to us,
@@ -94,19 +114,14 @@
  *     frecency,
  *     lastVisitDate, // since frecency will get a boost anyways...
  *     guid,
- *     favicon: { // OPTIONAL; present if not the same as the site root
- *       url,
- *       blob,
- *       mimeType,
- *       expiration,
- *     },
+ *     tags, // list of strings if present, null if no tags; same as in 'B'
+ *     favicon, // hash of the page's 'F' row, null if it doesn't have one
  *     annotations: {
  *       annotationName: {
  *         mimeType,
  *         content,
  *         flags,
- *         expiration, // so, an index wouldn't be horrible for this if the
- *                     // storage is really a concern...
+ *         expiration, // a policy; the 'X' namespace indexes these
  *         type,
  *         dateAdded,
  *         lastModified
@@ -145,69 +160,111 @@
  *   of our key lets us avoid having to fetch all rows associated with the
  *   first key component.
  *
- *   We search on [what the user typed], potentially with a limit.
+ *   Which terms a place has is up to the tokenizer the store is built with
+ *   (lib/tokenizers.js); the default 'legacy' one is what's described above
+ *   as "terms", and 'unicode' does better by everything that isn't ASCII.
+ *
+ *   We search on [what the user typed], potentially with a limit, folded by
+ *   the same tokenizer.
  *
  *   Value: url
  *
  * - 'a', Awesomebar Input History: [typed, url]
  *   Value: { useCount }
  *
+ * - 'N', Awesomebar Infixes: Composite key: [infix, zero padded inverted
+ *   frecency, term, reversed-host, path]
+ *
+ *   'A' only finds terms by their start, but the awesomebar matches anywhere:
+ *   "ithub" should find github.  So every suffix of a term (down to a length
+ *   the store records, 3 by default) gets a row here too, and for terms
+ *   frecent enough to get all their prefixes in 'A', so do the prefixes of
+ *   each suffix.  That's "every substring" for the sites you live on and a
+ *   bounded scan for the rest, same as 'A'.  $rows.awesomeTermRows() writes
+ *   both, and lowestInfixToEmit() is the knob.
+ *
+ *   Queries of several words ("hub pull") look each word up in 'A' and 'N'
+ *   and keep the URLs all of them found; see lib/awesomebar.js.
+ *
+ *   Value: url
+ *
+ * - 'F', Favicons.  Key: [hash of the image data]
+ *   Value: {
+ *     url, // the icon's URL; if several icons have the same data, one of them
+ *     mimeType,
+ *     expiration,
+ *     data // base64; JSON has no other way to hold the bytes
+ *   }
+ *
+ *   Lots of pages (all of a site, typically) share an icon, so we store each
+ *   distinct one once and have the 'I' rows point at it.  A page without an
+ *   icon of its own gets its site root's; see lib/favicons.js.
+ *
+ * - 'X', Expiration.  Composite key: [zero-padded (not inverted!) expiration
+ *   time, annotation name or '' for a favicon, key of the 'I' or 'F' row]
+ *   Value: {}
+ *
+ *   One row for each annotation with a time-based (or session) expiration
+ *   policy and each favicon with an expiration, so lib/expiration.js can find
+ *   everything that is due by scanning up to now.  "Expire with history"
+ *   annotations don't get one; they go when the page's last visit does.
+ *
+ * - 'M', Metadata: [name]
+ *   Bookkeeping, like which key codec and tokenizer the store uses and how
+ *   short its 'N' infixes go ('keyCodec', 'tokenizer' and 'infixLength',
+ *   which the converter writes) and the next bookmark id lib/mutations.js
+ *   will hand out.
+ *
  **/
+var $fs = require('fs');
+var $path = require('path');
+var $url = require('url');
 var $sqlite = require('sqlite3');
-var $levelup = require('levelup');
 var $Q = require('q');
-var $url = require('url');
 
-var DEBUG = false;
+var $codec = require('./lib/codec');
+var $keys = require('./lib/keys');
+var $router = require('./lib/router');
+var $rows = require('./lib/rows');
+var $store = require('./lib/store');
+var $tokenizers = require('./lib/tokenizers');
+var lexiformTimestamp = $keys.lexiformTimestamp;
+
+var DEFAULT_SOURCE = 'places.sqlite';
 
-var ZEROES = '0000000000000000000000000000000';
-var NINES =  '9999999999999999999999999999999';
 /**
- * Invert and zero-pad a number so we have a lexicographic ordering over
- * numbers where larger numbers come lexically before smaller numbers.
- * You need to tell us the range, etc.
- *
- * For efficiency, it would be better to encode these in base64 or do
- * something binary, but for an example, this isn't horrible.
+ * The namespaces the converter knows how to build.  'M' isn't optional; the
+ * store has to say which key codec it uses.
  */
-function invertAndPadNumber(val, max, digits) {
-  var unpadded = (max - val).toString();
-  return ZEROES.substring(0, digits - unpadded.length) + unpadded;
-}
-
-var OLDEST_LEGAL_DATE = Date.UTC(2000, 0, 1),
-    MOST_FUTURE_LEGAL_DATE = Date.UTC(2031, 0, 1),
-    // sure, we could take the log10, but that's too fancy
-    DATE_DIGITS =
-      (MOST_FUTURE_LEGAL_DATE - OLDEST_LEGAL_DATE).toString().length;
+var NAMESPACES = 'BbKTHhIAaNFX';
 
 /**
- * Invert and pad timestamps; allows only legal values between arbitrarily
- * chosen date boundaries.
+ * An Error with a `code` the command line can turn into an exit status.
  */
-function lexiformTimestamp(val) {
-  return invertAndPadNumber(val - OLDEST_LEGAL_DATE,
-                            MOST_FUTURE_LEGAL_DATE,
-                            DATE_DIGITS);
+function conversionError(code, message) {
+  var err = new Error('convertPlaces: ' + message);
+  err.code = code;
+  return err;
 }
 
-function openPlaces() {
+function openPlaces(ctx) {
   var deferred = $Q.defer();
 
-  var db = new $sqlite.Database('places.sqlite', function(err) {
+  var db = new $sqlite.Database(ctx.options.source, $sqlite.OPEN_READONLY,
+                                function(err) {
     if (err) {
       console.error('SQLite badness:', err);
       deferred.reject(err);
       return;
     }
 
-    console.log('places SQLite DB opened');
+    console.log('places SQLite DB opened:', ctx.options.source);
     deferred.resolve(db);
   });
   db.on('error', function(err) {
     console.error('Database error:', err);
   });
-  if (DEBUG) {
+  if (ctx.options.verbose) {
     db.on('trace', function(data) {
       console.log('sqlite:', data);
     });
@@ -216,149 +273,245 @@ function openPlaces() {
   return deferred.promise;
 }
 
-function openLevelStore() {
-  var deferred = $Q.defer();
-  $levelup(
-    'leveldb-places.ldb',
+/**
+ * Get the destination out of the way if we've been told to, and complain if
+ * it's in the way otherwise.  We only delete things that look like a store,
+ * and we let LevelDB do the deleting so it only takes its own files.
+ */
+function clearDestination(options) {
+  if (!$fs.existsSync(options.dest))
+    return $Q();
+  if (!options.force)
+    return $Q.reject(conversionError('DEST_EXISTS',
+                                     options.dest + ' already exists'));
+  if (!$store.isStore(options.dest))
+    return $Q.reject(conversionError('DEST_EXISTS', options.dest +
+                                     ' does not look like a LevelDB store'));
+
+  return $store.destroyStore(options.dest).then(function() {
+    console.log('removed old', options.dest);
+  });
+}
+
+function openLevelStore(ctx) {
+  var options = ctx.options;
+  return $store.openLevelStore(
+    options.dest,
     {
       createIfMissing: true,
       errorIfExists: true,
-      compression: true,
-      cacheSize: 8 * 1024 * 1024, // the default,
-      keyEncoding: 'utf8',
-      valueEncoding: 'json'
-    },
-    function(err, db) {
-      if (err) {
-        console.error('LevelDB open error:', err);
-        deferred.reject(err);
-        return;
+      keyCodec: options.keyCodec,
+      tokenizer: options.tokenizer,
+      infixLength: options.infixLength,
+      layout: options.layout,
+      cacheSize: options.cacheSize,
+      compression: options.compression
+    })
+    .then(function(db) {
+      console.log('leveldb output opened:', options.dest + ', key codec:',
+                  options.keyCodec + ', tokenizer:',
+                  db.settings.tokenizer + ', infixes:',
+                  options.infixLength || 'none');
+      if (options.layout) {
+        db.databases.forEach(function(database) {
+          console.log('  database', database.name + ':', database.namespaces);
+        });
       }
-
-      console.log('leveldb output opened');
-      deferred.resolve(db);
+      return db;
     });
-
-  return deferred.promise;
 }
 
-function slurpAnnotationAttribs(ctx) {
-  console.log('slurping annotation attributes');
-  var deferred = $Q.defer();
-  var annoAttribsById = ctx.annoAttribsById = {};
-  ctx.sdb.each(
-    'SELECT * FROM moz_anno_attributes',
-    function row(err, row) {
-      annoAttribsById[row.id] = row.name;
+/**
+ * A LevelDB batch that quietly drops the rows of namespaces we weren't asked
+ * to build.
+ */
+function newBatch(ctx) {
+  var batch = ctx.ldb.batch();
+  return {
+    put: function(key, value) {
+      if (ctx.namespaces.indexOf(key.charAt(0)) !== -1)
+        batch.put(key, value);
+      return this;
     },
-    function complete(err) {
-      console.log('slurped annotation attributes');
-      if (err)
-        deferred.reject(err);
-      else
-        deferred.resolve();
-    });
-  return deferred.promise;
+    write: function(callback) {
+      batch.write(callback);
+    }
+  };
 }
 
-function slurpAnnotations(ctx) {
-  console.log('slurping annotations');
+/*
+ * Places has moved things around since the 2013 schema this was written
+ * against, so we look at PRAGMA user_version and pick an adapter that knows
+ * where that version keeps things.  Everything an adapter slurps ends up in
+ * the same context fields, its keywordsSql has the same columns, and its
+ * chunkFavicons resolves with the same map of place id to favicon hash, so
+ * the rest of the conversion doesn't care.
+ *
+ * - Version 27 (Firefox 39) moved keywords off of the bookmarks and onto the
+ *   places, along with the POST data for keyword searches.  The roots all
+ *   have fixed GUIDs by then, and moz_bookmarks_roots went away not long
+ *   after, so we find the roots by GUID from here on.
+ * - Version 41 (Firefox 55) moved favicons out into favicons.sqlite, next to
+ *   places.sqlite in the profile: moz_icons has a row for each size of each
+ *   icon, moz_pages_w_icons has the pages, and moz_icons_to_pages links
+ *   them.  Icons for a whole site ("root" icons, i.e. /favicon.ico) aren't
+ *   linked to any pages.
+ *
+ * Later versions add more (moz_origins, for one), but the moz_places columns
+ * we use are all still there, rev_host included, so we ignore the rest.
+ */
+var KEYWORDS_BY_PLACE_VERSION = 27,
+    FAVICONS_DATABASE_VERSION = 41;
+
+/**
+ * The keywords of the places: a place_id, keyword and post_data for each.
+ * Keywords used to hang off of bookmarks; a URL with a keyword on several
+ * bookmarks still only has the one keyword.
+ */
+var BOOKMARK_KEYWORDS_SQL =
+  'SELECT DISTINCT moz_bookmarks.fk AS place_id, moz_keywords.keyword, ' +
+    'NULL AS post_data FROM moz_bookmarks ' +
+    'JOIN moz_keywords ON moz_keywords.id = moz_bookmarks.keyword_id';
+var PLACE_KEYWORDS_SQL =
+  'SELECT place_id, keyword, post_data FROM moz_keywords';
+
+var SCHEMA_ADAPTERS = [
+  {
+    name: 'legacy',
+    minVersion: 0,
+    keywordsSql: BOOKMARK_KEYWORDS_SQL,
+    slurpBookmarkRoots: slurpRootsTable,
+    prepareFavicons: preparePlacesFavicons,
+    chunkFavicons: placesFaviconsForChunk
+  },
+  {
+    name: 'keywords-by-place',
+    minVersion: KEYWORDS_BY_PLACE_VERSION,
+    keywordsSql: PLACE_KEYWORDS_SQL,
+    slurpBookmarkRoots: slurpRootGuids,
+    prepareFavicons: preparePlacesFavicons,
+    chunkFavicons: placesFaviconsForChunk
+  },
+  {
+    name: 'favicons-database',
+    minVersion: FAVICONS_DATABASE_VERSION,
+    keywordsSql: PLACE_KEYWORDS_SQL,
+    slurpBookmarkRoots: slurpRootGuids,
+    prepareFavicons: prepareFaviconsDatabase,
+    chunkFavicons: faviconsDatabaseForChunk
+  }
+];
+
+/**
+ * Figure out the schema version and which tables there are, and pick the
+ * adapter for it.
+ */
+function detectSchema(ctx) {
   var deferred = $Q.defer();
-  var annotationsByPlaceId = ctx.annotationsByPlaceId = {},
-      annoAttribsById = ctx.annoAttribsById;
-  ctx.sdb.each(
-    'SELECT * FROM moz_annos',
-    function row(err, row) {
-      var annos = ctx.annotationsByPlaceId[row.place_id];
-      if (!annos)
-        annos = ctx.annotationsByPlaceId[row.place_id] = {};
-      annos[annoAttribsById[row.anno_attribute_id]] = {
-        mimeType: row.mime_type,
-        content: row.content,
-        flags: row.flags,
-        expiration: row.expiration,
-        type: row.type,
-        dateAdded: row.dateAdded,
-        lastModified: row.lastModified
-      };
-    },
-    function complete(err) {
-      console.log('slurped annotations');
-      if (err)
+  var schema = ctx.schema = { version: 0, tables: [], adapter: null };
+  ctx.sdb.get('PRAGMA user_version', function(err, row) {
+    if (err) {
+      deferred.reject(err);
+      return;
+    }
+    schema.version = row.user_version;
+    ctx.sdb.all("SELECT name FROM sqlite_master WHERE type = 'table'",
+                function(err, rows) {
+      if (err) {
         deferred.reject(err);
-      else
-        deferred.resolve();
+        return;
+      }
+      schema.tables = rows.map(function(row) {
+        return row.name;
+      });
+      SCHEMA_ADAPTERS.forEach(function(adapter) {
+        if (schema.version >= adapter.minVersion)
+          schema.adapter = adapter;
+      });
+      console.log('places schema version', schema.version + ', reading it',
+                  'as', schema.adapter.name);
+      deferred.resolve();
     });
+  });
   return deferred.promise;
 }
 
-function slurpBookmarkAnnotations(ctx) {
-  console.log('slurping bookmark annotations');
+function hasTable(ctx, table) {
+  return ctx.schema.tables.indexOf(table) !== -1;
+}
+
+/**
+ * Run a query and resolve with all of its rows.  Only for queries whose
+ * results we know to be bounded, like those for a chunk of places.
+ */
+function sqliteAll(ctx, sql, params) {
   var deferred = $Q.defer();
-  var annotationsByBookmarkId = ctx.annotationsByBookmarkId = {},
-      annoAttribsById = ctx.annoAttribsById;
-  ctx.sdb.each(
-    'SELECT * FROM moz_items_annos',
-    function row(err, row) {
-      var annos = ctx.annotationsByPlaceId[row.item_id];
-      if (!annos)
-        annos = ctx.annotationsByBookmarkId[row.item_id] = {};
-      annos[annoAttribsById[row.anno_attribute_id]] = {
-        mimeType: row.mime_type,
-        content: row.content,
-        flags: row.flags,
-        expiration: row.expiration,
-        type: row.type,
-        dateAdded: row.dateAdded,
-        lastModified: row.lastModified
-      };
-    },
-    function complete(err) {
-      console.log('slurped bookmark annotations');
-      if (err)
-        deferred.reject(err);
-      else
-        deferred.resolve();
-    });
+  ctx.sdb.all(sql, params || [], function(err, rows) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve(rows);
+  });
   return deferred.promise;
 }
 
-function slurpInputHistory(ctx) {
-  console.log('slurping input history');
+/**
+ * Write a batch, resolving once it's on disk.  Waiting for this before we
+ * read more is what keeps us from reading faster than LevelDB writes.
+ */
+function writeBatch(batch) {
   var deferred = $Q.defer();
-  var inputHistoryByPlaceId = ctx.inputHistoryByPlaceId = {};
-  ctx.sdb.each(
-    'SELECT * FROM moz_inputhistory',
-    function row(err, row) {
-      var inputs = inputHistoryByPlaceId[row.place_id];
-      if (!inputs)
-        inputs = inputHistoryByPlaceId[row.place_id] = {};
-      inputs[row.input] = {
-        useCount: row.use_count
-      };
-    },
-    function complete(err) {
-      console.log('slurped input history');
-      if (err)
-        deferred.reject(err);
-      else
-        deferred.resolve();
-    });
+  batch.write(function(err) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve();
+  });
   return deferred.promise;
 }
 
+/**
+ * The annotation value we store, from a moz_annos or moz_items_annos row.
+ */
+function annotationValue(row) {
+  return {
+    // newer schemas don't have this
+    mimeType: row.mime_type === undefined ? null : row.mime_type,
+    content: row.content,
+    flags: row.flags,
+    expiration: row.expiration,
+    type: row.type,
+    dateAdded: row.dateAdded,
+    lastModified: row.lastModified
+  };
+}
+
+/*
+ * Bookmarks.  These we do hold in memory, all of them, since we need the
+ * whole hierarchy to know each one's depth and which ones are tags.  There
+ * are a lot fewer of them than there are places and visits.
+ */
+
+function slurpBookmarkAnnotations(ctx) {
+  var annotationsByBookmarkId = ctx.annotationsByBookmarkId = {};
+  // newer Places got rid of bookmark annotations
+  if (!hasTable(ctx, 'moz_items_annos'))
+    return $Q();
 
-function slurpKeywords(ctx) {
-  console.log('slurping keywords');
+  console.log('slurping bookmark annotations');
   var deferred = $Q.defer();
-  var keywordsById = ctx.keywordsById = {};
   ctx.sdb.each(
-    'SELECT * FROM moz_keywords',
+    'SELECT moz_items_annos.*, moz_anno_attributes.name ' +
+      'FROM moz_items_annos JOIN moz_anno_attributes ' +
+      'ON moz_anno_attributes.id = moz_items_annos.anno_attribute_id',
     function row(err, row) {
-      keywordsById[row.id] = row.keyword;
+      var annos = annotationsByBookmarkId[row.item_id];
+      if (!annos)
+        annos = annotationsByBookmarkId[row.item_id] = {};
+      annos[row.name] = annotationValue(row);
     },
     function complete(err) {
-      console.log('slurped keywords');
+      console.log('slurped bookmark annotations');
       if (err)
         deferred.reject(err);
       else
@@ -367,24 +520,18 @@ function slurpKeywords(ctx) {
   return deferred.promise;
 }
 
-function slurpFavicons(ctx) {
-  console.log('slurping favicons');
+
+function slurpRootsTable(ctx) {
+  console.log('slurping bookmark roots');
   var deferred = $Q.defer();
-  var faviconsById = ctx.faviconsById = {};
+  var bookmarkRoots = ctx.bookmarkRoots = {};
   ctx.sdb.each(
-    'SELECT * FROM moz_favicons',
+    'SELECT * FROM moz_bookmarks_roots',
     function row(err, row) {
-      faviconsById[row.id] = {
-        url: row.url,
-        // force the buffer to be a string
-        data: row.data.toString(),
-        mimeType: row.mime_type,
-        expiration: row.expiration,
-        // dropping guid because we don't need it
-      };
+      bookmarkRoots[row.root_name] = row.folder_id;
     },
     function complete(err) {
-      console.log('slurped favicons');
+      console.log('slurped bookmark roots');
       if (err)
         deferred.reject(err);
       else
@@ -394,62 +541,28 @@ function slurpFavicons(ctx) {
 }
 
 /**
- * These depend on the place id.  There are more of these than the places,
- * but smaller.  Which is why we're slurping these.
+ * The fixed GUIDs of the roots, named the way moz_bookmarks_roots named them.
  */
-function slurpHistoryVisits(ctx) {
-  console.log('slurping history visits');
-  var deferred = $Q.defer();
-  var visitsByPlaceId = ctx.visitsByPlaceId = {};
-  var keyByVisitId = {};
-  var lastTS = 0, nextUnique = 0;
-  ctx.sdb.each(
-    // Order by the visit-date so we can generate uniqueifying values if the
-    // same time-stamp comes up multiple times and so we can (because of
-    // causality) generate the prevKey
-    'SELECT * FROM moz_historyvisits ORDER BY visit_date ASC',
-    function row(err, row) {
-      var visits = visitsByPlaceId[row.place_id];
-      if (!visits)
-        visits = visitsByPlaceId[row.place_id] = [];
-
-      var key = lexiformTimestamp(row.visit_date);
-      if (lastTS === row.visit_date) {
-        key += '-' + nextUnique++;
-      }
-      else {
-        lastTS = row.visit_date;
-        nextUnique = 0;
-      }
-      keyByVisitId[row.id] = key;
-
-      var visitInfo = {
-        key: key,
-        prevKey: keyByVisitId[row.from_visit] || null,
-        type: row.visit_type,
-        session: row.session
-      };
-      visits.push(visitInfo);
-    },
-    function complete(err) {
-      console.log('slurped history visits');
-      if (err)
-        deferred.reject(err);
-      else
-        deferred.resolve();
-    });
-  return deferred.promise;
-}
-
+var ROOT_NAMES_BY_GUID = {
+  'root________': 'places',
+  'menu________': 'menu',
+  'toolbar_____': 'toolbar',
+  'tags________': 'tags',
+  'unfiled_____': 'unfiled',
+  'mobile______': 'mobile'
+};
 
-function slurpBookmarkRoots(ctx) {
+function slurpRootGuids(ctx) {
   console.log('slurping bookmark roots');
   var deferred = $Q.defer();
   var bookmarkRoots = ctx.bookmarkRoots = {};
+  var guids = Object.keys(ROOT_NAMES_BY_GUID);
   ctx.sdb.each(
-    'SELECT * FROM moz_bookmarks_roots',
+    'SELECT id, guid FROM moz_bookmarks WHERE guid IN (' +
+      guids.map(function() { return '?'; }).join(', ') + ')',
+    guids,
     function row(err, row) {
-      bookmarkRoots[row.root_name] = row.folder_id;
+      bookmarkRoots[ROOT_NAMES_BY_GUID[row.guid]] = row.id;
     },
     function complete(err) {
       console.log('slurped bookmark roots');
@@ -468,7 +581,8 @@ const TYPE_BOOKMARK = 1,
 
 /**
  * We need the info on the referenced place in order to write out the
- * denormalized bookmark, so this is technically a slurping.
+ * denormalized bookmark, so this is technically a slurping.  (Its URL we get
+ * by joining, so the bookmarks can be written before the places.)
  *
  * Extra processing:
  * - Tags!  Tags are currently implemented by having bookmark "folders" under
@@ -484,20 +598,27 @@ function slurpBookmarks(ctx) {
   var bookmarksByPlaceId = ctx.bookmarksByPlaceId = {};
   var bookmarksById = {};
   var flatBookmarks = [];
-  var keywordsById = ctx.keywordsById;
   var tagsByPlaceId = ctx.tagsByPlaceId = {};
 
+  // a URL's keyword goes on each of its bookmarks
   ctx.sdb.each(
-    'SELECT * FROM moz_bookmarks',
+    'SELECT moz_bookmarks.*, moz_places.url AS place_url, ' +
+      'keywords.keyword AS place_keyword ' +
+      'FROM moz_bookmarks ' +
+      'LEFT JOIN moz_places ON moz_places.id = moz_bookmarks.fk ' +
+      'LEFT JOIN (SELECT place_id, MIN(keyword) AS keyword ' +
+      'FROM (' + ctx.schema.adapter.keywordsSql + ') GROUP BY place_id) ' +
+      'AS keywords ON keywords.place_id = moz_bookmarks.fk',
     function row(err, row) {
       var hierInfo = {
         id: row.id,
-        url: null,
+        url: row.place_url || null,
         placeId: row.fk, // I am sending bad karma at you, maker of this choice!
+        type: row.type,
         parentId: row.parent,
         position: row.position,
         title: row.title,
-        keyword: row.keyword_id ? ctx.keywordsById[row.keyword_id] : null,
+        keyword: row.place_keyword || null,
         dateAdded: row.dateAdded,
         lastModified: row.lastModified,
         guid: row.guid,
@@ -560,6 +681,11 @@ function slurpBookmarks(ctx) {
           });
         }
       });
+      // - and give the tags to the bookmarks that will get written
+      flatBookmarks.forEach(function(hierInfo) {
+        if (hierInfo.url)
+          hierInfo.tags = tagsByPlaceId[hierInfo.placeId] || null;
+      });
 
       console.log('slurped bookmarks');
       deferred.resolve();
@@ -568,50 +694,36 @@ function slurpBookmarks(ctx) {
   return deferred.promise;
 };
 
+
 /**
  * Write out the bookmarks now that they've been normalized.
  */
 function writeBookmarks(ctx) {
   console.log('writing bookmarks');
   var deferred = $Q.defer();
-  var batch = ctx.ldb.batch();
+  var batch = newBatch(ctx);
 
-  function traverseBookmark(depth, bookmark) {
-    // - bookmark proper
-    batch.put(
-      'B\0' + depth + '\0' + bookmark.parentId + '\0' + bookmark.id,
-      {
-        url: bookmark.url,
-        title: bookmark.title,
-        tags: bookmark.tags,
-        keyword: bookmark.keyword,
-        type: bookmark.type,
-        position: bookmark.position,
-        dateAdded: bookmark.dateAdded,
-        lastModified: bookmark.lastModified,
-        guid: bookmark.guid
-      });
-
-    batch.put(
-      'b\0' + bookmark.url + '\0' + bookmark.id,
-      { parentId: bookmark.parentId });
-
-    // - tags
-    if (bookmark.tags) {
-      bookmark.tags.forEach(function(tag) {
-        batch.put('T\0' + tag + '\0' + bookmark.url, {});
-      });
-    }
+  var rootIds = [];
+  for (var rootName in ctx.bookmarkHierarchy) {
+    rootIds.push(ctx.bookmarkHierarchy[rootName].id);
+  }
 
-    // - keyword
-    if (bookmark.keyword) {
-      batch.put('K\0' + bookmark.keyword, bookmark.url);
-    }
+  function traverseBookmark(depth, bookmark) {
+    var rows = $rows.bookmarkRows(depth, bookmark);
+    if (bookmark.url)
+      rows = rows.concat($rows.tagRows(bookmark.url, bookmark.tags));
+    rows.forEach(function(row) {
+      batch.put(row.key, row.value);
+    });
 
     // - recurse into kids
     if (bookmark.kids) {
-      bookmark.kids.forEach(
-        traverseBookmark.bind(null, depth + 1));
+      bookmark.kids.forEach(function(kid) {
+        // The other roots are kids of the 'places' root, but they get written
+        // at depth 0 in their own right; don't write them twice.
+        if (rootIds.indexOf(kid.id) === -1)
+          traverseBookmark(depth + 1, kid);
+      });
     }
   }
 
@@ -624,270 +736,805 @@ function writeBookmarks(ctx) {
     traverseBookmark(0, rootBookmark);
   }
 
-  batch.write(function() {
+  batch.write(function(err) {
+    if (err) {
+      deferred.reject(err);
+      return;
+    }
     console.log('wrote bookmarks');
     deferred.resolve();
   });
   return deferred.promise;
 }
 
-var BATCH_LIMIT = 1000;
+
+/*
+ * Favicons.  Each adapter knows how to find the icon for each place in a
+ * chunk of places; see convertPlaceChunks.  The only favicon state we keep
+ * across chunks is the hashes of the icons we have already written.
+ */
 
 /**
- * Extract reasonable searchable terms
+ * Write the 'F' rows for a favicon, unless a favicon with the same data
+ * already did, and return its hash.  Icons with identical data are common;
+ * think of every page of a site with a different icon URL.
  */
-function extractTermsForPlace(url, title, bookmarks, tags) {
-  var terms = [];
-  function maybeAddTerm(term) {
-    term = term.toLowerCase();
-    if (term.length < 3)
-      return;
-    // stop-words for babies
-    switch (term) {
-      case 'the':
-      case 'www':
-      case 'com':
-      case 'org':
-      case 'net':
-        return;
-    }
-    if (terms.indexOf(term) !== -1)
-      terms.push(term);
-  }
+function writeFavicon(ctx, batch, favicon) {
+  var hash = $rows.faviconHash(favicon.data);
+  if (ctx.faviconHashesWritten[hash])
+    return hash;
+  ctx.faviconHashesWritten[hash] = true;
+  $rows.faviconRows(hash, favicon).forEach(function(faviconRow) {
+    batch.put(faviconRow.key, faviconRow.value);
+  });
+  return hash;
+}
 
-  if (url && url.hostname)
-    url.hostname.split('.').slice(0, -1).forEach(maybeAddTerm);
-  if (title)
-    title.split(/\W+/g).forEach(maybeAddTerm);
-  bookmarks.forEach(function(bookmark) {
-    if (bookmark.title)
-      bookmark.title.split(/\W+/g).forEach(maybeAddTerm);
+/**
+ * Resolve with a map from icon id to hash for the given icons, writing the
+ * 'F' rows of the ones we haven't written yet.  `loadIcons` gets the ids
+ * and resolves with their favicons: { id, url, data, mimeType, expiration }.
+ * Icons without data get a null hash.
+ */
+function iconHashes(ctx, batch, iconIds, loadIcons) {
+  var hashesByIconId = {};
+  var unique = iconIds.filter(function(iconId, i) {
+    return iconIds.indexOf(iconId) === i;
+  });
+  if (!unique.length)
+    return $Q(hashesByIconId);
+  return loadIcons(unique).then(function(favicons) {
+    favicons.forEach(function(favicon) {
+      hashesByIconId[favicon.id] =
+        favicon.data ? writeFavicon(ctx, batch, favicon) : null;
+    });
+    return hashesByIconId;
   });
-  tags.forEach(maybeAddTerm);
-  // note: we don't add the keyword as a term because that would defeat the
-  // point of the keyword.
+}
+
+/**
+ * Map place ids to the hashes of their icons.
+ */
+function hashesByPlaceId(iconIdsByPlaceId, hashesByIconId) {
+  var hashes = {};
+  for (var placeId in iconIdsByPlaceId) {
+    hashes[placeId] = hashesByIconId[iconIdsByPlaceId[placeId]];
+  }
+  return hashes;
+}
 
-  return terms;
+function placeholders(values) {
+  return values.map(function() {
+    return '?';
+  }).join(', ');
 }
 
 /**
- * What's the shortest prefix we should emit for a given frecency and a
- * given term length?
- *
- * Since this is not really the point of the prototype, the answer is
- * that we emit *ALL* the prefixes if the frecency is above 10,000.
+ * Nothing to set up for favicons that live in places.sqlite.
  */
-function lowestPrefixToEmitGivenFrecency(frecency, length) {
-  if (frecency > 10000)
-    return 1;
-  return length;
+function preparePlacesFavicons(ctx) {
+  return $Q();
 }
 
-var MAX_FRECENCY = 1000000;
-var FRECENCY_DIGITS = 6;
+/**
+ * Favicons in moz_favicons, which places point at by favicon_id.  Resolves
+ * with a map from place id to favicon hash.
+ */
+function placesFaviconsForChunk(ctx, batch, places) {
+  var firstId = places[0].id, lastId = places[places.length - 1].id;
+  var iconIdsByPlaceId = {};
+  return sqliteAll(ctx,
+    'SELECT id, favicon_id FROM moz_places ' +
+      'WHERE id BETWEEN ? AND ? AND favicon_id IS NOT NULL',
+    [firstId, lastId])
+    .then(function(rows) {
+      rows.forEach(function(row) {
+        iconIdsByPlaceId[row.id] = row.favicon_id;
+      });
+      var iconIds = rows.map(function(row) {
+        return row.favicon_id;
+      });
+      return iconHashes(ctx, batch, iconIds, function(ids) {
+        return sqliteAll(ctx,
+          'SELECT * FROM moz_favicons WHERE id IN (' +
+            placeholders(ids) + ')',
+          ids)
+          .then(function(rows) {
+            return rows.map(function(row) {
+              return {
+                id: row.id,
+                url: row.url,
+                data: row.data,
+                mimeType: row.mime_type,
+                expiration: row.expiration
+                // dropping guid because we don't need it
+              };
+            });
+          });
+      });
+    })
+    .then(function(hashesByIconId) {
+      return hashesByPlaceId(iconIdsByPlaceId, hashesByIconId);
+    });
+}
 
-function transformPlaceRecords(ctx) {
-  var deferred = $Q.defer();
-  var batch = ctx.ldb.batch(), batchCount = 0;
-  var annotationsByPlaceId = ctx.annotationsByPlaceId;
-  var bookmarksByPlaceId = ctx.bookmarksByPlaceId;
-  var tagsByPlaceId = ctx.tagsByPlaceId;
-  var faviconsById = ctx.faviconsById;
+/**
+ * moz_icons doesn't say, but everything but SVG gets stored as PNG.
+ */
+function sniffIconMimeType(data) {
+  var start = data.slice(0, 256).toString('latin1');
+  if (start.indexOf('<svg') !== -1)
+    return 'image/svg+xml';
+  if (start.indexOf('\x89PNG') === 0)
+    return 'image/png';
+  return 'image/x-icon';
+}
 
-  var faviconPersistedForReverseHost = {};
+/**
+ * The UI shows icons at 16px (32px on HiDPI screens), so of the sizes of an
+ * icon we keep the smallest that is at least 16px wide and, failing that,
+ * the biggest.  (SVG icons claim to be 65535px wide.)
+ */
+var PREFERRED_MIN_ICON_WIDTH = 16;
+
+function isBetterIcon(width, bestWidth) {
+  if (bestWidth === undefined)
+    return true;
+  var bigEnough = width >= PREFERRED_MIN_ICON_WIDTH,
+      bestBigEnough = bestWidth >= PREFERRED_MIN_ICON_WIDTH;
+  if (bigEnough !== bestBigEnough)
+    return bigEnough;
+  return bigEnough ? width < bestWidth : width > bestWidth;
+}
 
-  var emptyArray = [];
+function loadDatabaseIcons(ctx, iconIds) {
+  return sqliteAll(ctx,
+    'SELECT id, icon_url, expire_ms, data FROM favicons.moz_icons ' +
+      'WHERE id IN (' + placeholders(iconIds) + ')',
+    iconIds)
+    .then(function(rows) {
+      return rows.map(function(row) {
+        return {
+          id: row.id,
+          url: row.icon_url,
+          data: row.data,
+          mimeType: row.data ? sniffIconMimeType(row.data) : null,
+          // PRTime, like moz_favicons had it
+          expiration: (row.expire_ms || 0) * 1000
+        };
+      });
+    });
+}
 
-  ctx.sdb.each(
-    // Because of our favicon normalization logic, we want to traverse URLs
-    // within an origin from shortest to longer
-    'SELECT * FROM moz_places ORDER BY url',
-    function row(err, row) {
-      var url = row.url,
-          reversedHost = row.rev_host,
-          placeId = row.id;
+/**
+ * Favicons in favicons.sqlite, which we attach.
+ */
+function prepareFaviconsDatabase(ctx) {
+  var iconsPath = ctx.options.favicons ||
+                  $path.join($path.dirname(ctx.options.source),
+                             'favicons.sqlite');
+  if (!$fs.existsSync(iconsPath)) {
+    console.warn('no', iconsPath + '; converting without favicons');
+    return $Q();
+  }
+  ctx.faviconsAttached = true;
 
-      var infoValue = {
-        title: row.title,
-        visitCount: row.visit_count,
-        typed: row.typed,
-        frecency: row.frecency,
-        lastVisitDate: row.last_visit_date,
-        guid: row.guid,
-        favicon: null,
-        annotations: annotationsByPlaceId[row.id] || null,
-      };
+  console.log('reading favicons from', iconsPath);
+  var deferred = $Q.defer();
+  ctx.sdb.run('ATTACH DATABASE ? AS favicons', [iconsPath], function(err) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve();
+  });
+  return deferred.promise;
+}
 
-      if (!faviconPersistedForReverseHost[reversedHost]) {
-        infoValue.favicon = faviconsById[row.favicon_id];
-        faviconPersistedForReverseHost[reversedHost] = true;
+/**
+ * Where a site's root icon is, given the URL of the site's root.
+ */
+var ROOT_ICON_PATH = 'favicon.ico';
+
+/**
+ * Give the places of a chunk that are the root of a site, and have no icon
+ * of their own in `iconIdsByPlaceId`, the site's root icon ("root" icons,
+ * i.e. /favicon.ico, aren't linked to any pages).  That's where
+ * lib/favicons.js looks when a page doesn't have an icon of its own.
+ */
+function addSiteRootIcons(ctx, places, iconIdsByPlaceId) {
+  var placeIdsByIconUrl = {};
+  places.forEach(function(place) {
+    if (iconIdsByPlaceId[place.id])
+      return;
+    var parsed = $url.parse(place.url);
+    if (parsed.host &&
+        place.url === parsed.protocol + '//' + parsed.host + '/')
+      placeIdsByIconUrl[place.url + ROOT_ICON_PATH] = place.id;
+  });
+  var iconUrls = Object.keys(placeIdsByIconUrl);
+  if (!iconUrls.length)
+    return $Q();
+
+  var widthsByPlaceId = {};
+  return sqliteAll(ctx,
+    'SELECT id, icon_url, width FROM favicons.moz_icons ' +
+      'WHERE root = 1 AND data IS NOT NULL ' +
+      'AND icon_url IN (' + placeholders(iconUrls) + ')',
+    iconUrls)
+    .then(function(rows) {
+      rows.forEach(function(row) {
+        var placeId = placeIdsByIconUrl[row.icon_url];
+        if (isBetterIcon(row.width, widthsByPlaceId[placeId])) {
+          widthsByPlaceId[placeId] = row.width;
+          iconIdsByPlaceId[placeId] = row.id;
+        }
+      });
+    });
+}
+
+function faviconsDatabaseForChunk(ctx, batch, places) {
+  if (!ctx.faviconsAttached)
+    return $Q({});
+
+  var firstId = places[0].id, lastId = places[places.length - 1].id;
+  var iconIdsByPlaceId = {}, widthsByPlaceId = {};
+  return sqliteAll(ctx,
+    'SELECT moz_places.id AS place_id, icons.id AS icon_id, icons.width ' +
+      'FROM moz_places ' +
+      'JOIN favicons.moz_pages_w_icons AS pages ' +
+      'ON pages.page_url_hash = moz_places.url_hash ' +
+      'AND pages.page_url = moz_places.url ' +
+      'JOIN favicons.moz_icons_to_pages AS links ' +
+      'ON links.page_id = pages.id ' +
+      'JOIN favicons.moz_icons AS icons ON icons.id = links.icon_id ' +
+      'WHERE moz_places.id BETWEEN ? AND ? AND icons.data IS NOT NULL',
+    [firstId, lastId])
+    .then(function(rows) {
+      rows.forEach(function(row) {
+        if (isBetterIcon(row.width, widthsByPlaceId[row.place_id])) {
+          widthsByPlaceId[row.place_id] = row.width;
+          iconIdsByPlaceId[row.place_id] = row.icon_id;
+        }
+      });
+      return addSiteRootIcons(ctx, places, iconIdsByPlaceId);
+    })
+    .then(function() {
+      var iconIds = [];
+      for (var placeId in iconIdsByPlaceId) {
+        iconIds.push(iconIdsByPlaceId[placeId]);
       }
+      return iconHashes(ctx, batch, iconIds,
+                        loadDatabaseIcons.bind(null, ctx));
+    })
+    .then(function(hashesByIconId) {
+      return hashesByPlaceId(iconIdsByPlaceId, hashesByIconId);
+    });
+}
 
-      batch.put('I\0' + reversedHost + '\0' + url, infoValue);
+/*
+ * Places.  We go through moz_places in chunks of PLACE_CHUNK_SIZE by id and
+ * fetch everything keyed by place id (annotations, input history, keywords,
+ * visits and favicons) for just that range of ids, which the place_id
+ * indexes make cheap.  Each chunk's rows get written before we read the
+ * next chunk, so what we hold at any one time is a chunk's worth, plus the
+ * bookmarks.
+ */
+var PLACE_CHUNK_SIZE = 500;
 
-      // -- fix-up bookmarks
-      var linkedBookmarks = bookmarksByPlaceId[placeId] || emptyArray;
-      linkedBookmarks.forEach(function(bookmark) {
-        bookmark.url = url;
-        bookmark.tags = tagsByPlaceId[placeId] || null;
+function countPlaces(ctx) {
+  return sqliteAll(ctx, 'SELECT COUNT(*) AS count FROM moz_places')
+    .then(function(rows) {
+      ctx.placeCount = rows[0].count;
+    });
+}
+
+function groupByPlaceId(rows) {
+  var grouped = {};
+  rows.forEach(function(row) {
+    var group = grouped[row.place_id];
+    if (!group)
+      group = grouped[row.place_id] = [];
+    group.push(row);
+  });
+  return grouped;
+}
+
+function chunkAnnotations(ctx, firstId, lastId) {
+  return sqliteAll(ctx,
+    'SELECT moz_annos.*, moz_anno_attributes.name ' +
+      'FROM moz_annos JOIN moz_anno_attributes ' +
+      'ON moz_anno_attributes.id = moz_annos.anno_attribute_id ' +
+      'WHERE moz_annos.place_id BETWEEN ? AND ?',
+    [firstId, lastId])
+    .then(function(rows) {
+      var annotationsByPlaceId = {};
+      rows.forEach(function(row) {
+        var annos = annotationsByPlaceId[row.place_id];
+        if (!annos)
+          annos = annotationsByPlaceId[row.place_id] = {};
+        annos[row.name] = annotationValue(row);
       });
+      return annotationsByPlaceId;
+    });
+}
 
-      // -- history visits
-      var visits = ctx.visitsByPlaceId[placeId] || emptyArray;
-      visits.forEach(function(visit) {
-        batch.put(
-          'H\0' + visit.key,
-          {
-            url: url,
-            prevKey: visit.prevKey,
-            type: visit.type,
-            session: visit.session,
-          });
-        batch.put(
-          'h\0' + reversedHost + '\0' + url,
-          {});
+/**
+ * Maps place id to a list of { keyword, postData }.
+ */
+function chunkKeywords(ctx, firstId, lastId) {
+  return sqliteAll(ctx,
+    'SELECT * FROM (' + ctx.schema.adapter.keywordsSql + ') ' +
+      'WHERE place_id BETWEEN ? AND ?',
+    [firstId, lastId])
+    .then(function(rows) {
+      var keywordsByPlaceId = {};
+      rows.forEach(function(row) {
+        var keywords = keywordsByPlaceId[row.place_id];
+        if (!keywords)
+          keywords = keywordsByPlaceId[row.place_id] = [];
+        keywords.push({ keyword: row.keyword,
+                        postData: row.post_data || null });
       });
+      return keywordsByPlaceId;
+    });
+}
 
-      // -- emit awesomebar stuff
-      var tags = tagsByPlaceId[placeId] || emptyArray;
-      var parsedUrl = $url.parse(url);
-      var terms =
-            extractTermsForPlace(parsedUrl, row.title, linkedBookmarks, tags);
-      function emitAwesome(magic, term, frecency) {
-        var awesomeKey =
-              'A\0' +
-              magic + '\0' +
-              invertAndPadNumber(frecency, MAX_FRECENCY, FRECENCY_DIGITS) +
-              '\0' +
-              term + '\0' +
-              reversedHost + '\0' +
-              parsedUrl.pathname;
-        batch.put(awesomeKey, url);
-      }
-      var awesomeCommon =
-      terms.forEach(function(term) {
-        var magic = term;
-        var lowestPrefix = lowestPrefixToEmitGivenFrecency(row.frecency);
-        while (magic.length >= lowestPrefix) {
-          emitAwesome(magic, term, row.frecency);
-          magic = magic.slice(0, -1);
-        }
+function chunkInputHistory(ctx, firstId, lastId) {
+  return sqliteAll(ctx,
+    'SELECT * FROM moz_inputhistory WHERE place_id BETWEEN ? AND ?',
+    [firstId, lastId])
+    .then(function(rows) {
+      var inputHistoryByPlaceId = {};
+      rows.forEach(function(row) {
+        var inputs = inputHistoryByPlaceId[row.place_id];
+        if (!inputs)
+          inputs = inputHistoryByPlaceId[row.place_id] = {};
+        inputs[row.input] = {
+          useCount: row.use_count
+        };
+      });
+      return inputHistoryByPlaceId;
+    });
+}
+
+/**
+ * The key of a visit given its date and how many visits have the same date
+ * and a lower id.  The first visit at a given time gets the bare timestamp,
+ * the rest get '-0', '-1' and so on, as if we'd gone through all of the
+ * visits by date handing out uniqueifiers.
+ */
+function visitKey(date, seq) {
+  var key = lexiformTimestamp(date);
+  if (seq)
+    key += '-' + (seq - 1);
+  return key;
+}
+
+/**
+ * The dates of a chunk's visits, and of the visits they came from, that
+ * several visits share, as a map from date to the ids of the visits at it in
+ * id order.  Every other visit is alone at its date, which is most of them.
+ */
+function chunkSharedVisitDates(ctx, firstId, lastId) {
+  return sqliteAll(ctx,
+    'SELECT visit_date, group_concat(id) AS ids FROM moz_historyvisits ' +
+      'WHERE visit_date IN (' +
+      'SELECT visit_date FROM moz_historyvisits ' +
+      'WHERE place_id BETWEEN ? AND ? ' +
+      'UNION SELECT src.visit_date FROM moz_historyvisits AS visits ' +
+      'JOIN moz_historyvisits AS src ON src.id = visits.from_visit ' +
+      'WHERE visits.place_id BETWEEN ? AND ?) ' +
+      'GROUP BY visit_date HAVING COUNT(*) > 1',
+    [firstId, lastId, firstId, lastId])
+    .then(function(rows) {
+      var idsByDate = {};
+      rows.forEach(function(row) {
+        idsByDate[row.visit_date] = row.ids.split(',').map(Number)
+          .sort(function(a, b) {
+            return a - b;
+          });
       });
+      return idsByDate;
+    });
+}
 
-      // - input history
-      var inputs = ctx.inputHistoryByPlaceId[placeId];
-      for (var typed in inputs) {
-        var countObj = inputs[typed];
-        // my range goes up to about 7, so to scale closer to my frecencies...
-        var inputFrecency = Math.floor(countObj.useCount * 15000);
-        batch.put('a\0' + typed + '\0' + url, countObj);
-        emitAwesome(typed, typed, inputFrecency);
-        if (typed.length >= 2) {
-          var typedPrefix = typed.slice(0, -1);
-          if (!inputs.hasOwnProperty(typedPrefix))
-            emitAwesome(typedPrefix, typed, Math.floor(inputFrecency / 2));
+/**
+ * The visits of a chunk of places, each with the date and uniqueifier of the
+ * visit it came from, so we can key both without having seen every visit
+ * before it.
+ */
+function chunkVisits(ctx, firstId, lastId) {
+  var idsByDate;
+  /**
+   * How many visits share the date of the visit with this id and have a
+   * lower id.
+   */
+  function seq(date, id) {
+    if (!idsByDate.hasOwnProperty(date))
+      return 0;
+    return idsByDate[date].indexOf(id);
+  }
+
+  return chunkSharedVisitDates(ctx, firstId, lastId)
+    .then(function(shared) {
+      idsByDate = shared;
+      return sqliteAll(ctx,
+        'SELECT visits.*, src.visit_date AS from_date ' +
+          'FROM moz_historyvisits AS visits ' +
+          'LEFT JOIN moz_historyvisits AS src ' +
+          'ON src.id = visits.from_visit ' +
+          'WHERE visits.place_id BETWEEN ? AND ? ' +
+          'ORDER BY visits.place_id, visits.visit_date, visits.id',
+        [firstId, lastId]);
+    })
+    .then(function(rows) {
+      var visitsByPlaceId = {};
+      rows.forEach(function(row) {
+        // A key that doesn't encode the real time would sort somewhere
+        // misleading, so we'd rather lose the visit, but not silently.
+        if (!$keys.isLegalTimestamp(row.visit_date)) {
+          console.warn('skipping visit', row.id, 'to place', row.place_id,
+                       'with out-of-range visit_date', row.visit_date);
+          ctx.skippedVisitCount++;
+          return;
         }
-      }
 
-      if (batchCount++ >= BATCH_LIMIT) {
-        batch.write(function() {
-          console.log('transformed', BATCH_LIMIT, 'places');
+        var visits = visitsByPlaceId[row.place_id];
+        if (!visits)
+          visits = visitsByPlaceId[row.place_id] = [];
+        // Causality says the visit we came from happened first; one that
+        // claims otherwise (or that we skipped) doesn't get linked.
+        var hasSource = row.from_date !== null &&
+                        $keys.isLegalTimestamp(row.from_date) &&
+                        (row.from_date < row.visit_date ||
+                         (row.from_date === row.visit_date &&
+                          row.from_visit < row.id));
+        visits.push({
+          key: visitKey(row.visit_date, seq(row.visit_date, row.id)),
+          prevKey: hasSource ?
+                     visitKey(row.from_date,
+                              seq(row.from_date, row.from_visit)) : null,
+          type: row.visit_type,
+          // newer schemas don't have this either
+          session: row.session === undefined ? null : row.session
         });
-        batchCount = 0;
-        batch = ctx.ldb.batch();
-      }
-    },
-    function complete(err) {
-      batch.write(function() {
-        console.log('transformed', batchCount, 'places');
-        console.log('wrote places');
-        if (err)
-          deferred.reject(err);
-        else
-          deferred.resolve();
       });
+      return visitsByPlaceId;
     });
+}
 
-  return deferred.promise;
-};
+/**
+ * The rows for one place, given what we fetched for its chunk.
+ */
+function placeRows(ctx, place, chunk) {
+  var url = place.url,
+      reversedHost = place.rev_host,
+      placeId = place.id;
+
+  var tags = ctx.tagsByPlaceId[placeId] || null;
+  var infoValue = $rows.infoValue({
+    title: place.title,
+    visitCount: place.visit_count,
+    typed: place.typed,
+    frecency: place.frecency,
+    lastVisitDate: place.last_visit_date,
+    guid: place.guid,
+    favicon: chunk.faviconHashesByPlaceId[placeId] || null,
+    annotations: chunk.annotationsByPlaceId[placeId],
+    tags: tags
+  });
 
+  var rows = $rows.infoRows(reversedHost, url, infoValue);
 
-function kickoffConversions(results) {
-  var sqlDb = results[0], levelDb = results[1];
-  var context = {
-    sdb: sqlDb,
-    ldb: levelDb,
+  // -- history visits
+  var visits = chunk.visitsByPlaceId[placeId] || [];
+  visits.forEach(function(visit) {
+    rows = rows.concat($rows.visitRows(reversedHost, url, visit));
+  });
 
-    /** Maps id to name */
-    annoAttribsById: null,
-    /** Maps place id to object dict of anno name to anno value obj */
-    annotationsByPlaceId: null,
-    /** Maps bookmark id to object dict of anno name to anno value obj */
-    annotationsByBookmarkId: null,
-    /** Maps place id to input history obj */
-    inputHistoryByPlaceId: null,
-    /** Maps keyword ids to their string values */
-    keywordsById: null,
+  // -- emit awesomebar stuff
+  rows = rows.concat($rows.awesomeTermRows({
+    url: url,
+    reversedHost: reversedHost,
+    title: place.title,
+    frecency: place.frecency,
+    bookmarks: ctx.bookmarksByPlaceId[placeId] || [],
+    tags: tags
+  }));
+
+  // - keywords
+  var keywords = chunk.keywordsByPlaceId[placeId] || [];
+  keywords.forEach(function(keyword) {
+    rows.push($rows.keywordRow(keyword.keyword, url, keyword.postData));
+  });
 
-    bookmarkHierarchy: null,
-    bookmarksByPlaceId: null,
-    tagsByPlaceId: null,
+  // - input history
+  var inputs = chunk.inputHistoryByPlaceId[placeId];
+  if (inputs)
+    rows = rows.concat($rows.inputHistoryRows(reversedHost, url, inputs));
 
-    visitsByPlaceId: null,
+  return rows;
+}
 
-    faviconsById: null,
-  };
+/**
+ * Convert one chunk of places and write it out.
+ */
+function convertPlaceChunk(ctx, places) {
+  var firstId = places[0].id, lastId = places[places.length - 1].id;
+  var batch = newBatch(ctx);
+  var chunk = {};
+  return chunkAnnotations(ctx, firstId, lastId)
+    .then(function(annotationsByPlaceId) {
+      chunk.annotationsByPlaceId = annotationsByPlaceId;
+      return chunkInputHistory(ctx, firstId, lastId);
+    })
+    .then(function(inputHistoryByPlaceId) {
+      chunk.inputHistoryByPlaceId = inputHistoryByPlaceId;
+      return chunkKeywords(ctx, firstId, lastId);
+    })
+    .then(function(keywordsByPlaceId) {
+      chunk.keywordsByPlaceId = keywordsByPlaceId;
+      return chunkVisits(ctx, firstId, lastId);
+    })
+    .then(function(visitsByPlaceId) {
+      chunk.visitsByPlaceId = visitsByPlaceId;
+      return ctx.schema.adapter.chunkFavicons(ctx, batch, places);
+    })
+    .then(function(faviconHashesByPlaceId) {
+      chunk.faviconHashesByPlaceId = faviconHashesByPlaceId;
+      places.forEach(function(place) {
+        placeRows(ctx, place, chunk).forEach(function(row) {
+          batch.put(row.key, row.value);
+        });
+      });
+      return writeBatch(batch);
+    });
+}
+
+function reportProgress(ctx, convertedCount) {
+  var percent = ctx.placeCount ?
+                  Math.floor(100 * convertedCount / ctx.placeCount) : 100;
+  if (percent === ctx.reportedPercent)
+    return;
+  ctx.reportedPercent = percent;
+  console.log('converted', convertedCount, 'of', ctx.placeCount, 'places',
+              '(' + percent + '%)');
+  if (ctx.options.onProgress)
+    ctx.options.onProgress(convertedCount, ctx.placeCount);
+}
+
+function convertPlaceChunks(ctx) {
+  console.log('converting', ctx.placeCount, 'places');
+  var convertedCount = 0;
+
+  function nextChunk(afterId) {
+    return sqliteAll(ctx,
+      'SELECT * FROM moz_places WHERE id > ? ORDER BY id LIMIT ?',
+      [afterId, PLACE_CHUNK_SIZE])
+      .then(function(places) {
+        if (!places.length)
+          return null;
+        return convertPlaceChunk(ctx, places).then(function() {
+          convertedCount += places.length;
+          reportProgress(ctx, convertedCount);
+          return nextChunk(places[places.length - 1].id);
+        });
+      });
+  }
+
+  return nextChunk(-1).then(function() {
+    console.log('wrote places');
+  });
+}
 
-  var theGreatPromiseChain  =
-    slurpAnnotationAttribs(context)
-    .then(slurpAnnotations.bind(null, context))
+function runConversions(context) {
+  function adapted(name) {
+    return function() {
+      return context.schema.adapter[name](context);
+    };
+  }
+
+  return detectSchema(context)
+    .then(countPlaces.bind(null, context))
     .then(slurpBookmarkAnnotations.bind(null, context))
-    .then(slurpInputHistory.bind(null, context))
-    .then(slurpKeywords.bind(null, context))
-    .then(slurpFavicons.bind(null, context))
-    .then(slurpHistoryVisits.bind(null, context))
-    .then(slurpBookmarkRoots.bind(null, context))
+    .then(adapted('slurpBookmarkRoots'))
     .then(slurpBookmarks.bind(null, context))
-    .then(transformPlaceRecords.bind(null, context))
     .then(writeBookmarks.bind(null, context))
-    .then(closeDbs.bind(null, context))
-    .then(allDone.bind(null, context))
-    .fail(fatalError);
-
-  return theGreatPromiseChain;
+    .then(adapted('prepareFavicons'))
+    .then(convertPlaceChunks.bind(null, context));
 }
 
 function closeDbs(ctx) {
   var sdeferred = $Q.defer();
   var ldeferred = $Q.defer();
-  ctx.sdb.close(function() {
-    console.log('SQLite DB closed');
+  if (ctx.sdb) {
+    ctx.sdb.close(function() {
+      console.log('SQLite DB closed');
+      sdeferred.resolve();
+    });
+  }
+  else {
     sdeferred.resolve();
-  });
-  ctx.ldb.close(function() {
-    console.log('LevelDB closed');
+  }
+  if (ctx.ldb) {
+    ldeferred.resolve($store.closeLevelStore(ctx.ldb).then(function() {
+      console.log('LevelDB closed');
+    }));
+  }
+  else {
     ldeferred.resolve();
-  });
+  }
 
   return $Q.all([sdeferred.promise, ldeferred.promise]);
 }
 
 function allDone(ctx) {
+  if (ctx.skippedVisitCount)
+    console.warn('Skipped', ctx.skippedVisitCount,
+                 'visits with out-of-range dates');
   console.log('All done!');
+  return { skippedVisitCount: ctx.skippedVisitCount };
 }
 
-function fatalError(err) {
-  console.error('The following fatal thing has ended us:', err);
+/**
+ * Normalize and sanity check the options before we touch anything on disk.
+ */
+function conversionOptions(options) {
+  options = options || {};
+  var normalized = {
+    source: options.source || DEFAULT_SOURCE,
+    favicons: options.favicons || null,
+    dest: options.dest || $store.DEFAULT_PATH,
+    force: !!options.force,
+    namespaces: options.namespaces || NAMESPACES,
+    keyCodec: options.keyCodec || $codec.DEFAULT_CODEC,
+    tokenizer: options.tokenizer || $tokenizers.DEFAULT_TOKENIZER,
+    // 0 means none, so no ||
+    infixLength: options.infixLength === undefined ?
+                   $rows.DEFAULT_INFIX_LENGTH : options.infixLength,
+    layout: options.layout || null,
+    cacheSize: options.cacheSize,
+    compression: options.hasOwnProperty('compression') ?
+                   !!options.compression : true,
+    verbose: !!options.verbose,
+    onProgress: options.onProgress || null
+  };
+
+  // complain about typos before we create anything
+  if (!$codec.CODECS.hasOwnProperty(normalized.keyCodec))
+    throw conversionError('BAD_OPTION',
+                          'unknown key codec: ' + normalized.keyCodec);
+  try {
+    $tokenizers.getTokenizer(normalized.tokenizer);
+  }
+  catch (ex) {
+    throw conversionError('BAD_OPTION', ex.message);
+  }
+  if (normalized.layout) {
+    try {
+      normalized.layout = $router.normalizeLayout(normalized.layout);
+    }
+    catch (ex) {
+      throw conversionError('BAD_OPTION', ex.message);
+    }
+  }
+  if (!(normalized.infixLength >= 0) ||
+      Math.floor(normalized.infixLength) !== normalized.infixLength)
+    throw conversionError('BAD_OPTION',
+                          'bad infix length: ' + normalized.infixLength);
+  var namespaces = normalized.namespaces;
+  if (typeof(namespaces) === 'string')
+    namespaces = namespaces.split('');
+  namespaces.forEach(function(namespace) {
+    if (namespace.length !== 1 || NAMESPACES.indexOf(namespace) === -1)
+      throw conversionError('BAD_OPTION', 'unknown namespace: ' + namespace);
+  });
+  // say so if we're not building 'N', so queries don't go looking in it
+  if (namespaces.indexOf('N') === -1)
+    normalized.infixLength = 0;
+  // the key codec row is always written
+  normalized.namespaces = namespaces.concat(['M']);
+
+  if (!$fs.existsSync(normalized.source))
+    throw conversionError('NO_SOURCE', normalized.source + ' does not exist');
+  return normalized;
 }
 
-$Q.all([openPlaces(),
-        openLevelStore()])
-  .then(kickoffConversions, fatalError);
+/**
+ * Convert a places.sqlite into a new LevelDB store.  Options:
+ * - source: The places.sqlite to read; defaults to 'places.sqlite'.
+ * - favicons: The favicons.sqlite to read, for Places versions that have one;
+ *   defaults to the one next to the source.
+ * - dest: The store to create; defaults to $store.DEFAULT_PATH.
+ * - force: Replace dest if it already exists (and is a LevelDB store).
+ * - namespaces: The namespaces to build, as a string or array of their
+ *   letters; defaults to all of them.
+ * - keyCodec: The lib/codec.js key codec to write with.
+ * - tokenizer: The lib/tokenizers.js tokenizer spec to write the awesomebar
+ *   terms with, like 'unicode:en,de'; defaults to 'legacy'.
+ * - infixLength: How short the shortest infix with an 'N' row is; defaults to
+ *   $rows.DEFAULT_INFIX_LENGTH.  0 for no 'N' rows.
+ * - layout: Which namespaces go in which database, for a store of several;
+ *   see lib/router.js.  Defaults to everything in one.
+ * - cacheSize, compression: Passed on to LevelDB, for each database the
+ *   layout doesn't say otherwise for.
+ * - verbose: Log every SQL statement we run.
+ * - onProgress: Called with (convertedCount, placeCount) whenever another
+ *   whole percent of the places has been converted.
+ *
+ * Resolves with { skippedVisitCount } when done.  Problems with the options
+ * or paths reject with an Error whose `code` is 'BAD_OPTION', 'NO_SOURCE' or
+ * 'DEST_EXISTS'.
+ */
+function convertPlaces(options) {
+  try {
+    options = conversionOptions(options);
+  }
+  catch (ex) {
+    return $Q.reject(ex);
+  }
+
+  var context = {
+    options: options,
+    namespaces: options.namespaces,
+
+    sdb: null,
+    ldb: null,
+
+    /** { version, tables, adapter }; see detectSchema */
+    schema: null,
+
+    /** How many places there are to convert, for reporting progress */
+    placeCount: 0,
+    /** The last whole percentage of places we reported as converted */
+    reportedPercent: null,
+
+    /** Maps bookmark id to object dict of anno name to anno value obj */
+    annotationsByBookmarkId: null,
+
+    bookmarkHierarchy: null,
+    bookmarksByPlaceId: null,
+    tagsByPlaceId: null,
+
+    /** Visits we didn't write because their dates can't be keyed */
+    skippedVisitCount: 0,
+
+    /** The hashes we've written 'F' rows for */
+    faviconHashesWritten: {},
+    /** Whether favicons.sqlite is attached, for the adapters using it */
+    faviconsAttached: false,
+  };
 
-// So, sqlite and leveldb are failing to keep the event loop alive.  Which is
-// awkward.
-function uhKeepEventLoopGoing() {
-  var $timers = require('timers');
-  $timers.setInterval(function() {}, 1000);
+  return clearDestination(options)
+    .then(function() {
+      return openPlaces(context);
+    })
+    .then(function(sqlDb) {
+      context.sdb = sqlDb;
+      return openLevelStore(context);
+    })
+    .then(function(levelDb) {
+      context.ldb = levelDb;
+      return runConversions(context);
+    })
+    .then(function() {
+      return closeDbs(context);
+    }, function(err) {
+      return closeDbs(context).then(function() {
+        throw err;
+      });
+    })
+    .then(allDone.bind(null, context));
+}
+
+exports.DEFAULT_SOURCE = DEFAULT_SOURCE;
+exports.NAMESPACES = NAMESPACES;
+exports.convertPlaces = convertPlaces;
+
+// Still runnable on its own; this is just `places-leveldb.js convert`.
+if (require.main === module) {
+  require('./places-leveldb').main(['convert'].concat(process.argv.slice(2)))
+    .then(function(exitCode) {
+      process.exitCode = exitCode;
+    });
 }
-//uhKeepEventLoopGoing();
@@ -0,0 +1,72 @@
+/**
+ * Expire what's due in a converted store and optionally trim history:
+ *
+ *   node expire-places-leveldb.js [--max-age=DAYS] [--max-visits=COUNT]
+ *                                 [path/to/store.ldb]
+ *
+ * Without either option, only expired annotations and favicons go.
+ **/
+var $fs = require('fs');
+
+var $cli = require('./places-leveldb');
+var $expiration = require('./lib/expiration');
+var $store = require('./lib/store');
+
+var USAGE = 'usage: node expire-places-leveldb.js [--max-age=DAYS] ' +
+            '[--max-visits=COUNT] [path/to/store.ldb]';
+
+var OPTIONS = {
+  'max-age': 'number',
+  'max-visits': 'count'
+};
+
+function usageError(message) {
+  var err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+function expirationOptions(args) {
+  var parsed = $cli.parseArgs(args, OPTIONS);
+  var options = parsed.options;
+  if (parsed.positional.length > 1)
+    throw usageError('unexpected argument: ' + parsed.positional[1]);
+  if (options['max-visits'] === 0)
+    throw usageError('--max-visits wants a positive whole number');
+  return {
+    maxAge: options['max-age'] || null,
+    maxVisits: options['max-visits'] || null,
+    path: parsed.positional[0] || $store.DEFAULT_PATH
+  };
+}
+
+var options;
+try {
+  options = expirationOptions(process.argv.slice(2));
+}
+catch (ex) {
+  console.error(ex.message);
+  console.error(USAGE);
+  process.exit($cli.EXIT_USAGE);
+}
+if (!$fs.existsSync(options.path)) {
+  console.error(options.path, 'does not exist');
+  process.exit($cli.EXIT_NO_SOURCE);
+}
+
+$store.openLevelStore(options.path)
+  .then(function(db) {
+    return $expiration.expire(db, options)
+      .then(function(stats) {
+        console.log('Expired', stats.annotations, 'annotations,',
+                    stats.favicons, 'favicons,', stats.visits, 'visits and',
+                    stats.places, 'places');
+      })
+      .finally(function() {
+        return $store.closeLevelStore(db);
+      });
+  })
+  .catch(function(err) {
+    console.error('Expiration failed:', err);
+    process.exitCode = $cli.EXIT_FAILED;
+  });
@@ -0,0 +1,87 @@
+/**
+ * Make up a places.sqlite to convert, benchmark or reproduce bugs with:
+ *
+ *   node generate-places-db.js [--dest=places.sqlite] [--force] [--seed=1]
+ *                              [--places=N] [--visits=N] [--folders=N]
+ *                              [--bookmarks=N] [--tags=N] [--keywords=N]
+ *                              [--annotations=N] [--bookmark-annotations=N]
+ *                              [--favicons=N] [--input-history=N]
+ *                              [--days=N]
+ *
+ * The same options always make the same database.  See lib/synthetic.js for
+ * what goes in it and the defaults.
+ **/
+var $fs = require('fs');
+
+var $cli = require('./places-leveldb');
+var $synthetic = require('./lib/synthetic');
+
+var USAGE = 'usage: node generate-places-db.js [--dest=places.sqlite] ' +
+            '[--force] [--seed=N] [--places=N] [--visits=N] [--folders=N] ' +
+            '[--bookmarks=N] [--tags=N] [--keywords=N] [--annotations=N] ' +
+            '[--bookmark-annotations=N] [--favicons=N] [--input-history=N] ' +
+            '[--days=N]';
+
+// command line option name => generatePlacesDb option name
+var COUNT_OPTIONS = {
+  seed: 'seed',
+  places: 'places',
+  visits: 'visits',
+  folders: 'folders',
+  bookmarks: 'bookmarks',
+  tags: 'tags',
+  keywords: 'keywords',
+  annotations: 'annotations',
+  'bookmark-annotations': 'bookmarkAnnotations',
+  favicons: 'favicons',
+  'input-history': 'inputHistory',
+  days: 'days'
+};
+
+var OPTIONS = {
+  dest: 'string',
+  force: 'boolean'
+};
+for (var name in COUNT_OPTIONS) {
+  OPTIONS[name] = 'count';
+}
+
+function generateOptions(args) {
+  var parsed = $cli.parseArgs(args, OPTIONS);
+  if (parsed.positional.length) {
+    var err = new Error('unexpected argument: ' + parsed.positional[0]);
+    err.code = 'USAGE';
+    throw err;
+  }
+  var options = { force: !!parsed.options.force };
+  for (var name in COUNT_OPTIONS) {
+    if (parsed.options.hasOwnProperty(name))
+      options[COUNT_OPTIONS[name]] = parsed.options[name];
+  }
+  return { dest: parsed.options.dest || 'places.sqlite', options: options };
+}
+
+var args;
+try {
+  args = generateOptions(process.argv.slice(2));
+}
+catch (ex) {
+  console.error(ex.message);
+  console.error(USAGE);
+  process.exit($cli.EXIT_USAGE);
+}
+
+$synthetic.generatePlacesDb(args.dest, args.options)
+  .then(function(used) {
+    console.log('Wrote', args.dest + ':', $fs.statSync(args.dest).size,
+                'bytes');
+    for (var name in used) {
+      console.log('  ' + name + ':', used[name]);
+    }
+  })
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = err.code === 'BAD_OPTION' ? $cli.EXIT_USAGE :
+                       err.code === 'DEST_EXISTS' ? $cli.EXIT_DEST_EXISTS :
+                       $cli.EXIT_FAILED;
+  });
@@ -0,0 +1,330 @@
+/**
+ * Read side of the 'A' awesomebar index, its 'N' infixes, and the 'a' input
+ * history rows that feed it.  See the 'A' and 'N' sections of the comment at
+ * the top of convert-places-db.js for why the keys look the way they do.
+ *
+ * The general plan is:
+ * - Split what was typed into words.  Each word matches the rows of
+ *   'A\0<word>\0' (terms starting with it) and 'N\0<word>\0' (terms with it
+ *   in the middle).  These come back in frecency order for free because the
+ *   frecency is the (inverted) second key component.
+ * - Walk every word's rows together, a frecency at a time, keeping the URLs
+ *   that every word found.  A place's own term rows all carry its frecency,
+ *   so a place matching every word shows up at the same frecency for each.
+ *   With several words, rows for the whole of what was typed (input history)
+ *   count too.  We stop as soon as we have `limit` distinct URLs, or some
+ *   word has run out of rows.
+ * - If that didn't fill us up, a word may be a prefix of a term (or infix)
+ *   we only indexed at full length (low frecency stuff doesn't get all its
+ *   prefixes emitted).  So we scan a bounded number of rows per word whose
+ *   magic merely starts with it, keep the URLs every word found and rank
+ *   those by frecency.
+ * - Join each URL to its 'I' info row for the title and favicon, and to its
+ *   'a' row so the caller can tell when a result is what the user picked the
+ *   last time they typed this.
+ **/
+
+var $Q = require('q');
+
+var $keys = require('./keys');
+var $store = require('./store');
+var $tokenizers = require('./tokenizers');
+
+var DEFAULT_LIMIT = 12;
+var DEFAULT_MAX_PARTIAL_SCAN = 500;
+// how many rows at a time we read of each word's matches
+var PAGE_SIZE = 50;
+
+/**
+ * Turn an 'A' or 'N' row into a hit.  Key components are:
+ * [A or N, magic, inverted frecency, term, reversed-host, path]
+ */
+function hitFromRow(row) {
+  var parts = $keys.decodeKey(row.key);
+  return {
+    url: row.value,
+    title: null,
+    frecency: parts[2],
+    terms: [parts[3]],
+    reversedHost: parts[4],
+    favicon: null,
+    inputUseCount: 0
+  };
+}
+
+function rowFrecency(row) {
+  return $keys.decodeKey(row.key)[2];
+}
+
+/**
+ * Read a range a page at a time, so that a word whose rows we stop walking
+ * early only costs us a page or so.  peek() resolves with the next row (null
+ * at the end) and take() then consumes it.
+ */
+function rangeCursor(db, range) {
+  var rows = [], lastKey = null, done = false;
+  function fill() {
+    if (rows.length || done)
+      return $Q();
+    var page = {};
+    for (var name in range) {
+      page[name] = range[name];
+    }
+    if (lastKey !== null) {
+      delete page.gte;
+      page.gt = lastKey;
+    }
+    page.limit = PAGE_SIZE;
+    return $store.readRange(db, page).then(function(pageRows) {
+      rows = pageRows;
+      done = pageRows.length < PAGE_SIZE;
+      if (pageRows.length)
+        lastKey = pageRows[pageRows.length - 1].key;
+    });
+  }
+  return {
+    peek: function() {
+      return fill().then(function() {
+        return rows.length ? rows[0] : null;
+      });
+    },
+    take: function() {
+      return rows.shift();
+    }
+  };
+}
+
+/**
+ * The namespaces a word gets looked up in; no 'N' if the store has none.
+ */
+function wordNamespaces(db) {
+  return db.settings.infixLength ? ['A', 'N'] : ['A'];
+}
+
+/**
+ * Take every row the cursor has at `frecency`, appending them to `rows`.
+ */
+function takeAtFrecency(cursor, frecency, rows) {
+  return cursor.peek().then(function(row) {
+    if (!row || rowFrecency(row) !== frecency)
+      return rows;
+    rows.push(cursor.take());
+    return takeAtFrecency(cursor, frecency, rows);
+  });
+}
+
+/**
+ * Walk the cursors of every word (`wordCursors`, an array of arrays) and the
+ * `wholeCursors` a frecency at a time, best first.  A URL matches if every
+ * word has a row for it at that frecency, or a whole cursor does.  Every
+ * row of a matching URL goes to `keepRow`, which returns true for URLs we
+ * didn't already have.  Resolves with those rows, in order, once we have
+ * `limit` of them or can't get any more.
+ */
+function intersectExact(wordCursors, wholeCursors, limit, keepRow) {
+  var newRows = [];
+
+  function step() {
+    var cursors = wholeCursors.concat.apply(wholeCursors, wordCursors);
+    return $Q.all(cursors.map(function(cursor) {
+      return cursor.peek();
+    })).then(function(heads) {
+      // a word with nothing left can't help anything match from here on
+      var wordsLeft = wordCursors.every(function(group) {
+        return group.some(function(cursor) {
+          return heads[cursors.indexOf(cursor)];
+        });
+      });
+      var live = wordsLeft ? cursors : wholeCursors;
+      var frecency = null;
+      live.forEach(function(cursor) {
+        var head = heads[cursors.indexOf(cursor)];
+        if (head && (frecency === null || rowFrecency(head) > frecency))
+          frecency = rowFrecency(head);
+      });
+      if (frecency === null)
+        return newRows;
+
+      return $Q.all(live.map(function(cursor) {
+        return takeAtFrecency(cursor, frecency, []);
+      })).then(function(rowsByCursor) {
+        var matched = new Set();
+        rowsByCursor.slice(0, wholeCursors.length).forEach(function(rows) {
+          rows.forEach(function(row) {
+            matched.add(row.value);
+          });
+        });
+        if (wordsLeft) {
+          var offset = wholeCursors.length;
+          var urlSets = wordCursors.map(function(group) {
+            var urls = new Set();
+            rowsByCursor.slice(offset, offset + group.length)
+              .forEach(function(rows) {
+                rows.forEach(function(row) {
+                  urls.add(row.value);
+                });
+              });
+            offset += group.length;
+            return urls;
+          });
+          urlSets[0].forEach(function(url) {
+            if (urlSets.every(function(urls) { return urls.has(url); }))
+              matched.add(url);
+          });
+        }
+
+        rowsByCursor.forEach(function(rows) {
+          rows.forEach(function(row) {
+            if (matched.has(row.value) && keepRow(row))
+              newRows.push(row);
+          });
+        });
+        if (newRows.length >= limit)
+          return newRows.slice(0, limit);
+        return step();
+      });
+    });
+  }
+
+  return step();
+}
+
+/**
+ * The fallback: up to `maxScan` rows per word and namespace whose magic
+ * starts with the word, kept if every word found the URL.  `skipExact` leaves
+ * out rows for exactly the word, which intersectExact() has already had all
+ * of if there's only the one.  Resolves with the new rows, best first.
+ */
+function intersectPartial(db, words, maxScan, skipExact, keepRow) {
+  return $Q.all(words.map(function(word) {
+    return $Q.all(wordNamespaces(db).map(function(namespace) {
+      var range = $keys.partialPrefixRange(namespace, word);
+      if (skipExact) {
+        range.gt = $keys.prefixRange(namespace, word).lt;
+        delete range.gte;
+      }
+      range.limit = maxScan;
+      return $store.readRange(db, range);
+    })).then(function(rowsByNamespace) {
+      return [].concat.apply([], rowsByNamespace);
+    });
+  })).then(function(rowsByWord) {
+    var urlSets = rowsByWord.map(function(rows) {
+      return new Set(rows.map(function(row) {
+        return row.value;
+      }));
+    });
+    var newRows = [];
+    rowsByWord.forEach(function(rows) {
+      rows.forEach(function(row) {
+        var everyWord = urlSets.every(function(urls) {
+          return urls.has(row.value);
+        });
+        if (everyWord && keepRow(row))
+          newRows.push(row);
+      });
+    });
+    return newRows.sort(function(a, b) {
+      return rowFrecency(b) - rowFrecency(a);
+    });
+  });
+}
+
+/**
+ * Query the awesomebar index for what the user typed.  Resolves with an array
+ * of hits, best first, with at most `options.limit` entries:
+ * {
+ *   url,
+ *   title,
+ *   frecency, // the frecency the index row was written with
+ *   terms, // the distinct indexed terms that matched this url
+ *   reversedHost,
+ *   favicon, // hash of the page's own favicon, if any; see lib/favicons.js
+ *   inputUseCount // from 'a'; non-zero if the user picked this for `typed`
+ * }
+ *
+ * `options.maxPartialScan` bounds how many rows each word (and namespace)
+ * gets when we have to fall back to partial matches.
+ */
+function queryAwesomebar(db, typedText, options) {
+  options = options || {};
+  var limit = options.limit || DEFAULT_LIMIT;
+  var maxPartialScan = options.maxPartialScan || DEFAULT_MAX_PARTIAL_SCAN;
+  // fold it the way the store's tokenizer folded the terms
+  var typed = $tokenizers.currentTokenizer().fold(typedText);
+  if (!typed)
+    return $Q([]);
+  var words = typed.split(/\s+/).filter(function(word, i, all) {
+    return all.indexOf(word) === i;
+  });
+
+  var hitsByUrl = {};
+  /**
+   * Dedupe URLs across words, terms and prefixes, folding additional terms
+   * into the hit we already have.
+   */
+  function keepNewUrl(row) {
+    var hit = hitsByUrl[row.value];
+    if (hit) {
+      var term = $keys.decodeKey(row.key)[3];
+      if (hit.terms.indexOf(term) === -1)
+        hit.terms.push(term);
+      return false;
+    }
+    hitsByUrl[row.value] = hitFromRow(row);
+    return true;
+  }
+  function hitsFor(rows) {
+    return rows.map(function(row) {
+      return hitsByUrl[row.value];
+    });
+  }
+
+  var wordCursors = words.map(function(word) {
+    return wordNamespaces(db).map(function(namespace) {
+      return rangeCursor(db, $keys.prefixRange(namespace, word));
+    });
+  });
+  // with one word, its 'A' rows already are the whole query's
+  var wholeCursors = words.length > 1 ?
+                       [rangeCursor(db, $keys.prefixRange('A', typed))] : [];
+
+  return intersectExact(wordCursors, wholeCursors, limit, keepNewUrl)
+    .then(function(exactRows) {
+      var hits = hitsFor(exactRows);
+      if (hits.length >= limit)
+        return hits;
+      return intersectPartial(db, words, maxPartialScan, words.length === 1,
+                              keepNewUrl)
+        .then(function(partialRows) {
+          return hits.concat(hitsFor(partialRows)
+                               .slice(0, limit - hits.length));
+        });
+    })
+    .then(function(hits) {
+      return $Q.all(hits.map(joinHit.bind(null, db, typed)));
+    });
+}
+
+/**
+ * Fill in the hit from its 'I' and 'a' rows.
+ */
+function joinHit(db, typed, hit) {
+  var infoKey = $keys.infoKey(hit.reversedHost, hit.url);
+  var inputKey = $keys.inputHistoryKey(typed, hit.url);
+  return $Q.all([$store.getMaybe(db, infoKey),
+                 $store.getMaybe(db, inputKey)])
+    .then(function(results) {
+      var info = results[0], input = results[1];
+      if (info) {
+        hit.title = info.title;
+        hit.favicon = info.favicon || null;
+      }
+      if (input)
+        hit.inputUseCount = input.useCount;
+      return hit;
+    });
+}
+
+exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+exports.queryAwesomebar = queryAwesomebar;
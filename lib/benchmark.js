@@ -0,0 +1,663 @@
+/**
+ * Time the primary use cases from the comment at the top of
+ * convert-places-db.js against both a places.sqlite and the store converted
+ * from it, since "LevelDB would be better" is an argument that wants
+ * numbers:
+ * - 'bookmarks': List the children of a folder, i.e. one level of the
+ *   hierarchy.
+ * - 'history': A page of the latest visits at or before a point in time.
+ * - 'awesomebar': What the awesomebar comes up with for something typed.
+ * - 'info': What we know about a URL: its place and its annotations.
+ *
+ * The queries are sampled from the places.sqlite itself (see sampleQueries),
+ * with a seeded random number generator so that the same profile and seed
+ * always get the same queries.  The SQL side runs what Places would run, more
+ * or less; notably the awesomebar query is a frecency-ordered scan with LIKE
+ * standing in for Places' own matching function, and neither side fetches
+ * favicon data.
+ *
+ * Each use case runs with:
+ * - 'cold' caches: Fresh database handles for every query, so neither
+ *   SQLite's page cache nor LevelDB's block cache has anything in it.  (The
+ *   operating system's file cache we leave alone; this isn't a disk
+ *   benchmark.)  Opening the handles isn't timed.
+ * - 'warm' caches: One handle for everything, and every query run once
+ *   untimed before the timed run.
+ *
+ * Bytes read come two ways, both averaged per query:
+ * - rows: What the engine handed back.  For SQLite, the bytes of every column
+ *   of every result row; for LevelDB, the bytes of the keys and (JSON) values
+ *   of every row read, including the ones a query skipped over.
+ * - io: What the process read from files, per /proc/self/io; null where
+ *   there's no such thing.  LevelDB maps its table files into memory rather
+ *   than reading them, so this would miss most of what it reads; rather than
+ *   a number that doesn't compare with SQLite's, it's always null there.
+ **/
+
+var $fs = require('fs');
+var $url = require('url');
+var $sqlite = require('sqlite3');
+var $Q = require('q');
+
+var $awesomebar = require('./awesomebar');
+var $bookmarks = require('./bookmarks');
+var $history = require('./history');
+var $keys = require('./keys');
+var $random = require('./random');
+var $store = require('./store');
+
+var USE_CASES = ['bookmarks', 'history', 'awesomebar', 'info'];
+var CACHE_MODES = ['cold', 'warm'];
+
+var DEFAULT_SAMPLES = 100;
+var DEFAULT_SEED = 1;
+var HISTORY_PAGE_SIZE = 100;
+
+function sqliteAll(sdb, sql, params) {
+  var deferred = $Q.defer();
+  sdb.all(sql, params || [], function(err, rows) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve(rows);
+  });
+  return deferred.promise;
+}
+
+/**
+ * Open a places.sqlite read-only.  We have SQLite read the schema before
+ * handing it out so that the first query doesn't get charged for it.
+ */
+function openSqlite(sqlitePath) {
+  var deferred = $Q.defer();
+  var sdb = new $sqlite.Database(sqlitePath, $sqlite.OPEN_READONLY,
+                                 function(err) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve(sdb);
+  });
+  return deferred.promise.then(function() {
+    return sqliteAll(sdb, 'SELECT COUNT(*) FROM sqlite_master');
+  }).then(function() {
+    return sdb;
+  });
+}
+
+function closeSqlite(sdb) {
+  var deferred = $Q.defer();
+  sdb.close(function(err) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve();
+  });
+  return deferred.promise;
+}
+
+function hasTable(sdb, table) {
+  return sqliteAll(sdb,
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [table])
+    .then(function(rows) {
+      return rows.length > 0;
+    });
+}
+
+function hasColumn(sdb, table, column) {
+  return sqliteAll(sdb, 'PRAGMA table_info(' + table + ')')
+    .then(function(rows) {
+      return rows.some(function(row) {
+        return row.name === column;
+      });
+    });
+}
+
+/**
+ * `count` rows picked at random (with replacement) from what `sql` selects.
+ * We fetch them one at a time by offset so we never hold the whole table.
+ */
+function sampleRows(sdb, sql, params, count, random) {
+  return sqliteAll(sdb, 'SELECT COUNT(*) AS count FROM (' + sql + ')',
+                   params)
+    .then(function(rows) {
+      var total = rows[0].count;
+      var samples = [];
+      if (!total)
+        return samples;
+      var next = $Q();
+      for (var i = 0; i < count; i++) {
+        next = next.then(function(offset) {
+          return sqliteAll(sdb, sql + ' LIMIT 1 OFFSET ?',
+                           params.concat([offset]))
+            .then(function(rows) {
+              samples.push(rows[0]);
+            });
+        }.bind(null, $random.randomInt(random, total)));
+      }
+      return next.then(function() {
+        return samples;
+      });
+    });
+}
+
+/**
+ * The id of the tags root, whose subtree the converter doesn't write to 'B'.
+ */
+function tagsRootId(sdb) {
+  return hasTable(sdb, 'moz_bookmarks_roots').then(function(hasRoots) {
+    if (hasRoots) {
+      return sqliteAll(sdb, 'SELECT folder_id AS id FROM moz_bookmarks_roots ' +
+                            "WHERE root_name = 'tags'");
+    }
+    return sqliteAll(sdb, 'SELECT id FROM moz_bookmarks ' +
+                          "WHERE guid = 'tags________'");
+  }).then(function(rows) {
+    return rows.length ? rows[0].id : null;
+  });
+}
+
+/**
+ * Folders as { id, depth }, depth being what the converter keys them by: the
+ * roots are at 0 and the root of roots isn't listed, since its children
+ * aren't beneath it in 'B'.  Neither is anything to do with tags.
+ */
+function sampleBookmarkFolders(sdb, count, random) {
+  return $Q.all([tagsRootId(sdb),
+                 sqliteAll(sdb, 'SELECT id, parent FROM moz_bookmarks ' +
+                                'WHERE type = 2 ORDER BY id')])
+    .then(function(results) {
+      var tagsId = results[0], folders = results[1];
+      var parentsById = {};
+      folders.forEach(function(folder) {
+        parentsById[folder.id] = folder.parent;
+      });
+      var depthsById = {};
+      function depthOf(id) {
+        if (!depthsById.hasOwnProperty(id)) {
+          var parentId = parentsById[id];
+          if (id === tagsId || parentId === undefined || parentId === 0)
+            depthsById[id] = null;
+          else if (parentsById[parentId] === 0)
+            depthsById[id] = 0;
+          else if (depthOf(parentId) === null)
+            depthsById[id] = null;
+          else
+            depthsById[id] = depthOf(parentId) + 1;
+        }
+        return depthsById[id];
+      }
+
+      var eligible = folders.filter(function(folder) {
+        return depthOf(folder.id) !== null;
+      });
+      var samples = [];
+      for (var i = 0; eligible.length && i < count; i++) {
+        var folder = $random.pick(random, eligible);
+        samples.push({ id: folder.id, depth: depthsById[folder.id] });
+      }
+      return samples;
+    });
+}
+
+function sampleVisitDates(sdb, count, random) {
+  return sampleRows(sdb, 'SELECT visit_date FROM moz_historyvisits ' +
+                         'WHERE visit_date >= 0 ORDER BY id',
+                    [], count, random)
+    .then(function(rows) {
+      return rows.map(function(row) {
+        return { before: row.visit_date };
+      });
+    });
+}
+
+/**
+ * Something someone might type: the start (at least two characters) of a
+ * word in the title of a place.
+ */
+function sampleTyped(sdb, count, random) {
+  return sampleRows(sdb, 'SELECT title FROM moz_places ' +
+                         "WHERE frecency > 0 AND title <> '' ORDER BY id",
+                    [], count, random)
+    .then(function(rows) {
+      var samples = [];
+      rows.forEach(function(row) {
+        var words = row.title.toLowerCase().split(/\W+/).filter(
+          function(word) {
+            return word.length >= 2;
+          });
+        if (!words.length)
+          return;
+        var word = $random.pick(random, words);
+        samples.push({
+          typed: word.substring(0,
+                                2 + $random.randomInt(random, word.length - 1))
+        });
+      });
+      return samples;
+    });
+}
+
+/**
+ * URLs, with their url_hash where Places has one, since Places looks them up
+ * by hash and we can't compute its hashes here.
+ */
+function sampleUrls(sdb, count, random) {
+  return hasColumn(sdb, 'moz_places', 'url_hash').then(function(hashed) {
+    return sampleRows(sdb, 'SELECT url' + (hashed ? ', url_hash' : '') +
+                           ' FROM moz_places ORDER BY id',
+                      [], count, random);
+  }).then(function(rows) {
+    return rows.map(function(row) {
+      return { url: row.url, urlHash: row.url_hash || null };
+    });
+  });
+}
+
+var SAMPLERS = {
+  bookmarks: sampleBookmarkFolders,
+  history: sampleVisitDates,
+  awesomebar: sampleTyped,
+  info: sampleUrls
+};
+
+/**
+ * Sample a query set from a places.sqlite.  Options:
+ * - samples: Queries per use case; defaults to DEFAULT_SAMPLES.
+ * - seed: Seed for picking them; defaults to DEFAULT_SEED.
+ * - useCases: The use cases to sample for; defaults to all of USE_CASES.
+ *
+ * Resolves with an object mapping each use case to its queries, which is
+ * plain JSON, so a query set can be saved and run again later:
+ * - bookmarks: [{ id, depth }], folders to list.
+ * - history: [{ before }], PRTimes to page back from.
+ * - awesomebar: [{ typed }].
+ * - info: [{ url, urlHash }], urlHash being null for older Places.
+ */
+function sampleQueries(sqlitePath, options) {
+  options = options || {};
+  var count = options.samples || DEFAULT_SAMPLES;
+  var random = $random.makeRandom(options.seed || DEFAULT_SEED);
+  var useCases = options.useCases || USE_CASES;
+  var queries = {};
+  return openSqlite(sqlitePath).then(function(sdb) {
+    return useCases.reduce(function(prev, useCase) {
+      return prev.then(function() {
+        return SAMPLERS[useCase](sdb, count, random);
+      }).then(function(samples) {
+        queries[useCase] = samples;
+      });
+    }, $Q())
+    .finally(function() {
+      return closeSqlite(sdb);
+    });
+  }).then(function() {
+    return queries;
+  });
+}
+
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * The SQL side of each use case.  Each resolves with its result rows.
+ */
+var SQLITE_QUERIES = {
+  bookmarks: function(sdb, query) {
+    return sqliteAll(sdb,
+      'SELECT moz_bookmarks.*, moz_places.url FROM moz_bookmarks ' +
+        'LEFT JOIN moz_places ON moz_places.id = moz_bookmarks.fk ' +
+        'WHERE moz_bookmarks.parent = ? ORDER BY moz_bookmarks.position',
+      [query.id]);
+  },
+  history: function(sdb, query) {
+    return sqliteAll(sdb,
+      'SELECT moz_historyvisits.*, moz_places.url FROM moz_historyvisits ' +
+        'JOIN moz_places ON moz_places.id = moz_historyvisits.place_id ' +
+        'WHERE visit_date <= ? ORDER BY visit_date DESC LIMIT ?',
+      [query.before, HISTORY_PAGE_SIZE]);
+  },
+  awesomebar: function(sdb, query) {
+    var pattern = '%' + escapeLike(query.typed) + '%';
+    return sqliteAll(sdb,
+      'SELECT moz_places.url, moz_places.title, moz_places.frecency, ' +
+        'moz_places.rev_host, moz_inputhistory.use_count FROM moz_places ' +
+        'LEFT JOIN moz_inputhistory ' +
+        'ON moz_inputhistory.place_id = moz_places.id ' +
+        'AND moz_inputhistory.input = ? ' +
+        'WHERE moz_places.frecency <> 0 ' +
+        "AND (moz_places.url LIKE ? ESCAPE '\\' " +
+        "OR moz_places.title LIKE ? ESCAPE '\\') " +
+        'ORDER BY moz_places.frecency DESC LIMIT ?',
+      [query.typed, pattern, pattern, $awesomebar.DEFAULT_LIMIT]);
+  },
+  info: function(sdb, query) {
+    var placePromise = query.urlHash === null ?
+      sqliteAll(sdb, 'SELECT * FROM moz_places WHERE url = ?', [query.url]) :
+      sqliteAll(sdb, 'SELECT * FROM moz_places ' +
+                     'WHERE url_hash = ? AND url = ?',
+                [query.urlHash, query.url]);
+    return placePromise.then(function(places) {
+      if (!places.length)
+        return places;
+      return sqliteAll(sdb,
+        'SELECT moz_anno_attributes.name, moz_annos.* FROM moz_annos ' +
+          'JOIN moz_anno_attributes ' +
+          'ON moz_anno_attributes.id = moz_annos.anno_attribute_id ' +
+          'WHERE moz_annos.place_id = ?',
+        [places[0].id])
+        .then(function(annotations) {
+          return places.concat(annotations);
+        });
+    });
+  }
+};
+
+/**
+ * The LevelDB side of each use case.
+ */
+var LEVELDB_QUERIES = {
+  bookmarks: function(db, query) {
+    return $bookmarks.listChildren(db, query);
+  },
+  history: function(db, query) {
+    return $history.visitsBefore(db, { before: query.before,
+                                       limit: HISTORY_PAGE_SIZE });
+  },
+  awesomebar: function(db, query) {
+    return $awesomebar.queryAwesomebar(db, query.typed);
+  },
+  info: function(db, query) {
+    var reversedHost = $keys.reverseHost($url.parse(query.url).hostname || '');
+    return $store.getMaybe(db, $keys.infoKey(reversedHost, query.url));
+  }
+};
+
+function valueBytes(value) {
+  if (value === null || value === undefined)
+    return 0;
+  if (Buffer.isBuffer(value))
+    return value.length;
+  if (typeof(value) === 'number')
+    return 8;
+  return Buffer.byteLength(String(value), 'utf8');
+}
+
+function sqliteRowBytes(rows) {
+  return rows.reduce(function(total, row) {
+    for (var column in row) {
+      total += valueBytes(row[column]);
+    }
+    return total;
+  }, 0);
+}
+
+function leveldbRowBytes(row) {
+  // this is how encoding-down stores the values
+  return Buffer.byteLength(row.key, 'utf8') +
+         Buffer.byteLength(JSON.stringify(row.value), 'utf8');
+}
+
+/**
+ * Stand in for a store, tallying the bytes of every row read through it into
+ * `tally.rowBytes`.  The read side of lib/ only ever uses these two and the
+ * store's settings.
+ */
+function countingStore(db, tally) {
+  return {
+    settings: db.settings,
+    createReadStream: function(range) {
+      var stream = db.createReadStream(range);
+      stream.on('data', function(row) {
+        tally.rowBytes += leveldbRowBytes(row);
+      });
+      return stream;
+    },
+    get: function(key, callback) {
+      db.get(key, function(err, value) {
+        if (!err)
+          tally.rowBytes += leveldbRowBytes({ key: key, value: value });
+        callback(err, value);
+      });
+    }
+  };
+}
+
+var IO_STATS_PATH = '/proc/self/io';
+
+/**
+ * Bytes the process has read from files so far, or null if we can't tell.
+ */
+function ioBytesRead() {
+  var stats;
+  try {
+    stats = $fs.readFileSync(IO_STATS_PATH, 'utf8');
+  }
+  catch (ex) {
+    return null;
+  }
+  var match = /^rchar: (\d+)$/m.exec(stats);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * What reading IO_STATS_PATH itself shows up as, so we can take it back out.
+ */
+var ioStatsOverhead = null;
+function ioOverhead() {
+  if (ioStatsOverhead === null) {
+    var before = ioBytesRead();
+    ioStatsOverhead = before === null ? 0 : ioBytesRead() - before;
+  }
+  return ioStatsOverhead;
+}
+
+/**
+ * Nearest-rank percentile of sorted numbers.
+ */
+function percentile(sorted, fraction) {
+  if (!sorted.length)
+    return null;
+  var rank = Math.ceil(fraction * sorted.length);
+  return sorted[Math.max(rank, 1) - 1];
+}
+
+/**
+ * Boil down the measurements of one use case, engine and cache mode.
+ * Latencies are in milliseconds.
+ */
+function summarize(measurements) {
+  var latencies = measurements.map(function(measurement) {
+    return measurement.ms;
+  }).sort(function(a, b) {
+    return a - b;
+  });
+  var count = measurements.length;
+  function mean(field) {
+    if (!count)
+      return null;
+    var total = 0;
+    for (var i = 0; i < count; i++) {
+      if (measurements[i][field] === null)
+        return null;
+      total += measurements[i][field];
+    }
+    return total / count;
+  }
+  return {
+    queries: count,
+    latency: {
+      mean: mean('ms'),
+      p50: percentile(latencies, 0.5),
+      p90: percentile(latencies, 0.9),
+      p99: percentile(latencies, 0.99),
+      max: count ? latencies[count - 1] : null
+    },
+    bytesRead: {
+      rows: mean('rowBytes'),
+      io: mean('ioBytes')
+    }
+  };
+}
+
+/**
+ * The two engines, each knowing how to open a handle, run a query on it and
+ * tell how many bytes a query's results were, and whether what it reads
+ * shows up in ioBytesRead().
+ */
+var ENGINES = {
+  sqlite: {
+    readsFiles: true,
+    open: function(options) {
+      return openSqlite(options.sqlitePath);
+    },
+    close: closeSqlite,
+    run: function(sdb, useCase, query) {
+      return SQLITE_QUERIES[useCase](sdb, query).then(function(rows) {
+        return sqliteRowBytes(rows);
+      });
+    }
+  },
+  leveldb: {
+    readsFiles: false,
+    open: function(options) {
+      return $store.openLevelStore(options.ldbPath);
+    },
+    close: $store.closeLevelStore,
+    run: function(db, useCase, query) {
+      var tally = { rowBytes: 0 };
+      return LEVELDB_QUERIES[useCase](countingStore(db, tally), query)
+        .then(function() {
+          return tally.rowBytes;
+        });
+    }
+  }
+};
+
+/**
+ * Time a single query on an open handle.
+ */
+function measure(engine, handle, useCase, query) {
+  var ioBefore = engine.readsFiles ? ioBytesRead() : null;
+  var start = process.hrtime();
+  return engine.run(handle, useCase, query).then(function(rowBytes) {
+    var elapsed = process.hrtime(start);
+    var ioAfter = ioBefore === null ? null : ioBytesRead();
+    return {
+      ms: elapsed[0] * 1000 + elapsed[1] / 1000000,
+      rowBytes: rowBytes,
+      ioBytes: ioBefore === null ? null : ioAfter - ioBefore - ioOverhead()
+    };
+  });
+}
+
+function inSequence(items, fn) {
+  var results = [];
+  return items.reduce(function(prev, item) {
+    return prev.then(function() {
+      return fn(item);
+    }).then(function(result) {
+      results.push(result);
+    });
+  }, $Q()).then(function() {
+    return results;
+  });
+}
+
+function runCold(engine, options, useCase, queries) {
+  return inSequence(queries, function(query) {
+    return engine.open(options).then(function(handle) {
+      return measure(engine, handle, useCase, query)
+        .finally(function() {
+          return engine.close(handle);
+        });
+    });
+  });
+}
+
+function runWarm(engine, options, useCase, queries) {
+  return engine.open(options).then(function(handle) {
+    return inSequence(queries, function(query) {
+      return engine.run(handle, useCase, query);
+    })
+    .then(function() {
+      return inSequence(queries, function(query) {
+        return measure(engine, handle, useCase, query);
+      });
+    })
+    .finally(function() {
+      return engine.close(handle);
+    });
+  });
+}
+
+/**
+ * Run the benchmark.  Options:
+ * - sqlitePath: The places.sqlite; defaults to 'places.sqlite'.
+ * - ldbPath: The store converted from it; defaults to $store.DEFAULT_PATH.
+ * - queries: A query set from sampleQueries; if not given, we sample one
+ *   using the `samples`, `seed` and `useCases` options.
+ * - useCases: The use cases to run; defaults to those in the query set.
+ * - caches: The cache modes to run; defaults to all of CACHE_MODES.
+ *
+ * Resolves with:
+ * {
+ *   keyCodec, // the store's; see lib/codec.js
+ *   layout, // the store's lib/router.js layout, null if it's one database
+ *   queries, // the query set we ran, for running it again
+ *   results: {
+ *     useCase: {
+ *       cacheMode: {
+ *         sqlite: { queries, latency: { mean, p50, p90, p99, max },
+ *                   bytesRead: { rows, io } },
+ *         leveldb: same
+ *       }
+ *     }
+ *   }
+ * }
+ */
+function runBenchmark(options) {
+  options = options || {};
+  var engineOptions = {
+    sqlitePath: options.sqlitePath || 'places.sqlite',
+    ldbPath: options.ldbPath || $store.DEFAULT_PATH
+  };
+  var caches = options.caches || CACHE_MODES;
+  var report = { keyCodec: null, layout: null, queries: null, results: {} };
+
+  var queriesPromise = options.queries ?
+                         $Q(options.queries) :
+                         sampleQueries(engineOptions.sqlitePath, options);
+  return queriesPromise.then(function(queries) {
+    report.queries = queries;
+    var useCases = (options.useCases || USE_CASES).filter(function(useCase) {
+      return queries.hasOwnProperty(useCase);
+    });
+    return inSequence(useCases, function(useCase) {
+      var byCache = report.results[useCase] = {};
+      return inSequence(caches, function(cacheMode) {
+        var byEngine = byCache[cacheMode] = {};
+        var run = cacheMode === 'cold' ? runCold : runWarm;
+        return inSequence(Object.keys(ENGINES), function(engineName) {
+          return run(ENGINES[engineName], engineOptions, useCase,
+                     queries[useCase])
+            .then(function(measurements) {
+              byEngine[engineName] = summarize(measurements);
+            });
+        });
+      });
+    });
+  }).then(function() {
+    report.keyCodec = $keys.codecName();
+    report.layout = $store.readLayout(engineOptions.ldbPath);
+    return report;
+  });
+}
+
+exports.USE_CASES = USE_CASES;
+exports.CACHE_MODES = CACHE_MODES;
+exports.DEFAULT_SAMPLES = DEFAULT_SAMPLES;
+exports.DEFAULT_SEED = DEFAULT_SEED;
+exports.sampleQueries = sampleQueries;
+exports.runBenchmark = runBenchmark;
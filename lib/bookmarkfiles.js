@@ -0,0 +1,581 @@
+/**
+ * Bookmarks in and out of the files browsers trade them in:
+ * - bookmarks.html, the Netscape bookmark file everything can import and
+ *   export.  It has titles, URLs, dates (in seconds), keywords, POST data,
+ *   tags and a description, and that's all; the toolbar and unfiled roots
+ *   are folders in the menu marked as such, and there's no mobile root.
+ * - Firefox's bookmarks-*.json backups, which are the Places hierarchy as
+ *   is, PRTimes, GUIDs, annotations and all.
+ *
+ * Both go through the same tree of plain items:
+ * {
+ *   type, // a $bookmarks.TYPE_* value
+ *   root, // 'places', 'menu', ... for a root, null for everything else
+ *   title,
+ *   url, // null for folders and separators
+ *   tags, // list of strings, null if none
+ *   keyword,
+ *   postData, // the keyword's
+ *   annotations, // like the 'B' value's, null if none
+ *   dateAdded,
+ *   lastModified,
+ *   guid, // null if the file didn't have one
+ *   children // items, for folders; null for everything else
+ * }
+ * whose top is the 'places' root with the other roots as its children.
+ * readBookmarkTree() gets one out of a store and $mutations.importBookmarks()
+ * puts one in; the rest is turning them into files and back.
+ **/
+
+var $Q = require('q');
+
+var $bookmarks = require('./bookmarks');
+var $keys = require('./keys');
+var $keywords = require('./keywords');
+var $rows = require('./rows');
+var $store = require('./store');
+
+var FORMATS = ['html', 'json'];
+
+var DESCRIPTION_ANNO = 'bookmarkProperties/description';
+
+// nsIAnnotationService's types, for backups that don't say
+var ANNO_TYPE_INT32 = 1,
+    ANNO_TYPE_DOUBLE = 2,
+    ANNO_TYPE_STRING = 3;
+
+// what the JSON backups call the roots and their node types
+var JSON_ROOT_NAMES = {
+  places: 'placesRoot',
+  menu: 'bookmarksMenuFolder',
+  toolbar: 'toolbarFolder',
+  tags: 'tagsFolder',
+  unfiled: 'unfiledBookmarksFolder',
+  mobile: 'mobileFolder'
+};
+var JSON_TYPE_CONTAINER = 'text/x-moz-place-container',
+    JSON_TYPE_PLACE = 'text/x-moz-place',
+    JSON_TYPE_SEPARATOR = 'text/x-moz-place-separator';
+
+var PRTIME_PER_SECOND = 1000000;
+
+function itemFromNode(node, postDataByKeyword) {
+  var container = $bookmarks.isContainer(node);
+  var type = node.type;
+  if (!type)
+    type = container ? $bookmarks.TYPE_FOLDER : $bookmarks.TYPE_BOOKMARK;
+  return {
+    type: type,
+    root: node.depth === 0 ? node.title : null,
+    title: node.title || null,
+    url: node.url,
+    tags: node.tags,
+    keyword: node.keyword,
+    postData: node.keyword && postDataByKeyword[node.keyword] || null,
+    annotations: node.annotations,
+    dateAdded: node.dateAdded,
+    lastModified: node.lastModified,
+    guid: node.guid,
+    children: container ? [] : null
+  };
+}
+
+/**
+ * Read the whole 'B' hierarchy into a tree of items, resolving with its
+ * 'places' root (which has no children if the store has no bookmarks).
+ */
+function readBookmarkTree(db) {
+  var postDataByKeyword = {};
+
+  function readItem(node) {
+    var item = itemFromNode(node, postDataByKeyword);
+    if (!item.children)
+      return $Q(item);
+    return $bookmarks.listChildren(db, node).then(function(kids) {
+      return $Q.all(kids.map(readItem));
+    }).then(function(kids) {
+      item.children = kids;
+      return item;
+    });
+  }
+
+  return $Q.all([$keywords.listKeywords(db),
+                 $store.readRange(db, $keys.prefixRange('B', 0))])
+    .then(function(results) {
+      results[0].forEach(function(entry) {
+        postDataByKeyword[entry.keyword] = entry.postData;
+      });
+      var roots = results[1].map($bookmarks.nodeFromRow);
+      var places = null;
+      roots.forEach(function(root) {
+        if (root.title === 'places')
+          places = root;
+      });
+      var tree = places ? itemFromNode(places, postDataByKeyword) : {
+        type: $bookmarks.TYPE_FOLDER, root: 'places', title: 'places',
+        url: null, tags: null, keyword: null, postData: null,
+        annotations: null, dateAdded: null, lastModified: null,
+        guid: $bookmarks.ROOT_GUIDS.places, children: []
+      };
+      // the other roots sit next to it rather than under it
+      var others = roots.filter(function(root) {
+        return root !== places;
+      }).sort(function(a, b) {
+        return a.position - b.position;
+      });
+      return $Q.all(others.map(readItem)).then(function(kids) {
+        tree.children = kids;
+        return tree;
+      });
+    });
+}
+
+function findRoot(tree, name) {
+  for (var i = 0; i < tree.children.length; i++) {
+    if (tree.children[i].root === name)
+      return tree.children[i];
+  }
+  return null;
+}
+
+function splitTags(str) {
+  var tags = (str || '').split(',').map(function(tag) {
+    return tag.trim();
+  }).filter(function(tag) {
+    return tag;
+  });
+  return tags.length ? tags : null;
+}
+
+function annotationType(value) {
+  if (typeof(value) === 'string')
+    return ANNO_TYPE_STRING;
+  return value === Math.floor(value) ? ANNO_TYPE_INT32 : ANNO_TYPE_DOUBLE;
+}
+
+/*
+ * JSON backups.
+ */
+
+function jsonNode(item, index) {
+  var node = {
+    guid: item.guid,
+    title: item.root === 'places' ? '' : item.title || '',
+    index: index,
+    dateAdded: item.dateAdded,
+    lastModified: item.lastModified
+  };
+  if (item.children) {
+    node.typeCode = $bookmarks.TYPE_FOLDER;
+    node.type = JSON_TYPE_CONTAINER;
+    if (item.root)
+      node.root = JSON_ROOT_NAMES[item.root];
+  }
+  else if (item.url) {
+    node.typeCode = $bookmarks.TYPE_BOOKMARK;
+    node.type = JSON_TYPE_PLACE;
+    node.uri = item.url;
+    if (item.tags)
+      node.tags = item.tags.join(',');
+    if (item.keyword)
+      node.keyword = item.keyword;
+    if (item.postData)
+      node.postData = item.postData;
+  }
+  else {
+    node.typeCode = $bookmarks.TYPE_SEPARATOR;
+    node.type = JSON_TYPE_SEPARATOR;
+  }
+  if (item.annotations) {
+    node.annos = Object.keys(item.annotations).map(function(name) {
+      var annotation = item.annotations[name];
+      return {
+        name: name,
+        flags: annotation.flags,
+        expires: annotation.expiration,
+        mimeType: annotation.mimeType,
+        type: annotation.type,
+        value: annotation.content
+      };
+    });
+  }
+  if (item.children)
+    node.children = item.children.map(jsonNode);
+  return node;
+}
+
+/**
+ * A tree as a Firefox JSON backup.  Tags go on the bookmarks, the way newer
+ * Firefoxes write them, rather than in a 'tags' root.
+ */
+function serializeJSON(tree) {
+  return JSON.stringify(jsonNode(tree, 0));
+}
+
+function itemFromJSON(node) {
+  var type;
+  if (node.type === JSON_TYPE_CONTAINER)
+    type = $bookmarks.TYPE_FOLDER;
+  else if (node.type === JSON_TYPE_PLACE)
+    type = $bookmarks.TYPE_BOOKMARK;
+  else if (node.type === JSON_TYPE_SEPARATOR)
+    type = $bookmarks.TYPE_SEPARATOR;
+  else
+    throw new Error('parseJSON: unknown node type: ' + node.type);
+
+  var root = null;
+  for (var name in JSON_ROOT_NAMES) {
+    if (node.root && JSON_ROOT_NAMES[name] === node.root)
+      root = name;
+  }
+  var annotations = null;
+  (node.annos || []).forEach(function(anno) {
+    annotations = annotations || {};
+    annotations[anno.name] = {
+      mimeType: anno.mimeType || null,
+      content: anno.value,
+      flags: anno.flags || 0,
+      expiration: anno.expires,
+      type: anno.type || annotationType(anno.value),
+      // the backups don't keep these, so they go with the bookmark's
+      dateAdded: node.dateAdded || null,
+      lastModified: node.lastModified || null
+    };
+  });
+  return {
+    type: type,
+    root: root,
+    // the roots are called what the store calls them
+    title: root || node.title || null,
+    url: type === $bookmarks.TYPE_BOOKMARK ? node.uri : null,
+    tags: splitTags(node.tags),
+    keyword: node.keyword || null,
+    postData: node.postData || null,
+    annotations: annotations,
+    dateAdded: node.dateAdded || null,
+    lastModified: node.lastModified || null,
+    guid: node.guid || null,
+    children: type === $bookmarks.TYPE_FOLDER ?
+                (node.children || []).map(itemFromJSON) : null
+  };
+}
+
+/**
+ * Read a Firefox JSON backup into a tree.  Throws if it isn't one.
+ */
+function parseJSON(text) {
+  var node = JSON.parse(text);
+  if (!node || node.root !== JSON_ROOT_NAMES.places)
+    throw new Error('parseJSON: not a bookmarks backup');
+  return itemFromJSON(node);
+}
+
+/*
+ * bookmarks.html.
+ */
+
+var HTML_ROOT_FLAGS = {
+  toolbar: 'PERSONAL_TOOLBAR_FOLDER',
+  unfiled: 'UNFILED_BOOKMARKS_FOLDER'
+};
+var HTML_ROOT_TITLES = {
+  toolbar: 'Bookmarks Toolbar',
+  unfiled: 'Other Bookmarks'
+};
+
+var HTML_ESCAPES = {
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+};
+var HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0'
+};
+
+// a comment, a tag (closing or not, with its attributes), or some text
+var HTML_TOKEN_PATTERN = new RegExp(
+  '<!--[\\s\\S]*?-->|' +
+  '<(/?)([A-Za-z][A-Za-z0-9]*)((?:[^>"\']|"[^"]*"|\'[^\']*\')*)>|' +
+  '([^<]+|<)');
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, function(ch) {
+    return HTML_ESCAPES[ch];
+  });
+}
+
+function unescapeHtml(str) {
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function(all, ref) {
+    if (ref.charAt(0) === '#') {
+      var code = ref.charAt(1).toLowerCase() === 'x' ?
+                   parseInt(ref.substring(2), 16) :
+                   parseInt(ref.substring(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : all;
+    }
+    var name = ref.toLowerCase();
+    return HTML_ENTITIES.hasOwnProperty(name) ? HTML_ENTITIES[name] : all;
+  });
+}
+
+function htmlDate(prtime) {
+  return prtime ? Math.floor(prtime / PRTIME_PER_SECOND) : null;
+}
+
+function htmlAttributes(attrs) {
+  return attrs.filter(function(attr) {
+    return attr[1] !== null && attr[1] !== undefined;
+  }).map(function(attr) {
+    return ' ' + attr[0] + '="' + escapeHtml(attr[1]) + '"';
+  }).join('');
+}
+
+function htmlLines(item, indent, lines) {
+  var pad = new Array(indent + 1).join('    ');
+  if (item.children) {
+    var flag = HTML_ROOT_FLAGS[item.root];
+    lines.push(pad + '<DT><H3' + htmlAttributes([
+      ['ADD_DATE', htmlDate(item.dateAdded)],
+      ['LAST_MODIFIED', htmlDate(item.lastModified)],
+      [flag, flag ? 'true' : null]
+    ]) + '>' + escapeHtml(HTML_ROOT_TITLES[item.root] || item.title || '') +
+      '</H3>');
+  }
+  else if (item.url) {
+    lines.push(pad + '<DT><A' + htmlAttributes([
+      ['HREF', item.url],
+      ['ADD_DATE', htmlDate(item.dateAdded)],
+      ['LAST_MODIFIED', htmlDate(item.lastModified)],
+      ['SHORTCUTURL', item.keyword],
+      ['POST_DATA', item.postData],
+      ['TAGS', item.tags && item.tags.join(',')]
+    ]) + '>' + escapeHtml(item.title || '') + '</A>');
+  }
+  else {
+    lines.push(pad + '<HR>');
+  }
+  var description = item.annotations && item.annotations[DESCRIPTION_ANNO];
+  if (description)
+    lines.push(pad + '<DD>' + escapeHtml(description.content));
+  if (item.children)
+    htmlFolderLines(item.children, indent, lines);
+}
+
+function htmlFolderLines(items, indent, lines) {
+  var pad = new Array(indent + 1).join('    ');
+  lines.push(pad + '<DL><p>');
+  items.forEach(function(item) {
+    htmlLines(item, indent + 1, lines);
+  });
+  lines.push(pad + '</DL><p>');
+}
+
+/**
+ * A tree as a bookmarks.html, the way Firefox writes one: the menu's
+ * contents at the top level, the toolbar first among them and unfiled
+ * last.  The mobile root has nowhere to go and gets left out.
+ */
+function serializeHTML(tree) {
+  var menu = findRoot(tree, 'menu'),
+      toolbar = findRoot(tree, 'toolbar'),
+      unfiled = findRoot(tree, 'unfiled');
+  var top = [];
+  if (toolbar)
+    top.push(toolbar);
+  top = top.concat(menu ? menu.children : []);
+  if (unfiled)
+    top.push(unfiled);
+
+  var lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks Menu</H1>',
+    ''
+  ];
+  htmlFolderLines(top, 0, lines);
+  return lines.join('\n') + '\n';
+}
+
+function parseHtmlAttributes(str) {
+  var attrs = {}, match;
+  var pattern = /([^\s=]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g;
+  while ((match = pattern.exec(str))) {
+    var value = match[2] !== undefined ? match[2] :
+                match[3] !== undefined ? match[3] :
+                match[4] !== undefined ? match[4] : '';
+    attrs[match[1].toUpperCase()] = unescapeHtml(value);
+  }
+  return attrs;
+}
+
+function htmlDateAttribute(attrs, name) {
+  var seconds = parseInt(attrs[name], 10);
+  return seconds > 0 ? seconds * PRTIME_PER_SECOND : null;
+}
+
+function htmlItem(type, attrs) {
+  var dateAdded = htmlDateAttribute(attrs, 'ADD_DATE');
+  return {
+    type: type,
+    root: null,
+    title: null,
+    url: type === $bookmarks.TYPE_BOOKMARK ? attrs.HREF || null : null,
+    tags: splitTags(attrs.TAGS),
+    keyword: attrs.SHORTCUTURL || null,
+    postData: attrs.POST_DATA || null,
+    annotations: null,
+    dateAdded: dateAdded,
+    lastModified: htmlDateAttribute(attrs, 'LAST_MODIFIED') || dateAdded,
+    guid: null,
+    children: type === $bookmarks.TYPE_FOLDER ? [] : null
+  };
+}
+
+/**
+ * Read a bookmarks.html into a tree.  It's HTML of the sloppiest sort, so
+ * rather than parse it properly we go through the tags in order, keeping a
+ * stack of the folders whose <DL>s we're in: each <H3> is a folder whose
+ * <DL> comes next, each <A> a bookmark, each <HR> a separator, and a <DD>
+ * describes whatever came just before it.  Folders marked as the toolbar or
+ * unfiled become those roots and everything else is in the menu.
+ */
+function parseHTML(text) {
+  var tree = htmlItem($bookmarks.TYPE_FOLDER, {});
+  tree.root = 'places';
+  var menu = htmlItem($bookmarks.TYPE_FOLDER, {});
+  menu.root = 'menu';
+  tree.children.push(menu);
+
+  var stack = [], pendingFolder = null, last = null;
+  // what the text we come across belongs to: a title, or a description
+  var titleOf = null, descriptionOf = null;
+
+  function add(item) {
+    var parent = stack.length ? stack[stack.length - 1] : menu;
+    parent.children.push(item);
+    last = item;
+  }
+
+  var pattern = new RegExp(HTML_TOKEN_PATTERN.source, 'g'), match;
+  while ((match = pattern.exec(text))) {
+    var chunk = match[4];
+    if (chunk !== undefined) {
+      if (titleOf)
+        titleOf.title = (titleOf.title || '') + unescapeHtml(chunk);
+      else if (descriptionOf)
+        descriptionOf.description += unescapeHtml(chunk);
+      continue;
+    }
+    var closing = match[1] === '/', tag = (match[2] || '').toUpperCase();
+    if (!tag)
+      continue; // a comment
+    if (descriptionOf) {
+      var description = descriptionOf.description.trim();
+      if (description) {
+        descriptionOf.item.annotations = {};
+        descriptionOf.item.annotations[DESCRIPTION_ANNO] = {
+          mimeType: null,
+          content: description,
+          flags: 0,
+          expiration: $rows.EXPIRE_NEVER,
+          type: ANNO_TYPE_STRING,
+          dateAdded: descriptionOf.item.dateAdded,
+          lastModified: descriptionOf.item.lastModified
+        };
+      }
+      descriptionOf = null;
+    }
+
+    if (closing) {
+      if (tag === 'A' || tag === 'H3')
+        titleOf = null;
+      else if (tag === 'DL')
+        stack.pop();
+      continue;
+    }
+    var attrs = parseHtmlAttributes(match[3]);
+    if (tag === 'A') {
+      titleOf = htmlItem($bookmarks.TYPE_BOOKMARK, attrs);
+      add(titleOf);
+    }
+    else if (tag === 'H3') {
+      titleOf = pendingFolder = htmlItem($bookmarks.TYPE_FOLDER, attrs);
+      if (attrs.PERSONAL_TOOLBAR_FOLDER === 'true')
+        pendingFolder.root = 'toolbar';
+      else if (attrs.UNFILED_BOOKMARKS_FOLDER === 'true')
+        pendingFolder.root = 'unfiled';
+      if (pendingFolder.root) {
+        tree.children.push(pendingFolder);
+        last = pendingFolder;
+      }
+      else {
+        add(pendingFolder);
+      }
+    }
+    else if (tag === 'HR') {
+      add(htmlItem($bookmarks.TYPE_SEPARATOR, {}));
+    }
+    else if (tag === 'DD' && last) {
+      descriptionOf = { item: last, description: '' };
+    }
+    else if (tag === 'DL') {
+      // the first one is the menu's, which we already have
+      if (pendingFolder || stack.length)
+        stack.push(pendingFolder || stack[stack.length - 1]);
+      else
+        stack.push(menu);
+      pendingFolder = null;
+    }
+  }
+
+  // the roots are called what the store calls them
+  tree.children.forEach(function(root) {
+    root.title = root.root;
+  });
+  tree.title = 'places';
+  return tree;
+}
+
+/**
+ * Which format a file is in, by its extension; null if we can't tell.
+ */
+function formatForPath(path) {
+  var match = /\.(html?|json)$/i.exec(path);
+  if (!match)
+    return null;
+  return match[1].toLowerCase() === 'json' ? 'json' : 'html';
+}
+
+/**
+ * A tree in `format`, which is one of FORMATS.
+ */
+function serializeTree(tree, format) {
+  if (format === 'html')
+    return serializeHTML(tree);
+  if (format === 'json')
+    return serializeJSON(tree);
+  throw new Error('serializeTree: unknown format: ' + format);
+}
+
+/**
+ * A tree from a file's contents in `format`, which is one of FORMATS.
+ */
+function parseTree(text, format) {
+  if (format === 'html')
+    return parseHTML(text);
+  if (format === 'json')
+    return parseJSON(text);
+  throw new Error('parseTree: unknown format: ' + format);
+}
+
+exports.FORMATS = FORMATS;
+exports.DESCRIPTION_ANNO = DESCRIPTION_ANNO;
+exports.readBookmarkTree = readBookmarkTree;
+exports.serializeJSON = serializeJSON;
+exports.parseJSON = parseJSON;
+exports.serializeHTML = serializeHTML;
+exports.parseHTML = parseHTML;
+exports.formatForPath = formatForPath;
+exports.serializeTree = serializeTree;
+exports.parseTree = parseTree;
@@ -0,0 +1,172 @@
+/**
+ * Read side of the bookmark namespaces:
+ * - 'B', [depth, parent id, id], lets us grab one level of the hierarchy at a
+ *   time with a single range scan.
+ * - 'b', [url, id], lets us go from a URL to the bookmarks that contain it.
+ *
+ * Everything here hands out "nodes", which are the 'B' values with the key
+ * components folded back in:
+ * {
+ *   id,
+ *   parentId,
+ *   depth,
+ *   url, // null for folders and separators
+ *   title,
+ *   tags,
+ *   keyword,
+ *   type,
+ *   position,
+ *   dateAdded,
+ *   lastModified,
+ *   guid,
+ *   annotations // the bookmark's own, like the 'I' value's; null if none
+ * }
+ *
+ * The roots (menu, toolbar, unfiled) live at depth 0 next to the 'places'
+ * root of roots, so getRoot() can find them all with a single scan.
+ **/
+
+var $Q = require('q');
+
+var $keys = require('./keys');
+var $store = require('./store');
+
+var TYPE_BOOKMARK = 1,
+    TYPE_FOLDER = 2,
+    TYPE_SEPARATOR = 3,
+    TYPE_DYNAMIC_CONTAINER = 4;
+
+/**
+ * The GUIDs Places gives the roots, by the names the converter makes their
+ * titles.  'tags' never makes it into the store; tags live in 'T' instead.
+ */
+var ROOT_GUIDS = {
+  places: 'root________',
+  menu: 'menu________',
+  toolbar: 'toolbar_____',
+  tags: 'tags________',
+  unfiled: 'unfiled_____',
+  mobile: 'mobile______'
+};
+
+function nodeFromRow(row) {
+  var parts = $keys.decodeKey(row.key);
+  var value = row.value;
+  return {
+    id: parts[3],
+    parentId: parts[2],
+    depth: parts[1],
+    url: value.url || null,
+    title: value.title,
+    tags: value.tags || null,
+    keyword: value.keyword || null,
+    type: value.type || null,
+    position: value.position,
+    dateAdded: value.dateAdded,
+    lastModified: value.lastModified,
+    guid: value.guid,
+    annotations: value.annotations || null
+  };
+}
+
+function byPosition(a, b) {
+  return a.position - b.position;
+}
+
+/**
+ * Can this node have children?  The converter has not always populated
+ * `type`, in which case anything without a URL is a candidate.
+ */
+function isContainer(node) {
+  if (node.type)
+    return node.type === TYPE_FOLDER || node.type === TYPE_DYNAMIC_CONTAINER;
+  return !node.url;
+}
+
+/**
+ * Get the root folder with the given name ('menu', 'toolbar', 'unfiled', or
+ * 'places' if you want the root of roots).  Resolves with null if there is no
+ * such root.
+ */
+function getRoot(db, rootName) {
+  return $store.readRange(db, $keys.prefixRange('B', 0))
+    .then(function(rows) {
+      for (var i = 0; i < rows.length; i++) {
+        // the converter propagates the root names into the titles
+        if (rows[i].value.title === rootName)
+          return nodeFromRow(rows[i]);
+      }
+      return null;
+    });
+}
+
+/**
+ * List the immediate children of a folder node in position order.
+ */
+function listChildren(db, folder) {
+  return $store.readRange(db,
+                          $keys.prefixRange('B', folder.depth + 1, folder.id))
+    .then(function(rows) {
+      return rows.map(nodeFromRow).sort(byPosition);
+    });
+}
+
+/**
+ * Lazily walk the subtree under `folder` depth-first, in position order,
+ * fetching each folder's children only when we get to it.  `visitor` is
+ * invoked as visitor(node, relativeDepth) for every descendant (but not for
+ * `folder` itself).  If it returns false, we don't descend into that node.
+ * If it returns a promise, we wait for it before moving on.
+ *
+ * Resolves when the walk is complete.
+ */
+function walkSubtree(db, folder, visitor) {
+  function walk(parent, relativeDepth) {
+    return listChildren(db, parent).then(function(kids) {
+      return kids.reduce(function(prev, kid) {
+        return prev.then(function() {
+          return $Q(visitor(kid, relativeDepth)).then(function(descend) {
+            if (descend === false || !isContainer(kid))
+              return null;
+            return walk(kid, relativeDepth + 1);
+          });
+        });
+      }, $Q());
+    });
+  }
+  return walk(folder, 1);
+}
+
+/**
+ * Find all of the bookmarks for a given URL via the 'b' namespace, resolving
+ * with their nodes.
+ */
+function bookmarksForUrl(db, url) {
+  return $store.readRange(db, $keys.prefixRange('b', url))
+    .then(function(rows) {
+      return $Q.all(rows.map(function(row) {
+        var id = $keys.decodeKey(row.key)[2];
+        var bKey = $keys.bookmarkKey(row.value.depth, row.value.parentId, id);
+        return $store.getMaybe(db, bKey).then(function(value) {
+          if (!value)
+            return null;
+          return nodeFromRow({ key: bKey, value: value });
+        });
+      }));
+    })
+    .then(function(nodes) {
+      return nodes.filter(function(node) { return node !== null; });
+    });
+}
+
+exports.TYPE_BOOKMARK = TYPE_BOOKMARK;
+exports.TYPE_FOLDER = TYPE_FOLDER;
+exports.TYPE_SEPARATOR = TYPE_SEPARATOR;
+exports.TYPE_DYNAMIC_CONTAINER = TYPE_DYNAMIC_CONTAINER;
+exports.ROOT_GUIDS = ROOT_GUIDS;
+exports.nodeFromRow = nodeFromRow;
+exports.isContainer = isContainer;
+exports.getRoot = getRoot;
+exports.listChildren = listChildren;
+exports.walkSubtree = walkSubtree;
+exports.bookmarksForUrl = bookmarksForUrl;
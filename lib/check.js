@@ -0,0 +1,279 @@
+/**
+ * Consistency checker (fsck) for a converted store.  Since everything is
+ * denormalized, it's easy for one namespace to end up pointing at something
+ * that another namespace doesn't have; this finds those cases.
+ *
+ * We make two passes over the database:
+ * 1. Collect what exists: the URLs with 'I' rows, the 'B' bookmarks (id to
+ *    depth/parent/url), the 'b' keys, the 'H' visit keys (and the oldest
+ *    visit date), the 'F' favicon hashes, and the 'X' keys, plus the 'X'
+ *    keys the 'I' and 'F' rows say there should be.
+ * 2. Check every row that refers to any of those against what we collected.
+ *
+ * This keeps memory bounded by the number of places/bookmarks/visits rather
+ * than by the (much bigger) number of rows.
+ *
+ * Problems are reported as:
+ * {
+ *   severity, // 'error' or 'warning'
+ *   namespace,
+ *   key,
+ *   message,
+ *   repair // null if we can't safely fix it, otherwise { del: true } or
+ *          // { put: value }, plus `key` if it's not the row's own key.
+ * }
+ **/
+
+var $keys = require('./keys');
+var $mutations = require('./mutations');
+var $rows = require('./rows');
+var $store = require('./store');
+
+function collectIndexes(db) {
+  var indexes = {
+    placeUrls: new Set(),
+    bookmarksById: new Map(),
+    bookmarkUrlKeys: new Set(),
+    visitKeys: new Set(),
+    oldestVisitDate: Infinity,
+    faviconHashes: new Set(),
+    expirationKeys: new Set(),
+    expectedExpirationKeys: new Set()
+  };
+  function expectExpirations(rows) {
+    rows.forEach(function(row) {
+      indexes.expectedExpirationKeys.add(row.key);
+    });
+  }
+  return $store.forEachRow(db, {}, function(row) {
+    var parts = $keys.decodeKey(row.key);
+    switch (parts[0]) {
+      case 'I':
+        indexes.placeUrls.add(parts[2]);
+        expectExpirations($rows.annotationExpirationRows(
+          parts[1], parts[2], row.value.annotations));
+        break;
+      case 'B':
+        indexes.bookmarksById.set(parts[3], {
+          depth: parts[1],
+          parentId: parts[2],
+          url: row.value.url || null
+        });
+        break;
+      case 'b':
+        indexes.bookmarkUrlKeys.add(row.key);
+        break;
+      case 'H':
+        indexes.visitKeys.add(parts[1]);
+        indexes.oldestVisitDate =
+          Math.min(indexes.oldestVisitDate,
+                   $keys.unlexiformTimestamp(parts[1]));
+        break;
+      case 'F':
+        indexes.faviconHashes.add(parts[1]);
+        expectExpirations($rows.faviconExpirationRows(parts[1],
+                                                      row.value.expiration));
+        break;
+      case 'X':
+        indexes.expirationKeys.add(row.key);
+        break;
+    }
+  }).then(function() {
+    return indexes;
+  });
+}
+
+/**
+ * A copy of a row value with one field changed, for repairs.
+ */
+function withField(value, field, fieldValue) {
+  var copy = {};
+  for (var key in value) {
+    copy[key] = value[key];
+  }
+  copy[field] = fieldValue;
+  return copy;
+}
+
+/**
+ * Check a single row against the indexes, calling `report` for each problem.
+ */
+function checkRow(indexes, row, report) {
+  var parts = $keys.decodeKey(row.key);
+  var namespace = parts[0];
+  function problem(severity, message, repair) {
+    report({
+      severity: severity,
+      namespace: namespace,
+      key: row.key,
+      message: message,
+      repair: repair || null
+    });
+  }
+
+  function checkExpirations(rows) {
+    rows.forEach(function(expirationRow) {
+      if (!indexes.expirationKeys.has(expirationRow.key)) {
+        problem('error', 'no matching \'X\' row',
+                { key: expirationRow.key, put: expirationRow.value });
+      }
+    });
+  }
+
+  var url, bookmark;
+  switch (namespace) {
+    case 'B':
+      var id = parts[3], depth = parts[1], parentId = parts[2];
+      if (depth > 0) {
+        var parent = indexes.bookmarksById.get(parentId);
+        if (!parent)
+          problem('error', 'parent bookmark ' + parentId + ' is missing');
+        else if (parent.depth !== depth - 1)
+          problem('error', 'parent bookmark ' + parentId + ' is at depth ' +
+                  parent.depth + ', not ' + (depth - 1));
+      }
+      if (row.value.url &&
+          !indexes.bookmarkUrlKeys.has($keys.bookmarkUrlKey(row.value.url,
+                                                            id))) {
+        problem('error', 'no matching \'b\' row',
+                { key: $keys.bookmarkUrlKey(row.value.url, id),
+                  put: { parentId: parentId, depth: depth } });
+      }
+      if (row.value.url && !indexes.placeUrls.has(row.value.url))
+        problem('warning', 'bookmarked URL has no \'I\' row');
+      break;
+
+    case 'b':
+      url = parts[1];
+      bookmark = indexes.bookmarksById.get(parts[2]);
+      if (!bookmark || bookmark.url !== url ||
+          bookmark.depth !== row.value.depth ||
+          bookmark.parentId !== row.value.parentId)
+        problem('error', 'no matching \'B\' row', { del: true });
+      break;
+
+    case 'T':
+      url = parts[2];
+      if (!indexes.placeUrls.has(url))
+        problem('error', 'tagged URL has no \'I\' row', { del: true });
+      break;
+
+    case 'K':
+      if (!indexes.placeUrls.has(row.value.url))
+        problem('error', 'keyword URL has no \'I\' row', { del: true });
+      break;
+
+    case 'H':
+      var prevKey = row.value.prevKey;
+      // Referring visits older than anything left have simply expired.
+      if (prevKey && !indexes.visitKeys.has(prevKey) &&
+          !($keys.unlexiformTimestamp(prevKey) < indexes.oldestVisitDate)) {
+        problem('error', 'prevKey ' + JSON.stringify(prevKey) +
+                ' does not resolve',
+                { put: withField(row.value, 'prevKey', null) });
+      }
+      if (!indexes.placeUrls.has(row.value.url))
+        problem('warning', 'visited URL has no \'I\' row');
+      break;
+
+    case 'I':
+      var favicon = row.value.favicon;
+      if (favicon && !indexes.faviconHashes.has(favicon)) {
+        problem('error', 'favicon ' + favicon + ' has no \'F\' row',
+                { put: withField(row.value, 'favicon', null) });
+      }
+      checkExpirations($rows.annotationExpirationRows(
+        parts[1], parts[2], row.value.annotations));
+      break;
+
+    case 'F':
+      checkExpirations($rows.faviconExpirationRows(parts[1],
+                                                   row.value.expiration));
+      break;
+
+    case 'X':
+      if (!indexes.expectedExpirationKeys.has(row.key))
+        problem('error', 'nothing expires here', { del: true });
+      break;
+
+    case 'h':
+      if (!indexes.visitKeys.has(parts[2]))
+        problem('error', 'no matching \'H\' row', { del: true });
+      break;
+
+    case 'A':
+    case 'N':
+      if (!indexes.placeUrls.has(row.value))
+        problem('error', 'URL no longer exists', { del: true });
+      break;
+
+    case 'a':
+      url = parts[2];
+      if (!indexes.placeUrls.has(url))
+        problem('error', 'URL no longer exists', { del: true });
+      break;
+  }
+}
+
+/**
+ * Check the store.  If `options.repair` is set, every problem we know how to
+ * fix safely gets fixed, in a single batch.  `options.onProblem`, if
+ * provided, is called with each problem as it is found.
+ *
+ * Resolves with { rows, problems, errors, warnings, repaired,
+ * unrepairedErrors }, where `problems` is the list of problems (null if
+ * `onProblem` was provided, so huge broken stores don't have to fit in
+ * memory).
+ */
+function checkStore(db, options) {
+  options = options || {};
+  var result = {
+    rows: 0,
+    problems: options.onProblem ? null : [],
+    errors: 0,
+    warnings: 0,
+    repaired: 0,
+    unrepairedErrors: 0
+  };
+  var changes = new $mutations.ChangeSet();
+
+  function report(problem) {
+    if (problem.severity === 'error')
+      result.errors++;
+    else
+      result.warnings++;
+    if (options.repair && problem.repair) {
+      var key = problem.repair.key || problem.key;
+      if (problem.repair.del)
+        changes.del(key);
+      else
+        changes.put(key, problem.repair.put);
+      result.repaired++;
+    }
+    else if (problem.severity === 'error') {
+      result.unrepairedErrors++;
+    }
+    if (options.onProblem)
+      options.onProblem(problem);
+    else
+      result.problems.push(problem);
+  }
+
+  return collectIndexes(db)
+    .then(function(indexes) {
+      return $store.forEachRow(db, {}, function(row) {
+        checkRow(indexes, row, report);
+      });
+    })
+    .then(function(rowCount) {
+      result.rows = rowCount;
+      if (result.repaired)
+        return changes.write(db);
+      return null;
+    })
+    .then(function() {
+      return result;
+    });
+}
+
+exports.checkStore = checkStore;
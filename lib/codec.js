@@ -0,0 +1,321 @@
+/**
+ * Key codecs: how the components of a composite key get turned into strings
+ * (and back) such that the store's lexicographic ordering is the ordering we
+ * want.  lib/keys.js picks one of these and routes everything through it.
+ *
+ * Every codec understands the same component types:
+ * - 'string': Ordered as the string itself.
+ * - 'uint': A non-negative integer, ascending.
+ * - 'frecency': A frecency in [0, MAX_FRECENCY], descending.
+ * - 'timestamp': A PRTime (microseconds since the epoch), descending.  Any
+ *   integer from MIN_TIMESTAMP through MAX_TIMESTAMP is fine; anything else
+ *   throws a RangeError rather than producing a key that sorts wrong.
+ * - 'ascendingTimestamp': The same, but ascending.
+ * - 'raw': Already encoded (e.g. a visit key); passed through untouched.
+ *
+ * Components are joined with SEP ('\0'), and no codec ever emits '\0' inside
+ * a component, so splitting a key on SEP always gets you its components back.
+ *
+ * There are two codecs:
+ * - 'decimal': What the converter has always written; zero-padded inverted
+ *   decimal numbers and strings as-is.  (Strings containing '\0' can't be
+ *   split back out unambiguously; we assume the last string component ate
+ *   them.)
+ * - 'compact': Numbers in base 127 using the code points 0x01-0x7f, which
+ *   UTF-8 stores in a single byte each.  Ascending/descending numbers are
+ *   length-prefixed so that shorter encodings don't need padding; timestamps
+ *   are fixed width so we can append the '-N' visit key uniqueifier.
+ *   Descending is just ascending with every character complemented.  Strings
+ *   escape '\0' and our escape character '\x01' so they may contain anything.
+ **/
+
+var SEP = '\0';
+
+// as many nines as the decimal codec has digits; a million would make 0 come
+// out as '1000000', which sorts first instead of last
+var MAX_FRECENCY = 999999;
+
+// Nothing before the epoch, and up to the biggest integer a double holds
+// exactly, which gets us to the 23rd century in microseconds.
+var MIN_TIMESTAMP = 0,
+    MAX_TIMESTAMP = Number.MAX_SAFE_INTEGER;
+
+function isLegalTimestamp(val) {
+  return typeof(val) === 'number' && Math.floor(val) === val &&
+         val >= MIN_TIMESTAMP && val <= MAX_TIMESTAMP;
+}
+
+function checkTimestamp(val) {
+  if (!isLegalTimestamp(val))
+    throw new RangeError('timestamp out of range: ' + val);
+}
+
+/*
+ * The 'decimal' codec.
+ */
+
+var ZEROES = '0000000000000000000000000000000';
+/**
+ * Invert and zero-pad a number so we have a lexicographic ordering over
+ * numbers where larger numbers come lexically before smaller numbers.
+ * You need to tell us the range, etc.
+ *
+ * For efficiency, it would be better to encode these in base64 or do
+ * something binary, which is what the 'compact' codec is for.
+ */
+function invertAndPadNumber(val, max, digits) {
+  var unpadded = (max - val).toString();
+  return ZEROES.substring(0, digits - unpadded.length) + unpadded;
+}
+
+/**
+ * Undo invertAndPadNumber given the same max.
+ */
+function uninvertNumber(str, max) {
+  return max - parseInt(str, 10);
+}
+
+var FRECENCY_DIGITS = 6;
+
+// sure, we could take the log10, but that's too fancy
+var TIMESTAMP_DIGITS = MAX_TIMESTAMP.toString().length;
+
+var decimal = {
+  name: 'decimal',
+  encode: {
+    string: function(str) {
+      return str;
+    },
+    uint: function(val) {
+      return String(val);
+    },
+    frecency: function(frecency) {
+      return invertAndPadNumber(frecency, MAX_FRECENCY, FRECENCY_DIGITS);
+    },
+    timestamp: function(val) {
+      checkTimestamp(val);
+      return invertAndPadNumber(val, MAX_TIMESTAMP, TIMESTAMP_DIGITS);
+    },
+    ascendingTimestamp: function(val) {
+      checkTimestamp(val);
+      var unpadded = val.toString();
+      return ZEROES.substring(0, TIMESTAMP_DIGITS - unpadded.length) +
+             unpadded;
+    },
+    raw: function(str) {
+      return str;
+    }
+  },
+  decode: {
+    string: function(str) {
+      return str;
+    },
+    uint: function(str) {
+      return parseInt(str, 10);
+    },
+    frecency: function(str) {
+      return uninvertNumber(str, MAX_FRECENCY);
+    },
+    /**
+     * History keys may have a uniqueifying '-N' suffix on the timestamp,
+     * which we ignore.
+     */
+    timestamp: function(str) {
+      return uninvertNumber(str.split('-')[0], MAX_TIMESTAMP);
+    },
+    ascendingTimestamp: function(str) {
+      return parseInt(str, 10);
+    },
+    raw: function(str) {
+      return str;
+    }
+  }
+};
+
+/*
+ * The 'compact' codec.
+ */
+
+var BASE = 127;
+// Enough base 127 digits for MAX_TIMESTAMP.
+var TIMESTAMP_WIDTH = 8;
+var ESCAPE = '\x01';
+
+function digitsOf(val) {
+  if (val < 0 || val !== Math.floor(val) || val > Number.MAX_SAFE_INTEGER)
+    throw new RangeError('cannot encode ' + val);
+  var digits = [];
+  while (val > 0) {
+    digits.unshift(val % BASE);
+    val = Math.floor(val / BASE);
+  }
+  return digits;
+}
+
+function digitChars(digits) {
+  return digits.map(function(digit) {
+    return String.fromCharCode(digit + 1);
+  }).join('');
+}
+
+function valueOfChars(str) {
+  var val = 0;
+  for (var i = 0; i < str.length; i++) {
+    val = val * BASE + (str.charCodeAt(i) - 1);
+  }
+  return val;
+}
+
+/**
+ * Flip every character around the middle of 0x01-0x7f so the ordering of
+ * encoded values reverses.  Its own inverse.
+ */
+function complement(str) {
+  var flipped = '';
+  for (var i = 0; i < str.length; i++) {
+    flipped += String.fromCharCode(BASE + 1 - str.charCodeAt(i));
+  }
+  return flipped;
+}
+
+/**
+ * Variable length: one character for the number of digits (0 for zero), then
+ * the digits, most significant first.  More digits means bigger, and equal
+ * lengths compare digit by digit, so this orders correctly.
+ */
+function encodeVarint(val) {
+  var digits = digitsOf(val);
+  return String.fromCharCode(digits.length + 1) + digitChars(digits);
+}
+
+function decodeVarint(str) {
+  var length = str.charCodeAt(0) - 1;
+  return valueOfChars(str.substr(1, length));
+}
+
+function encodeFixed(val, width) {
+  var digits = digitsOf(val);
+  if (digits.length > width)
+    throw new RangeError('cannot encode ' + val + ' in ' + width + ' digits');
+  while (digits.length < width) {
+    digits.unshift(0);
+  }
+  return digitChars(digits);
+}
+
+function decodeFixed(str, width) {
+  return valueOfChars(str.substring(0, width));
+}
+
+/**
+ * '\0' becomes '\x01\x01' and '\x01' becomes '\x01\x02'.  Both still sort
+ * after the separator and below every other character, so ordering survives.
+ */
+function escapeString(str) {
+  return str.replace(/[\0\x01]/g, function(c) {
+    return ESCAPE + String.fromCharCode(c.charCodeAt(0) + 1);
+  });
+}
+
+function unescapeString(str) {
+  return str.replace(/\x01([\x01\x02])/g, function(match, c) {
+    return String.fromCharCode(c.charCodeAt(0) - 1);
+  });
+}
+
+var compact = {
+  name: 'compact',
+  encode: {
+    string: escapeString,
+    uint: encodeVarint,
+    frecency: function(frecency) {
+      return complement(encodeVarint(frecency));
+    },
+    timestamp: function(val) {
+      checkTimestamp(val);
+      return complement(encodeFixed(val, TIMESTAMP_WIDTH));
+    },
+    ascendingTimestamp: function(val) {
+      checkTimestamp(val);
+      return encodeFixed(val, TIMESTAMP_WIDTH);
+    },
+    raw: function(str) {
+      return str;
+    }
+  },
+  decode: {
+    string: unescapeString,
+    uint: decodeVarint,
+    frecency: function(str) {
+      return decodeVarint(complement(str));
+    },
+    // anything past the fixed width is a visit key uniqueifier
+    timestamp: function(str) {
+      return decodeFixed(complement(str.substring(0, TIMESTAMP_WIDTH)),
+                         TIMESTAMP_WIDTH);
+    },
+    ascendingTimestamp: function(str) {
+      return decodeFixed(str, TIMESTAMP_WIDTH);
+    },
+    raw: function(str) {
+      return str;
+    }
+  }
+};
+
+var CODECS = {
+  decimal: decimal,
+  compact: compact
+};
+
+var DEFAULT_CODEC = 'decimal';
+
+function getCodec(name) {
+  if (!CODECS.hasOwnProperty(name))
+    throw new Error('unknown key codec: ' + name);
+  return CODECS[name];
+}
+
+/**
+ * Encode a tuple of values with the given component types, joined by SEP.
+ */
+function encodeTuple(codec, types, values) {
+  return values.map(function(value, i) {
+    return codec.encode[types[i]](value);
+  }).join(SEP);
+}
+
+/**
+ * Decode an encoded tuple back into values.  If there are more components
+ * than types, a string got split on a '\0' the codec didn't escape, so we
+ * glue the surplus back onto the last string component.
+ */
+function decodeTuple(codec, types, str) {
+  var parts = str.split(SEP);
+  var surplus = parts.length - types.length;
+  if (surplus > 0) {
+    var stringIndex = types.lastIndexOf('string');
+    if (stringIndex === -1)
+      stringIndex = types.length - 1;
+    parts.splice(stringIndex, surplus + 1,
+                 parts.slice(stringIndex, stringIndex + surplus + 1)
+                   .join(SEP));
+  }
+  return parts.map(function(part, i) {
+    return codec.decode[types[i]](part);
+  });
+}
+
+exports.SEP = SEP;
+exports.MAX_FRECENCY = MAX_FRECENCY;
+exports.MIN_TIMESTAMP = MIN_TIMESTAMP;
+exports.MAX_TIMESTAMP = MAX_TIMESTAMP;
+exports.isLegalTimestamp = isLegalTimestamp;
+exports.FRECENCY_DIGITS = FRECENCY_DIGITS;
+exports.invertAndPadNumber = invertAndPadNumber;
+exports.uninvertNumber = uninvertNumber;
+exports.CODECS = CODECS;
+exports.DEFAULT_CODEC = DEFAULT_CODEC;
+exports.getCodec = getCodec;
+exports.encodeTuple = encodeTuple;
+exports.decodeTuple = decodeTuple;
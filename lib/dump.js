@@ -0,0 +1,296 @@
+/**
+ * Dump the rows of a store for reading by hand, optionally narrowed down to
+ * a namespace, a key prefix within it and/or a date range.
+ *
+ * Keys get decoded into named fields (see $keys.KEY_FIELDS).  Timestamps come
+ * out as ISO dates and frecencies as plain numbers; a visit key becomes its
+ * `visitDate` and `visitSeq` (the uniqueifier some visits need, else null),
+ * and the 'X' targetKey is itself decoded.
+ *
+ * Formats:
+ * - 'verbose': The JSON-quoted key followed by the pretty-printed value, the
+ *   way dumps have always looked.
+ * - 'jsonl': One JSON object per line: { key, namespace, fields, value }.
+ * - 'table': One tab-separated line per row, the decoded key fields then the
+ *   value as JSON, with a header line whenever the columns change.
+ **/
+
+var $Q = require('q');
+
+var $keys = require('./keys');
+var $store = require('./store');
+
+var FORMATS = ['verbose', 'jsonl', 'table'];
+
+/**
+ * The key fields that hold a date, for --since and --until.
+ */
+var DATE_FIELDS = ['visitKey', 'expireAt'];
+
+function optionError(message) {
+  var err = new Error('dumpStore: ' + message);
+  err.code = 'BAD_OPTION';
+  return err;
+}
+
+/**
+ * An ISO date with the microseconds PRTime has and Date doesn't tacked on,
+ * since visits a microsecond apart are a thing.
+ */
+function prtimeToISO(prtime) {
+  var iso = new Date(Math.floor(prtime / 1000)).toISOString();
+  var micros = String(1000 + prtime % 1000).substring(1);
+  return iso.slice(0, -1) + micros + 'Z';
+}
+
+/**
+ * The PRTime of a visit key and its uniqueifier, if it has one.
+ */
+function splitVisitKey(visitKey) {
+  var timestamp = $keys.unlexiformTimestamp(visitKey);
+  var suffix = visitKey.substring($keys.lexiformTimestamp(timestamp).length);
+  return {
+    timestamp: timestamp,
+    seq: suffix ? parseInt(suffix.substring(1), 10) : null
+  };
+}
+
+/**
+ * Decode a key into { namespace, fields }.  Keys from namespaces we don't
+ * know just get their components listed.
+ */
+function describeKey(key) {
+  var parts = $keys.decodeKey(key);
+  var namespace = parts[0];
+  var names = $keys.KEY_FIELDS[namespace];
+  if (!names)
+    return { namespace: namespace, fields: { components: parts.slice(1) } };
+
+  var types = $keys.SCHEMAS[namespace];
+  var fields = {};
+  names.forEach(function(name, i) {
+    var value = parts[i + 1];
+    if (value === undefined)
+      return;
+    if (name === 'visitKey') {
+      var visit = splitVisitKey(value);
+      fields.visitDate = prtimeToISO(visit.timestamp);
+      fields.visitSeq = visit.seq;
+    }
+    else if (name === 'targetKey') {
+      fields.targetKey = describeKey(value);
+    }
+    else if (types[i] === 'timestamp' ||
+             types[i] === 'ascendingTimestamp') {
+      fields[name] = prtimeToISO(value);
+    }
+    else {
+      fields[name] = value;
+    }
+  });
+  return { namespace: namespace, fields: fields };
+}
+
+/**
+ * The PRTime a row's key is dated by, or null.
+ */
+function keyTimestamp(key) {
+  var parts = $keys.decodeKey(key);
+  var names = $keys.KEY_FIELDS[parts[0]] || [];
+  for (var i = 0; i < names.length; i++) {
+    if (names[i] === 'visitKey')
+      return splitVisitKey(parts[i + 1]).timestamp;
+    if (names[i] === 'expireAt')
+      return parts[i + 1];
+  }
+  return null;
+}
+
+/**
+ * Turn a prefix component from the command line into what encodeKey wants.
+ */
+function prefixValue(type, str) {
+  if (type === 'string' || type === 'raw')
+    return str;
+  if (!/^\d+$/.test(str))
+    throw optionError('expected a number in the prefix, not ' + str);
+  return parseInt(str, 10);
+}
+
+/**
+ * The range to read for the options.  The prefix is matched the way a raw
+ * key prefix would be: its last component only has to be a prefix, if it's a
+ * string.  When the date field comes right after the prefix, we narrow the
+ * range to the dates too (keys sort newest first for visit keys and oldest
+ * first for expireAt); otherwise the dates are only a filter.
+ */
+function dumpRange(options) {
+  var namespace = options.namespace;
+  if (!namespace)
+    return {};
+
+  var types = $keys.SCHEMAS[namespace];
+  var prefix = options.prefix || [];
+  if (prefix.length > types.length)
+    throw optionError('too many prefix components for ' + namespace);
+  prefix = prefix.map(function(str, i) {
+    return prefixValue(types[i], str);
+  });
+
+  var dateField = $keys.KEY_FIELDS[namespace][prefix.length];
+  var hasDates = options.since !== undefined || options.until !== undefined;
+  if (!hasDates || DATE_FIELDS.indexOf(dateField) === -1) {
+    if (!prefix.length)
+      return $keys.prefixRange(namespace);
+    var lastType = types[prefix.length - 1];
+    if (lastType === 'string' || lastType === 'raw')
+      return $keys.partialPrefixRange.apply(null, [namespace].concat(prefix));
+    return $keys.prefixRange.apply(null, [namespace].concat(prefix));
+  }
+
+  var range = $keys.prefixRange.apply(null, [namespace].concat(prefix));
+  function boundKey(timestamp) {
+    var encoded = dateField === 'visitKey' ?
+                    $keys.lexiformTimestamp(timestamp) : timestamp;
+    return $keys.encodeKey(namespace, prefix.concat([encoded]));
+  }
+  var newest = options.until, oldest = options.since;
+  if (dateField === 'visitKey') {
+    if (newest !== undefined)
+      range.gte = boundKey(Math.min(newest, $keys.MAX_TIMESTAMP));
+    if (oldest !== undefined && oldest > $keys.MIN_TIMESTAMP)
+      range.lt = boundKey(oldest - 1);
+  }
+  else {
+    if (oldest !== undefined)
+      range.gte = boundKey(Math.max(oldest, $keys.MIN_TIMESTAMP));
+    if (newest !== undefined && newest < $keys.MAX_TIMESTAMP)
+      range.lt = boundKey(newest + 1);
+  }
+  return range;
+}
+
+function checkOptions(options) {
+  if (FORMATS.indexOf(options.format) === -1)
+    throw optionError('unknown format: ' + options.format);
+  var namespace = options.namespace;
+  if (namespace && !$keys.SCHEMAS.hasOwnProperty(namespace))
+    throw optionError('unknown namespace: ' + namespace);
+  if (options.prefix && !namespace)
+    throw optionError('a prefix needs a namespace');
+  if (options.since !== undefined || options.until !== undefined) {
+    var names = namespace ? $keys.KEY_FIELDS[namespace] : [];
+    var dated = names.some(function(name) {
+      return DATE_FIELDS.indexOf(name) !== -1;
+    });
+    if (!dated)
+      throw optionError('dates need a namespace with dated keys (H, h or X)');
+  }
+}
+
+/**
+ * Render a table cell: control characters escaped so a row stays one line,
+ * and a decoded targetKey flattened out.
+ */
+function tableCell(value) {
+  if (value === null || value === undefined)
+    return '';
+  if (typeof(value) === 'object' && value.fields) {
+    return [value.namespace].concat(Object.keys(value.fields).map(
+      function(name) {
+        return tableCell(value.fields[name]);
+      })).join(' ');
+  }
+  if (typeof(value) !== 'string')
+    return JSON.stringify(value);
+  return JSON.stringify(value).slice(1, -1);
+}
+
+function makeWriter(format, out) {
+  var lastHeader = null;
+  return {
+    row: function(row) {
+      if (format === 'verbose') {
+        out.write('\nKey: ' + JSON.stringify(row.key) + '\n' +
+                  JSON.stringify(row.value, null, 2) + '\n');
+        return;
+      }
+
+      var described = describeKey(row.key);
+      if (format === 'jsonl') {
+        out.write(JSON.stringify({
+          key: row.key,
+          namespace: described.namespace,
+          fields: described.fields,
+          value: row.value
+        }) + '\n');
+        return;
+      }
+
+      var names = Object.keys(described.fields);
+      var header = ['ns'].concat(names, ['value']).join('\t');
+      if (header !== lastHeader) {
+        out.write(header + '\n');
+        lastHeader = header;
+      }
+      out.write([described.namespace].concat(names.map(function(name) {
+        return tableCell(described.fields[name]);
+      }), [JSON.stringify(row.value)]).join('\t') + '\n');
+    },
+    end: function() {
+      if (format === 'verbose')
+        out.write('----------- FIN -------------\n');
+    }
+  };
+}
+
+/**
+ * Write rows to `out` (a writable stream, like process.stdout).  Options:
+ * - namespace: Only dump this namespace.
+ * - prefix: Array of key components (as strings) the keys must start with,
+ *   after the namespace; numbers get parsed for the numeric components.
+ * - since, until: Only keys dated (by their visit key or expireAt) within
+ *   these PRTimes, inclusive.  Needs a namespace with dated keys.
+ * - limit: Stop after this many rows.
+ * - format: 'verbose' (the default), 'jsonl' or 'table'.
+ *
+ * Resolves with the number of rows dumped.  Bad options reject with an Error
+ * whose `code` is 'BAD_OPTION'.
+ */
+function dumpStore(db, out, options) {
+  options = options || {};
+  if (!options.format)
+    options.format = 'verbose';
+  var range;
+  try {
+    checkOptions(options);
+    range = dumpRange(options);
+  }
+  catch (ex) {
+    return $Q.reject(ex);
+  }
+
+  var writer = makeWriter(options.format, out);
+  var since = options.since, until = options.until;
+  var count = 0, limit = options.limit || 0;
+  return $store.forEachRow(db, range, function(row) {
+    if (limit && count >= limit)
+      return false;
+    if (since !== undefined || until !== undefined) {
+      var timestamp = keyTimestamp(row.key);
+      if ((since !== undefined && timestamp < since) ||
+          (until !== undefined && timestamp > until))
+        return true;
+    }
+    count++;
+    writer.row(row);
+    return !(limit && count >= limit);
+  }).then(function() {
+    writer.end();
+    return count;
+  });
+}
+
+exports.FORMATS = FORMATS;
+exports.describeKey = describeKey;
+exports.dumpStore = dumpStore;
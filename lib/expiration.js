@@ -0,0 +1,422 @@
+/**
+ * Expiration, roughly the way nsPlacesExpiration.js does it.
+ *
+ * Annotations and favicons with an expiration get an 'X' row keyed by when
+ * they expire (see $rows.infoRows and $rows.faviconRows, which the converter
+ * and the mutations write through), so finding everything that is due is a
+ * range scan up to now:
+ * - An expired annotation is removed from its 'I' row.
+ * - An expired favicon loses its 'F' row, and the 'I' rows that pointed at it
+ *   stop doing so (which means a scan of 'I', but only if something expired).
+ *
+ * History is trimmed by age and/or by total visit count, oldest first.  Since
+ * 'H' is newest-first, both of those cut off a tail of the namespace, which
+ * we eat in chunks so memory stays bounded.  For each visit we delete its 'H'
+ * and 'h' rows and then sort out its place:
+ * - If nothing visits it any more and it isn't bookmarked, it goes entirely:
+ *   its 'I' and 'X' rows, its 'A' and 'T' rows, its 'a' input history, and
+ *   its favicon's 'F' row if no place that's left uses the icon (which means
+ *   another scan of 'I', but only if such a place had an icon).
+ * - Otherwise its visit count goes down; if that was its last visit, it also
+ *   loses its "expire with history" annotations.  Its frecency gets
+ *   recalculated once we're done.
+ *
+ * Visits whose referring visit expired keep their prevKey; a trail ending at
+ * an expired visit is just how history works.
+ **/
+
+var $Q = require('q');
+
+var $frecency = require('./frecency');
+var $history = require('./history');
+var $keys = require('./keys');
+var $mutations = require('./mutations');
+var $rows = require('./rows');
+var $store = require('./store');
+
+var PRTIME_PER_DAY = 86400 * 1000000;
+var VISIT_CHUNK_SIZE = 500;
+
+function copyInfo(info) {
+  var copy = {};
+  for (var field in info) {
+    copy[field] = info[field];
+  }
+  return copy;
+}
+
+/**
+ * A copy of an 'I' value without the named annotations.
+ */
+function withoutAnnotations(info, names) {
+  var copy = copyInfo(info);
+  var annotations = null;
+  for (var name in info.annotations) {
+    if (names.indexOf(name) !== -1)
+      continue;
+    if (!annotations)
+      annotations = {};
+    annotations[name] = info.annotations[name];
+  }
+  copy.annotations = annotations;
+  return copy;
+}
+
+/**
+ * Remove the annotations and favicons whose 'X' rows say they are due.
+ * Changed 'I' values accumulate in `updatedInfos` (by key) since a place can
+ * lose both its favicon and annotations.
+ */
+function expireAnnotationsAndFavicons(db, now, stats) {
+  return $mutations.serialized(db, function() {
+    var range = $keys.prefixRange('X');
+    range.lt = $keys.prefixRange('X', now).lt;
+    var changes = new $mutations.ChangeSet();
+    var namesByInfoKey = {};
+    var expiredHashes = new Set();
+    var updatedInfos = {};
+
+    return $store.readRange(db, range)
+      .then(function(rows) {
+        rows.forEach(function(row) {
+          var parts = $keys.decodeKey(row.key);
+          var name = parts[2], targetKey = parts[3];
+          changes.del(row.key);
+          if (targetKey.charAt(0) === 'F') {
+            expiredHashes.add($keys.decodeKey(targetKey)[1]);
+          }
+          else {
+            if (!namesByInfoKey[targetKey])
+              namesByInfoKey[targetKey] = [];
+            namesByInfoKey[targetKey].push(name);
+          }
+        });
+
+        if (!expiredHashes.size)
+          return null;
+        expiredHashes.forEach(function(hash) {
+          changes.del($keys.faviconKey(hash));
+          stats.favicons++;
+        });
+        return forgetFavicons(db, expiredHashes, updatedInfos);
+      })
+      .then(function() {
+        return $Q.all(Object.keys(namesByInfoKey).map(function(infoKey) {
+          return expireInfoAnnotations(db, infoKey, namesByInfoKey[infoKey],
+                                       now, stats, updatedInfos);
+        }));
+      })
+      .then(function() {
+        for (var infoKey in updatedInfos) {
+          var parts = $keys.decodeKey(infoKey);
+          changes.putRows($rows.infoRows(parts[1], parts[2],
+                                         updatedInfos[infoKey]));
+        }
+        return changes.write(db);
+      });
+  });
+}
+
+/**
+ * Stop the 'I' rows referencing any of the favicon hashes.
+ */
+function forgetFavicons(db, hashes, updatedInfos) {
+  return $store.forEachRow(db, $keys.prefixRange('I'), function(row) {
+    if (!row.value.favicon || !hashes.has(row.value.favicon))
+      return;
+    var info = copyInfo(row.value);
+    info.favicon = null;
+    updatedInfos[row.key] = info;
+  });
+}
+
+function expireInfoAnnotations(db, infoKey, names, now, stats,
+                               updatedInfos) {
+  var infoPromise = updatedInfos.hasOwnProperty(infoKey) ?
+                      $Q(updatedInfos[infoKey]) :
+                      $store.getMaybe(db, infoKey);
+  return infoPromise.then(function(info) {
+    if (!info)
+      return;
+    // The 'X' row could be stale; only take what really is due.
+    names = names.filter(function(name) {
+      var annotation = info.annotations && info.annotations[name];
+      if (!annotation)
+        return false;
+      var expireAt = $rows.annotationExpiresAt(annotation);
+      return expireAt !== null && expireAt <= now;
+    });
+    if (!names.length)
+      return;
+    stats.annotations += names.length;
+    updatedInfos[infoKey] = withoutAnnotations(info, names);
+  });
+}
+
+/**
+ * The first 'H' key to trim, per the options, or null if nothing is to go.
+ */
+function findTrimStart(db, options, now) {
+  var candidates = [];
+  if (options.maxAge) {
+    var cutoff = now - options.maxAge * PRTIME_PER_DAY;
+    // visits strictly before the cutoff; older sorts later
+    if (cutoff > $keys.MIN_TIMESTAMP)
+      candidates.push($keys.historyKey($keys.lexiformTimestamp(cutoff - 1)));
+  }
+
+  var countPromise = $Q(null);
+  if (options.maxVisits) {
+    var seen = 0, firstExcess = null;
+    countPromise = $store.forEachRow(db, $keys.prefixRange('H'),
+                                     function(row) {
+      if (++seen === options.maxVisits + 1)
+        firstExcess = row.key;
+    }).then(function() {
+      return firstExcess;
+    });
+  }
+
+  return countPromise.then(function(firstExcess) {
+    if (firstExcess)
+      candidates.push(firstExcess);
+    if (!candidates.length)
+      return null;
+    candidates.sort();
+    return candidates[0];
+  });
+}
+
+/**
+ * Which of the places does a visit survive to, ignoring the ones we're
+ * deleting?  Resolves with a Set of their URLs, having gone through each
+ * host's 'h' rows once however many of its places there are.
+ */
+function stillVisitedUrls(db, places, doomedVisitKeys) {
+  var urlsByHost = new Map();
+  places.forEach(function(place) {
+    if (!urlsByHost.has(place.reversedHost))
+      urlsByHost.set(place.reversedHost, []);
+    urlsByHost.get(place.reversedHost).push(place.url);
+  });
+  function survives(visitKey) {
+    return !doomedVisitKeys.has(visitKey);
+  }
+
+  var stillVisited = new Set();
+  var hosts = Array.from(urlsByHost.keys());
+  return hosts.reduce(function(prev, reversedHost) {
+    return prev.then(function() {
+      return $history.recentVisitKeys(db, reversedHost,
+                                      urlsByHost.get(reversedHost), 1,
+                                      survives);
+    }).then(function(keysByUrl) {
+      keysByUrl.forEach(function(visitKeys, url) {
+        if (visitKeys.length)
+          stillVisited.add(url);
+      });
+    });
+  }, $Q()).then(function() {
+    return stillVisited;
+  });
+}
+
+/**
+ * Delete a chunk of 'H' rows and everything that goes with them.
+ */
+function expireVisits(db, rows, results, stats) {
+  return $mutations.serialized(db, function() {
+    var changes = new $mutations.ChangeSet();
+    var visitKeysByUrl = {};
+    var doomedVisitKeys = new Set();
+    rows.forEach(function(row) {
+      var visitKey = $keys.decodeKey(row.key)[1];
+      changes.del(row.key);
+      doomedVisitKeys.add(visitKey);
+      if (!visitKeysByUrl[row.value.url])
+        visitKeysByUrl[row.value.url] = [];
+      visitKeysByUrl[row.value.url].push(visitKey);
+      stats.visits++;
+    });
+
+    var places = [];
+    return Object.keys(visitKeysByUrl).reduce(function(prev, url) {
+      return prev.then(function() {
+        return $mutations.loadPlace(db, url);
+      }).then(function(place) {
+        visitKeysByUrl[url].forEach(function(visitKey) {
+          changes.del($keys.siteHistoryKey(place.reversedHost, visitKey,
+                                           url));
+        });
+        if (place.info)
+          places.push(place);
+      });
+    }, $Q())
+    .then(function() {
+      return stillVisitedUrls(db, places, doomedVisitKeys);
+    })
+    .then(function(stillVisitedSet) {
+      places.forEach(function(place) {
+        var url = place.url, visitKeys = visitKeysByUrl[url];
+        var stillVisited = stillVisitedSet.has(url);
+        var oldInfoRows = $rows.infoRows(place.reversedHost, url, place.info);
+        if (!stillVisited && !place.bookmarks.length) {
+          changes.delRows(oldInfoRows);
+          changes.delRows($mutations.placeTermRows(place));
+          changes.delRows($rows.tagRows(url, place.info.tags));
+          if (place.info.favicon)
+            results.droppedFavicons.add(place.info.favicon);
+          results.droppedUrls.set(url, place.reversedHost);
+          results.touchedUrls.delete(url);
+          stats.places++;
+          return;
+        }
+
+        var info = place.info;
+        if (!stillVisited) {
+          var withHistory = [];
+          for (var name in info.annotations) {
+            if (info.annotations[name].expiration ===
+                  $rows.EXPIRE_WITH_HISTORY)
+              withHistory.push(name);
+          }
+          stats.annotations += withHistory.length;
+          info = withoutAnnotations(info, withHistory);
+          info.lastVisitDate = null;
+        }
+        info.visitCount = Math.max(0, info.visitCount - visitKeys.length);
+        changes.replaceRows(oldInfoRows,
+                            $rows.infoRows(place.reversedHost, url, info));
+        results.touchedUrls.set(url, place.reversedHost);
+      });
+      return changes.write(db);
+    });
+  });
+}
+
+/**
+ * Delete the input history of places that are gone: their 'a' rows and the
+ * 'A' rows those made.  There is no way to find the 'a' rows by URL, but
+ * there aren't many of them.  `droppedUrls` maps URLs to reversed hosts.
+ */
+function dropInputHistory(db, droppedUrls) {
+  return $mutations.serialized(db, function() {
+    var changes = new $mutations.ChangeSet();
+    var inputsByUrl = {};
+    return $store.forEachRow(db, $keys.prefixRange('a'), function(row) {
+      var parts = $keys.decodeKey(row.key);
+      var url = parts[2];
+      if (!droppedUrls.has(url))
+        return;
+      if (!inputsByUrl[url])
+        inputsByUrl[url] = {};
+      inputsByUrl[url][parts[1]] = row.value;
+    }).then(function() {
+      for (var url in inputsByUrl) {
+        changes.delRows($rows.inputHistoryRows(droppedUrls.get(url), url,
+                                               inputsByUrl[url]));
+      }
+      return changes.write(db);
+    });
+  });
+}
+
+/**
+ * Delete the 'F' rows, and their 'X' rows, of the favicons that places which
+ * are gone used, unless some other place still does.
+ */
+function dropUnusedFavicons(db, hashes, stats) {
+  return $mutations.serialized(db, function() {
+    var unused = new Set(hashes);
+    return $store.forEachRow(db, $keys.prefixRange('I'), function(row) {
+        if (row.value.favicon)
+          unused.delete(row.value.favicon);
+      })
+      .then(function() {
+        var changes = new $mutations.ChangeSet();
+        var lookups = [];
+        unused.forEach(function(hash) {
+          lookups.push($store.getMaybe(db, $keys.faviconKey(hash))
+            .then(function(favicon) {
+              if (!favicon)
+                return;
+              changes.del($keys.faviconKey(hash));
+              changes.delRows($rows.faviconExpirationRows(
+                hash, favicon.expiration));
+              stats.favicons++;
+            }));
+        });
+        return $Q.all(lookups).then(function() {
+          return changes.write(db);
+        });
+      });
+  });
+}
+
+function trimHistory(db, options, now, stats) {
+  var results = { droppedUrls: new Map(), touchedUrls: new Map(),
+                  droppedFavicons: new Set() };
+  var end = $keys.prefixRange('H').lt;
+
+  function nextChunk(start) {
+    return $store.readRange(db, { gte: start, lt: end,
+                                  limit: VISIT_CHUNK_SIZE })
+      .then(function(rows) {
+        if (!rows.length)
+          return null;
+        // Everything we just read is deleted by the time we're back here,
+        // so the next chunk starts at the same place.
+        return expireVisits(db, rows, results, stats).then(function() {
+          return nextChunk(start);
+        });
+      });
+  }
+
+  return findTrimStart(db, options, now)
+    .then(function(start) {
+      return start && nextChunk(start);
+    })
+    .then(function() {
+      if (results.droppedUrls.size)
+        return dropInputHistory(db, results.droppedUrls);
+      return null;
+    })
+    .then(function() {
+      if (results.droppedFavicons.size)
+        return dropUnusedFavicons(db, results.droppedFavicons, stats);
+      return null;
+    })
+    .then(function() {
+      var places = [];
+      results.touchedUrls.forEach(function(reversedHost, url) {
+        places.push({ url: url, reversedHost: reversedHost });
+      });
+      return $frecency.recalculateFrecencies(db, places, { now: now });
+    });
+}
+
+/**
+ * Expire everything that's due.  Options:
+ * - now: The PRTime to expire as of; defaults to now.
+ * - maxAge: Trim visits older than this many days.
+ * - maxVisits: Trim the oldest visits beyond this many.
+ *
+ * Resolves with the number of { annotations, favicons, visits, places }
+ * removed.
+ */
+function expire(db, options) {
+  options = options || {};
+  var now = options.now || $history.nowPRTime();
+  var stats = { annotations: 0, favicons: 0, visits: 0, places: 0 };
+  return expireAnnotationsAndFavicons(db, now, stats)
+    .then(function() {
+      if (options.maxAge || options.maxVisits)
+        return trimHistory(db, options, now, stats);
+      return null;
+    })
+    .then(function() {
+      return stats;
+    });
+}
+
+exports.expire = expire;
@@ -0,0 +1,107 @@
+/**
+ * Read side of the 'F' favicon namespace.
+ *
+ * Favicons are stored once per distinct icon, keyed by a hash of the image
+ * data (see $rows.faviconHash), and each 'I' row names its icon by that hash.
+ * Places only tracks icons for pages that have actually been loaded, so a
+ * page without one falls back to the icon of its site root (the converter
+ * used to only keep that one), and failing that to the default icon.
+ *
+ * Favicons are handed out as:
+ * {
+ *   hash, // null for the default icon
+ *   url, // where the icon came from (the first place we saw it, anyway)
+ *   mimeType,
+ *   expiration,
+ *   data, // a Buffer; null for the default icon, which you load from `url`
+ *   source // 'page', 'site' or 'default': how we found it
+ * }
+ **/
+
+var $Q = require('q');
+var $url = require('url');
+
+var $keys = require('./keys');
+var $store = require('./store');
+
+var DEFAULT_FAVICON_URL = 'chrome://mozapps/skin/places/defaultFavicon.png';
+
+function defaultFavicon() {
+  return {
+    hash: null,
+    url: DEFAULT_FAVICON_URL,
+    mimeType: 'image/png',
+    expiration: 0,
+    data: null,
+    source: 'default'
+  };
+}
+
+/**
+ * Get a favicon by its hash, resolving with null if there is no such 'F' row.
+ * `source` is left null.
+ */
+function faviconForHash(db, hash) {
+  return $store.getMaybe(db, $keys.faviconKey(hash)).then(function(value) {
+    if (!value)
+      return null;
+    return {
+      hash: hash,
+      url: value.url,
+      mimeType: value.mimeType,
+      expiration: value.expiration,
+      data: Buffer.from(value.data, 'base64'),
+      source: null
+    };
+  });
+}
+
+/**
+ * The favicon hash from the 'I' row for the url, if any.
+ */
+function faviconHashForUrl(db, reversedHost, url) {
+  return $store.getMaybe(db, $keys.infoKey(reversedHost, url))
+    .then(function(info) {
+      return (info && info.favicon) || null;
+    });
+}
+
+/**
+ * Get the favicon to show for a page: its own, else its site root's, else the
+ * default.  Always resolves with a favicon.
+ */
+function getFavicon(db, url) {
+  var parsed = $url.parse(url);
+  var reversedHost = $keys.reverseHost(parsed.hostname || '');
+  var siteUrl = parsed.protocol + '//' + parsed.host + '/';
+
+  function tryHash(hash, source) {
+    if (!hash)
+      return $Q(null);
+    return faviconForHash(db, hash).then(function(favicon) {
+      if (favicon)
+        favicon.source = source;
+      return favicon;
+    });
+  }
+
+  return faviconHashForUrl(db, reversedHost, url)
+    .then(function(hash) {
+      return tryHash(hash, 'page');
+    })
+    .then(function(favicon) {
+      if (favicon || !parsed.host || siteUrl === url)
+        return favicon;
+      return faviconHashForUrl(db, reversedHost, siteUrl)
+        .then(function(hash) {
+          return tryHash(hash, 'site');
+        });
+    })
+    .then(function(favicon) {
+      return favicon || defaultFavicon();
+    });
+}
+
+exports.DEFAULT_FAVICON_URL = DEFAULT_FAVICON_URL;
+exports.faviconForHash = faviconForHash;
+exports.getFavicon = getFavicon;
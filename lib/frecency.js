@@ -0,0 +1,345 @@
+/**
+ * Native frecency calculation, so the store can rank things on its own once
+ * it's detached from Firefox instead of living off the moz_places.frecency
+ * values the converter copied.
+ *
+ * This is modelled on the Places algorithm (CalculateFrecencyFunction in
+ * toolkit/components/places/SQLFunctions.cpp and the places.frecency.* prefs):
+ * - Sample the most recent visits to the page.  We get these from 'h', which
+ *   is ordered by host and then newest-first, going through a host's visits
+ *   once for as many of its pages as we're doing (see
+ *   $history.recentVisitKeys()), then look up each visit's type in 'H'.
+ * - Each visit is worth a bonus based on its transition type (plus the
+ *   bookmark bonus if the page is bookmarked, per 'b'), scaled by the weight
+ *   of the age bucket the visit falls into.
+ * - frecency = ceil(visitCount * ceil(points) / numSampledVisits)
+ * - Unvisited pages get a flat bonus if they are bookmarked or were typed.
+ *
+ * Optionally, we can add a same-host "halo" on top, per the musing in the 'h'
+ * section of the comment at the top of convert-places-db.js: the host's own
+ * recent visits, weighted by age, times `options.halo`.
+ *
+ * When a score changes, we rewrite the 'I' row and swap out the 'A' term rows
+ * that embed the old frecency, all in one batch (see lib/mutations.js).
+ **/
+
+var $Q = require('q');
+
+var $history = require('./history');
+var $keys = require('./keys');
+var $mutations = require('./mutations');
+var $rows = require('./rows');
+var $store = require('./store');
+
+var PRTIME_PER_DAY = 86400 * 1000000;
+
+var DEFAULT_OPTIONS = {
+  numVisits: 10,
+  // { cutoff in days, weight }; a visit lands in the first bucket it fits in.
+  buckets: [
+    { days: 4, weight: 100 },
+    { days: 14, weight: 70 },
+    { days: 31, weight: 50 },
+    { days: 90, weight: 30 }
+  ],
+  defaultBucketWeight: 10,
+  visitBonuses: {},
+  defaultVisitBonus: 0,
+  unvisitedBookmarkBonus: 140,
+  unvisitedTypedBonus: 200,
+  // multiplier for the same-host halo; 0 turns it off.
+  halo: 0,
+  // PRTime to measure visit ages from; defaults to now.
+  now: null
+};
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_LINK] = 100;
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_TYPED] = 2000;
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_BOOKMARK] = 75;
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_EMBED] = 0;
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_REDIRECT_PERMANENT] = 0;
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_REDIRECT_TEMPORARY] = 0;
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_DOWNLOAD] = 0;
+DEFAULT_OPTIONS.visitBonuses[$history.TRANSITION_FRAMED_LINK] = 0;
+
+function normalizeOptions(options) {
+  var normalized = {};
+  options = options || {};
+  for (var key in DEFAULT_OPTIONS) {
+    normalized[key] = options.hasOwnProperty(key) ? options[key] :
+                                                    DEFAULT_OPTIONS[key];
+  }
+  if (!normalized.now)
+    normalized.now = $history.nowPRTime();
+  return normalized;
+}
+
+function bucketWeight(options, visitDate) {
+  var ageInDays = Math.round((options.now - visitDate) / PRTIME_PER_DAY);
+  for (var i = 0; i < options.buckets.length; i++) {
+    if (ageInDays <= options.buckets[i].days)
+      return options.buckets[i].weight;
+  }
+  return options.defaultBucketWeight;
+}
+
+function visitBonus(options, type) {
+  if (options.visitBonuses.hasOwnProperty(type))
+    return options.visitBonuses[type];
+  return options.defaultVisitBonus;
+}
+
+/**
+ * The visits with the given keys, with their types.
+ */
+function sampleVisits(db, visitKeys) {
+  return $Q.all(visitKeys.map(function(visitKey) {
+      return $history.getVisit(db, visitKey);
+    }))
+    .then(function(visits) {
+      return visits.filter(function(visit) { return visit !== null; });
+    });
+}
+
+/**
+ * Age-weighted points for the host's most recent visits, regardless of page.
+ */
+function haloPoints(db, reversedHost, options) {
+  var range = $keys.prefixRange('h', reversedHost);
+  range.limit = options.numVisits;
+  return $store.readRange(db, range).then(function(rows) {
+    var points = 0;
+    rows.forEach(function(row) {
+      var visitDate =
+        $keys.unlexiformTimestamp($keys.decodeKey(row.key)[2]);
+      points += bucketWeight(options, visitDate);
+    });
+    return points;
+  });
+}
+
+/**
+ * Calculate the frecency of a place as loaded by $mutations.loadPlace().
+ * Resolves with the score, clamped to what the 'A' keys can encode.  If you
+ * already have the keys of its most recent visits from
+ * $history.recentVisitKeys(), pass them as `visitKeys`.
+ */
+function calculateFrecency(db, place, options, visitKeys) {
+  options = normalizeOptions(options);
+  var info = place.info;
+  if (!info)
+    return $Q(0);
+  var isBookmarked = place.bookmarks.length > 0;
+
+  var visitKeysPromise = visitKeys ? $Q(visitKeys) :
+    $history.recentVisitKeys(db, place.reversedHost, [place.url],
+                             options.numVisits)
+      .then(function(keysByUrl) {
+        return keysByUrl.get(place.url);
+      });
+  return $Q.all([
+      visitKeysPromise.then(function(keys) {
+        return sampleVisits(db, keys);
+      }),
+      options.halo ? haloPoints(db, place.reversedHost, options) : 0
+    ])
+    .then(function(results) {
+      var visits = results[0], halo = results[1];
+      var frecency;
+
+      if (visits.length) {
+        var points = 0;
+        visits.forEach(function(visit) {
+          var bonus = visitBonus(options, visit.type);
+          // Places always adds the bookmark bonus for bookmarked pages
+          if (isBookmarked)
+            bonus += visitBonus(options, $history.TRANSITION_BOOKMARK);
+          if (bonus)
+            points += bucketWeight(options, visit.visitDate) * (bonus / 100);
+        });
+        // Places uses -visitCount when no sampled visit scored so things
+        // still show up in autocomplete; our keys can't do negative, so 0.
+        frecency = points ?
+          Math.ceil(info.visitCount * Math.ceil(points) / visits.length) : 0;
+      }
+      else {
+        var unvisitedBonus = 0;
+        if (isBookmarked)
+          unvisitedBonus += options.unvisitedBookmarkBonus;
+        if (info.typed)
+          unvisitedBonus += options.unvisitedTypedBonus;
+        frecency = Math.ceil(options.buckets[0].weight *
+                             (unvisitedBonus / 100));
+      }
+
+      frecency += Math.ceil(options.halo * halo);
+      return Math.max(0, Math.min(frecency, $keys.MAX_FRECENCY));
+    });
+}
+
+/**
+ * Recalculate a URL's frecency into `changes`, adding its new 'I' row and
+ * 'A' term rows if it changed.  `visitKeys` is as for calculateFrecency().
+ * Resolves with { url, oldFrecency, frecency }, or null if we don't know the
+ * URL.
+ */
+function recalculateInto(db, changes, url, options, visitKeys) {
+  return $mutations.loadPlace(db, url).then(function(place) {
+    if (!place.info)
+      return null;
+    return calculateFrecency(db, place, options, visitKeys)
+      .then(function(frecency) {
+        var result = {
+          url: url,
+          oldFrecency: place.info.frecency,
+          frecency: frecency
+        };
+        if (frecency === place.info.frecency)
+          return result;
+
+        var oldTermRows = $mutations.placeTermRows(place);
+        place.info.frecency = frecency;
+        changes.putRows($rows.infoRows(place.reversedHost, url, place.info));
+        changes.replaceRows(oldTermRows, $mutations.placeTermRows(place));
+        return result;
+      });
+  });
+}
+
+/**
+ * Recalculate a URL's frecency, rewriting its 'I' row and 'A' term rows if
+ * it changed.  Resolves with { url, oldFrecency, frecency }, or null if we
+ * don't know the URL.
+ */
+function recalculateFrecency(db, url, options) {
+  return $mutations.serialized(db, function() {
+    var changes = new $mutations.ChangeSet();
+    return recalculateInto(db, changes, url, options).then(function(result) {
+      return changes.write(db).then(function() {
+        return result;
+      });
+    });
+  });
+}
+
+/**
+ * How many places recalculateAllFrecencies() reads, and then writes the
+ * changes for in one batch, at a time.
+ */
+var RECALCULATE_CHUNK_SIZE = 500;
+
+/**
+ * The keys of the recent visits to each of `places` ({ url, reversedHost }),
+ * going through each host's 'h' rows once.  Resolves with a Map from URL.
+ */
+function placesVisitKeys(db, places, count) {
+  var urlsByHost = new Map();
+  places.forEach(function(place) {
+    if (!urlsByHost.has(place.reversedHost))
+      urlsByHost.set(place.reversedHost, []);
+    urlsByHost.get(place.reversedHost).push(place.url);
+  });
+
+  var keysByUrl = new Map();
+  var hosts = Array.from(urlsByHost.keys());
+  return hosts.reduce(function(prev, reversedHost) {
+    return prev.then(function() {
+      return $history.recentVisitKeys(db, reversedHost,
+                                      urlsByHost.get(reversedHost), count);
+    }).then(function(hostKeys) {
+      hostKeys.forEach(function(visitKeys, url) {
+        keysByUrl.set(url, visitKeys);
+      });
+    });
+  }, $Q()).then(function() {
+    return keysByUrl;
+  });
+}
+
+/**
+ * Recalculate the frecencies of `places` ({ url, reversedHost }) in one
+ * batch, counting what we did in `stats`.
+ */
+function recalculateChunk(db, places, options, stats) {
+  return $mutations.serialized(db, function() {
+    var changes = new $mutations.ChangeSet();
+    return placesVisitKeys(db, places, options.numVisits)
+      .then(function(keysByUrl) {
+        return places.reduce(function(prev, place) {
+          return prev.then(function() {
+            return recalculateInto(db, changes, place.url, options,
+                                   keysByUrl.get(place.url));
+          }).then(function(result) {
+            stats.examined++;
+            if (result && result.frecency !== result.oldFrecency)
+              stats.changed++;
+          });
+        }, $Q());
+      })
+      .then(function() {
+        return changes.write(db);
+      });
+  });
+}
+
+/**
+ * Recalculate the frecencies of `places`, each { url, reversedHost }, a
+ * chunk at a time like recalculateAllFrecencies().  Resolves with
+ * { examined, changed }.
+ */
+function recalculateFrecencies(db, places, options) {
+  options = normalizeOptions(options);
+  var stats = { examined: 0, changed: 0 };
+  var chunks = [];
+  for (var i = 0; i < places.length; i += RECALCULATE_CHUNK_SIZE) {
+    chunks.push(places.slice(i, i + RECALCULATE_CHUNK_SIZE));
+  }
+  return chunks.reduce(function(prev, chunk) {
+    return prev.then(function() {
+      return recalculateChunk(db, chunk, options, stats);
+    });
+  }, $Q()).then(function() {
+    return stats;
+  });
+}
+
+/**
+ * Recalculate the frecency of every place in the store.  We go through 'I'
+ * a chunk of places at a time, so what we hold is a chunk's worth no matter
+ * how big the profile is.  'I' is by host, so each host's visits get read
+ * once per chunk rather than once per page.  Resolves with
+ * { examined, changed }.
+ */
+function recalculateAllFrecencies(db, options) {
+  options = normalizeOptions(options);
+  var stats = { examined: 0, changed: 0 };
+  var range = $keys.prefixRange('I');
+
+  function nextChunk(afterKey) {
+    var chunkRange = { lt: range.lt, limit: RECALCULATE_CHUNK_SIZE };
+    if (afterKey === null)
+      chunkRange.gte = range.gte;
+    else
+      chunkRange.gt = afterKey;
+    var places = [], lastKey = null;
+    return $store.forEachRow(db, chunkRange, function(row) {
+      var parts = $keys.decodeKey(row.key);
+      places.push({ url: parts[2], reversedHost: parts[1] });
+      lastKey = row.key;
+    }).then(function() {
+      if (!places.length)
+        return stats;
+      return recalculateChunk(db, places, options, stats).then(function() {
+        return places.length < RECALCULATE_CHUNK_SIZE ? stats :
+                                                        nextChunk(lastKey);
+      });
+    });
+  }
+
+  return nextChunk(null);
+}
+
+exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+exports.calculateFrecency = calculateFrecency;
+exports.recalculateFrecency = recalculateFrecency;
+exports.recalculateFrecencies = recalculateFrecencies;
+exports.recalculateAllFrecencies = recalculateAllFrecencies;
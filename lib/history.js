@@ -0,0 +1,259 @@
+/**
+ * Read side of the 'H' history-by-time namespace and the 'h' history-by-place
+ * namespace.
+ *
+ * 'H' keys are the inverted visit timestamp (with a '-N' uniqueifier if
+ * several visits share a timestamp), so a forward scan walks backwards in
+ * time, which is exactly what a history UI wants.  Timestamps are Places
+ * visit dates, which is to say PRTime (microseconds since the epoch).
+ *
+ * Visits are handed out as:
+ * {
+ *   key, // the 'H' key sans namespace; this is what prevKey refers to
+ *   visitDate,
+ *   url,
+ *   prevKey, // key of the visit that led to this one, or null
+ *   type,
+ *   session
+ * }
+ *
+ * 'h' keys are [reversed-host, visit key, url], so within a host we also get
+ * newest-first for free.  Site visits are handed out as:
+ * {
+ *   key, // the visit key, usable with getVisit()
+ *   visitDate,
+ *   url
+ * }
+ **/
+
+var $Q = require('q');
+
+var $keys = require('./keys');
+var $store = require('./store');
+
+/**
+ * Places visit transition types (the `type` of a visit).
+ */
+var TRANSITION_LINK = 1,
+    TRANSITION_TYPED = 2,
+    TRANSITION_BOOKMARK = 3,
+    TRANSITION_EMBED = 4,
+    TRANSITION_REDIRECT_PERMANENT = 5,
+    TRANSITION_REDIRECT_TEMPORARY = 6,
+    TRANSITION_DOWNLOAD = 7,
+    TRANSITION_FRAMED_LINK = 8;
+
+var DEFAULT_PAGE_SIZE = 100;
+var DEFAULT_MAX_TRAIL = 64;
+
+function nowPRTime() {
+  return Date.now() * 1000;
+}
+
+function visitFromRow(row) {
+  var key = $keys.decodeKey(row.key)[1];
+  return {
+    key: key,
+    visitDate: $keys.unlexiformTimestamp(key),
+    url: row.value.url,
+    prevKey: row.value.prevKey || null,
+    type: row.value.type,
+    session: row.value.session
+  };
+}
+
+/**
+ * Page backwards through history.  Options:
+ * - before: Only return visits at or before this PRTime.  Defaults to now.
+ *   Ignored if `cursor` is provided.
+ * - cursor: The cursor from a previous page; we pick up right after it.
+ * - limit: Maximum number of visits to return.
+ * - types: If provided, an array of visit types we care about; all others
+ *   are skipped (and do not count against the limit).
+ *
+ * Resolves with { visits, cursor }, where `cursor` is null once we have run
+ * out of history.
+ */
+function visitsBefore(db, options) {
+  options = options || {};
+  var limit = options.limit || DEFAULT_PAGE_SIZE;
+  var range = $keys.prefixRange('H');
+  if (options.cursor) {
+    delete range.gte;
+    range.gt = $keys.historyKey(options.cursor);
+  }
+  else {
+    var before = options.hasOwnProperty('before') ? options.before :
+                                                    nowPRTime();
+    range.gte = $keys.historyKey($keys.lexiformTimestamp(before));
+  }
+  range.limit = limit;
+
+  var filter = null;
+  if (options.types) {
+    var types = options.types;
+    filter = function(row) {
+      return types.indexOf(row.value.type) !== -1;
+    };
+  }
+
+  return $store.readRange(db, range, filter).then(function(rows) {
+    var visits = rows.map(visitFromRow);
+    return {
+      visits: visits,
+      cursor: visits.length === limit ? visits[visits.length - 1].key : null
+    };
+  });
+}
+
+/**
+ * Look up a single visit by its key (as found in a visit's `key` or
+ * `prevKey`).  Resolves with null if it doesn't exist.
+ */
+function getVisit(db, visitKey) {
+  var key = $keys.historyKey(visitKey);
+  return $store.getMaybe(db, key).then(function(value) {
+    return value ? visitFromRow({ key: key, value: value }) : null;
+  });
+}
+
+/**
+ * Rebuild the navigation trail that led to the given visit by following
+ * `prevKey` links.  Resolves with the visits in the order they happened, so
+ * the last entry is the visit you asked about and the first is where the
+ * trail starts (or where we gave up because the referring visit expired or
+ * the trail got longer than `options.maxLength`).
+ */
+function navigationTrail(db, visitKey, options) {
+  options = options || {};
+  var maxLength = options.maxLength || DEFAULT_MAX_TRAIL;
+  var trail = [], seen = {};
+
+  function follow(key) {
+    // cycles should not be possible thanks to causality, but let's not hang
+    if (!key || seen[key] || trail.length >= maxLength)
+      return $Q(trail.reverse());
+    seen[key] = true;
+    return getVisit(db, key).then(function(visit) {
+      if (!visit)
+        return trail.reverse();
+      trail.push(visit);
+      return follow(visit.prevKey);
+    });
+  }
+  return follow(visitKey);
+}
+
+function siteVisitFromRow(row) {
+  var parts = $keys.decodeKey(row.key);
+  return {
+    key: parts[2],
+    visitDate: $keys.unlexiformTimestamp(parts[2]),
+    url: parts[3]
+  };
+}
+
+/**
+ * Get the most recent visits to any page on the given host (e.g.
+ * 'www.example.com'), newest first.  Options:
+ * - since: Only return visits at or after this PRTime.
+ * - limit: Maximum number of visits to return.
+ */
+function siteHistory(db, host, options) {
+  options = options || {};
+  var range = $keys.prefixRange('h', $keys.reverseHost(host));
+  if (options.since) {
+    // Larger timestamps encode smaller, so everything at or after `since`
+    // sorts before the encoding of the moment just before it.
+    range.lt = range.gte + $keys.lexiformTimestamp(options.since - 1);
+  }
+  range.limit = options.limit || DEFAULT_PAGE_SIZE;
+
+  return $store.readRange(db, range).then(function(rows) {
+    return rows.map(siteVisitFromRow);
+  });
+}
+
+/**
+ * Aggregate the 'h' rows for a host.  This is the sort of thing the "halo"
+ * frecency idea from the 'h' comment in convert-places-db.js would want.
+ * Resolves with:
+ * {
+ *   host,
+ *   visitCount,
+ *   urlCount, // number of distinct urls visited
+ *   lastVisitDate // null if never visited
+ * }
+ */
+function hostSummary(db, host) {
+  var urlsSeen = {};
+  var summary = {
+    host: host,
+    visitCount: 0,
+    urlCount: 0,
+    lastVisitDate: null
+  };
+  return $store.readRange(db, $keys.prefixRange('h', $keys.reverseHost(host)))
+    .then(function(rows) {
+      rows.forEach(function(row) {
+        var visit = siteVisitFromRow(row);
+        // newest first, so the first one we see is the last visit
+        if (summary.lastVisitDate === null)
+          summary.lastVisitDate = visit.visitDate;
+        summary.visitCount++;
+        if (!urlsSeen.hasOwnProperty(visit.url)) {
+          urlsSeen[visit.url] = true;
+          summary.urlCount++;
+        }
+      });
+      return summary;
+    });
+}
+
+/**
+ * The keys of the most recent `count` visits to each of `urls`, which are
+ * all on the host whose reversed name is `reversedHost`.  'h' has no way to
+ * find a page's visits but to go through its host's, so this does that once
+ * for all of them, stopping when each has its `count`.  `filter(visitKey)`,
+ * if given, says which visits to count.  Resolves with a Map from each URL
+ * to its visit keys, newest first.
+ */
+function recentVisitKeys(db, reversedHost, urls, count, filter) {
+  var keysByUrl = new Map();
+  urls.forEach(function(url) {
+    keysByUrl.set(url, []);
+  });
+  var unfilled = keysByUrl.size;
+  if (!unfilled || count < 1)
+    return $Q(keysByUrl);
+  return $store.forEachRow(db, $keys.prefixRange('h', reversedHost),
+                           function(row) {
+    var parts = $keys.decodeKey(row.key);
+    var visitKeys = keysByUrl.get(parts[3]);
+    if (!visitKeys || visitKeys.length === count ||
+        (filter && !filter(parts[2])))
+      return true;
+    visitKeys.push(parts[2]);
+    if (visitKeys.length === count)
+      unfilled--;
+    return unfilled > 0;
+  }).then(function() {
+    return keysByUrl;
+  });
+}
+
+exports.TRANSITION_LINK = TRANSITION_LINK;
+exports.TRANSITION_TYPED = TRANSITION_TYPED;
+exports.TRANSITION_BOOKMARK = TRANSITION_BOOKMARK;
+exports.TRANSITION_EMBED = TRANSITION_EMBED;
+exports.TRANSITION_REDIRECT_PERMANENT = TRANSITION_REDIRECT_PERMANENT;
+exports.TRANSITION_REDIRECT_TEMPORARY = TRANSITION_REDIRECT_TEMPORARY;
+exports.TRANSITION_DOWNLOAD = TRANSITION_DOWNLOAD;
+exports.TRANSITION_FRAMED_LINK = TRANSITION_FRAMED_LINK;
+exports.nowPRTime = nowPRTime;
+exports.visitsBefore = visitsBefore;
+exports.getVisit = getVisit;
+exports.navigationTrail = navigationTrail;
+exports.siteHistory = siteHistory;
+exports.hostSummary = hostSummary;
+exports.recentVisitKeys = recentVisitKeys;
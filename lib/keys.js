@@ -0,0 +1,271 @@
+/**
+ * Key encoding helpers shared by the converter and everything that reads the
+ * LevelDB store back.  See the big comment at the top of convert-places-db.js
+ * for what lives in each namespace.
+ *
+ * Keys are composite; components are separated by '\0' and the first
+ * component is always the single-character namespace.  How the rest of the
+ * components get encoded depends on the store's key codec (lib/codec.js).
+ **/
+
+var $codec = require('./codec');
+
+var SEP = $codec.SEP;
+
+/**
+ * The component types of each namespace's keys (after the namespace itself);
+ * see lib/codec.js for what the types mean.  KEY_FIELDS names them.
+ */
+var SCHEMAS = {
+  B: ['uint', 'uint', 'uint'],
+  b: ['string', 'uint'],
+  K: ['string'],
+  T: ['string', 'string'],
+  H: ['raw'],
+  h: ['string', 'raw', 'string'],
+  I: ['string', 'string'],
+  A: ['string', 'frecency', 'string', 'string', 'string'],
+  a: ['string', 'string'],
+  N: ['string', 'frecency', 'string', 'string', 'string'],
+  F: ['string'],
+  X: ['ascendingTimestamp', 'string', 'string'],
+  M: ['string']
+};
+
+var KEY_FIELDS = {
+  B: ['depth', 'parentId', 'id'],
+  b: ['url', 'id'],
+  K: ['keyword'],
+  T: ['tag', 'url'],
+  H: ['visitKey'],
+  h: ['reversedHost', 'visitKey', 'url'],
+  I: ['reversedHost', 'url'],
+  A: ['magic', 'frecency', 'term', 'reversedHost', 'path'],
+  a: ['typed', 'url'],
+  N: ['infix', 'frecency', 'term', 'reversedHost', 'path'],
+  F: ['hash'], // of the image data
+  // annotation name is '' for favicons; targetKey is the 'I' or 'F' row's
+  X: ['expireAt', 'name', 'targetKey'],
+  M: ['name']
+};
+
+/**
+ * The metadata row recording which codec a store's keys use.  Its key comes
+ * out the same in every codec, so we can read it before we know.
+ */
+var KEY_CODEC_META = 'keyCodec';
+
+/**
+ * The metadata row recording which tokenizer (lib/tokenizers.js) wrote the
+ * store's 'A' rows.
+ */
+var TOKENIZER_META = 'tokenizer';
+
+/**
+ * The metadata row recording how short the shortest infix with an 'N' row is
+ * (see $rows.useInfixLength()).
+ */
+var INFIX_LENGTH_META = 'infixLength';
+
+var codec = $codec.getCodec($codec.DEFAULT_CODEC);
+
+/**
+ * Switch the codec everything in this process encodes and decodes keys with.
+ * $store.openLevelStore() calls this for you based on what the store says,
+ * and won't open a store with another codec while one is open.
+ */
+function useCodec(name) {
+  codec = $codec.getCodec(name);
+}
+
+function codecName() {
+  return codec.name;
+}
+
+/**
+ * Encode a key (or, given fewer values than the schema has, a key prefix
+ * without its trailing separator).
+ */
+function encodeKey(namespace, values) {
+  if (!values.length)
+    return namespace;
+  var types = SCHEMAS[namespace].slice(0, values.length);
+  return namespace + SEP + $codec.encodeTuple(codec, types, values);
+}
+
+/**
+ * Split a key into its decoded components.  The namespace is component 0.
+ * Unknown namespaces are just split.
+ */
+function decodeKey(key) {
+  var namespace = key.charAt(0);
+  if (!SCHEMAS.hasOwnProperty(namespace))
+    return key.split(SEP);
+  return [namespace].concat(
+    $codec.decodeTuple(codec, SCHEMAS[namespace], key.slice(2)));
+}
+
+var MIN_TIMESTAMP = $codec.MIN_TIMESTAMP,
+    MAX_TIMESTAMP = $codec.MAX_TIMESTAMP;
+
+/**
+ * Can lexiformTimestamp() encode this PRTime?
+ */
+function isLegalTimestamp(val) {
+  return $codec.isLegalTimestamp(val);
+}
+
+/**
+ * Encode visit timestamps (PRTime) for 'H' and 'h' keys.  Newer is smaller.
+ * Throws a RangeError for anything isLegalTimestamp() doesn't like.
+ */
+function lexiformTimestamp(val) {
+  return codec.encode.timestamp(val);
+}
+
+/**
+ * Undo lexiformTimestamp.  History keys may have a uniqueifying '-N' suffix
+ * on the timestamp, which we ignore.
+ */
+function unlexiformTimestamp(str) {
+  return codec.decode.timestamp(str);
+}
+
+var MAX_FRECENCY = $codec.MAX_FRECENCY;
+
+function lexiformFrecency(frecency) {
+  return codec.encode.frecency(frecency);
+}
+
+function unlexiformFrecency(str) {
+  return codec.decode.frecency(str);
+}
+
+/**
+ * Reverse a hostname the way Places' rev_host does: 'www.example.com' becomes
+ * 'moc.elpmaxe.www.' (note the trailing dot).
+ */
+function reverseHost(host) {
+  return host.toLowerCase().split('').reverse().join('') + '.';
+}
+
+/**
+ * Produce the { gte, lt } range options that cover every key in the namespace
+ * starting with the given component values.  Because our separator is '\0',
+ * bumping it to '\x01' gives us the tightest exclusive upper bound.
+ */
+function prefixRange(namespace /*, values... */) {
+  var prefix = encodeKey(namespace,
+                         Array.prototype.slice.call(arguments, 1)) + SEP;
+  return {
+    gte: prefix,
+    lt: prefix.slice(0, -1) + '\x01'
+  };
+}
+
+/**
+ * Like prefixRange, but the last component is itself only a prefix, so we
+ * match keys whose last component starts with it (including an exact match).
+ * We bump the final character to get the exclusive upper bound.
+ */
+function partialPrefixRange(namespace /*, values..., partial */) {
+  var prefix = encodeKey(namespace, Array.prototype.slice.call(arguments, 1));
+  var lastChar = prefix.charCodeAt(prefix.length - 1);
+  return {
+    gte: prefix,
+    lt: prefix.slice(0, -1) + String.fromCharCode(lastChar + 1)
+  };
+}
+
+/*
+ * Per-namespace key builders.  Everything that writes the store (the
+ * converter, lib/mutations.js) should build its keys with these so that the
+ * layouts can't drift apart.
+ */
+
+function bookmarkKey(depth, parentId, id) {
+  return encodeKey('B', [depth, parentId, id]);
+}
+
+function bookmarkUrlKey(url, id) {
+  return encodeKey('b', [url, id]);
+}
+
+function keywordKey(keyword) {
+  return encodeKey('K', [keyword]);
+}
+
+function tagKey(tag, url) {
+  return encodeKey('T', [tag, url]);
+}
+
+function historyKey(visitKey) {
+  return encodeKey('H', [visitKey]);
+}
+
+function siteHistoryKey(reversedHost, visitKey, url) {
+  return encodeKey('h', [reversedHost, visitKey, url]);
+}
+
+function infoKey(reversedHost, url) {
+  return encodeKey('I', [reversedHost, url]);
+}
+
+function awesomeKey(magic, frecency, term, reversedHost, path) {
+  return encodeKey('A', [magic, frecency, term, reversedHost, path]);
+}
+
+function infixKey(infix, frecency, term, reversedHost, path) {
+  return encodeKey('N', [infix, frecency, term, reversedHost, path]);
+}
+
+function inputHistoryKey(typed, url) {
+  return encodeKey('a', [typed, url]);
+}
+
+function faviconKey(hash) {
+  return encodeKey('F', [hash]);
+}
+
+function expirationKey(expireAt, name, targetKey) {
+  return encodeKey('X', [expireAt, name, targetKey]);
+}
+
+function metaKey(name) {
+  return encodeKey('M', [name]);
+}
+
+exports.SEP = SEP;
+exports.SCHEMAS = SCHEMAS;
+exports.KEY_FIELDS = KEY_FIELDS;
+exports.KEY_CODEC_META = KEY_CODEC_META;
+exports.TOKENIZER_META = TOKENIZER_META;
+exports.INFIX_LENGTH_META = INFIX_LENGTH_META;
+exports.useCodec = useCodec;
+exports.codecName = codecName;
+exports.encodeKey = encodeKey;
+exports.decodeKey = decodeKey;
+exports.MIN_TIMESTAMP = MIN_TIMESTAMP;
+exports.MAX_TIMESTAMP = MAX_TIMESTAMP;
+exports.isLegalTimestamp = isLegalTimestamp;
+exports.lexiformTimestamp = lexiformTimestamp;
+exports.unlexiformTimestamp = unlexiformTimestamp;
+exports.MAX_FRECENCY = MAX_FRECENCY;
+exports.lexiformFrecency = lexiformFrecency;
+exports.unlexiformFrecency = unlexiformFrecency;
+exports.reverseHost = reverseHost;
+exports.prefixRange = prefixRange;
+exports.partialPrefixRange = partialPrefixRange;
+exports.bookmarkKey = bookmarkKey;
+exports.bookmarkUrlKey = bookmarkUrlKey;
+exports.keywordKey = keywordKey;
+exports.tagKey = tagKey;
+exports.historyKey = historyKey;
+exports.siteHistoryKey = siteHistoryKey;
+exports.infoKey = infoKey;
+exports.awesomeKey = awesomeKey;
+exports.infixKey = infixKey;
+exports.inputHistoryKey = inputHistoryKey;
+exports.faviconKey = faviconKey;
+exports.expirationKey = expirationKey;
+exports.metaKey = metaKey;
@@ -0,0 +1,118 @@
+/**
+ * Read side of the 'K' namespace, [keyword] -> { url, postData }, and the
+ * URL bar keyword flow it's there for: type "wiki llamas" and go to the
+ * 'wiki' keyword's URL with "llamas" put in where it says %s.
+ *
+ * Keywords are case-insensitive; Places stores them lowercased and so do we
+ * (see normalizeKeyword).  Setting and removing them is setKeyword and
+ * removeKeyword in lib/mutations.js, since the bookmarks of the URL carry a
+ * copy in their 'B' values.
+ **/
+
+var $Q = require('q');
+
+var $keys = require('./keys');
+var $store = require('./store');
+
+/**
+ * The form we store keywords in: trimmed and lowercased.
+ */
+function normalizeKeyword(keyword) {
+  return keyword.trim().toLowerCase();
+}
+
+function keywordFromRow(row) {
+  return {
+    keyword: $keys.decodeKey(row.key)[1],
+    url: row.value.url,
+    postData: row.value.postData || null
+  };
+}
+
+/**
+ * Every keyword, in keyword order.  Resolves with [{ keyword, url, postData }].
+ */
+function listKeywords(db) {
+  return $store.readRange(db, $keys.prefixRange('K')).then(function(rows) {
+    return rows.map(keywordFromRow);
+  });
+}
+
+/**
+ * Look a keyword up, resolving with { keyword, url, postData } or null.
+ */
+function getKeyword(db, keyword) {
+  var key = $keys.keywordKey(normalizeKeyword(keyword));
+  return $store.getMaybe(db, key).then(function(value) {
+    return value ? keywordFromRow({ key: key, value: value }) : null;
+  });
+}
+
+/**
+ * Places keeps POST data percent-encoded.
+ */
+function decodePostData(postData) {
+  try {
+    return decodeURIComponent(postData);
+  }
+  catch (ex) {
+    // not actually percent-encoded; take it as it is
+    return postData;
+  }
+}
+
+/**
+ * Put `param` into a keyword URL or its POST data the way Firefox does: %s
+ * gets it URI-encoded and %S gets it as is.  (Firefox can also encode for
+ * a page's legacy charset; we only do UTF-8.)
+ */
+function substituteParam(template, param) {
+  return template.replace(/%s/g, encodeURIComponent(param))
+                 .replace(/%S/g, param);
+}
+
+/**
+ * Work out what typing `input` into the URL bar means if it starts with a
+ * keyword: the first word is the keyword and the rest (trimmed) is the
+ * parameter.  Resolves with
+ * {
+ *   keyword,
+ *   param, // '' if there was only the keyword
+ *   url, // with the parameter substituted
+ *   postData // likewise, or null if the keyword doesn't POST
+ * }
+ * or null if the first word isn't a keyword.  As in Firefox, a parameter for
+ * a keyword with nowhere to put it (no %s or %S) isn't a match either; the
+ * caller should treat the input as a search or URL like anything else.
+ */
+function resolveKeyword(db, input) {
+  input = input.trim();
+  var space = input.search(/\s/);
+  var keyword = space === -1 ? input : input.substring(0, space);
+  var param = space === -1 ? '' : input.substring(space).trim();
+  if (!keyword)
+    return $Q(null);
+
+  return getKeyword(db, keyword).then(function(entry) {
+    if (!entry)
+      return null;
+    var postData = entry.postData ? decodePostData(entry.postData) : null;
+    var takesParam = /%s/i.test(entry.url) ||
+                     (postData !== null && /%s/i.test(postData));
+    if (!takesParam && param)
+      return null;
+    return {
+      keyword: entry.keyword,
+      param: param,
+      url: takesParam ? substituteParam(entry.url, param) : entry.url,
+      postData: postData !== null && takesParam ?
+                  substituteParam(postData, param) : postData
+    };
+  });
+}
+
+exports.normalizeKeyword = normalizeKeyword;
+exports.listKeywords = listKeywords;
+exports.getKeyword = getKeyword;
+exports.substituteParam = substituteParam;
+exports.resolveKeyword = resolveKeyword;
@@ -0,0 +1,986 @@
+/**
+ * Write side of the store.  The converter can only build a store once, in
+ * bulk; this is what lets the layout stand in for Places afterwards.
+ *
+ * Every mutation follows the same pattern:
+ * - Read whatever current state it needs ('I' row, bookmarks for the URL,
+ *   siblings, ...).
+ * - Work out every row that changes across all of the namespaces, including
+ *   the 'A' rows that were derived from the old state, into a ChangeSet.
+ * - Apply the whole ChangeSet as a single LevelDB batch, so a crash never
+ *   leaves the indexes half-updated.
+ *
+ * Because of the read-then-write, mutations against the same db are run one
+ * at a time; otherwise two of them could both base their changes on the same
+ * stale state.
+ *
+ * Bookmark mutations take and hand out the nodes from lib/bookmarks.js since
+ * we need a node's depth to find its 'B' row.
+ *
+ * Timestamps are PRTime, like everything else in Places.
+ **/
+
+var $Q = require('q');
+var $url = require('url');
+var $crypto = require('crypto');
+
+var $bookmarks = require('./bookmarks');
+var $history = require('./history');
+var $keys = require('./keys');
+var $keywords = require('./keywords');
+var $rows = require('./rows');
+var $store = require('./store');
+var $tags = require('./tags');
+
+/**
+ * Accumulates the puts and deletes for a mutation.  A later put of a key wins
+ * over an earlier delete of it and vice versa, so you can delete all of the
+ * rows for the old state and put all of the rows for the new state without
+ * worrying about which ones actually changed.
+ */
+function ChangeSet() {
+  this.puts = {};
+  this.dels = {};
+}
+ChangeSet.prototype = {
+  put: function(key, value) {
+    delete this.dels[key];
+    this.puts[key] = value;
+  },
+
+  del: function(key) {
+    delete this.puts[key];
+    this.dels[key] = true;
+  },
+
+  putRows: function(rows) {
+    rows.forEach(function(row) {
+      this.put(row.key, row.value);
+    }, this);
+  },
+
+  delRows: function(rows) {
+    rows.forEach(function(row) {
+      this.del(row.key);
+    }, this);
+  },
+
+  replaceRows: function(oldRows, newRows) {
+    this.delRows(oldRows);
+    this.putRows(newRows);
+  },
+
+  write: function(db) {
+    var deferred = $Q.defer();
+    var batch = db.batch();
+    var key;
+    for (key in this.dels) {
+      batch.del(key);
+    }
+    for (key in this.puts) {
+      batch.put(key, this.puts[key]);
+    }
+    batch.write(function(err) {
+      if (err)
+        deferred.reject(err);
+      else
+        deferred.resolve();
+    });
+    return deferred.promise;
+  }
+};
+
+var writeQueues = new WeakMap();
+/**
+ * Run `fn` once every mutation queued before it against `db` has completed.
+ * Resolves/rejects with whatever `fn`'s promise does.
+ */
+function serialized(db, fn) {
+  var tail = writeQueues.get(db) || $Q();
+  var result = tail.then(fn);
+  writeQueues.set(db, result.catch(function() {}));
+  return result;
+}
+
+function nowPRTime() {
+  return $history.nowPRTime();
+}
+
+/**
+ * Places-style GUID: 12 characters of url-safe base64.
+ */
+function makeGuid() {
+  return $crypto.randomBytes(9).toString('base64')
+           .replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function reversedHostForUrl(url) {
+  return $keys.reverseHost($url.parse(url).hostname || '');
+}
+
+/**
+ * Load everything the 'A' term rows for a URL depend on, resolving with:
+ * {
+ *   url,
+ *   reversedHost,
+ *   info, // the 'I' value, or null if this is a place we've never heard of
+ *   bookmarks // nodes for all of the bookmarks of the URL
+ * }
+ */
+function loadPlace(db, url) {
+  var reversedHost = reversedHostForUrl(url);
+  return $Q.all([$store.getMaybe(db, $keys.infoKey(reversedHost, url)),
+                 $bookmarks.bookmarksForUrl(db, url)])
+    .then(function(results) {
+      return {
+        url: url,
+        reversedHost: reversedHost,
+        info: results[0],
+        bookmarks: results[1]
+      };
+    });
+}
+
+/**
+ * Make sure the place has an 'I' value, creating one for a place we have
+ * never seen before.
+ */
+function ensurePlaceInfo(place) {
+  if (!place.info)
+    place.info = $rows.infoValue({ guid: makeGuid() });
+  return place.info;
+}
+
+/**
+ * The 'A' term rows and 'N' infix rows for the current state of a loaded
+ * place.
+ */
+function placeTermRows(place) {
+  if (!place.info)
+    return [];
+  return $rows.awesomeTermRows({
+    url: place.url,
+    reversedHost: place.reversedHost,
+    title: place.info.title,
+    frecency: place.info.frecency,
+    bookmarks: place.bookmarks,
+    tags: place.info.tags
+  });
+}
+
+function putPlaceInfo(changes, place) {
+  changes.putRows($rows.infoRows(place.reversedHost, place.url, place.info));
+}
+
+function putBookmark(changes, node) {
+  changes.putRows($rows.bookmarkRows(node.depth, node));
+}
+
+function delBookmark(changes, node) {
+  changes.delRows($rows.bookmarkRows(node.depth, node));
+}
+
+/**
+ * Pick the visit key for a new visit, adding a uniqueifier the same way the
+ * converter does if there are already visits with this timestamp.
+ */
+function uniqueVisitKey(db, visitDate) {
+  var baseKey = $keys.lexiformTimestamp(visitDate);
+  function tryKey(key, nextUnique) {
+    return $store.getMaybe(db, $keys.historyKey(key)).then(function(value) {
+      if (!value)
+        return key;
+      return tryKey(baseKey + '-' + nextUnique, nextUnique + 1);
+    });
+  }
+  return tryKey(baseKey, 0);
+}
+
+var NEXT_BOOKMARK_ID = 'nextBookmarkId';
+
+/**
+ * Hand out a bookmark id (or `count` of them in a row, resolving with the
+ * first), noting the next one in the ChangeSet.  The first time we're used
+ * on a converted store, we have to go find the largest id.
+ */
+function allocateBookmarkId(db, changes, count) {
+  var metaKey = $keys.metaKey(NEXT_BOOKMARK_ID);
+  return $store.getMaybe(db, metaKey)
+    .then(function(nextId) {
+      if (nextId !== null)
+        return nextId;
+      return $store.readRange(db, $keys.prefixRange('B'))
+        .then(function(rows) {
+          var maxId = 0;
+          rows.forEach(function(row) {
+            maxId = Math.max(maxId, $keys.decodeKey(row.key)[3]);
+          });
+          return maxId + 1;
+        });
+    })
+    .then(function(id) {
+      changes.put(metaKey, id + (count || 1));
+      return id;
+    });
+}
+
+/**
+ * Places keeps sibling positions contiguous, so after inserting or removing
+ * a child we renumber them all, putting any whose position changed.
+ */
+function renumberSiblings(changes, siblings) {
+  siblings.forEach(function(sibling, position) {
+    if (sibling.position !== position) {
+      sibling.position = position;
+      putBookmark(changes, sibling);
+    }
+  });
+}
+
+/**
+ * Gather a node and all of its descendants (with their real depths).
+ */
+function collectSubtree(db, node) {
+  var nodes = [node];
+  if (!$bookmarks.isContainer(node))
+    return $Q(nodes);
+  return $bookmarks.walkSubtree(db, node, function(kid) {
+    nodes.push(kid);
+  }).then(function() {
+    return nodes;
+  });
+}
+
+/**
+ * Re-read a node from its 'B' row; the caller's copy may be stale (say, a
+ * keyword or tags got set since they fetched it) and we're about to rewrite
+ * the row from it.
+ */
+function refreshNode(db, node) {
+  var key = $keys.bookmarkKey(node.depth, node.parentId, node.id);
+  return $store.getMaybe(db, key).then(function(value) {
+    if (!value)
+      throw new Error('no such bookmark: ' + node.id);
+    return $bookmarks.nodeFromRow({ key: key, value: value });
+  });
+}
+
+function parentOf(node) {
+  return { id: node.parentId, depth: node.depth - 1 };
+}
+
+/**
+ * Record a visit.  `visit` is:
+ * {
+ *   url,
+ *   visitDate, // PRTime; defaults to now
+ *   type, // a $history.TRANSITION_* value; defaults to TRANSITION_LINK
+ *   prevKey, // the key of the visit that led here, if any
+ *   session,
+ *   title // optional; if provided, also updates the page title
+ * }
+ *
+ * Resolves with the visit key.
+ */
+function addVisit(db, visit) {
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    var visitDate = visit.visitDate || nowPRTime();
+    var type = visit.type || $history.TRANSITION_LINK;
+    if (!$keys.isLegalTimestamp(visitDate))
+      return $Q.reject(new Error('addVisit: bad visitDate: ' + visitDate));
+    return $Q.all([loadPlace(db, visit.url), uniqueVisitKey(db, visitDate)])
+      .then(function(results) {
+        var place = results[0], visitKey = results[1];
+        var oldTermRows = placeTermRows(place);
+
+        var info = ensurePlaceInfo(place);
+        info.visitCount++;
+        if (type === $history.TRANSITION_TYPED)
+          info.typed = 1;
+        if (!info.lastVisitDate || visitDate > info.lastVisitDate)
+          info.lastVisitDate = visitDate;
+        if (visit.hasOwnProperty('title'))
+          info.title = visit.title;
+
+        changes.putRows($rows.visitRows(place.reversedHost, place.url, {
+          key: visitKey,
+          prevKey: visit.prevKey || null,
+          type: type,
+          session: visit.session || null
+        }));
+        putPlaceInfo(changes, place);
+        changes.replaceRows(oldTermRows, placeTermRows(place));
+
+        return changes.write(db).then(function() {
+          return visitKey;
+        });
+      });
+  });
+}
+
+/**
+ * Set the title of a page we already know about.
+ */
+function setTitle(db, url, title) {
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    return loadPlace(db, url).then(function(place) {
+      if (!place.info)
+        throw new Error('setTitle: no such place: ' + url);
+      var oldTermRows = placeTermRows(place);
+
+      place.info.title = title;
+
+      putPlaceInfo(changes, place);
+      changes.replaceRows(oldTermRows, placeTermRows(place));
+      return changes.write(db);
+    });
+  });
+}
+
+/**
+ * Add a bookmark (or folder, or separator) to the folder node `parent`.
+ * `info` is:
+ * {
+ *   url, // omit for folders and separators
+ *   title,
+ *   type, // a $bookmarks.TYPE_* value; defaults based on the url
+ *   position // defaults to the end of the folder
+ * }
+ *
+ * Resolves with the node for the new bookmark.
+ */
+function addBookmark(db, parent, info) {
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    var url = info.url || null;
+    return $Q.all([$bookmarks.listChildren(db, parent),
+                   url ? loadPlace(db, url) : null,
+                   allocateBookmarkId(db, changes)])
+      .then(function(results) {
+        var siblings = results[0], place = results[1], id = results[2];
+        var now = nowPRTime();
+        var position = info.hasOwnProperty('position') ?
+                         Math.max(0, Math.min(info.position,
+                                              siblings.length)) :
+                         siblings.length;
+
+        var node = {
+          id: id,
+          parentId: parent.id,
+          depth: parent.depth + 1,
+          url: url,
+          title: info.title || null,
+          tags: null,
+          keyword: null,
+          type: info.type || (url ? $bookmarks.TYPE_BOOKMARK :
+                                    $bookmarks.TYPE_FOLDER),
+          position: position,
+          dateAdded: now,
+          lastModified: now,
+          guid: makeGuid(),
+          annotations: null
+        };
+
+        if (place) {
+          var oldTermRows = placeTermRows(place);
+          node.tags = ensurePlaceInfo(place).tags;
+          place.bookmarks.push(node);
+          putPlaceInfo(changes, place);
+          changes.replaceRows(oldTermRows, placeTermRows(place));
+        }
+
+        siblings.splice(position, 0, node);
+        renumberSiblings(changes, siblings);
+        putBookmark(changes, node);
+
+        return changes.write(db).then(function() {
+          return node;
+        });
+      });
+  });
+}
+
+/**
+ * Move the bookmark `node` (and everything beneath it) into the folder node
+ * `newParent`, at `position` (defaulting to the end).  Since the depth is part
+ * of the 'B' key, the whole subtree gets rewritten if the depth changes.
+ *
+ * Resolves with the updated node.
+ */
+function moveBookmark(db, node, newParent, position) {
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    return refreshNode(db, node)
+      .then(function(freshNode) {
+        node = freshNode;
+        return $Q.all([collectSubtree(db, node),
+                       $bookmarks.listChildren(db, parentOf(node)),
+                       $bookmarks.listChildren(db, newParent)]);
+      })
+      .then(function(results) {
+        var subtree = results[0], oldSiblings = results[1],
+            newSiblings = results[2];
+        var subtreeIds = subtree.map(function(n) { return n.id; });
+        if (node.depth === 0)
+          throw new Error('moveBookmark: cannot move a root');
+        if (newParent.url)
+          throw new Error('moveBookmark: new parent is not a folder');
+        if (subtreeIds.indexOf(newParent.id) !== -1)
+          throw new Error('moveBookmark: cannot move a folder into itself');
+
+        function notNode(sibling) {
+          return sibling.id !== node.id;
+        }
+
+        // - rewrite the subtree at its new depth
+        var depthDelta = newParent.depth + 1 - node.depth;
+        var movedNode = null;
+        subtree.forEach(function(n) {
+          delBookmark(changes, n);
+          var moved = shallowClone(n);
+          moved.depth += depthDelta;
+          if (n.id === node.id) {
+            moved.parentId = newParent.id;
+            moved.lastModified = nowPRTime();
+            movedNode = moved;
+          }
+          putBookmark(changes, moved);
+        });
+
+        // - close the gap in the old parent, open one in the new parent
+        if (newParent.id !== node.parentId)
+          renumberSiblings(changes, oldSiblings.filter(notNode));
+        newSiblings = newSiblings.filter(notNode);
+        if (position === undefined || position === null)
+          position = newSiblings.length;
+        position = Math.max(0, Math.min(position, newSiblings.length));
+        movedNode.position = -1; // force the put in renumberSiblings
+        newSiblings.splice(position, 0, movedNode);
+        renumberSiblings(changes, newSiblings);
+
+        return changes.write(db).then(function() {
+          return movedNode;
+        });
+      });
+  });
+}
+
+/**
+ * Remove the bookmark `node` and everything beneath it.  Tags belong to the
+ * URL and stick around; keywords go away once no bookmark of the URL has
+ * them anymore.
+ */
+function removeBookmark(db, node) {
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    if (node.depth === 0)
+      return $Q.reject(new Error('removeBookmark: cannot remove a root'));
+
+    return refreshNode(db, node)
+      .then(function(freshNode) {
+        node = freshNode;
+        return $Q.all([collectSubtree(db, node),
+                       $bookmarks.listChildren(db, parentOf(node))]);
+      })
+      .then(function(results) {
+        var subtree = results[0], siblings = results[1];
+        var removedIds = subtree.map(function(n) { return n.id; });
+        subtree.forEach(delBookmark.bind(null, changes));
+
+        renumberSiblings(changes, siblings.filter(function(sibling) {
+          return sibling.id !== node.id;
+        }));
+
+        // - fix up the places whose bookmarks went away
+        var urls = [];
+        subtree.forEach(function(n) {
+          if (n.url && urls.indexOf(n.url) === -1)
+            urls.push(n.url);
+        });
+        return $Q.all(urls.map(loadPlace.bind(null, db)))
+          .then(function(places) {
+            places.forEach(function(place) {
+              var oldTermRows = placeTermRows(place);
+              var removed = place.bookmarks.filter(function(b) {
+                return removedIds.indexOf(b.id) !== -1;
+              });
+              place.bookmarks = place.bookmarks.filter(function(b) {
+                return removedIds.indexOf(b.id) === -1;
+              });
+              changes.replaceRows(oldTermRows, placeTermRows(place));
+
+              removed.forEach(function(b) {
+                if (!b.keyword)
+                  return;
+                var stillUsed = place.bookmarks.some(function(other) {
+                  return other.keyword === b.keyword;
+                });
+                if (!stillUsed)
+                  changes.del($keys.keywordKey(b.keyword));
+              });
+            });
+            return changes.write(db);
+          });
+      });
+  });
+}
+
+/**
+ * Retag a loaded place into `changes`; `computeTags` maps the old list of
+ * tags to the new one.  Pass `oldTermRows` if the place has changed since it
+ * was loaded, so we know which 'A' rows the store actually has.
+ */
+function retagPlace(changes, place, computeTags, oldTermRows) {
+  oldTermRows = oldTermRows || placeTermRows(place);
+  var info = ensurePlaceInfo(place);
+  var oldTags = info.tags || [];
+  var newTags = computeTags(oldTags);
+
+  changes.delRows($rows.tagRows(place.url, oldTags));
+  changes.putRows($rows.tagRows(place.url, newTags));
+  info.tags = newTags.length ? newTags : null;
+  place.bookmarks.forEach(function(bookmark) {
+    bookmark.tags = info.tags;
+    putBookmark(changes, bookmark);
+  });
+  putPlaceInfo(changes, place);
+  changes.replaceRows(oldTermRows, placeTermRows(place));
+}
+
+/**
+ * Shared guts of tagURL/untagURL.
+ */
+function retagURL(db, url, computeTags) {
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    return loadPlace(db, url).then(function(place) {
+      retagPlace(changes, place, computeTags);
+      return changes.write(db);
+    });
+  });
+}
+
+/**
+ * Shared guts of mergeTags/deleteTag: retag every URL that has any of
+ * `tags`, all in a single batch.  Resolves with those URLs.
+ */
+function retagTagged(db, tags, computeTags) {
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    return $Q.all(tags.map($tags.urlsForTag.bind(null, db)))
+      .then(function(urlLists) {
+        var urls = [];
+        urlLists.forEach(function(tagUrls) {
+          tagUrls.forEach(function(url) {
+            if (urls.indexOf(url) === -1)
+              urls.push(url);
+          });
+        });
+        return $Q.all(urls.map(loadPlace.bind(null, db)));
+      })
+      .then(function(places) {
+        places.forEach(function(place) {
+          retagPlace(changes, place, computeTags);
+        });
+        return changes.write(db).then(function() {
+          return places.map(function(place) {
+            return place.url;
+          });
+        });
+      });
+  });
+}
+
+/**
+ * Add the given tags (an array of strings) to a URL.
+ */
+function tagURL(db, url, tags) {
+  return retagURL(db, url, function(oldTags) {
+    var newTags = oldTags.slice();
+    tags.forEach(function(tag) {
+      if (newTags.indexOf(tag) === -1)
+        newTags.push(tag);
+    });
+    return newTags;
+  });
+}
+
+/**
+ * Remove the given tags from a URL, or all of its tags if `tags` is omitted.
+ */
+function untagURL(db, url, tags) {
+  return retagURL(db, url, function(oldTags) {
+    if (!tags)
+      return [];
+    return oldTags.filter(function(tag) {
+      return tags.indexOf(tag) === -1;
+    });
+  });
+}
+
+/**
+ * Replace the tags `fromTags` with `toTag` on every URL that has any of them,
+ * which may well already have `toTag` too.  Resolves with the URLs that
+ * changed.
+ */
+function mergeTags(db, fromTags, toTag) {
+  if (!toTag)
+    return $Q.reject(new Error('mergeTags: no tag to merge into'));
+  var merging = fromTags.filter(function(tag) {
+    return tag !== toTag;
+  });
+  return retagTagged(db, merging, function(oldTags) {
+    var newTags = [];
+    oldTags.forEach(function(tag) {
+      if (merging.indexOf(tag) !== -1)
+        tag = toTag;
+      if (newTags.indexOf(tag) === -1)
+        newTags.push(tag);
+    });
+    return newTags;
+  });
+}
+
+/**
+ * Rename a tag everywhere.  If `newTag` is already in use, the two get
+ * merged.  Resolves with the URLs that changed.
+ */
+function renameTag(db, oldTag, newTag) {
+  return mergeTags(db, [oldTag], newTag);
+}
+
+/**
+ * Take a tag off every URL that has it.  Resolves with the URLs that changed.
+ */
+function deleteTag(db, tag) {
+  return retagTagged(db, [tag], function(oldTags) {
+    return oldTags.filter(function(oldTag) {
+      return oldTag !== tag;
+    });
+  });
+}
+
+/**
+ * Set the keyword for a bookmarked URL, or clear it by passing null.
+ * Keywords are stored lowercased (see lib/keywords.js).  Options:
+ * - postData: What the keyword submits by POST, with %s where the search
+ *   terms go; see $keywords.resolveKeyword().
+ * - force: A keyword can only point at one URL, so if it's already in use
+ *   for another one we fail, unless this is set, in which case the other
+ *   URL's bookmarks lose it.
+ */
+function setKeyword(db, url, keyword, options) {
+  options = options || {};
+  if (keyword !== null && keyword !== undefined) {
+    keyword = $keywords.normalizeKeyword(keyword);
+    if (!keyword)
+      return $Q.reject(new Error('setKeyword: empty keyword'));
+  }
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    return $Q.all([loadPlace(db, url),
+                   keyword ? $store.getMaybe(db, $keys.keywordKey(keyword)) :
+                             null])
+      .then(function(results) {
+        var place = results[0],
+            previousUrl = results[1] && results[1].url;
+        if (!place.bookmarks.length)
+          throw new Error('setKeyword: not bookmarked: ' + url);
+        if (previousUrl && previousUrl !== url && !options.force)
+          throw new Error('setKeyword: ' + keyword +
+                          ' is already the keyword for ' + previousUrl);
+
+        place.bookmarks.forEach(function(bookmark) {
+          if (bookmark.keyword && bookmark.keyword !== keyword)
+            changes.del($keys.keywordKey(bookmark.keyword));
+          bookmark.keyword = keyword || null;
+          putBookmark(changes, bookmark);
+        });
+        if (keyword)
+          changes.putRows([$rows.keywordRow(keyword, url, options.postData)]);
+
+        if (!previousUrl || previousUrl === url)
+          return changes.write(db);
+        return $bookmarks.bookmarksForUrl(db, previousUrl)
+          .then(function(previousBookmarks) {
+            previousBookmarks.forEach(function(bookmark) {
+              bookmark.keyword = null;
+              putBookmark(changes, bookmark);
+            });
+            return changes.write(db);
+          });
+      });
+  });
+}
+
+/**
+ * Remove a keyword, from the bookmarks of its URL too.  Resolves with the URL
+ * it was the keyword for, or null if there was no such keyword.
+ */
+function removeKeyword(db, keyword) {
+  keyword = $keywords.normalizeKeyword(keyword);
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    var key = $keys.keywordKey(keyword);
+    return $store.getMaybe(db, key).then(function(entry) {
+      if (!entry)
+        return null;
+      changes.del(key);
+      return $bookmarks.bookmarksForUrl(db, entry.url)
+        .then(function(bookmarks) {
+          bookmarks.forEach(function(bookmark) {
+            if (bookmark.keyword !== keyword)
+              return;
+            bookmark.keyword = null;
+            putBookmark(changes, bookmark);
+          });
+          return changes.write(db);
+        })
+        .then(function() {
+          return entry.url;
+        });
+    });
+  });
+}
+
+/**
+ * Add a tree of bookmarks, as lib/bookmarkfiles.js reads them out of a
+ * bookmarks.html or a JSON backup, in a single batch.  The tree is the
+ * 'places' root with the other roots as its children; each root's children
+ * go at the end of the store's root of the same name, which we create if
+ * the store doesn't have it (so this can fill an empty store, too).  The
+ * bookmarks get new ids but keep their dates and, unless the store already
+ * has them, their GUIDs.
+ *
+ * Tags are added to the URLs' tags.  Bookmarks in the tree's 'tags' root,
+ * which older backups have instead, count as tags too.  A keyword is only
+ * taken if neither it nor the URL already has another one; the rest come
+ * back as `skippedKeywords`.
+ *
+ * Resolves with { bookmarks, folders, separators, skippedKeywords }, the
+ * first three being how many of each we added.
+ */
+function importBookmarks(db, tree) {
+  if (tree.root !== 'places')
+    return $Q.reject(new Error('importBookmarks: not a tree of roots'));
+
+  // - what's in the tree, with the tags root turned into tags
+  var items = [], urls = [], keywords = [], importedTags = {};
+  function gather(item) {
+    items.push(item);
+    if (item.url && urls.indexOf(item.url) === -1)
+      urls.push(item.url);
+    var keyword = $keywords.normalizeKeyword(item.keyword || '');
+    if (keyword && keywords.indexOf(keyword) === -1)
+      keywords.push(keyword);
+    (item.children || []).forEach(gather);
+  }
+  function addTags(url, tags) {
+    if (urls.indexOf(url) === -1)
+      urls.push(url);
+    importedTags[url] = (importedTags[url] || []).concat(tags);
+  }
+  tree.children.forEach(function(root) {
+    if (root.root !== 'tags') {
+      gather(root);
+      return;
+    }
+    (root.children || []).forEach(function(tagFolder) {
+      (tagFolder.children || []).forEach(function(tagged) {
+        if (tagged.url && tagFolder.title)
+          addTags(tagged.url, [tagFolder.title]);
+      });
+    });
+  });
+  items.forEach(function(item) {
+    if (item.url && item.tags)
+      addTags(item.url, item.tags);
+  });
+
+  return serialized(db, function() {
+    var changes = new ChangeSet();
+    return $Q.all([$store.readRange(db, $keys.prefixRange('B')),
+                   $Q.all(urls.map(loadPlace.bind(null, db))),
+                   $Q.all(keywords.map(function(keyword) {
+                     return $store.getMaybe(db, $keys.keywordKey(keyword));
+                   })),
+                   // plus the roots we might have to make, places and
+                   // unfiled, which is more than we need but never less
+                   allocateBookmarkId(db, changes, items.length + 2)])
+      .then(function(results) {
+        var bookmarkRows = results[0], nextId = results[3];
+        var counts = { bookmarks: 0, folders: 0, separators: 0,
+                       skippedKeywords: [] };
+        var now = nowPRTime();
+
+        var placesByUrl = {}, oldTermRows = {}, keywordsByUrl = {};
+        results[1].forEach(function(place) {
+          placesByUrl[place.url] = place;
+          oldTermRows[place.url] = placeTermRows(place);
+          place.bookmarks.forEach(function(bookmark) {
+            if (bookmark.keyword)
+              keywordsByUrl[place.url] = bookmark.keyword;
+          });
+        });
+        var keywordUrls = {};
+        results[2].forEach(function(entry, i) {
+          if (entry)
+            keywordUrls[keywords[i]] = entry.url;
+        });
+
+        // - the store's roots, how many children everything has, and the
+        //   GUIDs we mustn't hand out again
+        var roots = {}, childCounts = {}, guids = {};
+        bookmarkRows.forEach(function(row) {
+          var node = $bookmarks.nodeFromRow(row);
+          if (node.depth === 0)
+            roots[node.title] = node;
+          childCounts[node.parentId] = (childCounts[node.parentId] || 0) + 1;
+          guids[node.guid] = true;
+        });
+
+        function guidFor(item) {
+          var guid = item.guid;
+          if (!guid || guids[guid])
+            guid = makeGuid();
+          guids[guid] = true;
+          return guid;
+        }
+
+        function addNode(item, depth, parentId, position) {
+          var node = {
+            id: nextId++,
+            parentId: parentId,
+            depth: depth,
+            url: item.url || null,
+            title: item.title || null,
+            tags: null,
+            keyword: null,
+            type: item.type,
+            position: position,
+            dateAdded: item.dateAdded || now,
+            lastModified: item.lastModified || item.dateAdded || now,
+            guid: guidFor(item),
+            annotations: item.annotations || null
+          };
+          putBookmark(changes, node);
+          return node;
+        }
+
+        // `item` is the tree's root of that name, if it has one
+        function rootNode(name, item) {
+          if (roots[name])
+            return roots[name];
+          // the root of roots has no parent, which the converter calls 0
+          var places = name === 'places' ? null : rootNode('places');
+          var parentId = places ? places.id : 0;
+          var position = childCounts[parentId] || 0;
+          childCounts[parentId] = position + 1;
+          roots[name] = addNode({
+            type: $bookmarks.TYPE_FOLDER,
+            title: name,
+            annotations: item && item.annotations,
+            dateAdded: item && item.dateAdded,
+            lastModified: item && item.lastModified,
+            guid: $bookmarks.ROOT_GUIDS[name]
+          }, 0, parentId, position);
+          return roots[name];
+        }
+
+        function addKids(parent, item) {
+          (item.children || []).forEach(function(kid) {
+            var position = childCounts[parent.id] || 0;
+            childCounts[parent.id] = position + 1;
+            var node = addNode(kid, parent.depth + 1, parent.id, position);
+            if (node.url) {
+              counts.bookmarks++;
+              placesByUrl[node.url].bookmarks.push(node);
+              var keyword = $keywords.normalizeKeyword(kid.keyword || '');
+              if (keyword)
+                takeKeyword(keyword, node, kid.postData);
+            }
+            else if ($bookmarks.isContainer(node)) {
+              counts.folders++;
+              addKids(node, kid);
+            }
+            else {
+              counts.separators++;
+            }
+          });
+        }
+
+        function takeKeyword(keyword, node, postData) {
+          var url = node.url, current = keywordsByUrl[url];
+          if (current === keyword)
+            return;
+          if (current || (keywordUrls[keyword] &&
+                          keywordUrls[keyword] !== url)) {
+            counts.skippedKeywords.push({ keyword: keyword, url: url });
+            return;
+          }
+          keywordUrls[keyword] = url;
+          keywordsByUrl[url] = keyword;
+          changes.putRows([$rows.keywordRow(keyword, url, postData)]);
+        }
+
+        rootNode('places', tree);
+        tree.children.forEach(function(root) {
+          if (root.root === 'tags')
+            return;
+          // anything that isn't a root we know of goes in unfiled
+          if ($bookmarks.ROOT_GUIDS.hasOwnProperty(root.root))
+            addKids(rootNode(root.root, root), root);
+          else
+            addKids(rootNode('unfiled'), { children: [root] });
+        });
+
+        // - and now everything that hangs off the URLs
+        urls.forEach(function(url) {
+          var place = placesByUrl[url];
+          place.bookmarks.forEach(function(bookmark) {
+            bookmark.keyword = keywordsByUrl[url] || null;
+          });
+          retagPlace(changes, place, function(oldTags) {
+            var newTags = oldTags.slice();
+            (importedTags[url] || []).forEach(function(tag) {
+              if (newTags.indexOf(tag) === -1)
+                newTags.push(tag);
+            });
+            return newTags;
+          }, oldTermRows[url]);
+        });
+
+        return changes.write(db).then(function() {
+          return counts;
+        });
+      });
+  });
+}
+
+function shallowClone(obj) {
+  var clone = {};
+  for (var key in obj) {
+    clone[key] = obj[key];
+  }
+  return clone;
+}
+
+exports.ChangeSet = ChangeSet;
+exports.serialized = serialized;
+exports.loadPlace = loadPlace;
+exports.placeTermRows = placeTermRows;
+exports.addVisit = addVisit;
+exports.setTitle = setTitle;
+exports.addBookmark = addBookmark;
+exports.moveBookmark = moveBookmark;
+exports.removeBookmark = removeBookmark;
+exports.tagURL = tagURL;
+exports.untagURL = untagURL;
+exports.mergeTags = mergeTags;
+exports.renameTag = renameTag;
+exports.deleteTag = deleteTag;
+exports.setKeyword = setKeyword;
+exports.removeKeyword = removeKeyword;
+exports.importBookmarks = importBookmarks;
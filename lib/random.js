@@ -0,0 +1,43 @@
+/**
+ * Seeded random numbers, for the things that need to be random but also
+ * reproducible: the benchmark's query sets and the synthetic profiles.
+ **/
+
+/**
+ * A seeded random number generator (mulberry32) returning [0, 1) like
+ * Math.random.
+ */
+function makeRandom(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * An integer in [0, below).
+ */
+function randomInt(random, below) {
+  return Math.floor(random() * below);
+}
+
+/**
+ * An integer in [0, below) favoring the low end, the way a few sites get
+ * most of the visits: the bigger `skew`, the more so.
+ */
+function skewedInt(random, below, skew) {
+  return Math.floor(Math.pow(random(), skew) * below);
+}
+
+function pick(random, array) {
+  return array[randomInt(random, array.length)];
+}
+
+exports.makeRandom = makeRandom;
+exports.randomInt = randomInt;
+exports.skewedInt = skewedInt;
+exports.pick = pick;
@@ -0,0 +1,328 @@
+/**
+ * Putting namespaces in databases of their own.  Everything lives in one
+ * LevelDB by default, which means the awesomebar's 'A' and 'N' scans and the
+ * 'I' lookups of link coloring share one block cache and evict each other.
+ * A layout splits the namespaces across several LevelDBs, each with its own
+ * cache size and compression:
+ *
+ *   {
+ *     "databases": [
+ *       { "name": "main" },
+ *       { "name": "awesomebar", "namespaces": "AaN", "cacheSize": 32 },
+ *       { "name": "history", "namespaces": "Hh", "compression": false }
+ *     ]
+ *   }
+ *
+ * The first database gets every namespace the others don't list, 'M'
+ * included, and any keys that aren't in a namespace we know about.
+ * cacheSize is in MB; leave it or compression out to get whatever the store
+ * was opened with.  $store.openLevelStore() keeps the layout next to the
+ * databases and hands back a router either way, so nothing reading or
+ * writing a store needs to know how many databases are underneath.
+ *
+ * A router does the handful of things lib/ asks of a levelup: get, put, del,
+ * batch and createReadStream.  A read stream whose range spans databases
+ * reads them one after another, which comes out in key order because a
+ * namespace is never split.  A batch touching several databases is written
+ * as one batch per database, so unlike everything else here it isn't atomic;
+ * check-places-leveldb.js finds what a crash in the middle of one leaves.
+ **/
+
+var $stream = require('stream');
+var $Q = require('q');
+
+var $keys = require('./keys');
+
+var LAYOUT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * Check a layout over, returning one whose databases all have a name, a
+ * string of namespaces (the first database's filled in with the ones nobody
+ * else wanted), and a cacheSize (in MB) and compression that are null if
+ * unset.  Throws an Error saying what's wrong with a bad one.
+ */
+function normalizeLayout(layout) {
+  if (!layout || !Array.isArray(layout.databases) ||
+      !layout.databases.length)
+    throw new Error('layout: no databases');
+
+  var names = {}, owners = {};
+  var databases = layout.databases.map(function(database) {
+    var name = database.name;
+    if (typeof(name) !== 'string' || !LAYOUT_NAME_PATTERN.test(name))
+      throw new Error('layout: bad database name: ' + name);
+    if (names.hasOwnProperty(name))
+      throw new Error('layout: two databases called ' + name);
+    names[name] = true;
+
+    var namespaces = database.namespaces || '';
+    if (Array.isArray(namespaces))
+      namespaces = namespaces.join('');
+    namespaces.split('').forEach(function(namespace) {
+      if (!$keys.SCHEMAS.hasOwnProperty(namespace))
+        throw new Error('layout: unknown namespace: ' + namespace);
+      if (owners.hasOwnProperty(namespace))
+        throw new Error('layout: ' + namespace + ' is in both ' +
+                        owners[namespace] + ' and ' + name);
+      owners[namespace] = name;
+    });
+
+    // null is unset too, so a normalized layout normalizes to itself
+    var cacheSize = isSet(database.cacheSize) ? database.cacheSize : null;
+    if (cacheSize !== null && !(cacheSize > 0))
+      throw new Error('layout: bad cache size for ' + name + ': ' +
+                      cacheSize);
+    return {
+      name: name,
+      namespaces: namespaces,
+      cacheSize: cacheSize,
+      compression: isSet(database.compression) ?
+                     !!database.compression : null
+    };
+  });
+  Object.keys($keys.SCHEMAS).sort().forEach(function(namespace) {
+    if (!owners.hasOwnProperty(namespace))
+      databases[0].namespaces += namespace;
+  });
+  return { databases: databases };
+}
+
+/**
+ * The first character after `ch`.  Every key starting with `ch` is below it.
+ */
+function nextChar(ch) {
+  return String.fromCharCode(ch.charCodeAt(0) + 1);
+}
+
+/**
+ * Cut the key space into [lower, upper) intervals, each wholly in one
+ * database, in key order.  null bounds are unbounded.
+ */
+function keyIntervals(databaseFor, defaultDatabase) {
+  var intervals = [];
+  function add(lower, upper, database) {
+    var last = intervals[intervals.length - 1];
+    if (last && last.database === database)
+      last.upper = upper;
+    else
+      intervals.push({ lower: lower, upper: upper, database: database });
+  }
+
+  var lower = null;
+  Object.keys($keys.SCHEMAS).sort().forEach(function(namespace) {
+    add(lower, namespace, defaultDatabase);
+    add(namespace, nextChar(namespace), databaseFor[namespace]);
+    lower = nextChar(namespace);
+  });
+  add(lower, null, defaultDatabase);
+  return intervals;
+}
+
+/**
+ * The part of a createReadStream range within an interval, or null if they
+ * don't overlap.
+ */
+function clipRange(range, interval) {
+  var clipped = {};
+  for (var key in range) {
+    clipped[key] = range[key];
+  }
+  var low = clipped.hasOwnProperty('gte') ? clipped.gte : clipped.gt;
+  if (interval.lower !== null &&
+      (low === undefined || low < interval.lower)) {
+    delete clipped.gt;
+    clipped.gte = interval.lower;
+  }
+  var high = clipped.hasOwnProperty('lte') ? clipped.lte : clipped.lt;
+  if (interval.upper !== null &&
+      (high === undefined || high >= interval.upper)) {
+    delete clipped.lte;
+    clipped.lt = interval.upper;
+  }
+
+  low = clipped.hasOwnProperty('gte') ? clipped.gte : clipped.gt;
+  high = clipped.hasOwnProperty('lte') ? clipped.lte : clipped.lt;
+  if (low !== undefined && high !== undefined &&
+      (low > high || (low === high && (clipped.hasOwnProperty('gt') ||
+                                       clipped.hasOwnProperty('lt')))))
+    return null;
+  return clipped;
+}
+
+/**
+ * Read `parts` ([{ database, range }]) one after another as one stream,
+ * stopping at `limit` rows in all if there is one.
+ */
+function concatReadStreams(parts, limit) {
+  var current = null, count = 0;
+  var stream = new $stream.Readable({
+    objectMode: true,
+    read: function() {
+      if (current)
+        current.resume();
+      else
+        next();
+    },
+    destroy: function(err, callback) {
+      if (current)
+        current.destroy();
+      current = null;
+      callback(err);
+    }
+  });
+
+  function next() {
+    var part = parts.shift();
+    if (!part || (limit !== undefined && count >= limit)) {
+      stream.push(null);
+      return;
+    }
+    var range = part.range;
+    if (limit !== undefined) {
+      range.limit = limit - count;
+    }
+    current = part.database.db.createReadStream(range);
+    current
+      .on('data', function(data) {
+        count++;
+        if (!stream.push(data))
+          current.pause();
+      })
+      .on('error', function(err) {
+        stream.destroy(err);
+      })
+      .on('end', function() {
+        current = null;
+        next();
+      });
+  }
+
+  return stream;
+}
+
+/**
+ * A batch for a router: one batch per database it touches, written together.
+ */
+function RoutedBatch(router) {
+  this.router = router;
+  this.batches = new Map();
+}
+RoutedBatch.prototype = {
+  batchFor: function(key) {
+    var database = this.router.databaseFor(key);
+    if (!this.batches.has(database))
+      this.batches.set(database, database.db.batch());
+    return this.batches.get(database);
+  },
+
+  put: function(key, value) {
+    this.batchFor(key).put(key, value);
+    return this;
+  },
+
+  del: function(key) {
+    this.batchFor(key).del(key);
+    return this;
+  },
+
+  write: function(callback) {
+    var writes = [];
+    this.batches.forEach(function(batch) {
+      var deferred = $Q.defer();
+      batch.write(deferred.makeNodeResolver());
+      writes.push(deferred.promise);
+    });
+    $Q.all(writes).then(function() {
+      callback(null);
+    }, callback);
+  }
+};
+
+/**
+ * Route the namespaces of one store to its open databases: [{ name, path,
+ * namespaces, cacheSize, compression, db }], the first of which gets the
+ * namespaces the others don't list.  The list is kept as `databases` for
+ * those that need to get at every one of them (like $store.compactStore()).
+ * $store.openLevelStore() sets `settings` to what the store records about
+ * how its keys and rows are built.
+ */
+function Router(databases) {
+  this.databases = databases;
+  this.settings = null;
+  var databaseFor = {};
+  databases.forEach(function(database) {
+    database.namespaces.split('').forEach(function(namespace) {
+      databaseFor[namespace] = database;
+    });
+  });
+  Object.keys($keys.SCHEMAS).forEach(function(namespace) {
+    if (!databaseFor.hasOwnProperty(namespace))
+      databaseFor[namespace] = databases[0];
+  });
+  this.intervals = keyIntervals(databaseFor, databases[0]);
+}
+Router.prototype = {
+  databaseFor: function(key) {
+    for (var i = 0; i < this.intervals.length; i++) {
+      var interval = this.intervals[i];
+      if (interval.upper === null || key < interval.upper)
+        return interval.database;
+    }
+    return this.databases[0];
+  },
+
+  get: function(key, callback) {
+    this.databaseFor(key).db.get(key, callback);
+  },
+
+  put: function(key, value, callback) {
+    this.databaseFor(key).db.put(key, value, callback);
+  },
+
+  del: function(key, callback) {
+    this.databaseFor(key).db.del(key, callback);
+  },
+
+  batch: function() {
+    return new RoutedBatch(this);
+  },
+
+  createReadStream: function(range) {
+    range = range || {};
+    var parts = [];
+    this.intervals.forEach(function(interval) {
+      var clipped = clipRange(range, interval);
+      if (clipped)
+        parts.push({ database: interval.database, range: clipped });
+    });
+    if (range.reverse)
+      parts.reverse();
+    // the usual case, and then we needn't be in the way at all
+    if (parts.length === 1)
+      return parts[0].database.db.createReadStream(range);
+    // levelup takes a limit of -1 to mean none too
+    var limit = range.limit >= 0 ? range.limit : undefined;
+    return concatReadStreams(parts, limit);
+  },
+
+  close: function(callback) {
+    $Q.all(this.databases.map(function(database) {
+      var deferred = $Q.defer();
+      database.db.close(deferred.makeNodeResolver());
+      return deferred.promise;
+    })).then(function() {
+      callback(null);
+    }, callback);
+  }
+};
+
+function createRouter(databases) {
+  return new Router(databases);
+}
+
+exports.normalizeLayout = normalizeLayout;
+exports.createRouter = createRouter;
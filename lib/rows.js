@@ -0,0 +1,413 @@
+/**
+ * Builds the denormalized rows (keys *and* values) for the namespaces
+ * described at the top of convert-places-db.js.  Both the converter and
+ * lib/mutations.js go through here so that a store built in bulk looks exactly
+ * like a store that was built up one mutation at a time.
+ *
+ * Row-producing functions return arrays of { key, value } so the caller can
+ * decide whether to put them or (having computed the rows for the *old*
+ * state of something) delete them.
+ **/
+
+var $url = require('url');
+var $crypto = require('crypto');
+
+var $keys = require('./keys');
+var $tokenizers = require('./tokenizers');
+
+/**
+ * The 'B' value for a bookmark.
+ */
+function bookmarkValue(bookmark) {
+  return {
+    url: bookmark.url,
+    title: bookmark.title,
+    tags: bookmark.tags,
+    keyword: bookmark.keyword,
+    type: bookmark.type,
+    position: bookmark.position,
+    dateAdded: bookmark.dateAdded,
+    lastModified: bookmark.lastModified,
+    guid: bookmark.guid,
+    annotations: bookmark.annotations || null
+  };
+}
+
+/**
+ * The 'B' row for a bookmark and, if it has a URL, its 'b' row.  Folders and
+ * separators have no URL and so only get a 'B' row.
+ */
+function bookmarkRows(depth, bookmark) {
+  var rows = [{
+    key: $keys.bookmarkKey(depth, bookmark.parentId, bookmark.id),
+    value: bookmarkValue(bookmark)
+  }];
+  if (bookmark.url) {
+    rows.push({
+      key: $keys.bookmarkUrlKey(bookmark.url, bookmark.id),
+      value: { parentId: bookmark.parentId, depth: depth }
+    });
+  }
+  return rows;
+}
+
+/**
+ * The 'T' rows for a URL's tags.  Tags belong to the URL, not to any one of
+ * its bookmarks.
+ */
+function tagRows(url, tags) {
+  return (tags || []).map(function(tag) {
+    return { key: $keys.tagKey(tag, url), value: {} };
+  });
+}
+
+/**
+ * The 'K' row for a keyword.  `postData` is for keywords that submit a form
+ * (e.g. a search) by POST rather than in the URL; usually there is none.
+ */
+function keywordRow(keyword, url, postData) {
+  return {
+    key: $keys.keywordKey(keyword),
+    value: { url: url, postData: postData || null }
+  };
+}
+
+/**
+ * Annotation expiration policies (the `expiration` of an annotation), as
+ * nsIAnnotationService has them.
+ */
+var EXPIRE_SESSION = 0,
+    EXPIRE_WEEKS = 2,
+    EXPIRE_MONTHS = 3,
+    EXPIRE_NEVER = 4,
+    EXPIRE_WITH_HISTORY = 5,
+    EXPIRE_DAYS = 6;
+
+var PRTIME_PER_DAY = 86400 * 1000000;
+
+// How long after their last change the time-based policies keep annotations
+// around; these are the nsPlacesExpiration.js numbers.
+var EXPIRE_AFTER_DAYS = {};
+EXPIRE_AFTER_DAYS[EXPIRE_DAYS] = 7;
+EXPIRE_AFTER_DAYS[EXPIRE_WEEKS] = 30;
+EXPIRE_AFTER_DAYS[EXPIRE_MONTHS] = 180;
+
+function clampTimestamp(val) {
+  return Math.max($keys.MIN_TIMESTAMP, Math.min(val, $keys.MAX_TIMESTAMP));
+}
+
+/**
+ * The PRTime at which an annotation expires, or null if it doesn't (or only
+ * goes away along with the page's history).  Session annotations died with
+ * the session that made them, so they are already expired.
+ */
+function annotationExpiresAt(annotation) {
+  if (annotation.expiration === EXPIRE_SESSION)
+    return 0;
+  if (!EXPIRE_AFTER_DAYS.hasOwnProperty(annotation.expiration))
+    return null;
+  var lastChanged = annotation.lastModified || annotation.dateAdded || 0;
+  return clampTimestamp(lastChanged +
+                        EXPIRE_AFTER_DAYS[annotation.expiration] *
+                          PRTIME_PER_DAY);
+}
+
+/**
+ * The 'X' rows for the expiring annotations in an 'I' value.
+ */
+function annotationExpirationRows(reversedHost, url, annotations) {
+  var rows = [];
+  var infoKey = $keys.infoKey(reversedHost, url);
+  for (var name in annotations) {
+    var expireAt = annotationExpiresAt(annotations[name]);
+    if (expireAt !== null) {
+      rows.push({ key: $keys.expirationKey(expireAt, name, infoKey),
+                  value: {} });
+    }
+  }
+  return rows;
+}
+
+/**
+ * The 'X' row for a favicon, if it expires.  Favicon expirations are already
+ * PRTimes.
+ */
+function faviconExpirationRows(hash, expiration) {
+  if (!expiration)
+    return [];
+  return [{
+    key: $keys.expirationKey(clampTimestamp(expiration), '',
+                             $keys.faviconKey(hash)),
+    value: {}
+  }];
+}
+
+/**
+ * Favicons are content-addressed; this is the hash that goes in the 'F' key
+ * and in the 'favicon' field of the 'I' rows that use the icon.
+ */
+function faviconHash(data) {
+  return $crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * The 'F' row for a favicon whose `data` is a Buffer, given its faviconHash,
+ * plus its 'X' row if it expires.  JSON can't hold the bytes as-is, so they
+ * go in as base64.
+ */
+function faviconRows(hash, favicon) {
+  return [{
+    key: $keys.faviconKey(hash),
+    value: {
+      url: favicon.url || null,
+      mimeType: favicon.mimeType || null,
+      expiration: favicon.expiration || 0,
+      data: favicon.data.toString('base64')
+    }
+  }].concat(faviconExpirationRows(hash, favicon.expiration));
+}
+
+/**
+ * The 'I' value for a place.  Anything not provided gets a sane default.
+ */
+function infoValue(place) {
+  return {
+    title: place.title || null,
+    visitCount: place.visitCount || 0,
+    typed: place.typed || 0,
+    frecency: place.frecency || 0,
+    lastVisitDate: place.lastVisitDate || null,
+    guid: place.guid || null,
+    favicon: place.favicon || null, // hash of the 'F' row
+    annotations: place.annotations || null,
+    tags: place.tags || null
+  };
+}
+
+/**
+ * The 'I' row for a place, given its infoValue, plus the 'X' rows for its
+ * expiring annotations.
+ */
+function infoRows(reversedHost, url, info) {
+  return [{ key: $keys.infoKey(reversedHost, url), value: info }]
+    .concat(annotationExpirationRows(reversedHost, url, info.annotations));
+}
+
+/**
+ * The 'H' and 'h' rows for a visit.
+ */
+function visitRows(reversedHost, url, visit) {
+  return [
+    {
+      key: $keys.historyKey(visit.key),
+      value: {
+        url: url,
+        prevKey: visit.prevKey,
+        type: visit.type,
+        session: visit.session,
+      }
+    },
+    {
+      key: $keys.siteHistoryKey(reversedHost, visit.key, url),
+      value: {}
+    }
+  ];
+}
+
+/**
+ * Extract reasonable searchable terms, with the current tokenizer unless you
+ * pass one; see lib/tokenizers.js.
+ */
+function extractTermsForPlace(url, title, bookmarks, tags, tokenizer) {
+  tokenizer = tokenizer || $tokenizers.currentTokenizer();
+  return tokenizer.terms(url, title, bookmarks, tags);
+}
+
+/**
+ * A frecency as the 'A' and 'N' keys can hold it: a whole number from 0 to
+ * $keys.MAX_FRECENCY.  Places gives pages it hasn't worked out yet -1, and
+ * scaled input history use counts can go past the top.
+ */
+function keyFrecency(frecency) {
+  return Math.max(0, Math.min(Math.floor(frecency) || 0,
+                              $keys.MAX_FRECENCY));
+}
+
+/**
+ * What's the shortest prefix we should emit for a given frecency and a
+ * given term length?
+ *
+ * Since this is not really the point of the prototype, the answer is
+ * that we emit *ALL* the prefixes if the frecency is above 10,000.
+ */
+function lowestPrefixToEmitGivenFrecency(frecency, length) {
+  if (frecency > 10000)
+    return 1;
+  return length;
+}
+
+/**
+ * How short the shortest infix (a piece of a term that doesn't start where
+ * the term does) with an 'N' row is; 0 means no 'N' rows at all.  Stores
+ * record this like their tokenizer and $store.openLevelStore() switches to
+ * it, and won't open a store with another while one is open; stores from
+ * before there were 'N' rows have none.
+ */
+var DEFAULT_INFIX_LENGTH = 3;
+var infixLength = 0;
+
+function useInfixLength(length) {
+  infixLength = length;
+}
+
+function currentInfixLength() {
+  return infixLength;
+}
+
+/**
+ * What's the shortest infix we should emit for a term of a given length?  0
+ * for none.  Unlike the shortest prefix, this doesn't depend on frecency.
+ *
+ * Every suffix of the term at least this long gets an 'N' row, so typing the
+ * middle or the end of a term finds it with a bounded scan, the way prefixes
+ * we didn't emit get found.  lowestPrefixToEmitGivenFrecency() then decides
+ * which prefixes of each suffix get a row too, so that those come back in
+ * frecency order.  Emitting everything makes a term of length n cost about
+ * n * n / 2 rows, which is what size-places-leveldb.js is for.
+ */
+function lowestInfixToEmit(length) {
+  if (!infixLength || length <= infixLength)
+    return 0;
+  return infixLength;
+}
+
+/**
+ * The 'A' and 'N' rows derived from a place's own terms.  `place` is:
+ * {
+ *   url,
+ *   reversedHost,
+ *   title,
+ *   frecency,
+ *   bookmarks, // array of objects with a title
+ *   tags // array of strings
+ * }
+ *
+ * These depend on the title, frecency, bookmark titles and tags, so if any of
+ * those change, the old rows need to go and these need to be written.  The
+ * terms come from the current tokenizer unless you pass one.
+ */
+function awesomeTermRows(place, tokenizer) {
+  var rows = [];
+  var frecency = keyFrecency(place.frecency);
+  var parsedUrl = $url.parse(place.url);
+  var terms = extractTermsForPlace(parsedUrl, place.title,
+                                   place.bookmarks || [], place.tags || [],
+                                   tokenizer);
+  /**
+   * Emit rows for the prefixes of `chars` (characters, so we don't split a
+   * surrogate pair) that the frecency calls for, but none shorter than
+   * `shortest`.
+   */
+  function emitPrefixes(makeKey, chars, shortest, term, seen) {
+    var lowestPrefix = Math.max(shortest,
+                                lowestPrefixToEmitGivenFrecency(
+                                  frecency, chars.length));
+    for (var length = chars.length; length >= lowestPrefix; length--) {
+      var magic = chars.slice(0, length).join('');
+      // 'banana' has 'ana' at two places
+      if (seen.hasOwnProperty(magic))
+        continue;
+      seen[magic] = true;
+      rows.push({
+        key: makeKey(magic, frecency, term, place.reversedHost,
+                     parsedUrl.pathname),
+        value: place.url
+      });
+    }
+  }
+
+  terms.forEach(function(term) {
+    var chars = Array.from(term);
+    emitPrefixes($keys.awesomeKey, chars, 1, term, {});
+    var shortestInfix = lowestInfixToEmit(chars.length);
+    if (!shortestInfix)
+      return;
+    var seen = {};
+    for (var start = 1; chars.length - start >= shortestInfix; start++) {
+      emitPrefixes($keys.infixKey, chars.slice(start), shortestInfix, term,
+                   seen);
+    }
+  });
+  return rows;
+}
+
+/**
+ * The 'a' rows and their 'A' rows for a place's input history.  `inputs` maps
+ * typed strings to { useCount }.  These only depend on the input history, not
+ * on the rest of the place.
+ *
+ * What was typed gets folded by the current tokenizer (unless you pass one),
+ * the way lib/awesomebar.js folds queries; if two inputs fold the same, the
+ * one used more wins.
+ */
+function inputHistoryRows(reversedHost, url, inputs, tokenizer) {
+  tokenizer = tokenizer || $tokenizers.currentTokenizer();
+  var rows = [];
+  var pathname = $url.parse(url).pathname;
+  function emitAwesome(magic, term, frecency) {
+    rows.push({
+      key: $keys.awesomeKey(magic, frecency, term, reversedHost, pathname),
+      value: url
+    });
+  }
+
+  var folded = {};
+  for (var input in inputs) {
+    var foldedInput = tokenizer.fold(input);
+    if (foldedInput && (!folded.hasOwnProperty(foldedInput) ||
+                        folded[foldedInput].useCount < inputs[input].useCount))
+      folded[foldedInput] = inputs[input];
+  }
+
+  for (var typed in folded) {
+    var countObj = folded[typed];
+    // my range goes up to about 7, so to scale closer to my frecencies...
+    var inputFrecency = keyFrecency(countObj.useCount * 15000);
+    rows.push({ key: $keys.inputHistoryKey(typed, url), value: countObj });
+    emitAwesome(typed, typed, inputFrecency);
+    var chars = Array.from(typed);
+    if (chars.length >= 2) {
+      var typedPrefix = chars.slice(0, -1).join('');
+      if (!folded.hasOwnProperty(typedPrefix))
+        emitAwesome(typedPrefix, typed, Math.floor(inputFrecency / 2));
+    }
+  }
+  return rows;
+}
+
+exports.bookmarkValue = bookmarkValue;
+exports.bookmarkRows = bookmarkRows;
+exports.tagRows = tagRows;
+exports.keywordRow = keywordRow;
+exports.EXPIRE_SESSION = EXPIRE_SESSION;
+exports.EXPIRE_WEEKS = EXPIRE_WEEKS;
+exports.EXPIRE_MONTHS = EXPIRE_MONTHS;
+exports.EXPIRE_NEVER = EXPIRE_NEVER;
+exports.EXPIRE_WITH_HISTORY = EXPIRE_WITH_HISTORY;
+exports.EXPIRE_DAYS = EXPIRE_DAYS;
+exports.annotationExpiresAt = annotationExpiresAt;
+exports.annotationExpirationRows = annotationExpirationRows;
+exports.faviconExpirationRows = faviconExpirationRows;
+exports.faviconHash = faviconHash;
+exports.faviconRows = faviconRows;
+exports.infoValue = infoValue;
+exports.infoRows = infoRows;
+exports.visitRows = visitRows;
+exports.extractTermsForPlace = extractTermsForPlace;
+exports.lowestPrefixToEmitGivenFrecency = lowestPrefixToEmitGivenFrecency;
+exports.DEFAULT_INFIX_LENGTH = DEFAULT_INFIX_LENGTH;
+exports.useInfixLength = useInfixLength;
+exports.currentInfixLength = currentInfixLength;
+exports.lowestInfixToEmit = lowestInfixToEmit;
+exports.awesomeTermRows = awesomeTermRows;
+exports.inputHistoryRows = inputHistoryRows;
@@ -0,0 +1,389 @@
+/**
+ * Sizing info, which is the stated point of this whole experiment.
+ *
+ * For the LevelDB side we tally, per namespace, how many keys there are and
+ * how many bytes the keys and (JSON-encoded) values take, plus what the store
+ * takes on disk before and after a full compaction.
+ *
+ * For the awesomebar index we can also work out what other tokenizers
+ * (lib/tokenizers.js) would have made of it, from the 'I' and 'B' rows.
+ *
+ * For the SQLite side we use the dbstat virtual table to get the page usage
+ * of each moz_* table (including its indexes).  If this SQLite wasn't built
+ * with dbstat, we fall back to row counts and the database's total page
+ * count.
+ **/
+
+var $fs = require('fs');
+var $path = require('path');
+var $sqlite = require('sqlite3');
+var $Q = require('q');
+
+var $keys = require('./keys');
+var $rows = require('./rows');
+var $store = require('./store');
+var $tokenizers = require('./tokenizers');
+
+var NAMESPACES = ['B', 'b', 'K', 'T', 'H', 'h', 'I', 'A', 'a', 'N', 'F', 'X',
+                  'M'];
+
+/**
+ * The moz_* tables whose information each namespace (roughly) holds, so the
+ * two sides of the report can be set next to each other.
+ */
+var NAMESPACE_TABLES = {
+  B: ['moz_bookmarks', 'moz_bookmarks_roots'],
+  b: ['moz_bookmarks'],
+  K: ['moz_keywords'],
+  T: ['moz_bookmarks'],
+  H: ['moz_historyvisits'],
+  h: ['moz_historyvisits'],
+  I: ['moz_places', 'moz_annos', 'moz_anno_attributes'],
+  A: ['moz_places'],
+  a: ['moz_inputhistory'],
+  N: ['moz_places'],
+  F: ['moz_favicons']
+};
+
+function emptyNamespaceStats() {
+  return {
+    keys: 0,
+    keyBytes: 0,
+    valueBytes: 0,
+    avgKeyBytes: 0,
+    avgValueBytes: 0
+  };
+}
+
+/**
+ * Tally keys and bytes per namespace.  Resolves with an object keyed by
+ * namespace; every namespace in NAMESPACES is present even if empty, plus any
+ * others we happen to find.
+ */
+function namespaceStats(db) {
+  var stats = {};
+  NAMESPACES.forEach(function(namespace) {
+    stats[namespace] = emptyNamespaceStats();
+  });
+
+  return $store.forEachRow(db, {}, function(row) {
+    var namespace = $keys.decodeKey(row.key)[0];
+    var nsStats = stats[namespace];
+    if (!nsStats)
+      nsStats = stats[namespace] = emptyNamespaceStats();
+    nsStats.keys++;
+    nsStats.keyBytes += Buffer.byteLength(row.key, 'utf8');
+    // this is how encoding-down stores the values
+    nsStats.valueBytes += Buffer.byteLength(JSON.stringify(row.value),
+                                            'utf8');
+  }).then(function() {
+    for (var namespace in stats) {
+      var nsStats = stats[namespace];
+      if (nsStats.keys) {
+        nsStats.avgKeyBytes = nsStats.keyBytes / nsStats.keys;
+        nsStats.avgValueBytes = nsStats.valueBytes / nsStats.keys;
+      }
+    }
+    return stats;
+  });
+}
+
+/**
+ * How many 'A' term rows and 'N' infix rows (and key bytes of both, and
+ * distinct terms) each of the tokenizers named by `specs` makes for the
+ * places in the store, with the store's infix length, worked out from the
+ * titles, frecencies and tags in the 'I' rows and the bookmark titles in the
+ * 'B' rows.  Input history rows aren't counted; they come out about the same
+ * whatever the tokenizer.  Resolves with:
+ * { tokenizerName: { places, terms, rows, infixRows, keyBytes } }
+ */
+function tokenizerStats(db, specs) {
+  var tokenizers = [], stats = {}, termSets = {};
+  specs.forEach(function(spec) {
+    var tokenizer = $tokenizers.getTokenizer(spec);
+    // 'unicode' and 'unicode:en' are the same thing
+    if (stats.hasOwnProperty(tokenizer.name))
+      return;
+    tokenizers.push(tokenizer);
+    stats[tokenizer.name] = { places: 0, terms: 0, rows: 0, infixRows: 0,
+                              keyBytes: 0 };
+    termSets[tokenizer.name] = new Set();
+  });
+
+  var bookmarksByUrl = new Map();
+  return $store.forEachRow(db, $keys.prefixRange('B'), function(row) {
+      if (!row.value.url || !row.value.title)
+        return;
+      if (!bookmarksByUrl.has(row.value.url))
+        bookmarksByUrl.set(row.value.url, []);
+      bookmarksByUrl.get(row.value.url).push({ title: row.value.title });
+    })
+    .then(function() {
+      return $store.forEachRow(db, $keys.prefixRange('I'), function(row) {
+        var parts = $keys.decodeKey(row.key);
+        var place = {
+          url: parts[2],
+          reversedHost: parts[1],
+          title: row.value.title,
+          frecency: row.value.frecency,
+          bookmarks: bookmarksByUrl.get(parts[2]) || [],
+          tags: row.value.tags
+        };
+        tokenizers.forEach(function(tokenizer) {
+          var counts = stats[tokenizer.name];
+          var terms = termSets[tokenizer.name];
+          counts.places++;
+          $rows.awesomeTermRows(place, tokenizer).forEach(function(termRow) {
+            var parts = $keys.decodeKey(termRow.key);
+            if (parts[0] === 'N')
+              counts.infixRows++;
+            else
+              counts.rows++;
+            counts.keyBytes += Buffer.byteLength(termRow.key, 'utf8');
+            terms.add(parts[3]);
+          });
+        });
+      });
+    })
+    .then(function() {
+      for (var name in stats) {
+        stats[name].terms = termSets[name].size;
+      }
+      return stats;
+    });
+}
+
+/**
+ * Total size of the files in a (LevelDB) directory, and in its
+ * subdirectories, where a store of several databases keeps them.
+ */
+function directorySize(dirPath) {
+  return $fs.readdirSync(dirPath).reduce(function(total, name) {
+    var filePath = $path.join(dirPath, name);
+    var stat = $fs.statSync(filePath);
+    if (stat.isDirectory())
+      return total + directorySize(filePath);
+    return total + (stat.isFile() ? stat.size : 0);
+  }, 0);
+}
+
+/**
+ * What's on disk for each database of a store split across several (see
+ * lib/router.js), or null for a store of one.
+ */
+function databaseSizes(ldbPath) {
+  var layout = $store.readLayout(ldbPath);
+  if (!layout)
+    return null;
+  return layout.databases.map(function(database) {
+    return {
+      name: database.name,
+      namespaces: database.namespaces,
+      bytes: directorySize($path.join(ldbPath, database.name))
+    };
+  });
+}
+
+function sqliteAll(sdb, sql) {
+  var deferred = $Q.defer();
+  sdb.all(sql, function(err, rows) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve(rows);
+  });
+  return deferred.promise;
+}
+
+/**
+ * Page usage for the moz_* tables in a places.sqlite.  Resolves with:
+ * {
+ *   method, // 'dbstat' or 'pagecount'
+ *   pageSize,
+ *   totalPages,
+ *   fileBytes,
+ *   tables: {
+ *     tableName: {
+ *       rows,
+ *       pages, // table plus its indexes; null without dbstat
+ *       bytes // ditto
+ *     }
+ *   }
+ * }
+ */
+function sqliteStats(sqlitePath) {
+  var deferred = $Q.defer();
+  var sdb = new $sqlite.Database(sqlitePath, $sqlite.OPEN_READONLY, onOpen);
+  function onOpen(err) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve(sdb);
+  }
+
+  var report = {
+    method: null,
+    pageSize: 0,
+    totalPages: 0,
+    fileBytes: $fs.statSync(sqlitePath).size,
+    tables: {}
+  };
+  var tableForObject = {};
+
+  return deferred.promise
+    .then(function() {
+      return $Q.all([sqliteAll(sdb, 'PRAGMA page_size'),
+                     sqliteAll(sdb, 'PRAGMA page_count'),
+                     sqliteAll(sdb,
+                               'SELECT name, tbl_name FROM sqlite_master ' +
+                               "WHERE tbl_name LIKE 'moz_%'")]);
+    })
+    .then(function(results) {
+      report.pageSize = results[0][0].page_size;
+      report.totalPages = results[1][0].page_count;
+      results[2].forEach(function(row) {
+        tableForObject[row.name] = row.tbl_name;
+        if (!report.tables[row.tbl_name]) {
+          report.tables[row.tbl_name] =
+            { rows: 0, pages: null, bytes: null };
+        }
+      });
+
+      return $Q.all(Object.keys(report.tables).map(function(table) {
+        return sqliteAll(sdb, 'SELECT COUNT(*) AS count FROM ' + table)
+          .then(function(rows) {
+            report.tables[table].rows = rows[0].count;
+          });
+      }));
+    })
+    .then(function() {
+      return sqliteAll(sdb, 'SELECT name, COUNT(*) AS pages, ' +
+                            'SUM(pgsize) AS bytes FROM dbstat GROUP BY name')
+        .then(function(rows) {
+          report.method = 'dbstat';
+          rows.forEach(function(row) {
+            var table = report.tables[tableForObject[row.name]];
+            if (!table)
+              return;
+            table.pages = (table.pages || 0) + row.pages;
+            table.bytes = (table.bytes || 0) + row.bytes;
+          });
+        }, function() {
+          // no dbstat in this build; row counts will have to do
+          report.method = 'pagecount';
+        });
+    })
+    .finally(function() {
+      sdb.close();
+    })
+    .then(function() {
+      return report;
+    });
+}
+
+/**
+ * Put it all together.  Options:
+ * - ldbPath: the LevelDB store; defaults to $store.DEFAULT_PATH.
+ * - sqlitePath: the places.sqlite to compare against; skipped if falsey.
+ * - compact: whether to compact and measure again; defaults to true.
+ * - tokenizers: tokenizer specs to compare the store's own tokenizer with;
+ *   see tokenizerStats().  Skipped if not given.
+ *
+ * Resolves with:
+ * {
+ *   keyCodec, // see lib/codec.js
+ *   tokenizer, // see lib/tokenizers.js
+ *   infixLength, // see $rows.useInfixLength()
+ *   tokenizers: see tokenizerStats(), with the store's tokenizer first, or
+ *     null
+ *   namespaces: { namespace: { keys, keyBytes, valueBytes, avgKeyBytes,
+ *                              avgValueBytes, tables } },
+ *   leveldb: {
+ *     bytesBefore,
+ *     bytesAfter, // null if not compacted
+ *     databases: [{ name, namespaces, bytesBefore, bytesAfter }] for a store
+ *       of several databases, else null
+ *   },
+ *   sqlite: see sqliteStats(), or null
+ * }
+ */
+function sizingReport(options) {
+  options = options || {};
+  var ldbPath = options.ldbPath || $store.DEFAULT_PATH;
+  var compact = options.hasOwnProperty('compact') ? options.compact : true;
+  var report = {
+    keyCodec: null,
+    tokenizer: null,
+    infixLength: 0,
+    tokenizers: null,
+    namespaces: null,
+    leveldb: { bytesBefore: null, bytesAfter: null, databases: null },
+    sqlite: null
+  };
+
+  // inside the chain, so a store that isn't there rejects rather than throws
+  return $Q()
+    .then(function() {
+      if (!$fs.existsSync(ldbPath))
+        throw new Error('sizingReport: ' + ldbPath + ' does not exist');
+      report.leveldb.bytesBefore = directorySize(ldbPath);
+      var databases = databaseSizes(ldbPath);
+      if (databases) {
+        report.leveldb.databases = databases.map(function(database) {
+          return { name: database.name, namespaces: database.namespaces,
+                   bytesBefore: database.bytes, bytesAfter: null };
+        });
+      }
+      return $store.openLevelStore(ldbPath);
+    })
+    .then(function(db) {
+      report.keyCodec = db.settings.keyCodec;
+      report.tokenizer = db.settings.tokenizer;
+      report.infixLength = db.settings.infixLength;
+      return namespaceStats(db)
+        .then(function(stats) {
+          for (var namespace in stats) {
+            stats[namespace].tables = NAMESPACE_TABLES[namespace] || [];
+          }
+          report.namespaces = stats;
+          if (!options.tokenizers)
+            return null;
+          return tokenizerStats(db, [report.tokenizer]
+                                      .concat(options.tokenizers))
+            .then(function(stats) {
+              report.tokenizers = stats;
+            });
+        })
+        .then(function() {
+          if (compact)
+            return $store.compactStore(db);
+          return null;
+        })
+        .finally(function() {
+          return $store.closeLevelStore(db);
+        });
+    })
+    .then(function() {
+      if (compact) {
+        report.leveldb.bytesAfter = directorySize(ldbPath);
+        (databaseSizes(ldbPath) || []).forEach(function(database, i) {
+          report.leveldb.databases[i].bytesAfter = database.bytes;
+        });
+      }
+      if (options.sqlitePath)
+        return sqliteStats(options.sqlitePath);
+      return null;
+    })
+    .then(function(sqliteReport) {
+      report.sqlite = sqliteReport;
+      return report;
+    });
+}
+
+exports.NAMESPACES = NAMESPACES;
+exports.NAMESPACE_TABLES = NAMESPACE_TABLES;
+exports.namespaceStats = namespaceStats;
+exports.tokenizerStats = tokenizerStats;
+exports.directorySize = directorySize;
+exports.sqliteStats = sqliteStats;
+exports.sizingReport = sizingReport;
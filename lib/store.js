@@ -0,0 +1,486 @@
+/**
+ * Opening the store (one LevelDB, or several behind a lib/router.js router)
+ * and the handful of read helpers that everything built on top of it wants.
+ **/
+
+var $fs = require('fs');
+var $path = require('path');
+var $levelup = require('levelup');
+var $leveldown = require('leveldown');
+var $encodingDown = require('encoding-down');
+var $Q = require('q');
+
+var $codec = require('./codec');
+var $keys = require('./keys');
+var $router = require('./router');
+var $rows = require('./rows');
+var $tokenizers = require('./tokenizers');
+
+var DEFAULT_PATH = 'leveldb-places.ldb';
+
+/**
+ * Where a store split across several databases keeps its layout.
+ */
+var LAYOUT_FILE = 'layout.json';
+
+/**
+ * The stores openLevelStore() has open.  How keys and rows get built (the key
+ * codec and so on) is process-wide, so these all have the same `settings`;
+ * opening a store with others would change what the open ones' mutations
+ * think their rows look like.
+ */
+var openStores = new Set();
+
+/**
+ * The settings a store records, as `settings` on the router openLevelStore()
+ * resolves with and as we describe them when they clash.
+ */
+var SETTING_NAMES = {
+  keyCodec: 'key codec',
+  tokenizer: 'tokenizer',
+  infixLength: 'infix length'
+};
+
+/**
+ * Open an existing store for reading (and writing, if you insist).  Options
+ * are passed through to LevelDB; by default we will not create the store if
+ * it is missing because readers pointed at an empty directory are confusing.
+ *
+ * What you get back is a lib/router.js router over the store's databases:
+ * just the one at `path` unless the store has a layout, in which case
+ * they're the directories named after its databases beside `path`'s
+ * layout.json.  `options.layout` gives a store you're creating one; its
+ * databases' cacheSize and compression win over `options`'.
+ *
+ * We also switch $keys over to the key codec the store was written with.
+ * Stores from before there was a choice are 'decimal'.  If you pass
+ * `options.keyCodec` and the store hasn't recorded one yet (i.e. you are
+ * creating it), we record yours; if it has and it's different, we fail.  We
+ * also fail if another store that's open uses a different one.
+ *
+ * The same goes for the tokenizer (lib/tokenizers.js) and
+ * `options.tokenizer`, except that stores from before there was a choice are
+ * 'legacy', and for the shortest infix with an 'N' row
+ * ($rows.useInfixLength()) and `options.infixLength`, where they have none.
+ */
+function openLevelStore(path, options) {
+  path = path || DEFAULT_PATH;
+  options = options || {};
+
+  var databases;
+  try {
+    databases = storeDatabases(path, options);
+  }
+  catch (ex) {
+    return $Q.reject(ex);
+  }
+
+  return openDatabases(databases, options).then(function() {
+    var db = $router.createRouter(databases);
+    var settings = {}, unrecorded = [];
+    return storeCodec(db, options.keyCodec, unrecorded)
+      .then(function(keyCodec) {
+        settings.keyCodec = keyCodec;
+        return storeTokenizer(db, options.tokenizer, unrecorded);
+      })
+      .then(function(tokenizer) {
+        settings.tokenizer = tokenizer;
+        return storeInfixLength(db, options.infixLength, unrecorded);
+      })
+      .then(function(infixLength) {
+        settings.infixLength = infixLength;
+        useStoreSettings(path, db, settings);
+        return recordSettings(db, unrecorded);
+      })
+      .then(function() {
+        return db;
+      }, function(err) {
+        return closeLevelStore(db).then(function() {
+          throw err;
+        });
+      });
+  });
+}
+
+/**
+ * The layout of the store at `path`, or null if it's a single LevelDB (which
+ * is every store from before there was a choice).
+ */
+function readLayout(path) {
+  var layoutPath = $path.join(path, LAYOUT_FILE);
+  if (!$fs.existsSync(layoutPath))
+    return null;
+  return $router.normalizeLayout(
+    JSON.parse($fs.readFileSync(layoutPath, 'utf8')));
+}
+
+/**
+ * The databases openLevelStore() should open, as the router wants them
+ * (without their `db` yet), writing out `options.layout` if we're creating
+ * the store with one.
+ */
+function storeDatabases(path, options) {
+  var layout = readLayout(path);
+  if (options.layout) {
+    var wanted = $router.normalizeLayout(options.layout);
+    if (layout && JSON.stringify(layout) !== JSON.stringify(wanted))
+      throw new Error(path + ' has a different layout');
+    if (!layout && options.createIfMissing) {
+      $fs.mkdirSync(path, { recursive: true });
+      $fs.writeFileSync($path.join(path, LAYOUT_FILE),
+                        JSON.stringify(wanted, null, 2) + '\n');
+    }
+    layout = wanted;
+  }
+
+  var defaults = {
+    cacheSize: options.cacheSize || 8 * 1024 * 1024, // the default
+    compression: options.hasOwnProperty('compression') ?
+                   options.compression : true
+  };
+  if (!layout) {
+    return [{ name: null, path: path, namespaces: '',
+              cacheSize: defaults.cacheSize,
+              compression: defaults.compression }];
+  }
+  return layout.databases.map(function(database) {
+    return {
+      name: database.name,
+      path: $path.join(path, database.name),
+      namespaces: database.namespaces,
+      cacheSize: database.cacheSize !== null ?
+                   database.cacheSize * 1024 * 1024 : defaults.cacheSize,
+      compression: database.compression !== null ?
+                     database.compression : defaults.compression
+    };
+  });
+}
+
+/**
+ * Open each of storeDatabases()'s databases in turn, setting its `db`.  If
+ * one won't open, we close the ones that did.
+ */
+function openDatabases(databases, options) {
+  var opened = [];
+  return databases.reduce(function(previous, database) {
+    return previous.then(function() {
+      return openDatabase(database, options);
+    }).then(function(db) {
+      database.db = db;
+      opened.push(db);
+    });
+  }, $Q()).catch(function(err) {
+    return $Q.all(opened.map(function(db) {
+      var deferred = $Q.defer();
+      db.close(deferred.makeNodeResolver());
+      return deferred.promise;
+    })).then(function() {
+      throw err;
+    });
+  });
+}
+
+function openDatabase(database, options) {
+  var deferred = $Q.defer();
+  $levelup(
+    $encodingDown($leveldown(database.path),
+                  { keyEncoding: 'utf8', valueEncoding: 'json' }),
+    {
+      createIfMissing: !!options.createIfMissing,
+      errorIfExists: !!options.errorIfExists,
+      compression: database.compression,
+      cacheSize: database.cacheSize
+    },
+    function(err, db) {
+      if (err) {
+        console.error('LevelDB open error:', err);
+        deferred.reject(err);
+        return;
+      }
+
+      deferred.resolve(db);
+    });
+  return deferred.promise;
+}
+
+/**
+ * Resolve with the key codec the store uses, adding the row recording
+ * `wantedCodec` to `unrecorded` if the store has yet to record one.
+ */
+function storeCodec(db, wantedCodec, unrecorded) {
+  var key = $keys.metaKey($keys.KEY_CODEC_META);
+  return getMaybe(db, key).then(function(storedCodec) {
+    if (storedCodec) {
+      if (wantedCodec && wantedCodec !== storedCodec)
+        throw new Error('store uses the ' + storedCodec + ' key codec, not ' +
+                        wantedCodec);
+      return storedCodec;
+    }
+
+    if (!wantedCodec)
+      return $codec.DEFAULT_CODEC;
+    unrecorded.push({ key: key, value: wantedCodec });
+    return wantedCodec;
+  });
+}
+
+/**
+ * Make the store's settings the ones everything builds keys and rows with,
+ * unless a store with different ones is open.
+ */
+function useStoreSettings(path, db, settings) {
+  openStores.forEach(function(other) {
+    for (var name in settings) {
+      if (other.settings[name] !== settings[name])
+        throw new Error(path + ' uses the ' + settings[name] + ' ' +
+                        SETTING_NAMES[name] + ', but a store using the ' +
+                        other.settings[name] + ' one is open');
+    }
+  });
+  $keys.useCodec(settings.keyCodec);
+  $tokenizers.useTokenizer(settings.tokenizer);
+  $rows.useInfixLength(settings.infixLength);
+  db.settings = settings;
+  openStores.add(db);
+}
+
+function recordSettings(db, unrecorded) {
+  return $Q.all(unrecorded.map(function(row) {
+    var deferred = $Q.defer();
+    db.put(row.key, row.value, deferred.makeNodeResolver());
+    return deferred.promise;
+  }));
+}
+
+/**
+ * Resolve with the full name of the tokenizer the store uses, adding the row
+ * recording `wantedTokenizer` to `unrecorded` if the store has yet to record
+ * one.
+ */
+function storeTokenizer(db, wantedTokenizer, unrecorded) {
+  var key = $keys.metaKey($keys.TOKENIZER_META);
+  return getMaybe(db, key).then(function(storedTokenizer) {
+    if (storedTokenizer) {
+      if (wantedTokenizer &&
+          $tokenizers.getTokenizer(wantedTokenizer).name !== storedTokenizer)
+        throw new Error('store uses the ' + storedTokenizer +
+                        ' tokenizer, not ' + wantedTokenizer);
+      return storedTokenizer;
+    }
+
+    if (!wantedTokenizer)
+      return 'legacy';
+    // record the full name, so 'unicode' is 'unicode:en' for good
+    var name = $tokenizers.getTokenizer(wantedTokenizer).name;
+    unrecorded.push({ key: key, value: name });
+    return name;
+  });
+}
+
+/**
+ * Resolve with the shortest infix the store has 'N' rows for, adding the row
+ * recording `wantedLength` to `unrecorded` if the store has yet to record
+ * one.
+ */
+function storeInfixLength(db, wantedLength, unrecorded) {
+  var key = $keys.metaKey($keys.INFIX_LENGTH_META);
+  var wanted = wantedLength !== undefined && wantedLength !== null;
+  return getMaybe(db, key).then(function(storedLength) {
+    // 0 is a perfectly good answer, so no truthiness here
+    if (storedLength !== null) {
+      if (wanted && wantedLength !== storedLength)
+        throw new Error('store has infixes of ' + storedLength +
+                        ' characters and up, not ' + wantedLength);
+      return storedLength;
+    }
+
+    if (!wanted)
+      return 0;
+    unrecorded.push({ key: key, value: wantedLength });
+    return wantedLength;
+  });
+}
+
+function closeLevelStore(db) {
+  openStores.delete(db);
+  var deferred = $Q.defer();
+  db.close(function(err) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve();
+  });
+  return deferred.promise;
+}
+
+/**
+ * Compact the entire key range of every database, so that what's on disk
+ * reflects what's actually in the store.
+ */
+function compactStore(db) {
+  return db.databases.reduce(function(previous, database) {
+    return previous.then(function() {
+      var deferred = $Q.defer();
+      // levelup doesn't expose this, but the store underneath it does
+      database.db.db.compactRange('\0', '\uffff',
+                                  deferred.makeNodeResolver());
+      return deferred.promise;
+    });
+  }, $Q());
+}
+
+/**
+ * Whether `path` looks like a store, of one database or several.
+ */
+function isStore(path) {
+  return $fs.existsSync($path.join(path, 'CURRENT')) ||
+         $fs.existsSync($path.join(path, LAYOUT_FILE));
+}
+
+/**
+ * The directories of the LevelDBs making up the store at `path`.
+ */
+function databasePaths(path) {
+  var layout = readLayout(path);
+  if (!layout)
+    return [path];
+  return layout.databases.map(function(database) {
+    return $path.join(path, database.name);
+  });
+}
+
+/**
+ * Run `fn(databasePath, callback)` on each of a store's databases in turn.
+ */
+function forEachDatabase(path, fn) {
+  return databasePaths(path).reduce(function(previous, databasePath) {
+    return previous.then(function() {
+      var deferred = $Q.defer();
+      fn(databasePath, deferred.makeNodeResolver());
+      return deferred.promise;
+    });
+  }, $Q());
+}
+
+/**
+ * Delete a store (which isStore() had better say it is), layout and all.
+ */
+function destroyStore(path) {
+  var layout = readLayout(path);
+  return forEachDatabase(path, $leveldown.destroy).then(function() {
+    if (!layout)
+      return;
+    $fs.unlinkSync($path.join(path, LAYOUT_FILE));
+    $fs.rmdirSync(path);
+  });
+}
+
+/**
+ * Run LevelDB's repair on each of a store's databases.  Anything it can't make
+ * sense of ends up in the lost/ subdirectory of the database it was in.
+ */
+function repairStore(path) {
+  return forEachDatabase(path, $leveldown.repair);
+}
+
+/**
+ * Read all of the { key, value } rows in a range into an array.  The range is
+ * anything createReadStream understands; usually the result of
+ * $keys.prefixRange() plus maybe a limit.
+ *
+ * If you provide a `filter` function, rows it rejects are not kept and do not
+ * count against `options.limit`, which we then enforce ourselves.
+ */
+function readRange(db, range, filter) {
+  var deferred = $Q.defer();
+  var rows = [];
+  var limit = -1;
+  if (filter && range.hasOwnProperty('limit')) {
+    limit = range.limit;
+    range = shallowClone(range);
+    delete range.limit;
+  }
+
+  var stream = db.createReadStream(range);
+  stream
+    .on('data', function(data) {
+      if (filter && !filter(data))
+        return;
+      rows.push(data);
+      if (limit !== -1 && rows.length >= limit)
+        stream.destroy();
+    })
+    .on('error', function(err) {
+      deferred.reject(err);
+    })
+    .on('close', function() {
+      deferred.resolve(rows);
+    });
+
+  return deferred.promise;
+}
+
+/**
+ * Like readRange, but hands each { key, value } row to `callback` as it goes
+ * by rather than accumulating them, for when the range is potentially the
+ * whole database.  If the callback returns false, we stop there.  Resolves
+ * with the number of rows seen.
+ */
+function forEachRow(db, range, callback) {
+  var deferred = $Q.defer();
+  var count = 0;
+  var stream = db.createReadStream(range);
+  stream
+    .on('data', function(data) {
+      count++;
+      if (callback(data) === false)
+        stream.destroy();
+    })
+    .on('error', function(err) {
+      deferred.reject(err);
+    })
+    .on('close', function() {
+      deferred.resolve(count);
+    });
+  return deferred.promise;
+}
+
+/**
+ * Get a value, resolving with null rather than exploding if it's not there.
+ */
+function getMaybe(db, key) {
+  var deferred = $Q.defer();
+  db.get(key, function(err, value) {
+    if (err) {
+      if (err.notFound)
+        deferred.resolve(null);
+      else
+        deferred.reject(err);
+      return;
+    }
+    deferred.resolve(value);
+  });
+  return deferred.promise;
+}
+
+function shallowClone(obj) {
+  var clone = {};
+  for (var key in obj) {
+    clone[key] = obj[key];
+  }
+  return clone;
+}
+
+exports.DEFAULT_PATH = DEFAULT_PATH;
+exports.LAYOUT_FILE = LAYOUT_FILE;
+exports.openLevelStore = openLevelStore;
+exports.readLayout = readLayout;
+exports.closeLevelStore = closeLevelStore;
+exports.compactStore = compactStore;
+exports.isStore = isStore;
+exports.databasePaths = databasePaths;
+exports.destroyStore = destroyStore;
+exports.repairStore = repairStore;
+exports.readRange = readRange;
+exports.forEachRow = forEachRow;
+exports.getMaybe = getMaybe;
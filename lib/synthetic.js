@@ -0,0 +1,755 @@
+/**
+ * Make up a places.sqlite, so that conversions, benchmarks and bug reports
+ * can be reproduced without anybody's actual browsing history.
+ *
+ * What we write is the 2013 schema the converter was written against (what
+ * its 'legacy' adapter reads), indexes and all, filled in the way Places
+ * would have:
+ * - Sites (hosts) with a handful of pages each, a few sites getting most of
+ *   the visits.  Each site's first page is its root.
+ * - Visits spread over the `days` before `now`, with sessions, referrer
+ *   chains (from_visit) and visit types.  The visit counts, last visit dates,
+ *   typed flags and frecencies of the places follow from them.
+ * - Bookmarks in nested folders under the menu, toolbar and unfiled roots,
+ *   with the odd separator; tags as folders under the tags root; keywords on
+ *   bookmarks.
+ * - Page and bookmark annotations with assorted expiration policies.
+ * - Favicons, one or more per site, some sharing their data.
+ * - Input history: the starts of words from titles, as if typed into the
+ *   awesomebar.
+ *
+ * Everything comes out of a random number generator seeded with `seed`,
+ * dates included (they count back from `now`, not from the clock), so the
+ * same options always make the same database.
+ **/
+
+var $fs = require('fs');
+var $sqlite = require('sqlite3');
+var $Q = require('q');
+
+var $bookmarks = require('./bookmarks');
+var $history = require('./history');
+var $random = require('./random');
+var $rows = require('./rows');
+
+/**
+ * The user_version of Firefox 22's places.sqlite.
+ */
+var SCHEMA_VERSION = 22;
+
+/**
+ * The tables and indexes, as SQL statements.  The tests build their fixtures
+ * on these too.
+ */
+var SCHEMA = [
+  'CREATE TABLE moz_places (id INTEGER PRIMARY KEY, url LONGVARCHAR, ' +
+    'title LONGVARCHAR, rev_host LONGVARCHAR, ' +
+    'visit_count INTEGER DEFAULT 0, hidden INTEGER DEFAULT 0 NOT NULL, ' +
+    'typed INTEGER DEFAULT 0 NOT NULL, favicon_id INTEGER, ' +
+    'frecency INTEGER DEFAULT -1 NOT NULL, last_visit_date INTEGER, ' +
+    'guid TEXT)',
+  'CREATE UNIQUE INDEX moz_places_url_uniqueindex ON moz_places (url)',
+  'CREATE INDEX moz_places_faviconindex ON moz_places (favicon_id)',
+  'CREATE INDEX moz_places_hostindex ON moz_places (rev_host)',
+  'CREATE INDEX moz_places_visitcount ON moz_places (visit_count)',
+  'CREATE INDEX moz_places_frecencyindex ON moz_places (frecency)',
+  'CREATE INDEX moz_places_lastvisitdateindex ON moz_places ' +
+    '(last_visit_date)',
+  'CREATE UNIQUE INDEX moz_places_guid_uniqueindex ON moz_places (guid)',
+  'CREATE TABLE moz_historyvisits (id INTEGER PRIMARY KEY, ' +
+    'from_visit INTEGER, place_id INTEGER, visit_date INTEGER, ' +
+    'visit_type INTEGER, session INTEGER)',
+  'CREATE INDEX moz_historyvisits_placedateindex ON moz_historyvisits ' +
+    '(place_id, visit_date)',
+  'CREATE INDEX moz_historyvisits_fromindex ON moz_historyvisits ' +
+    '(from_visit)',
+  'CREATE INDEX moz_historyvisits_dateindex ON moz_historyvisits ' +
+    '(visit_date)',
+  'CREATE TABLE moz_inputhistory (place_id INTEGER NOT NULL, ' +
+    'input LONGVARCHAR NOT NULL, use_count INTEGER, ' +
+    'PRIMARY KEY (place_id, input))',
+  'CREATE TABLE moz_hosts (id INTEGER PRIMARY KEY, host TEXT NOT NULL ' +
+    'UNIQUE, frecency INTEGER, typed INTEGER NOT NULL DEFAULT 0, ' +
+    'prefix TEXT)',
+  'CREATE TABLE moz_bookmarks (id INTEGER PRIMARY KEY, type INTEGER, ' +
+    'fk INTEGER DEFAULT NULL, parent INTEGER, position INTEGER, ' +
+    'title LONGVARCHAR, keyword_id INTEGER, folder_type TEXT, ' +
+    'dateAdded INTEGER, lastModified INTEGER, guid TEXT)',
+  'CREATE INDEX moz_bookmarks_itemindex ON moz_bookmarks (fk, type)',
+  'CREATE INDEX moz_bookmarks_parentindex ON moz_bookmarks ' +
+    '(parent, position)',
+  'CREATE INDEX moz_bookmarks_itemlastmodifiedindex ON moz_bookmarks ' +
+    '(fk, lastModified)',
+  'CREATE UNIQUE INDEX moz_bookmarks_guid_uniqueindex ON moz_bookmarks ' +
+    '(guid)',
+  'CREATE TABLE moz_bookmarks_roots (root_name VARCHAR(16) UNIQUE, ' +
+    'folder_id INTEGER)',
+  'CREATE TABLE moz_keywords (id INTEGER PRIMARY KEY AUTOINCREMENT, ' +
+    'keyword TEXT UNIQUE)',
+  'CREATE TABLE moz_favicons (id INTEGER PRIMARY KEY, url LONGVARCHAR ' +
+    'UNIQUE, data BLOB, mime_type VARCHAR(32), expiration LONG, ' +
+    'guid TEXT)',
+  'CREATE TABLE moz_anno_attributes (id INTEGER PRIMARY KEY, ' +
+    'name VARCHAR(32) UNIQUE NOT NULL)',
+  'CREATE TABLE moz_annos (id INTEGER PRIMARY KEY, ' +
+    'place_id INTEGER NOT NULL, anno_attribute_id INTEGER, ' +
+    'mime_type VARCHAR(32) DEFAULT NULL, content LONGVARCHAR, ' +
+    'flags INTEGER DEFAULT 0, expiration INTEGER DEFAULT 0, ' +
+    'type INTEGER DEFAULT 0, dateAdded INTEGER DEFAULT 0, ' +
+    'lastModified INTEGER DEFAULT 0)',
+  'CREATE UNIQUE INDEX moz_annos_placeattributeindex ON moz_annos ' +
+    '(place_id, anno_attribute_id)',
+  'CREATE TABLE moz_items_annos (id INTEGER PRIMARY KEY, ' +
+    'item_id INTEGER NOT NULL, anno_attribute_id INTEGER, ' +
+    'mime_type VARCHAR(32) DEFAULT NULL, content LONGVARCHAR, ' +
+    'flags INTEGER DEFAULT 0, expiration INTEGER DEFAULT 0, ' +
+    'type INTEGER DEFAULT 0, dateAdded INTEGER DEFAULT 0, ' +
+    'lastModified INTEGER DEFAULT 0)',
+  'CREATE UNIQUE INDEX moz_items_annos_itemattributeindex ON ' +
+    'moz_items_annos (item_id, anno_attribute_id)'
+];
+
+var DEFAULTS = {
+  seed: 1,
+  places: 1000,
+  visits: 5000,
+  folders: 20,
+  bookmarks: 200,
+  tags: 20,
+  keywords: 10,
+  annotations: 100,
+  bookmarkAnnotations: 20,
+  favicons: 50,
+  inputHistory: 50,
+  days: 90,
+  // 2013-07-01, when this experiment was young
+  now: 1372636800000000
+};
+
+var PRTIME_PER_MINUTE = 60 * 1000000;
+var PRTIME_PER_DAY = 24 * 60 * PRTIME_PER_MINUTE;
+
+/**
+ * Rows go in this many at a time, and we wait for each lot to be written
+ * before making up more, so that a big profile doesn't pile up in memory.
+ */
+var INSERT_CHUNK_SIZE = 1000;
+
+var WORDS = [
+  'alpha', 'apple', 'atlas', 'banana', 'beacon', 'berry', 'bicycle', 'blue',
+  'bridge', 'canyon', 'castle', 'cedar', 'circuit', 'cloud', 'comet',
+  'copper', 'crystal', 'delta', 'desert', 'dragon', 'eagle', 'echo',
+  'ember', 'falcon', 'fern', 'forest', 'fossil', 'galaxy', 'garden',
+  'glacier', 'granite', 'harbor', 'hazel', 'horizon', 'island', 'ivory',
+  'jasmine', 'jungle', 'kettle', 'lantern', 'lemon', 'lighthouse', 'lotus',
+  'maple', 'marble', 'meadow', 'meteor', 'mosaic', 'nebula', 'nectar',
+  'oasis', 'ocean', 'orbit', 'orchid', 'paddle', 'pepper', 'pixel',
+  'planet', 'prairie', 'quartz', 'quill', 'rainbow', 'raven', 'recipe',
+  'river', 'rocket', 'saffron', 'sailor', 'shadow', 'silver', 'sparrow',
+  'spruce', 'summit', 'tangent', 'thunder', 'timber', 'topaz', 'tundra',
+  'umbrella', 'valley', 'velvet', 'violet', 'voyage', 'walnut', 'willow',
+  'window', 'winter', 'wizard', 'yellow', 'zephyr', 'zinc'
+];
+
+var TLDS = ['com', 'org', 'net', 'io', 'de', 'co.uk'];
+
+/**
+ * Page annotations we hand out: what Firefox of the time put there, plus a
+ * couple to exercise the expiration policies the real ones don't.
+ */
+var PAGE_ANNOTATIONS = [
+  { name: 'URIProperties/characterSet', type: 3,
+    expiration: $rows.EXPIRE_NEVER,
+    content: function() { return 'UTF-8'; } },
+  { name: 'downloads/destinationFileURI', type: 3,
+    expiration: $rows.EXPIRE_WITH_HISTORY,
+    content: function(random) {
+      return 'file:///home/user/Downloads/' + $random.pick(random, WORDS) +
+             '.zip';
+    } },
+  { name: 'downloads/destinationFileName', type: 3,
+    expiration: $rows.EXPIRE_WITH_HISTORY,
+    content: function(random) {
+      return $random.pick(random, WORDS) + '.zip';
+    } },
+  { name: 'synthetic/visitsThisWeek', type: 1,
+    expiration: $rows.EXPIRE_DAYS,
+    content: function(random) { return $random.randomInt(random, 50); } },
+  { name: 'synthetic/sessionState', type: 3,
+    expiration: $rows.EXPIRE_SESSION,
+    content: function(random) { return $random.pick(random, WORDS); } }
+];
+
+var BOOKMARK_ANNOTATIONS = [
+  { name: 'bookmarkProperties/description', type: 3,
+    expiration: $rows.EXPIRE_NEVER,
+    content: function(random) { return titleOf(random, 4, 12); } },
+  { name: 'bookmarkProperties/loadInSidebar', type: 1,
+    expiration: $rows.EXPIRE_NEVER,
+    content: function() { return 1; } }
+];
+
+/**
+ * The roots, in the order of their ids, named as in moz_bookmarks_roots.
+ */
+var ROOTS = [
+  { name: 'places', guid: 'root________', title: '' },
+  { name: 'menu', guid: 'menu________', title: 'Bookmarks Menu' },
+  { name: 'toolbar', guid: 'toolbar_____', title: 'Bookmarks Toolbar' },
+  { name: 'tags', guid: 'tags________', title: 'Tags' },
+  { name: 'unfiled', guid: 'unfiled_____', title: 'Unsorted Bookmarks' }
+];
+var CONTAINER_ROOT_NAMES = ['menu', 'toolbar', 'unfiled'];
+
+var GUID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz' +
+                 '0123456789-_';
+
+function guidOf(random) {
+  var guid = '';
+  for (var i = 0; i < 12; i++) {
+    guid += GUID_CHARS.charAt($random.randomInt(random, GUID_CHARS.length));
+  }
+  return guid;
+}
+
+function titleOf(random, minWords, maxWords) {
+  var count = minWords + $random.randomInt(random, maxWords - minWords + 1);
+  var words = [];
+  for (var i = 0; i < count; i++) {
+    words.push($random.pick(random, WORDS));
+  }
+  words[0] = words[0].charAt(0).toUpperCase() + words[0].substring(1);
+  return words.join(' ');
+}
+
+function reverseHost(host) {
+  return host.split('').reverse().join('') + '.';
+}
+
+function generateError(code, message) {
+  var err = new Error('generatePlacesDb: ' + message);
+  err.code = code;
+  return err;
+}
+
+function run(sdb, sql, params) {
+  var deferred = $Q.defer();
+  sdb.run(sql, params || [], function(err) {
+    if (err)
+      deferred.reject(err);
+    else
+      deferred.resolve();
+  });
+  return deferred.promise;
+}
+
+/**
+ * Insert `count` rows into `table`, asking `makeRow(i)` for each one's
+ * column values, INSERT_CHUNK_SIZE at a time.
+ */
+function insertRows(sdb, table, columns, count, makeRow) {
+  var stmt = sdb.prepare('INSERT INTO ' + table + ' (' + columns.join(', ') +
+                         ') VALUES (' + columns.map(function() {
+                           return '?';
+                         }).join(', ') + ')');
+  function insertChunk(start) {
+    if (start >= count)
+      return $Q();
+    var end = Math.min(start + INSERT_CHUNK_SIZE, count);
+    var pending = [];
+    for (var i = start; i < end; i++) {
+      var values = makeRow(i);
+      if (!values)
+        continue;
+      var deferred = $Q.defer();
+      stmt.run(values, deferred.makeNodeResolver());
+      pending.push(deferred.promise);
+    }
+    return $Q.all(pending).then(function() {
+      return insertChunk(end);
+    });
+  }
+  return insertChunk(0).finally(function() {
+    var deferred = $Q.defer();
+    stmt.finalize(deferred.makeNodeResolver());
+    return deferred.promise;
+  });
+}
+
+/**
+ * Sites, and the favicons that go with them.  Resolves with the sites:
+ * [{ host, scheme, faviconIds, placeIds, frecency, typed }].
+ */
+function generateSites(ctx) {
+  var random = ctx.random, options = ctx.options;
+  var siteCount = Math.max(1, Math.ceil(options.places / 10));
+  var sites = ctx.sites = [];
+  var hosts = {};
+  for (var i = 0; i < siteCount; i++) {
+    var name = (random() < 0.5 ? 'www.' : '') + $random.pick(random, WORDS);
+    var tld = '.' + $random.pick(random, TLDS);
+    var host = name + tld;
+    for (var n = 2; hosts.hasOwnProperty(host); n++) {
+      host = name + n + tld;
+    }
+    hosts[host] = true;
+    sites.push({
+      host: host,
+      scheme: random() < 0.4 ? 'https' : 'http',
+      faviconIds: [],
+      placeIds: [],
+      frecency: 0,
+      typed: false
+    });
+  }
+
+  var datas = [];
+  return insertRows(ctx.sdb, 'moz_favicons',
+                    ['id', 'url', 'data', 'mime_type', 'expiration', 'guid'],
+                    options.favicons, function(i) {
+    var site = sites[i % siteCount];
+    var id = i + 1;
+    site.faviconIds.push(id);
+    var path = i < siteCount ? '/favicon.ico' : '/icons/' + id + '.png';
+    var ico = path === '/favicon.ico' && random() < 0.5;
+    var data;
+    // the same image under more than one URL happens a lot
+    if (datas.length && random() < 0.1) {
+      data = $random.pick(random, datas);
+    }
+    else {
+      var header = ico ? [0, 0, 1, 0] : [0x89, 0x50, 0x4e, 0x47];
+      var bytes = header.slice();
+      var length = 16 + $random.randomInt(random, 48);
+      while (bytes.length < length) {
+        bytes.push($random.randomInt(random, 256));
+      }
+      data = Buffer.from(bytes);
+      datas.push(data);
+    }
+    return [id, site.scheme + '://' + site.host + path, data,
+            data[0] === 0x89 ? 'image/png' : 'image/x-icon',
+            options.now + $random.randomInt(random, 30) * PRTIME_PER_DAY,
+            guidOf(random)];
+  });
+}
+
+/**
+ * Make up the places, without writing them; we don't know their visit
+ * counts and frecencies until we've made up the visits.
+ */
+function generatePlaces(ctx) {
+  var random = ctx.random, options = ctx.options, sites = ctx.sites;
+  var places = ctx.places = [];
+  var urls = {};
+  for (var i = 0; i < options.places; i++) {
+    // every site has its root first, and then the popular ones get more
+    var site = i < sites.length ? sites[i] :
+                 sites[$random.skewedInt(random, sites.length, 2)];
+    var path = '/';
+    if (site.placeIds.length) {
+      path = '/' + $random.pick(random, WORDS) + '/' +
+             $random.pick(random, WORDS);
+      if (random() < 0.3)
+        path += '?q=' + $random.pick(random, WORDS);
+    }
+    var url = site.scheme + '://' + site.host + path;
+    while (urls.hasOwnProperty(url)) {
+      url += $random.randomInt(random, 10);
+    }
+    urls[url] = true;
+
+    var id = i + 1;
+    site.placeIds.push(id);
+    places.push({
+      id: id,
+      url: url,
+      site: site,
+      title: random() < 0.05 ? null : titleOf(random, 2, 6),
+      faviconId: site.faviconIds.length && random() < 0.9 ?
+                   $random.pick(random, site.faviconIds) : null,
+      guid: guidOf(random),
+      bookmarked: false,
+      visitCount: 0,
+      typed: false,
+      lastVisitDate: null,
+      points: 0
+    });
+  }
+}
+
+/**
+ * Folders, bookmarks, separators, tags and keywords.
+ */
+function generateBookmarks(ctx) {
+  var random = ctx.random, options = ctx.options, places = ctx.places;
+  var items = [];
+  var positions = {};
+  var start = options.now - options.days * PRTIME_PER_DAY;
+  function addItem(type, parent, title, placeId) {
+    var id = items.length + 1;
+    var dateAdded = start + $random.randomInt(random, options.now - start);
+    items.push([id, type, placeId || null, parent,
+                positions[parent] = (positions.hasOwnProperty(parent) ?
+                                       positions[parent] + 1 : 0),
+                title, null, dateAdded,
+                dateAdded + $random.randomInt(random, options.now - dateAdded),
+                id <= ROOTS.length ? ROOTS[id - 1].guid : guidOf(random)]);
+    return id;
+  }
+
+  var rootIds = {};
+  ROOTS.forEach(function(root, i) {
+    rootIds[root.name] = addItem($bookmarks.TYPE_FOLDER, i ? 1 : 0,
+                                 root.title);
+  });
+  var containers = CONTAINER_ROOT_NAMES.map(function(name) {
+    return rootIds[name];
+  });
+  for (var i = 0; i < options.folders; i++) {
+    containers.push(addItem($bookmarks.TYPE_FOLDER,
+                            $random.pick(random, containers),
+                            titleOf(random, 1, 3)));
+  }
+
+  var bookmarkIds = [];
+  for (i = 0; places.length && i < options.bookmarks; i++) {
+    var place = places[$random.skewedInt(random, places.length, 2)];
+    place.bookmarked = true;
+    var parent = $random.pick(random, containers);
+    bookmarkIds.push(addItem($bookmarks.TYPE_BOOKMARK, parent,
+                             place.title || place.url, place.id));
+    if (random() < 0.05)
+      addItem($bookmarks.TYPE_SEPARATOR, parent, null);
+  }
+
+  // tags are folders under the tags root holding bookmarks of the tagged
+  // places
+  var bookmarkedIds = places.filter(function(place) {
+    return place.bookmarked;
+  }).map(function(place) {
+    return place.id;
+  });
+  for (i = 0; bookmarkedIds.length && i < options.tags; i++) {
+    var tagId = addItem($bookmarks.TYPE_FOLDER, rootIds.tags,
+                        WORDS[i % WORDS.length] +
+                          (i < WORDS.length ? '' : i));
+    var taggedCount = 1 + $random.randomInt(random, 10);
+    var tagged = {};
+    for (var j = 0; j < taggedCount; j++) {
+      var placeId = $random.pick(random, bookmarkedIds);
+      if (tagged[placeId])
+        continue;
+      tagged[placeId] = true;
+      addItem($bookmarks.TYPE_BOOKMARK, tagId, null, placeId);
+    }
+  }
+
+  // keywords hang off of bookmarks (index 6 is keyword_id)
+  var keywords = [];
+  for (i = 0; i < Math.min(options.keywords, bookmarkIds.length); i++) {
+    keywords.push([i + 1, WORDS[i % WORDS.length] +
+                          (i < WORDS.length ? '' : i)]);
+    items[bookmarkIds[i] - 1][6] = i + 1;
+  }
+  ctx.bookmarkIds = bookmarkIds;
+
+  return insertRows(ctx.sdb, 'moz_bookmarks',
+                    ['id', 'type', 'fk', 'parent', 'position', 'title',
+                     'keyword_id', 'dateAdded', 'lastModified', 'guid'],
+                    items.length, function(i) {
+      return items[i];
+    })
+    .then(function() {
+      return insertRows(ctx.sdb, 'moz_bookmarks_roots',
+                        ['root_name', 'folder_id'], ROOTS.length,
+                        function(i) {
+        return [ROOTS[i].name, rootIds[ROOTS[i].name]];
+      });
+    })
+    .then(function() {
+      return insertRows(ctx.sdb, 'moz_keywords', ['id', 'keyword'],
+                        keywords.length, function(i) {
+        return keywords[i];
+      });
+    });
+}
+
+/**
+ * Frecency points for a visit, roughly as Places hands them out: by how
+ * recent the visit is, times a bonus for how we got there.
+ */
+var RECENCY_BUCKETS = [
+  { days: 4, weight: 100 },
+  { days: 14, weight: 70 },
+  { days: 31, weight: 50 },
+  { days: 90, weight: 30 }
+];
+var OLD_VISIT_WEIGHT = 10;
+var TYPE_BONUSES = {};
+TYPE_BONUSES[$history.TRANSITION_LINK] = 100;
+TYPE_BONUSES[$history.TRANSITION_TYPED] = 2000;
+TYPE_BONUSES[$history.TRANSITION_BOOKMARK] = 75;
+var UNVISITED_BOOKMARK_FRECENCY = 140;
+
+function visitPoints(now, visitDate, type) {
+  var age = (now - visitDate) / PRTIME_PER_DAY;
+  var weight = OLD_VISIT_WEIGHT;
+  for (var i = 0; i < RECENCY_BUCKETS.length; i++) {
+    if (age <= RECENCY_BUCKETS[i].days) {
+      weight = RECENCY_BUCKETS[i].weight;
+      break;
+    }
+  }
+  return weight * (TYPE_BONUSES[type] || 0) / 100;
+}
+
+/**
+ * The visits, oldest first, so ids go up with dates like they do in Places.
+ * We take the gaps between visits at random, averaging out to the visits
+ * being spread over `days`; a long gap starts a new session, and a short one
+ * usually means a link was followed from the previous visit.
+ */
+function generateVisits(ctx) {
+  var random = ctx.random, options = ctx.options, places = ctx.places;
+  var span = options.days * PRTIME_PER_DAY;
+  var meanGap = options.visits ? span / options.visits : 0;
+  var date = options.now - span, session = 1;
+
+  return insertRows(ctx.sdb, 'moz_historyvisits',
+                    ['id', 'from_visit', 'place_id', 'visit_date',
+                     'visit_type', 'session'],
+                    places.length ? options.visits : 0, function(i) {
+    var gap = Math.floor(-Math.log(1 - random()) * meanGap);
+    date = Math.min(date + gap, options.now);
+    if (gap > 30 * PRTIME_PER_MINUTE)
+      session++;
+
+    var place = places[$random.skewedInt(random, places.length, 3)];
+    var fromVisit = 0, type;
+    var roll = random();
+    if (i && gap < 5 * PRTIME_PER_MINUTE && roll < 0.6) {
+      fromVisit = i;
+      type = roll < 0.05 ? $history.TRANSITION_REDIRECT_TEMPORARY :
+             roll < 0.08 ? $history.TRANSITION_REDIRECT_PERMANENT :
+             $history.TRANSITION_LINK;
+    }
+    else if (roll < 0.8) {
+      type = $history.TRANSITION_LINK;
+    }
+    else if (roll < 0.9 || !place.bookmarked) {
+      type = $history.TRANSITION_TYPED;
+    }
+    else {
+      type = $history.TRANSITION_BOOKMARK;
+    }
+
+    place.visitCount++;
+    place.lastVisitDate = date;
+    place.points += visitPoints(options.now, date, type);
+    if (type === $history.TRANSITION_TYPED)
+      place.typed = place.site.typed = true;
+    return [i + 1, fromVisit, place.id, date, type, session];
+  });
+}
+
+function frecencyOf(place) {
+  if (!place.visitCount)
+    return place.bookmarked ? UNVISITED_BOOKMARK_FRECENCY : 0;
+  return Math.ceil(place.points);
+}
+
+function writePlaces(ctx) {
+  var places = ctx.places;
+  return insertRows(ctx.sdb, 'moz_places',
+                    ['id', 'url', 'title', 'rev_host', 'visit_count',
+                     'hidden', 'typed', 'favicon_id', 'frecency',
+                     'last_visit_date', 'guid'],
+                    places.length, function(i) {
+      var place = places[i];
+      var frecency = frecencyOf(place);
+      place.site.frecency = Math.max(place.site.frecency, frecency);
+      return [place.id, place.url, place.title, reverseHost(place.site.host),
+              place.visitCount, 0, place.typed ? 1 : 0, place.faviconId,
+              frecency, place.lastVisitDate, place.guid];
+    })
+    .then(function() {
+      var sites = ctx.sites;
+      return insertRows(ctx.sdb, 'moz_hosts',
+                        ['id', 'host', 'frecency', 'typed'],
+                        sites.length, function(i) {
+        var site = sites[i];
+        return [i + 1, site.host, site.frecency, site.typed ? 1 : 0];
+      });
+    });
+}
+
+/**
+ * Annotations for `count` of `ids` (at most one per id per name), from the
+ * `kinds` given.
+ */
+function generateAnnotations(ctx, table, idColumn, ids, count, kinds,
+                             firstAttributeId) {
+  var random = ctx.random, options = ctx.options;
+  var start = options.now - options.days * PRTIME_PER_DAY;
+  var taken = {};
+  return insertRows(ctx.sdb, table,
+                    ['id', idColumn, 'anno_attribute_id', 'content', 'flags',
+                     'expiration', 'type', 'dateAdded', 'lastModified'],
+                    ids.length ? count : 0, function(i) {
+      var kindIndex = $random.randomInt(random, kinds.length);
+      var id = $random.pick(random, ids);
+      var takenKey = id + ':' + kindIndex;
+      if (taken[takenKey])
+        return null;
+      taken[takenKey] = true;
+      var kind = kinds[kindIndex];
+      var dateAdded = start + $random.randomInt(random, options.now - start);
+      return [i + 1, id, firstAttributeId + kindIndex, kind.content(random),
+              0, kind.expiration, kind.type, dateAdded,
+              dateAdded + $random.randomInt(random, options.now - dateAdded)];
+    });
+}
+
+function writeAnnotations(ctx) {
+  var kinds = PAGE_ANNOTATIONS.concat(BOOKMARK_ANNOTATIONS);
+  var placeIds = ctx.places.map(function(place) {
+    return place.id;
+  });
+  return insertRows(ctx.sdb, 'moz_anno_attributes', ['id', 'name'],
+                    kinds.length, function(i) {
+      return [i + 1, kinds[i].name];
+    })
+    .then(function() {
+      return generateAnnotations(ctx, 'moz_annos', 'place_id', placeIds,
+                                 ctx.options.annotations, PAGE_ANNOTATIONS,
+                                 1);
+    })
+    .then(function() {
+      return generateAnnotations(ctx, 'moz_items_annos', 'item_id',
+                                 ctx.bookmarkIds,
+                                 ctx.options.bookmarkAnnotations,
+                                 BOOKMARK_ANNOTATIONS,
+                                 PAGE_ANNOTATIONS.length + 1);
+    });
+}
+
+/**
+ * Input history: the start of a word of a visited place's title.
+ */
+function writeInputHistory(ctx) {
+  var random = ctx.random;
+  var titled = ctx.places.filter(function(place) {
+    return place.visitCount && place.title;
+  });
+  var taken = {};
+  return insertRows(ctx.sdb, 'moz_inputhistory',
+                    ['place_id', 'input', 'use_count'],
+                    titled.length ? ctx.options.inputHistory : 0,
+                    function(i) {
+      var place = $random.pick(random, titled);
+      var word = $random.pick(random, place.title.toLowerCase().split(' '));
+      var input = word.substring(0, 1 + $random.randomInt(random,
+                                                          word.length));
+      if (taken[place.id + ':' + input])
+        return null;
+      taken[place.id + ':' + input] = true;
+      return [place.id, input, 1 + $random.randomInt(random, 10)];
+    });
+}
+
+function generationOptions(options) {
+  options = options || {};
+  var normalized = {};
+  for (var name in DEFAULTS) {
+    normalized[name] = options.hasOwnProperty(name) &&
+                       options[name] !== undefined ?
+                         options[name] : DEFAULTS[name];
+    if (typeof(normalized[name]) !== 'number' || normalized[name] < 0 ||
+        Math.floor(normalized[name]) !== normalized[name])
+      throw generateError('BAD_OPTION', name + ' wants a whole number');
+  }
+  if (!normalized.days)
+    throw generateError('BAD_OPTION', 'days has to be at least 1');
+  return normalized;
+}
+
+/**
+ * Write a made-up places.sqlite to `dest`.  Options (all whole numbers):
+ * - seed: Which made-up profile you get.
+ * - places, visits, folders, bookmarks, tags, keywords, annotations,
+ *   bookmarkAnnotations, favicons, inputHistory: How many of each to make.
+ *   (Tags tag up to ten places each.  Annotations, favicons and input
+ *   history may come out a few short, where we picked the same thing
+ *   twice.)
+ * - days: How far back the visits go.
+ * - now: The PRTime the visits lead up to.
+ * - force: Replace `dest` if it exists.
+ *
+ * See DEFAULTS for the defaults.  Resolves with the options used.  Bad
+ * options reject with an Error whose `code` is 'BAD_OPTION', and an existing
+ * `dest` without `force` with one whose `code` is 'DEST_EXISTS'.
+ */
+function generatePlacesDb(dest, options) {
+  var force = !!(options && options.force);
+  var ctx;
+  try {
+    ctx = { options: generationOptions(options) };
+  }
+  catch (ex) {
+    return $Q.reject(ex);
+  }
+  if ($fs.existsSync(dest)) {
+    if (!force)
+      return $Q.reject(generateError('DEST_EXISTS', dest + ' already exists'));
+    $fs.unlinkSync(dest);
+  }
+  ctx.random = $random.makeRandom(ctx.options.seed);
+
+  var deferred = $Q.defer();
+  ctx.sdb = new $sqlite.Database(dest, deferred.makeNodeResolver());
+  return deferred.promise
+    .then(function() {
+      return SCHEMA.concat(['PRAGMA user_version = ' + SCHEMA_VERSION,
+                            'BEGIN']).reduce(function(prev, sql) {
+        return prev.then(function() {
+          return run(ctx.sdb, sql);
+        });
+      }, $Q());
+    })
+    .then(function() {
+      return generateSites(ctx);
+    })
+    .then(function() {
+      generatePlaces(ctx);
+      return generateBookmarks(ctx);
+    })
+    .then(function() {
+      return generateVisits(ctx);
+    })
+    .then(function() {
+      return writePlaces(ctx);
+    })
+    .then(function() {
+      return writeAnnotations(ctx);
+    })
+    .then(function() {
+      return writeInputHistory(ctx);
+    })
+    .then(function() {
+      return run(ctx.sdb, 'COMMIT');
+    })
+    .finally(function() {
+      var closed = $Q.defer();
+      ctx.sdb.close(closed.makeNodeResolver());
+      return closed.promise;
+    })
+    .then(function() {
+      return ctx.options;
+    });
+}
+
+exports.SCHEMA_VERSION = SCHEMA_VERSION;
+exports.SCHEMA = SCHEMA;
+exports.DEFAULTS = DEFAULTS;
+exports.generatePlacesDb = generatePlacesDb;
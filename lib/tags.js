@@ -0,0 +1,64 @@
+/**
+ * Read side of tags.  A tag belongs to a URL rather than to a bookmark, and
+ * we keep it in three places:
+ * - 'T', [tag, url], lets us go from a tag to its URLs with a range scan, and
+ *   list every tag by scanning the lot.
+ * - The 'I' value's `tags`, so a URL's tags are one get away.
+ * - Each 'B' value's `tags`, a copy for whoever is showing the bookmark.
+ *
+ * Tags are also terms, so they end up in 'A' and 'N' too.  The write side
+ * (tagURL, untagURL, renameTag, mergeTags, deleteTag) is in lib/mutations.js
+ * and keeps all of that in step.
+ **/
+
+var $url = require('url');
+
+var $keys = require('./keys');
+var $store = require('./store');
+
+/**
+ * Every tag with how many URLs it has, in tag order.  Resolves with
+ * [{ tag, count }].
+ */
+function listTags(db) {
+  var tags = [];
+  return $store.forEachRow(db, $keys.prefixRange('T'), function(row) {
+    var tag = $keys.decodeKey(row.key)[1];
+    var last = tags[tags.length - 1];
+    // the rows for a tag are all together, so we only need to look back one
+    if (last && last.tag === tag)
+      last.count++;
+    else
+      tags.push({ tag: tag, count: 1 });
+  }).then(function() {
+    return tags;
+  });
+}
+
+/**
+ * The URLs with a given tag, in URL order.
+ */
+function urlsForTag(db, tag) {
+  return $store.readRange(db, $keys.prefixRange('T', tag))
+    .then(function(rows) {
+      return rows.map(function(row) {
+        return $keys.decodeKey(row.key)[2];
+      });
+    });
+}
+
+/**
+ * A URL's tags, in the order they were added; [] for a URL we don't know or
+ * that has none.
+ */
+function tagsForUrl(db, url) {
+  var reversedHost = $keys.reverseHost($url.parse(url).hostname || '');
+  return $store.getMaybe(db, $keys.infoKey(reversedHost, url))
+    .then(function(info) {
+      return (info && info.tags) || [];
+    });
+}
+
+exports.listTags = listTags;
+exports.urlsForTag = urlsForTag;
+exports.tagsForUrl = tagsForUrl;
@@ -0,0 +1,292 @@
+/**
+ * Tokenizers: how a place's URL, title, bookmark titles and tags become the
+ * terms the awesomebar index ('A') gets rows for, and how what the user types
+ * gets folded so that it meets those terms.  lib/rows.js writes the 'A' rows
+ * with the current tokenizer and lib/awesomebar.js folds queries with it.
+ *
+ * A tokenizer is an object with:
+ * - name: Its spec (see below), which is what a store records.
+ * - terms(url, title, bookmarks, tags): The distinct terms for a place.  `url`
+ *   is the parsed URL, `bookmarks` objects with a `title` and `tags` strings.
+ * - fold(text): What the user typed, folded the way terms are.
+ *
+ * Tokenizers are named by a spec, a name optionally followed by ':' and
+ * comma-separated arguments.  There are two:
+ * - 'legacy': What the converter has always done.  Lowercased words split on
+ *   /\W+/ (so on anything that isn't ASCII), at least three characters long,
+ *   minus a handful of stop-words, from the host name (not the path) and the
+ *   titles and tags.
+ * - 'unicode': Words are runs of letters and digits in any script, with case
+ *   and diacritics folded away ('Café' and 'cafe' are the same term) and
+ *   compatibility forms normalized (full-width letters and so on).  Han,
+ *   kana and Hangul don't separate words with spaces, so those runs become
+ *   overlapping bigrams ('東京都' gives '東京' and '京都').  Terms come from
+ *   the whole URL: the host name (decoded from punycode), the path and the
+ *   query string.  Words need two characters, or one for a lone CJK
+ *   character, and stop-words are those of the locales given as arguments:
+ *   'unicode:en,de'.  Plain 'unicode' means 'unicode:en'.
+ *
+ * registerTokenizer() adds more.  Like the key codec, which tokenizer a store
+ * was built with is in its 'M' rows; $store.openLevelStore() switches to it,
+ * so that changes (lib/mutations.js) remove exactly the 'A' rows that were
+ * written.  Stores from before there was a choice are 'legacy'.
+ **/
+
+var $url = require('url');
+
+/**
+ * Per-locale stop-words, the words too common to be worth an 'A' row.  They
+ * get folded like terms before we compare, so accents don't matter here.
+ */
+var STOPWORDS = {
+  en: ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+       'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+       'with'],
+  de: ['am', 'auf', 'aus', 'bei', 'das', 'dem', 'den', 'der', 'des', 'die',
+       'ein', 'eine', 'einer', 'es', 'für', 'im', 'in', 'ist', 'mit', 'und',
+       'von', 'zu', 'zum', 'zur'],
+  fr: ['au', 'aux', 'ce', 'dans', 'de', 'des', 'du', 'en', 'est', 'et',
+       'la', 'le', 'les', 'par', 'pour', 'que', 'qui', 'sur', 'un', 'une'],
+  es: ['al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los',
+       'para', 'por', 'que', 'se', 'su', 'un', 'una', 'y'],
+  ru: ['в', 'во', 'и', 'из', 'к', 'на', 'не', 'о', 'от', 'по', 'с', 'со',
+       'что', 'это']
+};
+
+/**
+ * Bits of URLs that say nothing about the page, for every locale.
+ */
+var URL_STOPWORDS = ['co', 'com', 'htm', 'html', 'http', 'https', 'index',
+                     'net', 'org', 'php', 'www'];
+
+var DEFAULT_LOCALES = ['en'];
+
+// Anything longer is an id or a hash, not something anybody types.
+var MAX_TERM_LENGTH = 32;
+
+var WORD = /[\p{L}\p{N}\p{M}]+/gu;
+var CJK_RUN = /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}\p{sc=Hangul}ー]+/u;
+// a CJK run or a run of anything else
+var CJK_OR_NOT = new RegExp(CJK_RUN.source + '|[^' +
+                            CJK_RUN.source.slice(1, -2) + ']+', 'gu');
+var MARKS = /\p{M}/gu;
+
+/*
+ * The 'legacy' tokenizer.
+ */
+
+var LEGACY_STOPWORDS = ['the', 'www', 'com', 'org', 'net'];
+
+var legacy = {
+  name: 'legacy',
+  terms: function(url, title, bookmarks, tags) {
+    var terms = [];
+    function maybeAddTerm(term) {
+      term = term.toLowerCase();
+      if (term.length < 3)
+        return;
+      // stop-words for babies
+      if (LEGACY_STOPWORDS.indexOf(term) !== -1)
+        return;
+      if (terms.indexOf(term) === -1)
+        terms.push(term);
+    }
+
+    if (url && url.hostname)
+      url.hostname.split('.').slice(0, -1).forEach(maybeAddTerm);
+    if (title)
+      title.split(/\W+/g).forEach(maybeAddTerm);
+    bookmarks.forEach(function(bookmark) {
+      if (bookmark.title)
+        bookmark.title.split(/\W+/g).forEach(maybeAddTerm);
+    });
+    tags.forEach(maybeAddTerm);
+    // note: we don't add the keyword as a term because that would defeat the
+    // point of the keyword.
+
+    return terms;
+  },
+  fold: function(text) {
+    return text.trim().toLowerCase();
+  }
+};
+
+/*
+ * The 'unicode' tokenizer.
+ */
+
+/**
+ * Fold a run of letters that isn't CJK: no case, no diacritics, and 'ß' is
+ * 'ss' the way full case folding has it.  (We leave CJK alone since its
+ * "diacritics" are things like the dakuten on kana, which change which
+ * character it is.)
+ */
+function foldWord(word) {
+  return word.toLowerCase().replace(/ß/g, 'ss').normalize('NFD')
+             .replace(MARKS, '').normalize('NFC');
+}
+
+/**
+ * Overlapping pairs of characters (code points, not UTF-16 units), or the
+ * lone character of a run of one.
+ */
+function bigrams(run) {
+  var chars = Array.from(run);
+  if (chars.length < 2)
+    return chars;
+  var pairs = [];
+  for (var i = 0; i < chars.length - 1; i++) {
+    pairs.push(chars[i] + chars[i + 1]);
+  }
+  return pairs;
+}
+
+function isCJK(run) {
+  return CJK_RUN.test(run);
+}
+
+/**
+ * Split text into folded words and CJK bigrams.
+ */
+function segment(text) {
+  var tokens = [];
+  (text.normalize('NFKC').match(WORD) || []).forEach(function(word) {
+    word.match(CJK_OR_NOT).forEach(function(run) {
+      if (isCJK(run))
+        tokens = tokens.concat(bigrams(run));
+      else
+        tokens.push(foldWord(run));
+    });
+  });
+  return tokens;
+}
+
+function decodeComponent(str) {
+  try {
+    return decodeURIComponent(str.replace(/\+/g, ' '));
+  }
+  catch (ex) {
+    // not actually percent-encoded; take it as it is
+    return str;
+  }
+}
+
+function makeUnicodeTokenizer(locales) {
+  locales = locales.length ? locales : DEFAULT_LOCALES;
+  var stopwords = {};
+  locales.forEach(function(locale) {
+    if (!STOPWORDS.hasOwnProperty(locale))
+      throw new Error('no stop-words for locale: ' + locale);
+    STOPWORDS[locale].forEach(function(word) {
+      stopwords[foldWord(word)] = true;
+    });
+  });
+  URL_STOPWORDS.forEach(function(word) {
+    stopwords[word] = true;
+  });
+
+  return {
+    name: 'unicode:' + locales.join(','),
+    terms: function(url, title, bookmarks, tags) {
+      var terms = [], seen = {};
+      function addTokens(text) {
+        segment(text).forEach(function(token) {
+          var length = Array.from(token).length;
+          if (length > MAX_TERM_LENGTH || stopwords.hasOwnProperty(token) ||
+              seen.hasOwnProperty(token))
+            return;
+          if (length < 2 && !isCJK(token))
+            return;
+          seen[token] = true;
+          terms.push(token);
+        });
+      }
+
+      if (url && url.hostname) {
+        // the last label is the TLD, which everybody shares
+        addTokens($url.domainToUnicode(url.hostname).split('.').slice(0, -1)
+                    .join(' '));
+      }
+      if (url && url.pathname)
+        addTokens(decodeComponent(url.pathname));
+      if (url && url.query)
+        addTokens(decodeComponent(url.query));
+      if (title)
+        addTokens(title);
+      bookmarks.forEach(function(bookmark) {
+        if (bookmark.title)
+          addTokens(bookmark.title);
+      });
+      tags.forEach(addTokens);
+      return terms;
+    },
+    fold: function(text) {
+      var runs = text.trim().normalize('NFKC').match(CJK_OR_NOT) || [];
+      return runs.map(function(run) {
+        return isCJK(run) ? run : foldWord(run);
+      }).join('');
+    }
+  };
+}
+
+/**
+ * Tokenizer factories by name.  Each takes the spec's arguments (an array of
+ * strings, possibly empty) and returns a tokenizer.
+ */
+var TOKENIZERS = {
+  legacy: function(args) {
+    if (args.length)
+      throw new Error('the legacy tokenizer takes no arguments');
+    return legacy;
+  },
+  unicode: makeUnicodeTokenizer
+};
+
+var DEFAULT_TOKENIZER = 'legacy';
+
+/**
+ * Add a tokenizer, for specs naming `name`.  `factory(args)` gets the spec's
+ * arguments and returns the tokenizer, whose `name` should be a spec that
+ * gets the same tokenizer back.
+ */
+function registerTokenizer(name, factory) {
+  TOKENIZERS[name] = factory;
+}
+
+/**
+ * The tokenizer for a spec like 'legacy' or 'unicode:en,de'.  Throws for
+ * specs we don't know.
+ */
+function getTokenizer(spec) {
+  var colon = spec.indexOf(':');
+  var name = colon === -1 ? spec : spec.substring(0, colon);
+  var args = colon === -1 ? [] : spec.substring(colon + 1).split(',')
+                                     .filter(Boolean);
+  if (!TOKENIZERS.hasOwnProperty(name))
+    throw new Error('unknown tokenizer: ' + spec);
+  return TOKENIZERS[name](args);
+}
+
+var tokenizer = getTokenizer(DEFAULT_TOKENIZER);
+
+/**
+ * Switch the tokenizer everything in this process writes 'A' rows and folds
+ * queries with.  $store.openLevelStore() calls this for you based on what the
+ * store says, and won't open a store with another tokenizer while one is
+ * open.
+ */
+function useTokenizer(spec) {
+  tokenizer = getTokenizer(spec);
+}
+
+function currentTokenizer() {
+  return tokenizer;
+}
+
+exports.STOPWORDS = STOPWORDS;
+exports.TOKENIZERS = TOKENIZERS;
+exports.DEFAULT_TOKENIZER = DEFAULT_TOKENIZER;
+exports.registerTokenizer = registerTokenizer;
+exports.getTokenizer = getTokenizer;
+exports.useTokenizer = useTokenizer;
+exports.currentTokenizer = currentTokenizer;
@@ -0,0 +1,446 @@
+/**
+ * One command line for making and maintaining stores:
+ *
+ *   node places-leveldb.js convert [--source=places.sqlite]
+ *                                  [--favicons=favicons.sqlite]
+ *                                  [--dest=leveldb-places.ldb] [--force]
+ *                                  [--namespaces=BbKTHhIAaNFX]
+ *                                  [--key-codec=decimal] [--tokenizer=legacy]
+ *                                  [--infix-length=3] [--layout=FILE]
+ *                                  [--cache-size=MB] [--no-compression]
+ *                                  [--verbose]
+ *   node places-leveldb.js dump [--namespace=H] [--prefix=...]
+ *                               [--since=DATE] [--until=DATE] [--limit=N]
+ *                               [--format=verbose|jsonl|table]
+ *                               [path/to/store.ldb]
+ *   node places-leveldb.js compact [path/to/store.ldb]
+ *   node places-leveldb.js repair [path/to/store.ldb]
+ *   node places-leveldb.js export [--format=html|json] [--output=FILE]
+ *                                 [path/to/store.ldb]
+ *   node places-leveldb.js import [--format=html|json] [--create]
+ *                                 bookmarks.html [path/to/store.ldb]
+ *
+ * dump's --prefix is key components separated by a literal '\0', as in
+ * `--namespace=A --prefix='foo'`; see lib/dump.js for the rest.
+ *
+ * export writes the bookmarks as a bookmarks.html or a Firefox JSON backup,
+ * to stdout unless you say --output, and import adds one's bookmarks to the
+ * store (or, with --create, to a new store); see lib/bookmarkfiles.js.  The
+ * format goes by the file's extension if you don't give one.
+ *
+ * Options are --name=value, or just --name (and --no-name) for the on/off
+ * ones.  Anything we don't recognize is an error rather than something we
+ * silently ignore, since the point is to be able to run this unattended.
+ *
+ * Exit codes:
+ * - 0: It worked.
+ * - 1: It didn't; whatever went wrong got logged.
+ * - 2: Bad command line.
+ * - 3: The places.sqlite or store to read doesn't exist.
+ * - 4: The store to create already exists and you didn't say --force (or it
+ *   isn't a LevelDB store, in which case we won't touch it even then).
+ **/
+var $fs = require('fs');
+var $Q = require('q');
+
+var $bookmarkfiles = require('./lib/bookmarkfiles');
+var $codec = require('./lib/codec');
+var $convert = require('./convert-places-db');
+var $dump = require('./lib/dump');
+var $mutations = require('./lib/mutations');
+var $rows = require('./lib/rows');
+var $sizing = require('./lib/sizing');
+var $store = require('./lib/store');
+var $tokenizers = require('./lib/tokenizers');
+
+var EXIT_OK = 0,
+    EXIT_FAILED = 1,
+    EXIT_USAGE = 2,
+    EXIT_NO_SOURCE = 3,
+    EXIT_DEST_EXISTS = 4;
+
+var EXIT_CODES_BY_ERROR_CODE = {
+  USAGE: EXIT_USAGE,
+  BAD_OPTION: EXIT_USAGE,
+  NO_SOURCE: EXIT_NO_SOURCE,
+  DEST_EXISTS: EXIT_DEST_EXISTS
+};
+
+function commandError(code, message) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Split the arguments into options and positional arguments.  `spec` maps
+ * option names to 'boolean', 'string', 'number' (which must be positive),
+ * 'count' (a whole number, zero included) or 'list' (a string you can give
+ * more than once, which we collect into an array).
+ */
+function parseArgs(args, spec) {
+  var options = {}, positional = [];
+  args.forEach(function(arg) {
+    if (arg.indexOf('--') !== 0) {
+      positional.push(arg);
+      return;
+    }
+
+    var name = arg.substring(2), value = null;
+    var equals = name.indexOf('=');
+    if (equals !== -1) {
+      value = name.substring(equals + 1);
+      name = name.substring(0, equals);
+    }
+    if (value === null && name.indexOf('no-') === 0 &&
+        spec[name.substring(3)] === 'boolean') {
+      options[name.substring(3)] = false;
+      return;
+    }
+
+    var type = spec.hasOwnProperty(name) ? spec[name] : null;
+    if (!type)
+      throw commandError('USAGE', 'unknown option: --' + name);
+    if (type === 'boolean') {
+      if (value !== null)
+        throw commandError('USAGE', '--' + name + ' does not take a value');
+      options[name] = true;
+      return;
+    }
+    if (!value)
+      throw commandError('USAGE', '--' + name + ' needs a value');
+    if (type === 'number') {
+      var number = Number(value);
+      if (!isFinite(number) || number <= 0)
+        throw commandError('USAGE', '--' + name + ' wants a positive number');
+      value = number;
+    }
+    if (type === 'count') {
+      if (!/^\d+$/.test(value))
+        throw commandError('USAGE', '--' + name + ' wants a whole number');
+      value = parseInt(value, 10);
+    }
+    if (type === 'list') {
+      options[name] = (options[name] || []).concat([value]);
+      return;
+    }
+    options[name] = value;
+  });
+  return { options: options, positional: positional };
+}
+
+/**
+ * The store path for the commands that take one.
+ */
+function existingStorePath(positional) {
+  var path = positional[0] || $store.DEFAULT_PATH;
+  if (!$fs.existsSync(path))
+    throw commandError('NO_SOURCE', path + ' does not exist');
+  return path;
+}
+
+/**
+ * Read convert's --layout file, a lib/router.js layout as JSON.
+ */
+function readLayoutFile(path) {
+  try {
+    return JSON.parse($fs.readFileSync(path, 'utf8'));
+  }
+  catch (ex) {
+    throw commandError('BAD_OPTION', 'bad --layout ' + path + ': ' +
+                       ex.message);
+  }
+}
+
+function runConvert(options) {
+  return $convert.convertPlaces({
+    source: options.source,
+    favicons: options.favicons,
+    dest: options.dest,
+    force: options.force,
+    namespaces: options.namespaces,
+    keyCodec: options['key-codec'],
+    tokenizer: options.tokenizer,
+    infixLength: options['infix-length'],
+    layout: options.layout && readLayoutFile(options.layout),
+    cacheSize: options['cache-size'] && options['cache-size'] * 1024 * 1024,
+    compression: options.compression,
+    verbose: options.verbose
+  });
+}
+
+/**
+ * A date for dump's --since/--until: an integer is a PRTime, anything else
+ * goes through Date.parse (so '2013-07-01' and friends work).
+ */
+function parseDate(name, str) {
+  if (/^\d+$/.test(str))
+    return parseInt(str, 10);
+  var ms = Date.parse(str);
+  if (isNaN(ms))
+    throw commandError('USAGE', '--' + name + ' wants a date, not ' + str);
+  return ms * 1000;
+}
+
+function runDump(options, positional) {
+  if (options.limit === 0)
+    throw commandError('USAGE', '--limit wants a positive whole number');
+  var dumpOptions = {
+    namespace: options.namespace,
+    // the components are separated the way they are in the keys
+    prefix: options.prefix && options.prefix.split('\\0'),
+    since: options.since && parseDate('since', options.since),
+    until: options.until && parseDate('until', options.until),
+    limit: options.limit,
+    format: options.format
+  };
+  return $store.openLevelStore(existingStorePath(positional))
+    .then(function(db) {
+      return $dump.dumpStore(db, process.stdout, dumpOptions)
+        .finally(function() {
+          return $store.closeLevelStore(db);
+        });
+    });
+}
+
+function runCompact(options, positional) {
+  var path = existingStorePath(positional);
+  var bytesBefore = $sizing.directorySize(path);
+  return $store.openLevelStore(path)
+    .then(function(db) {
+      return $store.compactStore(db)
+        .finally(function() {
+          return $store.closeLevelStore(db);
+        });
+    })
+    .then(function() {
+      console.log('Compacted', path + ':', bytesBefore, 'bytes before,',
+                  $sizing.directorySize(path), 'after');
+    });
+}
+
+function runRepair(options, positional) {
+  var path = existingStorePath(positional);
+  // LevelDB would happily "repair" any directory into an empty database
+  if (!$store.isStore(path))
+    throw commandError('USAGE', path + ' is not a store');
+  return $store.repairStore(path).then(function() {
+    console.log('Repaired', path + '.  Anything LevelDB could not make',
+                'sense of ended up in a lost/ subdirectory.');
+  });
+}
+
+/**
+ * The --format for export and import, else whatever `path`'s extension
+ * says, else `fallback`.
+ */
+function bookmarkFormat(options, path, fallback) {
+  var format = options.format || (path && $bookmarkfiles.formatForPath(path));
+  if (!format && !fallback)
+    throw commandError('USAGE', 'no --format and can\'t tell from ' + path);
+  format = format || fallback;
+  if ($bookmarkfiles.FORMATS.indexOf(format) === -1)
+    throw commandError('BAD_OPTION', 'unknown --format: ' + format);
+  return format;
+}
+
+function runExport(options, positional) {
+  var format = bookmarkFormat(options, options.output, 'html');
+  return $store.openLevelStore(existingStorePath(positional))
+    .then(function(db) {
+      return $bookmarkfiles.readBookmarkTree(db)
+        .finally(function() {
+          return $store.closeLevelStore(db);
+        });
+    })
+    .then(function(tree) {
+      var text = $bookmarkfiles.serializeTree(tree, format);
+      if (options.output)
+        $fs.writeFileSync(options.output, text);
+      else
+        process.stdout.write(text);
+    });
+}
+
+/**
+ * The store to import into: an existing one, or with --create a new one
+ * made the way convert makes them by default.
+ */
+function openImportStore(options, positional) {
+  if (!options.create)
+    return $store.openLevelStore(existingStorePath(positional));
+  var path = positional[0] || $store.DEFAULT_PATH;
+  if ($fs.existsSync(path))
+    throw commandError('DEST_EXISTS', path + ' already exists');
+  return $store.openLevelStore(path, {
+    createIfMissing: true,
+    errorIfExists: true,
+    keyCodec: $codec.DEFAULT_CODEC,
+    tokenizer: $tokenizers.DEFAULT_TOKENIZER,
+    infixLength: $rows.DEFAULT_INFIX_LENGTH
+  });
+}
+
+function runImport(options, positional) {
+  var file = positional[0];
+  if (!file)
+    throw commandError('USAGE', 'import wants a file to import');
+  if (!$fs.existsSync(file))
+    throw commandError('NO_SOURCE', file + ' does not exist');
+  var tree = $bookmarkfiles.parseTree($fs.readFileSync(file, 'utf8'),
+                                      bookmarkFormat(options, file));
+  return openImportStore(options, positional.slice(1))
+    .then(function(db) {
+      return $mutations.importBookmarks(db, tree)
+        .finally(function() {
+          return $store.closeLevelStore(db);
+        });
+    })
+    .then(function(result) {
+      console.log('Imported', result.bookmarks, 'bookmarks,', result.folders,
+                  'folders and', result.separators, 'separators from',
+                  file + '.');
+      result.skippedKeywords.forEach(function(skipped) {
+        console.log('  left out keyword', skipped.keyword, 'for',
+                    skipped.url + ': it or the URL already has another');
+      });
+    });
+}
+
+var COMMANDS = {
+  convert: {
+    usage: 'convert [--source=places.sqlite] [--favicons=favicons.sqlite] ' +
+           '[--dest=leveldb-places.ldb] [--force] ' +
+           '[--namespaces=' + $convert.NAMESPACES + '] ' +
+           '[--key-codec=decimal|compact] [--tokenizer=legacy|unicode] ' +
+           '[--infix-length=3] [--layout=FILE] ' +
+           '[--cache-size=MB] [--no-compression] [--verbose]',
+    options: {
+      source: 'string',
+      favicons: 'string',
+      dest: 'string',
+      force: 'boolean',
+      namespaces: 'string',
+      'key-codec': 'string',
+      tokenizer: 'string',
+      'infix-length': 'count',
+      layout: 'string',
+      'cache-size': 'number',
+      compression: 'boolean',
+      verbose: 'boolean'
+    },
+    maxPositional: 0,
+    run: runConvert
+  },
+  dump: {
+    usage: 'dump [--namespace=H] [--prefix=component\\0component...] ' +
+           '[--since=DATE] [--until=DATE] [--limit=N] ' +
+           '[--format=' + $dump.FORMATS.join('|') + '] [path/to/store.ldb]',
+    options: {
+      namespace: 'string',
+      prefix: 'string',
+      since: 'string',
+      until: 'string',
+      limit: 'count',
+      format: 'string'
+    },
+    maxPositional: 1,
+    run: runDump
+  },
+  compact: {
+    usage: 'compact [path/to/store.ldb]',
+    options: {},
+    maxPositional: 1,
+    run: runCompact
+  },
+  repair: {
+    usage: 'repair [path/to/store.ldb]',
+    options: {},
+    maxPositional: 1,
+    run: runRepair
+  },
+  export: {
+    usage: 'export [--format=' + $bookmarkfiles.FORMATS.join('|') + '] ' +
+           '[--output=FILE] [path/to/store.ldb]',
+    options: {
+      format: 'string',
+      output: 'string'
+    },
+    maxPositional: 1,
+    run: runExport
+  },
+  import: {
+    usage: 'import [--format=' + $bookmarkfiles.FORMATS.join('|') + '] ' +
+           '[--create] FILE [path/to/store.ldb]',
+    options: {
+      format: 'string',
+      create: 'boolean'
+    },
+    maxPositional: 2,
+    run: runImport
+  }
+};
+
+function printUsage(out) {
+  out.write('usage:\n');
+  for (var name in COMMANDS) {
+    out.write('  node places-leveldb.js ' + COMMANDS[name].usage + '\n');
+  }
+}
+
+/**
+ * Run a command line (minus the node and script arguments).  Resolves with
+ * the exit code; it never rejects.
+ */
+function main(argv) {
+  var commandName = argv[0];
+  if (!commandName || commandName === 'help' || commandName === '--help') {
+    printUsage(commandName ? process.stdout : process.stderr);
+    return $Q(commandName ? EXIT_OK : EXIT_USAGE);
+  }
+  if (!COMMANDS.hasOwnProperty(commandName)) {
+    console.error('Unknown command:', commandName);
+    printUsage(process.stderr);
+    return $Q(EXIT_USAGE);
+  }
+
+  var command = COMMANDS[commandName];
+  return $Q()
+    .then(function() {
+      var parsed = parseArgs(argv.slice(1), command.options);
+      if (parsed.positional.length > command.maxPositional)
+        throw commandError('USAGE', 'unexpected argument: ' +
+                           parsed.positional[command.maxPositional]);
+      return command.run(parsed.options, parsed.positional);
+    })
+    .then(function() {
+      return EXIT_OK;
+    }, function(err) {
+      var exitCode = EXIT_CODES_BY_ERROR_CODE[err.code] || EXIT_FAILED;
+      if (exitCode === EXIT_USAGE) {
+        console.error(err.message);
+        console.error('usage: node places-leveldb.js', command.usage);
+      }
+      else if (exitCode === EXIT_FAILED) {
+        console.error(commandName, 'failed:', err);
+      }
+      else {
+        console.error(err.message);
+      }
+      return exitCode;
+    });
+}
+
+exports.EXIT_OK = EXIT_OK;
+exports.EXIT_FAILED = EXIT_FAILED;
+exports.EXIT_USAGE = EXIT_USAGE;
+exports.EXIT_NO_SOURCE = EXIT_NO_SOURCE;
+exports.EXIT_DEST_EXISTS = EXIT_DEST_EXISTS;
+exports.parseArgs = parseArgs;
+exports.main = main;
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(function(exitCode) {
+    process.exitCode = exitCode;
+  });
+}
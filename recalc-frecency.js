@@ -0,0 +1,77 @@
+/**
+ * Recalculate frecencies natively from the visits in the store, rewriting the
+ * 'I' and 'A' rows of anything whose score changed:
+ *
+ *   node recalc-frecency.js [--halo=0.1] [--url=URL ...] [path/to/store.ldb]
+ *
+ * With no --url, every place in the store gets recalculated.
+ **/
+var $fs = require('fs');
+var $Q = require('q');
+
+var $cli = require('./places-leveldb');
+var $frecency = require('./lib/frecency');
+var $store = require('./lib/store');
+
+var USAGE = 'usage: node recalc-frecency.js [--halo=0.1] [--url=URL ...] ' +
+            '[path/to/store.ldb]';
+
+var OPTIONS = {
+  halo: 'number',
+  url: 'list'
+};
+
+var parsed;
+try {
+  parsed = $cli.parseArgs(process.argv.slice(2), OPTIONS);
+  if (parsed.positional.length > 1) {
+    var err = new Error('unexpected argument: ' + parsed.positional[1]);
+    err.code = 'USAGE';
+    throw err;
+  }
+}
+catch (ex) {
+  console.error(ex.message);
+  console.error(USAGE);
+  process.exit($cli.EXIT_USAGE);
+}
+
+var options = {},
+    urls = parsed.options.url || [],
+    path = parsed.positional[0] || $store.DEFAULT_PATH;
+if (parsed.options.halo)
+  options.halo = parsed.options.halo;
+if (!$fs.existsSync(path)) {
+  console.error(path, 'does not exist');
+  process.exit($cli.EXIT_NO_SOURCE);
+}
+
+$store.openLevelStore(path)
+  .then(function(db) {
+    var work;
+    if (urls.length) {
+      work = $Q.all(urls.map(function(url) {
+        return $frecency.recalculateFrecency(db, url, options)
+          .then(function(result) {
+            if (!result)
+              console.log('Unknown place:', url);
+            else
+              console.log(url, result.oldFrecency, '->', result.frecency);
+          });
+      }));
+    }
+    else {
+      work = $frecency.recalculateAllFrecencies(db, options)
+        .then(function(stats) {
+          console.log('Recalculated', stats.examined, 'places;',
+                      stats.changed, 'changed');
+        });
+    }
+    return work.finally(function() {
+      return $store.closeLevelStore(db);
+    });
+  })
+  .catch(function(err) {
+    console.error('Frecency recalculation failed:', err);
+    process.exitCode = $cli.EXIT_FAILED;
+  });
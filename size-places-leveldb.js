@@ -0,0 +1,150 @@
+/**
+ * Report how much space a converted store takes, namespace by namespace, and
+ * how that compares to the places.sqlite it came from:
+ *
+ *   node size-places-leveldb.js [--json] [--no-compact]
+ *                               [--sqlite=places.sqlite]
+ *                               [--tokenizer=unicode ...]
+ *                               [path/to/store.ldb]
+ *
+ * By default the store is compacted before measuring it a second time, since
+ * a freshly converted store is mostly unmerged log/level-0 files.
+ *
+ * Each --tokenizer (a lib/tokenizers.js spec, like 'unicode:en,de') adds a
+ * line to a report of how many awesomebar ('A' and 'N') rows that tokenizer
+ * would write for this store, next to the one the store was built with.
+ **/
+var $fs = require('fs');
+
+var $cli = require('./places-leveldb');
+var $sizing = require('./lib/sizing');
+var $store = require('./lib/store');
+
+var USAGE = 'usage: node size-places-leveldb.js [--json] [--no-compact] ' +
+            '[--sqlite=places.sqlite] [--tokenizer=SPEC ...] ' +
+            '[path/to/store.ldb]';
+
+var OPTIONS = {
+  json: 'boolean',
+  compact: 'boolean',
+  sqlite: 'string',
+  tokenizer: 'list'
+};
+
+function usageError(message) {
+  var err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+function sizingOptions(args) {
+  var parsed = $cli.parseArgs(args, OPTIONS);
+  var options = parsed.options;
+  if (parsed.positional.length > 1)
+    throw usageError('unexpected argument: ' + parsed.positional[1]);
+  return {
+    json: !!options.json,
+    compact: options.compact !== false,
+    sqlitePath: options.sqlite ||
+                ($fs.existsSync('places.sqlite') ? 'places.sqlite' : null),
+    tokenizers: options.tokenizer || null,
+    ldbPath: parsed.positional[0] || $store.DEFAULT_PATH
+  };
+}
+
+function pad(value, width, left) {
+  var str = String(value);
+  while (str.length < width) {
+    str = left ? str + ' ' : ' ' + str;
+  }
+  return str;
+}
+
+function printTokenizers(report) {
+  var ownRows = report.tokenizers[report.tokenizer].rows;
+  console.log();
+  console.log(pad('tokenizer', 20, true), pad('terms', 9), pad('A rows', 10),
+              pad('N rows', 10), pad('key bytes', 12), pad('vs own', 8));
+  for (var name in report.tokenizers) {
+    var stats = report.tokenizers[name];
+    var change = ownRows ? (100 * (stats.rows - ownRows) / ownRows) : 0;
+    console.log(pad(name, 20, true), pad(stats.terms, 9), pad(stats.rows, 10),
+                pad(stats.infixRows, 10), pad(stats.keyBytes, 12),
+                pad((change > 0 ? '+' : '') + change.toFixed(1) + '%', 8));
+  }
+  console.log('(term rows only; input history rows are left out)');
+  console.log();
+}
+
+function printReport(report) {
+  console.log(pad('ns', 3, true), pad('keys', 9), pad('key bytes', 12),
+              pad('value bytes', 12), pad('avg key', 8), pad('avg val', 8),
+              ' tables');
+  for (var namespace in report.namespaces) {
+    var stats = report.namespaces[namespace];
+    console.log(pad(namespace, 3, true), pad(stats.keys, 9),
+                pad(stats.keyBytes, 12), pad(stats.valueBytes, 12),
+                pad(stats.avgKeyBytes.toFixed(1), 8),
+                pad(stats.avgValueBytes.toFixed(1), 8),
+                '', stats.tables.join(', '));
+  }
+  console.log();
+  console.log('Key codec:', report.keyCodec);
+  console.log('Tokenizer:', report.tokenizer);
+  console.log('Infixes:', report.infixLength ?
+                report.infixLength + ' characters and up' : 'none');
+  if (report.tokenizers)
+    printTokenizers(report);
+  console.log('LevelDB on disk:', report.leveldb.bytesBefore, 'bytes');
+  if (report.leveldb.bytesAfter !== null)
+    console.log('LevelDB compacted:', report.leveldb.bytesAfter, 'bytes');
+  (report.leveldb.databases || []).forEach(function(database) {
+    console.log('  database', database.name, '(' + database.namespaces + '):',
+                database.bytesBefore, 'bytes' +
+                (database.bytesAfter === null ? '' :
+                   ', ' + database.bytesAfter + ' compacted'));
+  });
+
+  if (!report.sqlite)
+    return;
+  var sqlite = report.sqlite;
+  console.log('SQLite on disk:', sqlite.fileBytes, 'bytes (' +
+              sqlite.totalPages, 'pages of', sqlite.pageSize + ')');
+  console.log();
+  console.log(pad('table', 24, true), pad('rows', 9), pad('pages', 8),
+              pad('bytes', 12));
+  for (var table in sqlite.tables) {
+    var tableStats = sqlite.tables[table];
+    console.log(pad(table, 24, true), pad(tableStats.rows, 9),
+                pad(tableStats.pages === null ? '?' : tableStats.pages, 8),
+                pad(tableStats.bytes === null ? '?' : tableStats.bytes, 12));
+  }
+  if (sqlite.method !== 'dbstat')
+    console.log('(no dbstat in this SQLite, so no per-table page counts)');
+}
+
+var options;
+try {
+  options = sizingOptions(process.argv.slice(2));
+}
+catch (ex) {
+  console.error(ex.message);
+  console.error(USAGE);
+  process.exit($cli.EXIT_USAGE);
+}
+if (!$fs.existsSync(options.ldbPath)) {
+  console.error(options.ldbPath, 'does not exist');
+  process.exit($cli.EXIT_NO_SOURCE);
+}
+
+$sizing.sizingReport(options)
+  .then(function(report) {
+    if (options.json)
+      console.log(JSON.stringify(report, null, 2));
+    else
+      printReport(report);
+  })
+  .catch(function(err) {
+    console.error('Sizing failed:', err);
+    process.exitCode = $cli.EXIT_FAILED;
+  });
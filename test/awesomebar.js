@@ -0,0 +1,137 @@
+/**
+ * Awesomebar queries against a converted store: infixes, several words and
+ * the fallback to partial matches.
+ **/
+
+var $assert = require('assert');
+
+var $awesomebar = require('../lib/awesomebar');
+var $fixtures = require('./lib/fixtures');
+
+var PULLS_URL = 'https://github.com/pulls',
+    ISSUES_URL = 'https://github.com/issues',
+    UNVISITED_URL = 'https://github.com/unvisited',
+    HUBSPOT_URL = 'https://hubspot.com/',
+    EXAMPLE_URL = 'http://example.com/';
+
+function place(id, url, title, revHost, frecency) {
+  return $fixtures.place(id, url, revHost,
+                         { title: title, frecency: frecency });
+}
+
+var FIXTURE = {
+  moz_places: [
+    place(1, PULLS_URL, 'Pull Requests', 'moc.buhtig.', 20000),
+    place(2, ISSUES_URL, 'Issues', 'moc.buhtig.', 12000),
+    // not frecent enough for prefixes, so only found by scanning
+    place(3, HUBSPOT_URL, 'HubSpot Pulling Ahead', 'moc.topsbuh.', 300),
+    place(4, EXAMPLE_URL, 'Example Hub', 'moc.elpmaxe.', 100),
+    place(5, UNVISITED_URL, null, 'moc.buhtig.', 0)
+  ],
+  moz_bookmarks: $fixtures.bookmarkRoots($fixtures.NOW),
+  moz_inputhistory: [
+    { place_id: 4, input: 'ex hub', use_count: 1 }
+  ]
+};
+
+function urlsOf(hits) {
+  return hits.map(function(hit) {
+    return hit.url;
+  });
+}
+
+describe('queryAwesomebar', function() {
+  describe('with infixes', function() {
+    var converted, db;
+
+    before(function() {
+      return $fixtures.openConvertedFixture(FIXTURE).then(function(opened) {
+        converted = opened;
+        db = opened.db;
+      });
+    });
+
+    after(function() {
+      return $fixtures.closeConvertedFixture(converted);
+    });
+
+    it('finds terms by their start', function() {
+      return $awesomebar.queryAwesomebar(db, 'git').then(function(hits) {
+        $assert.deepStrictEqual(urlsOf(hits),
+                                [PULLS_URL, ISSUES_URL, UNVISITED_URL]);
+        $assert.deepStrictEqual(hits[0].terms, ['github']);
+        $assert.strictEqual(hits[0].title, 'Pull Requests');
+      });
+    });
+
+    it('finds terms by their middle', function() {
+      return $awesomebar.queryAwesomebar(db, 'ithub').then(function(hits) {
+        // the unvisited one only has a row for the whole suffix
+        $assert.deepStrictEqual(urlsOf(hits),
+                                [PULLS_URL, ISSUES_URL, UNVISITED_URL]);
+        $assert.deepStrictEqual(hits[1].terms, ['github']);
+      });
+    });
+
+    it('scans for infixes of less frecent places', function() {
+      return $awesomebar.queryAwesomebar(db, 'ull').then(function(hits) {
+        $assert.deepStrictEqual(urlsOf(hits), [PULLS_URL, HUBSPOT_URL]);
+        $assert.deepStrictEqual(hits[1].terms, ['pulling']);
+      });
+    });
+
+    it('keeps only places that match every word', function() {
+      return $awesomebar.queryAwesomebar(db, 'Hub PULL').then(function(hits) {
+        $assert.deepStrictEqual(urlsOf(hits), [PULLS_URL, HUBSPOT_URL]);
+        $assert.deepStrictEqual(hits[0].terms.sort(), ['github', 'pull']);
+        $assert.deepStrictEqual(hits[1].terms.sort(), ['hubspot', 'pulling']);
+      });
+    });
+
+    it('stops at the limit', function() {
+      return $awesomebar.queryAwesomebar(db, 'hub', { limit: 1 })
+        .then(function(hits) {
+          $assert.deepStrictEqual(urlsOf(hits), [PULLS_URL]);
+        });
+    });
+
+    it('puts what was picked for all the words first', function() {
+      return $awesomebar.queryAwesomebar(db, 'ex hub').then(function(hits) {
+        $assert.deepStrictEqual(urlsOf(hits), [EXAMPLE_URL]);
+        $assert.strictEqual(hits[0].inputUseCount, 1);
+      });
+    });
+
+    it('finds nothing when a word matches nothing', function() {
+      return $awesomebar.queryAwesomebar(db, 'hub zebra').then(function(hits) {
+        $assert.deepStrictEqual(hits, []);
+      });
+    });
+  });
+
+  describe('without infixes', function() {
+    var plain, plainDb;
+    before(function() {
+      return $fixtures.openConvertedFixture(FIXTURE, { infixLength: 0 })
+        .then(function(opened) {
+          plain = opened;
+          plainDb = opened.db;
+        });
+    });
+
+    after(function() {
+      return $fixtures.closeConvertedFixture(plain);
+    });
+
+    it('only finds terms by their start', function() {
+      return $awesomebar.queryAwesomebar(plainDb, 'ithub')
+        .then(function(hits) {
+          $assert.deepStrictEqual(hits, []);
+          return $awesomebar.queryAwesomebar(plainDb, 'hub pull');
+        })
+        .then(function(hits) {
+          $assert.deepStrictEqual(urlsOf(hits), [HUBSPOT_URL]);
+        });
+    });
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Bookmarks out to bookmarks.html and JSON backups and back in again, and
+ * importing into a store that already has bookmarks.
+ **/
+
+var $assert = require('assert');
+var $path = require('path');
+var $Q = require('q');
+
+var $bookmarkfiles = require('../lib/bookmarkfiles');
+var $bookmarks = require('../lib/bookmarks');
+var $check = require('../lib/check');
+var $fixtures = require('./lib/fixtures');
+var $keys = require('../lib/keys');
+var $keywords = require('../lib/keywords');
+var $mutations = require('../lib/mutations');
+var $store = require('../lib/store');
+var $tags = require('../lib/tags');
+
+var ADDED = $fixtures.ADDED,
+    MODIFIED = $fixtures.MODIFIED;
+
+var EXAMPLE_URL = 'http://www.example.com/?a=1&b=2',
+    SEARCH_URL = 'https://search.example.org/',
+    MDN_URL = 'https://developer.mozilla.org/docs';
+
+var place = $fixtures.place,
+    bookmark = $fixtures.bookmark;
+
+var FIXTURE = {
+  moz_places: [
+    place(1, EXAMPLE_URL, 'moc.elpmaxe.www.'),
+    place(2, SEARCH_URL, 'gro.elpmaxe.hcraes.'),
+    place(3, MDN_URL, 'gro.allizom.repoleved.')
+  ],
+  moz_bookmarks: $fixtures.bookmarkRoots(ADDED).concat([
+    bookmark(6, 2, null, 2, 0, 'Projects & <Things>'),
+    bookmark(7, 1, 1, 2, 1, 'Example "Home"', { keyword_id: 1 }),
+    bookmark(8, 1, 3, 6, 0, 'Reference'),
+    bookmark(9, 3, null, 2, 2, null),
+    bookmark(10, 1, 2, 3, 0, 'Search'),
+    bookmark(11, 1, 3, 5, 0, 'MDN again'),
+    // the 'reading' tag, tagging MDN
+    bookmark(12, 2, null, 4, 0, 'reading'),
+    bookmark(13, 1, 3, 12, 0, null)
+  ]),
+  moz_keywords: [
+    { id: 1, keyword: 'ex' }
+  ],
+  moz_anno_attributes: [
+    { id: 1, name: $bookmarkfiles.DESCRIPTION_ANNO }
+  ],
+  moz_items_annos: [
+    { id: 1, item_id: 7, anno_attribute_id: 1, content: 'Says hello',
+      flags: 0, expiration: 4, type: 3, dateAdded: ADDED,
+      lastModified: MODIFIED }
+  ]
+};
+
+/**
+ * The tree without what a round trip through a file can't keep the same:
+ * the GUIDs, and for bookmarks.html the annotations other than the
+ * description, the mobile root and the dates of what it has no tag for.
+ */
+function comparable(item, html) {
+  var copy = {};
+  for (var key in item) {
+    copy[key] = item[key];
+  }
+  copy.guid = null;
+  if (html && (item.root === 'places' || item.root === 'menu' ||
+               item.type === $bookmarks.TYPE_SEPARATOR)) {
+    copy.dateAdded = null;
+    copy.lastModified = null;
+  }
+  if (html && item.annotations) {
+    var description = item.annotations[$bookmarkfiles.DESCRIPTION_ANNO];
+    copy.annotations = null;
+    if (description) {
+      copy.annotations = {};
+      copy.annotations[$bookmarkfiles.DESCRIPTION_ANNO] = description;
+    }
+  }
+  if (item.children) {
+    copy.children = item.children.filter(function(kid) {
+      return !html || kid.root !== 'mobile';
+    }).map(function(kid) {
+      return comparable(kid, html);
+    });
+  }
+  return copy;
+}
+
+describe('bookmark files', function() {
+  var converted, db;
+
+  beforeEach(function() {
+    return $fixtures.openConvertedFixture(FIXTURE).then(function(opened) {
+      converted = opened;
+      db = opened.db;
+      return $mutations.setKeyword(db, SEARCH_URL, 'find',
+                                   { postData: 'q=%s' });
+    });
+  });
+
+  afterEach(function() {
+    return $fixtures.closeConvertedFixture(converted);
+  });
+
+  function childTitles(item) {
+    return item.children.map(function(kid) {
+      return kid.title;
+    });
+  }
+
+  describe('export', function() {
+    it('writes a JSON backup of everything', function() {
+      return $bookmarkfiles.readBookmarkTree(db).then(function(tree) {
+        var backup = JSON.parse($bookmarkfiles.serializeJSON(tree));
+        $assert.strictEqual(backup.root, 'placesRoot');
+        $assert.strictEqual(backup.guid, 'root________');
+        $assert.deepStrictEqual(backup.children.map(function(root) {
+          return root.root;
+        }), ['bookmarksMenuFolder', 'toolbarFolder',
+             'unfiledBookmarksFolder']);
+
+        var menu = backup.children[0];
+        $assert.deepStrictEqual(menu.children.map(function(node) {
+          return node.typeCode;
+        }), [$bookmarks.TYPE_FOLDER, $bookmarks.TYPE_BOOKMARK,
+             $bookmarks.TYPE_SEPARATOR]);
+        $assert.deepStrictEqual(menu.children[1], {
+          guid: 'bookmark7___',
+          title: 'Example "Home"',
+          index: 1,
+          dateAdded: ADDED,
+          lastModified: MODIFIED,
+          typeCode: $bookmarks.TYPE_BOOKMARK,
+          type: 'text/x-moz-place',
+          uri: EXAMPLE_URL,
+          keyword: 'ex',
+          annos: [{ name: $bookmarkfiles.DESCRIPTION_ANNO, flags: 0,
+                    expires: 4, mimeType: null, type: 3,
+                    value: 'Says hello' }]
+        });
+        $assert.strictEqual(menu.children[0].children[0].tags, 'reading');
+        var search = backup.children[1].children[0];
+        $assert.strictEqual(search.keyword, 'find');
+        $assert.strictEqual(search.postData, 'q=%s');
+      });
+    });
+
+    it('writes a bookmarks.html with the toolbar and unfiled in it',
+       function() {
+      return $bookmarkfiles.readBookmarkTree(db).then(function(tree) {
+        var lines = $bookmarkfiles.serializeHTML(tree).split('\n');
+        $assert.strictEqual(lines[0], '<!DOCTYPE NETSCAPE-Bookmark-file-1>');
+        var added = ADDED / 1000000, modified = MODIFIED / 1000000;
+        // the roots never got modified
+        var rootDates = ' ADD_DATE="' + added + '" LAST_MODIFIED="' + added +
+                        '"';
+        $assert.deepStrictEqual(lines.slice(8), [
+          '<DL><p>',
+          '    <DT><H3' + rootDates +
+            ' PERSONAL_TOOLBAR_FOLDER="true">Bookmarks Toolbar</H3>',
+          '    <DL><p>',
+          '        <DT><A HREF="' + SEARCH_URL + '" ADD_DATE="' + added +
+            '" LAST_MODIFIED="' + modified + '" SHORTCUTURL="find" ' +
+            'POST_DATA="q=%s">Search</A>',
+          '    </DL><p>',
+          '    <DT><H3 ADD_DATE="' + added + '" LAST_MODIFIED="' + modified +
+            '">Projects &amp; &lt;Things&gt;</H3>',
+          '    <DL><p>',
+          '        <DT><A HREF="' + MDN_URL + '" ADD_DATE="' + added +
+            '" LAST_MODIFIED="' + modified + '" TAGS="reading">' +
+            'Reference</A>',
+          '    </DL><p>',
+          '    <DT><A HREF="http://www.example.com/?a=1&amp;b=2" ADD_DATE="' +
+            added + '" LAST_MODIFIED="' + modified + '" SHORTCUTURL="ex">' +
+            'Example &quot;Home&quot;</A>',
+          '    <DD>Says hello',
+          '    <HR>',
+          '    <DT><H3' + rootDates +
+            ' UNFILED_BOOKMARKS_FOLDER="true">Other Bookmarks</H3>',
+          '    <DL><p>',
+          '        <DT><A HREF="' + MDN_URL + '" ADD_DATE="' + added +
+            '" LAST_MODIFIED="' + modified + '" TAGS="reading">' +
+            'MDN again</A>',
+          '    </DL><p>',
+          '</DL><p>',
+          ''
+        ]);
+      });
+    });
+  });
+
+  describe('round trips', function() {
+    $bookmarkfiles.FORMATS.forEach(function(format) {
+      it('gets the same bookmarks back out of ' + format, function() {
+        var html = format === 'html', original;
+        return $bookmarkfiles.readBookmarkTree(db)
+          .then(function(tree) {
+            original = tree;
+            var text = $bookmarkfiles.serializeTree(tree, format);
+            var empty = $path.join(converted.dir, 'empty.ldb');
+            return $fixtures.withStore(empty, function(emptyDb) {
+              var parsed = $bookmarkfiles.parseTree(text, format);
+              return $mutations.importBookmarks(emptyDb, parsed)
+                .then(function(result) {
+                  $assert.deepStrictEqual(result, {
+                    bookmarks: 4, folders: 1, separators: 1,
+                    skippedKeywords: []
+                  });
+                  return $check.checkStore(emptyDb);
+                })
+                .then(function(checked) {
+                  $assert.deepStrictEqual(checked.problems, []);
+                  return $Q.all([$bookmarkfiles.readBookmarkTree(emptyDb),
+                                 $tags.urlsForTag(emptyDb, 'reading'),
+                                 $keywords.listKeywords(emptyDb)]);
+                });
+            }, { createIfMissing: true, errorIfExists: true,
+                 infixLength: db.settings.infixLength });
+          })
+          .then(function(results) {
+            $assert.deepStrictEqual(comparable(results[0], html),
+                                    comparable(original, html));
+            if (!html)
+              $assert.strictEqual(results[0].children[0].children[1].guid,
+                                  'bookmark7___');
+            $assert.deepStrictEqual(results[1], [MDN_URL]);
+            $assert.deepStrictEqual(results[2], [
+              { keyword: 'ex', url: EXAMPLE_URL, postData: null },
+              { keyword: 'find', url: SEARCH_URL, postData: 'q=%s' }
+            ]);
+          });
+      });
+    });
+  });
+
+  describe('importBookmarks', function() {
+    var BACKUP = {
+      guid: 'root________', title: '', index: 0, typeCode: 2,
+      type: 'text/x-moz-place-container', root: 'placesRoot',
+      children: [
+        { guid: 'menu________', title: 'menu', index: 0, typeCode: 2,
+          type: 'text/x-moz-place-container', root: 'bookmarksMenuFolder',
+          children: [
+            // the same GUID as one we already have
+            { guid: 'bookmark8___', title: 'Docs', index: 0, typeCode: 1,
+              type: 'text/x-moz-place', uri: MDN_URL, tags: 'web, docs',
+              keyword: 'EX', dateAdded: ADDED, lastModified: ADDED }
+          ] },
+        // the way older Firefoxes kept tags
+        { guid: 'tags________', title: 'tags', index: 1, typeCode: 2,
+          type: 'text/x-moz-place-container', root: 'tagsFolder',
+          children: [
+            { title: 'cats', index: 0, typeCode: 2,
+              type: 'text/x-moz-place-container',
+              children: [
+                { title: null, index: 0, typeCode: 1,
+                  type: 'text/x-moz-place', uri: EXAMPLE_URL }
+              ] }
+          ] }
+      ]
+    };
+
+    it('adds to what the store has', function() {
+      var tree = $bookmarkfiles.parseJSON(JSON.stringify(BACKUP));
+      return $mutations.importBookmarks(db, tree)
+        .then(function(result) {
+          // 'ex' is already Example's
+          $assert.deepStrictEqual(result, {
+            bookmarks: 1, folders: 0, separators: 0,
+            skippedKeywords: [{ keyword: 'ex', url: MDN_URL }]
+          });
+          return $check.checkStore(db);
+        })
+        .then(function(checked) {
+          $assert.deepStrictEqual(checked.problems, []);
+          return $bookmarks.getRoot(db, 'menu');
+        })
+        .then(function(menu) {
+          return $bookmarks.listChildren(db, menu);
+        })
+        .then(function(kids) {
+          $assert.deepStrictEqual(kids.map(function(kid) {
+            return [kid.position, kid.title];
+          }), [[0, 'Projects & <Things>'], [1, 'Example "Home"'],
+               [2, null], [3, 'Docs']]);
+          $assert.notStrictEqual(kids[3].guid, 'bookmark8___');
+          $assert.strictEqual(kids[3].keyword, null);
+          $assert.deepStrictEqual(kids[3].tags, ['reading', 'web', 'docs']);
+          return $Q.all([$tags.tagsForUrl(db, EXAMPLE_URL),
+                         $store.readRange(db, $keys.prefixRange('K'))]);
+        })
+        .then(function(results) {
+          $assert.deepStrictEqual(results[0], ['cats']);
+          $assert.strictEqual(results[1].length, 2);
+        });
+    });
+
+    it('will only import a tree of roots', function() {
+      return $mutations.importBookmarks(db, { root: null, children: [] })
+        .then(function() {
+          $assert.fail('imported a folder');
+        }, function(err) {
+          $assert.match(err.message, /not a tree of roots/);
+        });
+    });
+  });
+
+  describe('parsing', function() {
+    it('reads the bookmarks.html other browsers write', function() {
+      var tree = $bookmarkfiles.parseHTML([
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<TITLE>Bookmarks</TITLE>',
+        '<DL><p>',
+        '  <DT><A href=\'http://a.example/\' add_date=1372636800 ' +
+          'ICON="data:image/png;base64,AAAA">A&nbsp;&#x263A;</A>',
+        '  <DD>Multi',
+        '  line &amp; all',
+        '  <DT><H3>Empty</H3>',
+        '  <DL><p></DL><p>',
+        '</DL><p>'
+      ].join('\n'));
+      $assert.deepStrictEqual(childTitles(tree), ['menu']);
+      var kids = tree.children[0].children;
+      $assert.deepStrictEqual(childTitles(tree.children[0]),
+                              ['A ☺', 'Empty']);
+      $assert.strictEqual(kids[0].url, 'http://a.example/');
+      $assert.strictEqual(kids[0].dateAdded, $fixtures.NOW);
+      $assert.strictEqual(kids[0].lastModified, $fixtures.NOW);
+      $assert.strictEqual(
+        kids[0].annotations[$bookmarkfiles.DESCRIPTION_ANNO].content,
+        'Multi\n  line & all');
+      $assert.deepStrictEqual(kids[1].children, []);
+    });
+
+    it('knows a JSON backup when it sees one', function() {
+      $assert.throws(function() {
+        $bookmarkfiles.parseJSON('{"title": "nope"}');
+      }, /not a bookmarks backup/);
+      $assert.strictEqual($bookmarkfiles.formatForPath('b/bookmarks.HTM'),
+                          'html');
+      $assert.strictEqual(
+        $bookmarkfiles.formatForPath('bookmarks-2013-07-01.json'), 'json');
+      $assert.strictEqual($bookmarkfiles.formatForPath('bookmarks.txt'),
+                          null);
+    });
+  });
+});
@@ -0,0 +1,477 @@
+/**
+ * Convert a small hand-built places.sqlite and check the exact keys and
+ * values that end up in each namespace.
+ **/
+
+var $assert = require('assert');
+
+var $fixtures = require('./lib/fixtures');
+var $keys = require('../lib/keys');
+
+var NOW = $fixtures.NOW;
+var ADDED = $fixtures.ADDED,
+    MODIFIED = $fixtures.MODIFIED;
+// three visit times, a second apart; two visits share the last one
+var T1 = NOW - 3 * $fixtures.PRTIME_PER_SECOND,
+    T2 = NOW - 2 * $fixtures.PRTIME_PER_SECOND,
+    T3 = NOW - $fixtures.PRTIME_PER_SECOND;
+
+var EXAMPLE_URL = 'http://www.example.com/',
+    EXAMPLE_HOST = 'moc.elpmaxe.www.',
+    MDN_URL = 'https://developer.mozilla.org/docs',
+    MDN_HOST = 'gro.allizom.repoleved.',
+    SAME_URL = 'http://example.com/same',
+    SAME_HOST = 'moc.elpmaxe.';
+
+var bookmark = $fixtures.bookmark;
+
+var FIXTURE = {
+  moz_places: [
+    { id: 1, url: EXAMPLE_URL, title: 'Example Domain',
+      rev_host: EXAMPLE_HOST, visit_count: 2, typed: 1, frecency: 20000,
+      last_visit_date: T3, guid: 'place1______' },
+    { id: 2, url: MDN_URL, title: 'MDN Docs', rev_host: MDN_HOST,
+      visit_count: 1, typed: 0, frecency: 500, last_visit_date: T2,
+      guid: 'place2______' },
+    { id: 3, url: SAME_URL, title: null, rev_host: SAME_HOST,
+      visit_count: 1, typed: 0, frecency: 100, last_visit_date: T3,
+      guid: 'place3______' }
+  ],
+  moz_historyvisits: [
+    { id: 1, from_visit: 0, place_id: 1, visit_date: T1, visit_type: 2,
+      session: 1 },
+    { id: 2, from_visit: 1, place_id: 2, visit_date: T2, visit_type: 1,
+      session: 1 },
+    { id: 3, from_visit: 2, place_id: 3, visit_date: T3, visit_type: 1,
+      session: 1 },
+    { id: 4, from_visit: 0, place_id: 1, visit_date: T3, visit_type: 2,
+      session: 2 }
+  ],
+  moz_bookmarks: $fixtures.bookmarkRoots(ADDED).concat([
+    bookmark(6, 2, null, 2, 0, 'Projects'),
+    bookmark(7, 1, 1, 2, 1, 'Example Home', { keyword_id: 1 }),
+    bookmark(8, 1, 2, 6, 0, 'Reference'),
+    bookmark(9, 3, null, 3, 0, null),
+    // the 'reading' tag, tagging MDN
+    bookmark(10, 2, null, 4, 0, 'reading'),
+    bookmark(11, 1, 2, 10, 0, null)
+  ]),
+  moz_keywords: [
+    { id: 1, keyword: 'ex' }
+  ],
+  moz_anno_attributes: [
+    { id: 1, name: 'URIProperties/characterSet' },
+    { id: 2, name: 'bookmarkProperties/description' }
+  ],
+  moz_annos: [
+    { id: 1, place_id: 1, anno_attribute_id: 1, content: 'UTF-8', flags: 0,
+      expiration: 4, type: 3, dateAdded: ADDED, lastModified: ADDED }
+  ],
+  moz_items_annos: [
+    { id: 1, item_id: 7, anno_attribute_id: 2, content: 'Says hello',
+      flags: 0, expiration: 4, type: 3, dateAdded: ADDED,
+      lastModified: ADDED }
+  ],
+  moz_inputhistory: [
+    { place_id: 2, input: 'mdn', use_count: 2 }
+  ]
+};
+
+function fieldsOf(rows) {
+  return (rows || []).map(function(row) {
+    return row.fields;
+  });
+}
+
+function valuesOf(rows) {
+  return (rows || []).map(function(row) {
+    return row.value;
+  });
+}
+
+function bookmarkValue(url, title, type, position, extra) {
+  var value = {
+    url: url,
+    title: title,
+    tags: null,
+    keyword: null,
+    type: type,
+    position: position,
+    dateAdded: ADDED,
+    lastModified: MODIFIED,
+    guid: null,
+    annotations: null
+  };
+  for (var name in extra) {
+    value[name] = extra[name];
+  }
+  return value;
+}
+
+describe('convertPlaces', function() {
+  var rows;
+  before(function() {
+    return $fixtures.convertFixture(FIXTURE).then(function(converted) {
+      rows = converted;
+    });
+  });
+
+  describe("'B' (bookmarks by hierarchy)", function() {
+    it('keys bookmarks by depth, parent and id', function() {
+      $assert.deepStrictEqual(fieldsOf(rows.B), [
+        [0, 0, 1],
+        [0, 1, 2],
+        [0, 1, 3],
+        [0, 1, 5],
+        [1, 2, 6],
+        [1, 2, 7],
+        [1, 3, 9],
+        [2, 6, 8]
+      ]);
+      $assert.strictEqual(rows.B[5].key, 'B\u00001\u00002\u00007');
+    });
+
+    it('leaves the tags root and the tags out of the hierarchy', function() {
+      fieldsOf(rows.B).forEach(function(fields) {
+        $assert.notStrictEqual(fields[2], 4);
+        $assert.notStrictEqual(fields[1], 4);
+        $assert.notStrictEqual(fields[1], 10);
+      });
+    });
+
+    it('writes roots, folders, bookmarks (with their annotations) and ' +
+       'separators', function() {
+      $assert.deepStrictEqual(valuesOf(rows.B), [
+        // bookmarkRoots() never modified the roots
+        bookmarkValue(null, 'places', 2, 0,
+                      { guid: 'root________', lastModified: ADDED }),
+        bookmarkValue(null, 'menu', 2, 0,
+                      { guid: 'menu________', lastModified: ADDED }),
+        bookmarkValue(null, 'toolbar', 2, 1,
+                      { guid: 'toolbar_____', lastModified: ADDED }),
+        bookmarkValue(null, 'unfiled', 2, 3,
+                      { guid: 'unfiled_____', lastModified: ADDED }),
+        bookmarkValue(null, 'Projects', 2, 0, { guid: 'bookmark6___' }),
+        bookmarkValue(EXAMPLE_URL, 'Example Home', 1, 1, {
+          keyword: 'ex',
+          guid: 'bookmark7___',
+          annotations: {
+            'bookmarkProperties/description': {
+              mimeType: null, content: 'Says hello', flags: 0,
+              expiration: 4, type: 3, dateAdded: ADDED, lastModified: ADDED
+            }
+          }
+        }),
+        bookmarkValue(null, null, 3, 0, { guid: 'bookmark9___' }),
+        bookmarkValue(MDN_URL, 'Reference', 1, 0,
+                      { tags: ['reading'], guid: 'bookmark8___' })
+      ]);
+    });
+  });
+
+  describe("'b' (bookmarks by URL)", function() {
+    it('has a row for each bookmark with a URL, outside of tags', function() {
+      $assert.deepStrictEqual(fieldsOf(rows.b), [
+        [EXAMPLE_URL, 7],
+        [MDN_URL, 8]
+      ]);
+      $assert.deepStrictEqual(valuesOf(rows.b), [
+        { parentId: 2, depth: 1 },
+        { parentId: 6, depth: 2 }
+      ]);
+    });
+  });
+
+  describe("'K' (keywords)", function() {
+    it('maps keywords to their URLs', function() {
+      $assert.deepStrictEqual(fieldsOf(rows.K), [['ex']]);
+      $assert.deepStrictEqual(valuesOf(rows.K), [
+        { url: EXAMPLE_URL, postData: null }
+      ]);
+    });
+  });
+
+  describe("'T' (URLs by tag)", function() {
+    it('maps tags to the URLs they tag', function() {
+      $assert.deepStrictEqual(fieldsOf(rows.T), [['reading', MDN_URL]]);
+      $assert.deepStrictEqual(valuesOf(rows.T), [{}]);
+    });
+  });
+
+  describe("'H' (history by time)", function() {
+    it('keys visits newest first, suffixing same-time visits', function() {
+      var k1 = $keys.lexiformTimestamp(T1),
+          k2 = $keys.lexiformTimestamp(T2),
+          k3 = $keys.lexiformTimestamp(T3);
+      $assert.deepStrictEqual(fieldsOf(rows.H), [
+        [k3],
+        [k3 + '-0'],
+        [k2],
+        [k1]
+      ]);
+      // (MAX_TIMESTAMP - T1), zero padded
+      $assert.strictEqual(rows.H[3].key, 'H\u00007634562457740991');
+    });
+
+    it('links visits to the visits they came from', function() {
+      $assert.deepStrictEqual(valuesOf(rows.H), [
+        { url: SAME_URL, prevKey: $keys.lexiformTimestamp(T2), type: 1,
+          session: 1 },
+        { url: EXAMPLE_URL, prevKey: null, type: 2, session: 2 },
+        { url: MDN_URL, prevKey: $keys.lexiformTimestamp(T1), type: 1,
+          session: 1 },
+        { url: EXAMPLE_URL, prevKey: null, type: 2, session: 1 }
+      ]);
+    });
+  });
+
+  describe("'h' (history by site)", function() {
+    it('keys visits by reversed host, visit key and URL', function() {
+      var k1 = $keys.lexiformTimestamp(T1),
+          k2 = $keys.lexiformTimestamp(T2),
+          k3 = $keys.lexiformTimestamp(T3);
+      $assert.deepStrictEqual(fieldsOf(rows.h), [
+        [MDN_HOST, k2, MDN_URL],
+        [SAME_HOST, k3, SAME_URL],
+        [EXAMPLE_HOST, k3 + '-0', EXAMPLE_URL],
+        [EXAMPLE_HOST, k1, EXAMPLE_URL]
+      ]);
+      $assert.deepStrictEqual(valuesOf(rows.h), [{}, {}, {}, {}]);
+    });
+  });
+
+  describe("'I' (info by URL)", function() {
+    it('has everything about each place', function() {
+      $assert.deepStrictEqual(fieldsOf(rows.I), [
+        [MDN_HOST, MDN_URL],
+        [SAME_HOST, SAME_URL],
+        [EXAMPLE_HOST, EXAMPLE_URL]
+      ]);
+      $assert.deepStrictEqual(valuesOf(rows.I), [
+        { title: 'MDN Docs', visitCount: 1, typed: 0, frecency: 500,
+          lastVisitDate: T2, guid: 'place2______', favicon: null,
+          annotations: null, tags: ['reading'] },
+        { title: null, visitCount: 1, typed: 0, frecency: 100,
+          lastVisitDate: T3, guid: 'place3______', favicon: null,
+          annotations: null, tags: null },
+        { title: 'Example Domain', visitCount: 2, typed: 1, frecency: 20000,
+          lastVisitDate: T3, guid: 'place1______', favicon: null,
+          annotations: {
+            'URIProperties/characterSet': {
+              mimeType: null, content: 'UTF-8', flags: 0, expiration: 4,
+              type: 3, dateAdded: ADDED, lastModified: ADDED
+            }
+          },
+          tags: null }
+      ]);
+    });
+  });
+
+  describe("'A' (awesomebar)", function() {
+    function termRows(term) {
+      return fieldsOf(rows.A).filter(function(fields) {
+        return fields[2] === term;
+      });
+    }
+
+    it('has terms from hosts, titles, bookmark titles and tags', function() {
+      var terms = {};
+      fieldsOf(rows.A).forEach(function(fields) {
+        terms[fields[2] + ' ' + fields[3]] = true;
+      });
+      $assert.deepStrictEqual(Object.keys(terms).sort(), [
+        'developer ' + MDN_HOST,
+        'docs ' + MDN_HOST,
+        'domain ' + EXAMPLE_HOST,
+        'example ' + SAME_HOST,
+        'example ' + EXAMPLE_HOST,
+        'home ' + EXAMPLE_HOST,
+        'mdn ' + MDN_HOST,
+        'mozilla ' + MDN_HOST,
+        'reading ' + MDN_HOST,
+        'reference ' + MDN_HOST
+      ]);
+    });
+
+    it('emits every prefix of a frecent place\'s terms', function() {
+      $assert.deepStrictEqual(termRows('home'), [
+        ['h', 20000, 'home', EXAMPLE_HOST, '/'],
+        ['ho', 20000, 'home', EXAMPLE_HOST, '/'],
+        ['hom', 20000, 'home', EXAMPLE_HOST, '/'],
+        ['home', 20000, 'home', EXAMPLE_HOST, '/']
+      ]);
+    });
+
+    it('emits only the whole terms of other places', function() {
+      $assert.deepStrictEqual(termRows('docs'), [
+        ['docs', 500, 'docs', MDN_HOST, '/docs']
+      ]);
+    });
+
+    it('orders places with the same term by frecency', function() {
+      var example = fieldsOf(rows.A).filter(function(fields) {
+        return fields[0] === 'example';
+      });
+      $assert.deepStrictEqual(example, [
+        ['example', 20000, 'example', EXAMPLE_HOST, '/'],
+        ['example', 100, 'example', SAME_HOST, '/same']
+      ]);
+      var urls = rows.A.filter(function(row) {
+        return row.fields[0] === 'example';
+      }).map(function(row) {
+        return row.value;
+      });
+      $assert.deepStrictEqual(urls, [EXAMPLE_URL, SAME_URL]);
+    });
+
+    it('emits input history and its prefix at half frecency', function() {
+      $assert.deepStrictEqual(termRows('mdn'), [
+        ['md', 15000, 'mdn', MDN_HOST, '/docs'],
+        ['mdn', 30000, 'mdn', MDN_HOST, '/docs'],
+        ['mdn', 500, 'mdn', MDN_HOST, '/docs']
+      ]);
+    });
+  });
+
+  describe("'a' (awesomebar input history)", function() {
+    it('maps what was typed to the URL picked', function() {
+      $assert.deepStrictEqual(fieldsOf(rows.a), [['mdn', MDN_URL]]);
+      $assert.deepStrictEqual(valuesOf(rows.a), [{ useCount: 2 }]);
+    });
+  });
+
+  describe("'N' (awesomebar infixes)", function() {
+    function infixes(term) {
+      return fieldsOf(rows.N).filter(function(fields) {
+        return fields[2] === term;
+      });
+    }
+
+    it('emits every infix of a frecent place\'s terms', function() {
+      $assert.deepStrictEqual(infixes('domain'), [
+        ['ain', 20000, 'domain', EXAMPLE_HOST, '/'],
+        ['mai', 20000, 'domain', EXAMPLE_HOST, '/'],
+        ['main', 20000, 'domain', EXAMPLE_HOST, '/'],
+        ['oma', 20000, 'domain', EXAMPLE_HOST, '/'],
+        ['omai', 20000, 'domain', EXAMPLE_HOST, '/'],
+        ['omain', 20000, 'domain', EXAMPLE_HOST, '/']
+      ]);
+    });
+
+    it('emits only the suffixes of other places\' terms', function() {
+      $assert.deepStrictEqual(infixes('reference').map(function(fields) {
+        return fields[0];
+      }), ['eference', 'ence', 'erence', 'ference', 'nce', 'rence']);
+    });
+
+    it('records the infix length', function() {
+      $assert.deepStrictEqual(rows.M.filter(function(row) {
+        return row.fields[0] === 'infixLength';
+      }).map(function(row) {
+        return row.value;
+      }), [3]);
+    });
+
+    it('emits none with an infix length of 0', function() {
+      return $fixtures.convertFixture(FIXTURE, { infixLength: 0 })
+        .then(function(converted) {
+          $assert.deepStrictEqual(fieldsOf(converted.N), []);
+          $assert.deepStrictEqual(fieldsOf(converted.A), fieldsOf(rows.A));
+        });
+    });
+  });
+
+  describe('with the compact key codec', function() {
+    var compactRows;
+    before(function() {
+      return $fixtures.convertFixture(FIXTURE, { keyCodec: 'compact' })
+        .then(function(converted) {
+          compactRows = converted;
+        });
+    });
+
+    after(function() {
+      // reading the compact store switched $keys over
+      $keys.useCodec('decimal');
+    });
+
+    // visit keys are encoded timestamps, so 'H' and 'h' differ
+    it('writes the same rows in the same order', function() {
+      'BbKTIAaN'.split('').forEach(function(namespace) {
+        $assert.deepStrictEqual(fieldsOf(compactRows[namespace]),
+                                fieldsOf(rows[namespace]), namespace);
+        $assert.deepStrictEqual(valuesOf(compactRows[namespace]),
+                                valuesOf(rows[namespace]), namespace);
+      });
+    });
+
+    it('will not open while a store with another codec is', function() {
+      return $fixtures.openConvertedFixture(FIXTURE).then(function(open) {
+        return $fixtures.openConvertedFixture(FIXTURE, { keyCodec: 'compact' })
+          .then(function() {
+            $assert.fail('opened a compact store');
+          }, function(err) {
+            $assert.match(err.message, /uses the compact key codec, but a /);
+          })
+          .finally(function() {
+            return $fixtures.closeConvertedFixture(open);
+          });
+      });
+    });
+  });
+
+  describe('with frecencies the keys can\'t hold', function() {
+    // Places' -1 for a frecency it hasn't worked out yet, and a use count
+    // that scales past $keys.MAX_FRECENCY
+    var fixture = {};
+    for (var table in FIXTURE) {
+      fixture[table] = FIXTURE[table];
+    }
+    fixture.moz_places = FIXTURE.moz_places.map(function(place) {
+      var copy = {};
+      for (var column in place) {
+        copy[column] = place[column];
+      }
+      if (copy.id === 3)
+        copy.frecency = -1;
+      return copy;
+    });
+    fixture.moz_inputhistory = [{ place_id: 2, input: 'mdn', use_count: 100 }];
+
+    function clampsFrecencies(options) {
+      return $fixtures.convertFixture(fixture, options)
+        .then(function(converted) {
+          var example = fieldsOf(converted.A).filter(function(fields) {
+            return fields[0] === 'example';
+          });
+          $assert.deepStrictEqual(example, [
+            ['example', 20000, 'example', EXAMPLE_HOST, '/'],
+            ['example', 0, 'example', SAME_HOST, '/same']
+          ]);
+          var mdn = fieldsOf(converted.A).filter(function(fields) {
+            return fields[2] === 'mdn';
+          });
+          $assert.deepStrictEqual(mdn, [
+            ['md', 499999, 'mdn', MDN_HOST, '/docs'],
+            ['mdn', $keys.MAX_FRECENCY, 'mdn', MDN_HOST, '/docs'],
+            ['mdn', 500, 'mdn', MDN_HOST, '/docs']
+          ]);
+          // the info keeps what Places had
+          var same = converted.I.filter(function(row) {
+            return row.fields[1] === SAME_URL;
+          });
+          $assert.strictEqual(same[0].value.frecency, -1);
+        });
+    }
+
+    it('clamps them with the decimal key codec', function() {
+      return clampsFrecencies();
+    });
+
+    it('clamps them with the compact key codec', function() {
+      return clampsFrecencies({ keyCodec: 'compact' }).finally(function() {
+        $keys.useCodec('decimal');
+      });
+    });
+  });
+});
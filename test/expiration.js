@@ -0,0 +1,204 @@
+/**
+ * Expiring annotations and favicons that are due and trimming old history,
+ * and that nothing is left pointing at what went.
+ **/
+
+var $assert = require('assert');
+
+var $check = require('../lib/check');
+var $expiration = require('../lib/expiration');
+var $fixtures = require('./lib/fixtures');
+var $keys = require('../lib/keys');
+var $rows = require('../lib/rows');
+var $store = require('../lib/store');
+
+var NOW = $fixtures.NOW,
+    OLD = NOW - 100 * $fixtures.PRTIME_PER_DAY,
+    RECENT = NOW - $fixtures.PRTIME_PER_DAY;
+
+var OLD_URL = 'http://old.example.com/news',
+    BOOKMARKED_URL = 'http://www.example.com/',
+    RECENT_URL = 'https://developer.mozilla.org/docs',
+    SHARED_ICON_URL = 'https://developer.mozilla.org/old',
+    EXPIRED_ICON_URL = 'http://icons.example.org/';
+
+var place = $fixtures.place,
+    bookmark = $fixtures.bookmark;
+
+function favicon(id, data, expiration) {
+  return { id: id, url: 'http://icons.example.org/' + id + '.png',
+           data: Buffer.from(data), mime_type: 'image/png',
+           expiration: expiration };
+}
+
+function visit(id, placeId, visitDate) {
+  return { id: id, from_visit: 0, place_id: placeId, visit_date: visitDate,
+           visit_type: 1, session: 1 };
+}
+
+function annotation(id, placeId, expiration, lastModified) {
+  return { id: id, place_id: placeId, anno_attribute_id: 1,
+           content: 'x', flags: 0, expiration: expiration, type: 3,
+           dateAdded: lastModified, lastModified: lastModified };
+}
+
+var FIXTURE = {
+  moz_places: [
+    place(1, OLD_URL, 'moc.elpmaxe.dlo.',
+          { title: 'Old News', last_visit_date: OLD, favicon_id: 1 }),
+    place(2, BOOKMARKED_URL, 'moc.elpmaxe.www.',
+          { title: 'Example', last_visit_date: OLD }),
+    place(3, RECENT_URL, 'gro.allizom.repoleved.',
+          { title: 'MDN Docs', last_visit_date: RECENT, favicon_id: 2 }),
+    place(4, SHARED_ICON_URL, 'gro.allizom.repoleved.',
+          { last_visit_date: OLD, favicon_id: 2 }),
+    place(5, EXPIRED_ICON_URL, 'gro.elpmaxe.snoci.',
+          { last_visit_date: RECENT, favicon_id: 3 })
+  ],
+  moz_historyvisits: [
+    visit(1, 1, OLD),
+    visit(2, 2, OLD),
+    visit(3, 4, OLD),
+    visit(4, 3, RECENT),
+    visit(5, 5, RECENT)
+  ],
+  moz_favicons: [
+    favicon(1, 'old', 0),
+    favicon(2, 'mdn', 0),
+    favicon(3, 'expired', RECENT)
+  ],
+  moz_bookmarks: $fixtures.bookmarkRoots($fixtures.ADDED).concat([
+    bookmark(6, 1, 2, 2, 0, 'Example'),
+    // the 'reading' tag, tagging the old page
+    bookmark(7, 2, null, 4, 0, 'reading'),
+    bookmark(8, 1, 1, 7, 0, null)
+  ]),
+  moz_anno_attributes: [
+    { id: 1, name: 'test/anno' }
+  ],
+  moz_annos: [
+    annotation(1, 2, $rows.EXPIRE_WITH_HISTORY, OLD),
+    annotation(2, 3, $rows.EXPIRE_DAYS, OLD)
+  ],
+  moz_inputhistory: [
+    { place_id: 1, input: 'olde', use_count: 3 }
+  ]
+};
+
+describe('expire', function() {
+  var converted, db;
+
+  beforeEach(function() {
+    return $fixtures.openConvertedFixture(FIXTURE).then(function(opened) {
+      converted = opened;
+      db = opened.db;
+    });
+  });
+
+  afterEach(function() {
+    return $fixtures.closeConvertedFixture(converted);
+  });
+
+  function checkStore() {
+    return $check.checkStore(db).then(function(result) {
+      $assert.deepStrictEqual(result.problems, []);
+    });
+  }
+
+  function info(url, reversedHost) {
+    return $store.getMaybe(db, $keys.infoKey(reversedHost, url));
+  }
+
+  /**
+   * The URLs the rows of a namespace have for values or in their keys.
+   */
+  function urlsIn(namespace) {
+    var urls = {};
+    return $store.forEachRow(db, $keys.prefixRange(namespace),
+                             function(row) {
+      if (typeof row.value === 'string')
+        urls[row.value] = true;
+      $keys.decodeKey(row.key).forEach(function(part) {
+        if (/^https?:/.test(part))
+          urls[part] = true;
+      });
+    }).then(function() {
+      return Object.keys(urls).sort();
+    });
+  }
+
+  it('removes the annotations and favicons that are due', function() {
+    return $expiration.expire(db, { now: NOW })
+      .then(function(stats) {
+        $assert.deepStrictEqual(stats, { annotations: 1, favicons: 1,
+                                         visits: 0, places: 0 });
+        return info(RECENT_URL, 'gro.allizom.repoleved.');
+      })
+      .then(function(recent) {
+        $assert.strictEqual(recent.annotations, null);
+        return info(EXPIRED_ICON_URL, 'gro.elpmaxe.snoci.');
+      })
+      .then(function(expiredIcon) {
+        $assert.strictEqual(expiredIcon.favicon, null);
+        return checkStore();
+      });
+  });
+
+  it('drops places nothing visits any more and everything that points at ' +
+     'them', function() {
+    return $expiration.expire(db, { now: NOW, maxAge: 30 })
+      .then(function(stats) {
+        $assert.deepStrictEqual(stats, { annotations: 2, favicons: 2,
+                                         visits: 3, places: 2 });
+        return checkStore();
+      })
+      .then(function() {
+        return urlsIn('A');
+      })
+      .then(function(urls) {
+        $assert.deepStrictEqual(urls, [EXPIRED_ICON_URL, BOOKMARKED_URL,
+                                       RECENT_URL]);
+        return urlsIn('a');
+      })
+      .then(function(urls) {
+        $assert.deepStrictEqual(urls, []);
+        return urlsIn('T');
+      })
+      .then(function(urls) {
+        $assert.deepStrictEqual(urls, []);
+        return $store.readRange(db, $keys.prefixRange('F'));
+      })
+      .then(function(rows) {
+        // the icon the recent page still uses stays
+        $assert.deepStrictEqual(rows.map(function(row) {
+          return $keys.decodeKey(row.key)[1];
+        }), [$rows.faviconHash(Buffer.from('mdn'))]);
+      });
+  });
+
+  it('keeps bookmarked places but forgets their history', function() {
+    return $expiration.expire(db, { now: NOW, maxAge: 30 })
+      .then(function() {
+        return info(BOOKMARKED_URL, 'moc.elpmaxe.www.');
+      })
+      .then(function(bookmarked) {
+        $assert.strictEqual(bookmarked.visitCount, 0);
+        $assert.strictEqual(bookmarked.lastVisitDate, null);
+        $assert.strictEqual(bookmarked.annotations, null);
+      });
+  });
+
+  it('trims the oldest visits beyond the most to keep', function() {
+    return $expiration.expire(db, { now: NOW, maxVisits: 2 })
+      .then(function(stats) {
+        $assert.strictEqual(stats.visits, 3);
+        return $store.readRange(db, $keys.prefixRange('H'));
+      })
+      .then(function(rows) {
+        $assert.deepStrictEqual(rows.map(function(row) {
+          return row.value.url;
+        }).sort(), [EXPIRED_ICON_URL, RECENT_URL]);
+        return checkStore();
+      });
+  });
+});
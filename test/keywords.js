@@ -0,0 +1,216 @@
+/**
+ * Resolving what was typed into the URL bar against the 'K' keywords, and
+ * setting and removing keywords.
+ **/
+
+var $assert = require('assert');
+
+var $bookmarks = require('../lib/bookmarks');
+var $fixtures = require('./lib/fixtures');
+var $keywords = require('../lib/keywords');
+var $mutations = require('../lib/mutations');
+
+var WIKI_URL = 'https://en.wikipedia.org/w/index.php?search=%s',
+    EXAMPLE_URL = 'https://example.com/',
+    SEARCH_URL = 'https://search.example.org/',
+    MDN_URL = 'https://developer.mozilla.org/';
+
+var place = $fixtures.place,
+    bookmark = $fixtures.bookmark;
+
+var FIXTURE = {
+  moz_places: [
+    place(1, WIKI_URL, 'gro.aidepikiw.ne.'),
+    place(2, EXAMPLE_URL, 'moc.elpmaxe.'),
+    place(3, SEARCH_URL, 'gro.elpmaxe.hcraes.'),
+    place(4, MDN_URL, 'gro.allizom.repoleved.')
+  ],
+  moz_bookmarks: $fixtures.bookmarkRoots($fixtures.ADDED).concat([
+    bookmark(6, 1, 1, 2, 0, null, { keyword_id: 1 }),
+    bookmark(7, 1, 2, 2, 1, null, { keyword_id: 2 }),
+    bookmark(8, 1, 3, 2, 2, null),
+    bookmark(9, 1, 4, 2, 3, null)
+  ]),
+  moz_keywords: [
+    { id: 1, keyword: 'wiki' },
+    { id: 2, keyword: 'ex' }
+  ]
+};
+
+describe('keywords', function() {
+  var converted, db;
+
+  beforeEach(function() {
+    return $fixtures.openConvertedFixture(FIXTURE).then(function(opened) {
+      converted = opened;
+      db = opened.db;
+    });
+  });
+
+  afterEach(function() {
+    return $fixtures.closeConvertedFixture(converted);
+  });
+
+  function bookmarkKeywords(url) {
+    return $bookmarks.bookmarksForUrl(db, url).then(function(nodes) {
+      return nodes.map(function(node) {
+        return node.keyword;
+      });
+    });
+  }
+
+  describe('resolveKeyword', function() {
+    it('puts the rest of the input in for %s', function() {
+      return $keywords.resolveKeyword(db, 'wiki  llama drama ')
+        .then(function(resolved) {
+          $assert.deepStrictEqual(resolved, {
+            keyword: 'wiki',
+            param: 'llama drama',
+            url: 'https://en.wikipedia.org/w/index.php?search=llama%20drama',
+            postData: null
+          });
+        });
+    });
+
+    it('ignores the keyword\'s case and encodes the parameter', function() {
+      return $keywords.resolveKeyword(db, 'WIKI a&b/c').then(function(res) {
+        $assert.strictEqual(res.url,
+          'https://en.wikipedia.org/w/index.php?search=a%26b%2Fc');
+      });
+    });
+
+    it('puts the parameter in raw for %S', function() {
+      $assert.strictEqual(
+        $keywords.substituteParam('http://x.example/?q=%s#%S', 'a b'),
+        'http://x.example/?q=a%20b#a b');
+    });
+
+    it('goes to keywords without a %s as they are', function() {
+      return $keywords.resolveKeyword(db, 'ex').then(function(resolved) {
+        $assert.strictEqual(resolved.url, EXAMPLE_URL);
+        $assert.strictEqual(resolved.param, '');
+      });
+    });
+
+    it('does not match a parameter with nowhere to go', function() {
+      return $keywords.resolveKeyword(db, 'ex marks the spot')
+        .then(function(resolved) {
+          $assert.strictEqual(resolved, null);
+        });
+    });
+
+    it('does not match words that are not keywords', function() {
+      return $keywords.resolveKeyword(db, 'llama drama')
+        .then(function(resolved) {
+          $assert.strictEqual(resolved, null);
+          return $keywords.resolveKeyword(db, '   ');
+        })
+        .then(function(resolved) {
+          $assert.strictEqual(resolved, null);
+        });
+    });
+
+    it('puts the parameter in the POST data too', function() {
+      return $mutations.setKeyword(db, SEARCH_URL, 'Find',
+                                   { postData: 'q=%s&lang=en' })
+        .then(function() {
+          return $keywords.resolveKeyword(db, 'find cats & dogs');
+        })
+        .then(function(resolved) {
+          $assert.deepStrictEqual(resolved, {
+            keyword: 'find',
+            param: 'cats & dogs',
+            url: SEARCH_URL,
+            postData: 'q=cats%20%26%20dogs&lang=en'
+          });
+        });
+    });
+
+    it('decodes POST data the way Places keeps it', function() {
+      return $mutations.setKeyword(db, SEARCH_URL, 'find',
+                                   { postData: 'q%3D%25s%26lang%3Dfr%C3%A9' })
+        .then(function() {
+          return $keywords.resolveKeyword(db, 'find cats');
+        })
+        .then(function(resolved) {
+          $assert.strictEqual(resolved.postData, 'q=cats&lang=fré');
+        });
+    });
+  });
+
+  describe('listing', function() {
+    it('lists every keyword', function() {
+      return $keywords.listKeywords(db).then(function(keywords) {
+        $assert.deepStrictEqual(keywords, [
+          { keyword: 'ex', url: EXAMPLE_URL, postData: null },
+          { keyword: 'wiki', url: WIKI_URL, postData: null }
+        ]);
+      });
+    });
+
+    it('looks up a keyword', function() {
+      return $keywords.getKeyword(db, ' Ex ').then(function(entry) {
+        $assert.strictEqual(entry.url, EXAMPLE_URL);
+        return $keywords.getKeyword(db, 'nope');
+      }).then(function(entry) {
+        $assert.strictEqual(entry, null);
+      });
+    });
+  });
+
+  describe('setKeyword', function() {
+    it('will not take a keyword another URL has', function() {
+      return $mutations.setKeyword(db, MDN_URL, 'EX').then(function() {
+        $assert.fail('took the keyword');
+      }, function(err) {
+        $assert.match(err.message, /ex is already the keyword for https:/);
+        return bookmarkKeywords(MDN_URL);
+      }).then(function(keywords) {
+        $assert.deepStrictEqual(keywords, [null]);
+      });
+    });
+
+    it('takes it anyway if forced', function() {
+      return $mutations.setKeyword(db, MDN_URL, 'ex', { force: true })
+        .then(function() {
+          return $keywords.getKeyword(db, 'ex');
+        })
+        .then(function(entry) {
+          $assert.strictEqual(entry.url, MDN_URL);
+          return bookmarkKeywords(EXAMPLE_URL);
+        })
+        .then(function(keywords) {
+          $assert.deepStrictEqual(keywords, [null]);
+        });
+    });
+
+    it('wants a keyword', function() {
+      return $mutations.setKeyword(db, MDN_URL, '  ').then(function() {
+        $assert.fail('set an empty keyword');
+      }, function(err) {
+        $assert.match(err.message, /empty keyword/);
+      });
+    });
+  });
+
+  describe('removeKeyword', function() {
+    it('removes the keyword and takes it off the bookmarks', function() {
+      return $mutations.removeKeyword(db, 'Wiki')
+        .then(function(url) {
+          $assert.strictEqual(url, WIKI_URL);
+          return $keywords.getKeyword(db, 'wiki');
+        })
+        .then(function(entry) {
+          $assert.strictEqual(entry, null);
+          return bookmarkKeywords(WIKI_URL);
+        })
+        .then(function(keywords) {
+          $assert.deepStrictEqual(keywords, [null]);
+          return $mutations.removeKeyword(db, 'wiki');
+        })
+        .then(function(url) {
+          $assert.strictEqual(url, null);
+        });
+    });
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Hand-built places.sqlite fixtures, and ways to see everything the converter
+ * made of one or to work with the store it made.
+ *
+ * A fixture is an object mapping table names to arrays of rows, each row an
+ * object mapping column names to values.  Tables get the 2013 schema that
+ * lib/synthetic.js writes; anything a fixture leaves out just stays empty.
+ **/
+
+var $fs = require('fs');
+var $os = require('os');
+var $path = require('path');
+var $sqlite = require('sqlite3');
+var $Q = require('q');
+
+var $convert = require('../../convert-places-db');
+var $keys = require('../../lib/keys');
+var $store = require('../../lib/store');
+var $synthetic = require('../../lib/synthetic');
+
+/**
+ * 2013-07-01 as a PRTime, a convenient "now" for fixtures.
+ */
+var NOW = 1372636800000000;
+var PRTIME_PER_SECOND = 1000000;
+var PRTIME_PER_DAY = 86400 * PRTIME_PER_SECOND;
+
+/**
+ * When bookmark() says a bookmark was added and last modified; whole seconds,
+ * like NOW.
+ */
+var ADDED = NOW - 30 * PRTIME_PER_DAY;
+var MODIFIED = NOW - PRTIME_PER_DAY;
+
+function withColumns(row, columns) {
+  for (var column in columns) {
+    row[column] = columns[column];
+  }
+  return row;
+}
+
+/**
+ * A moz_places row for `url`, untitled and visited once at NOW with a
+ * frecency of 100; `columns` overrides any of that.
+ */
+function place(id, url, revHost, columns) {
+  return withColumns({
+    id: id, url: url, title: null, rev_host: revHost, visit_count: 1,
+    frecency: 100, last_visit_date: NOW,
+    guid: ('place' + id + '_______').slice(0, 12)
+  }, columns);
+}
+
+/**
+ * A moz_bookmarks row, added at ADDED and last modified at MODIFIED;
+ * `columns` overrides any of that or adds a keyword_id.
+ */
+function bookmark(id, type, fk, parent, position, title, columns) {
+  return withColumns({
+    id: id, type: type, fk: fk, parent: parent, position: position,
+    title: title, keyword_id: null, dateAdded: ADDED, lastModified: MODIFIED,
+    guid: ('bookmark' + id + '______').slice(0, 12)
+  }, columns);
+}
+
+/**
+ * The bookmark roots as the 2013 schema has them, ids 1 through 5.  Fixtures
+ * start their own bookmarks at 6.
+ */
+function bookmarkRoots(dateAdded) {
+  function root(id, parent, position, title, guid) {
+    return { id: id, type: 2, fk: null, parent: parent, position: position,
+             title: title, dateAdded: dateAdded, lastModified: dateAdded,
+             guid: guid };
+  }
+  return [
+    root(1, 0, 0, '', 'root________'),
+    root(2, 1, 0, 'Bookmarks Menu', 'menu________'),
+    root(3, 1, 1, 'Bookmarks Toolbar', 'toolbar_____'),
+    root(4, 1, 2, 'Tags', 'tags________'),
+    root(5, 1, 3, 'Unsorted Bookmarks', 'unfiled_____')
+  ];
+}
+
+var ROOT_NAMES = [
+  { root_name: 'places', folder_id: 1 },
+  { root_name: 'menu', folder_id: 2 },
+  { root_name: 'toolbar', folder_id: 3 },
+  { root_name: 'tags', folder_id: 4 },
+  { root_name: 'unfiled', folder_id: 5 }
+];
+
+function makeTempDir() {
+  return $fs.mkdtempSync($path.join($os.tmpdir(), 'places-leveldb-test-'));
+}
+
+function removeDir(dir) {
+  $fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function run(sdb, sql, params) {
+  var deferred = $Q.defer();
+  sdb.run(sql, params || [], deferred.makeNodeResolver());
+  return deferred.promise;
+}
+
+/**
+ * Write `fixture` to a new places.sqlite at `path`.  moz_bookmarks_roots is
+ * filled in for you unless the fixture has its own.
+ */
+function writePlacesDb(path, fixture) {
+  var statements = $synthetic.SCHEMA.map(function(sql) {
+    return { sql: sql, params: [] };
+  });
+  statements.push({
+    sql: 'PRAGMA user_version = ' + $synthetic.SCHEMA_VERSION,
+    params: []
+  });
+  var tables = { moz_bookmarks_roots: ROOT_NAMES };
+  for (var table in fixture) {
+    tables[table] = fixture[table];
+  }
+  for (table in tables) {
+    tables[table].forEach(function(row) {
+      var columns = Object.keys(row);
+      statements.push({
+        sql: 'INSERT INTO ' + table + ' (' + columns.join(', ') +
+             ') VALUES (' + columns.map(function() {
+               return '?';
+             }).join(', ') + ')',
+        params: columns.map(function(column) {
+          return row[column];
+        })
+      });
+    });
+  }
+
+  var deferred = $Q.defer();
+  var sdb = new $sqlite.Database(path, deferred.makeNodeResolver());
+  return deferred.promise
+    .then(function() {
+      return statements.reduce(function(prev, statement) {
+        return prev.then(function() {
+          return run(sdb, statement.sql, statement.params);
+        });
+      }, $Q());
+    })
+    .finally(function() {
+      var closed = $Q.defer();
+      sdb.close(closed.makeNodeResolver());
+      return closed.promise;
+    });
+}
+
+/**
+ * Run `fn` (which returns a promise) with console.log and console.warn
+ * turned off, since the converter narrates everything it does.
+ */
+function quietly(fn) {
+  var log = console.log, warn = console.warn;
+  console.log = console.warn = function() {};
+  return $Q()
+    .then(fn)
+    .finally(function() {
+      console.log = log;
+      console.warn = warn;
+    });
+}
+
+/**
+ * Read every row of the store at `path`, grouped by namespace:
+ * { B: [{ key, fields, value }, ...], ... } in key order, where `key` is the
+ * raw key and `fields` its decoded components after the namespace.
+ */
+function readStore(path) {
+  var rowsByNamespace = {};
+  return $store.openLevelStore(path).then(function(db) {
+    return $store.forEachRow(db, {}, function(row) {
+        var namespace = row.key.charAt(0);
+        if (!rowsByNamespace[namespace])
+          rowsByNamespace[namespace] = [];
+        rowsByNamespace[namespace].push({
+          key: row.key,
+          fields: $keys.decodeKey(row.key).slice(1),
+          value: row.value
+        });
+      })
+      .finally(function() {
+        return $store.closeLevelStore(db);
+      })
+      .then(function() {
+        return rowsByNamespace;
+      });
+  });
+}
+
+/**
+ * Write `fixture` out to `dir` and convert it (passing `options` on to
+ * convertPlaces), resolving with the store's path.
+ */
+function convertInto(dir, fixture, options) {
+  var source = $path.join(dir, 'places.sqlite');
+  var dest = $path.join(dir, 'places.ldb');
+  var convertOptions = { source: source, dest: dest };
+  for (var name in options) {
+    convertOptions[name] = options[name];
+  }
+  return writePlacesDb(source, fixture)
+    .then(function() {
+      return quietly(function() {
+        return $convert.convertPlaces(convertOptions);
+      });
+    })
+    .then(function() {
+      return dest;
+    });
+}
+
+/**
+ * Write `fixture` out, convert it (passing `options` on to convertPlaces)
+ * and resolve with what readStore makes of the result.  Everything happens
+ * in a temporary directory that's gone again afterwards.
+ */
+function convertFixture(fixture, options) {
+  var dir = makeTempDir();
+  return convertInto(dir, fixture, options)
+    .then(readStore)
+    .finally(function() {
+      removeDir(dir);
+    });
+}
+
+/**
+ * Convert `fixture` like convertFixture, but open the store rather than read
+ * it, resolving with { dir, db }: the temporary directory it is in (which
+ * tests are welcome to put more in) and the store.  Hand that to
+ * closeConvertedFixture once you're done.
+ */
+function openConvertedFixture(fixture, options) {
+  var dir = makeTempDir();
+  return convertInto(dir, fixture, options)
+    .then(function(dest) {
+      return $store.openLevelStore(dest);
+    })
+    .then(function(db) {
+      return { dir: dir, db: db };
+    }, function(err) {
+      removeDir(dir);
+      throw err;
+    });
+}
+
+function closeConvertedFixture(converted) {
+  return $store.closeLevelStore(converted.db).finally(function() {
+    removeDir(converted.dir);
+  });
+}
+
+/**
+ * Run `fn(db)` against the store at `path` (opened with `options`, if you
+ * need to create it, say), closing it afterwards.
+ */
+function withStore(path, fn, options) {
+  return $store.openLevelStore(path, options).then(function(db) {
+    return $Q(fn(db)).finally(function() {
+      return $store.closeLevelStore(db);
+    });
+  });
+}
+
+exports.NOW = NOW;
+exports.PRTIME_PER_SECOND = PRTIME_PER_SECOND;
+exports.PRTIME_PER_DAY = PRTIME_PER_DAY;
+exports.ADDED = ADDED;
+exports.MODIFIED = MODIFIED;
+exports.place = place;
+exports.bookmark = bookmark;
+exports.bookmarkRoots = bookmarkRoots;
+exports.makeTempDir = makeTempDir;
+exports.removeDir = removeDir;
+exports.writePlacesDb = writePlacesDb;
+exports.quietly = quietly;
+exports.readStore = readStore;
+exports.convertFixture = convertFixture;
+exports.openConvertedFixture = openConvertedFixture;
+exports.closeConvertedFixture = closeConvertedFixture;
+exports.withStore = withStore;
@@ -0,0 +1,245 @@
+/**
+ * Stores split across several databases by a layout: that the rows end up
+ * in the database they were routed to, and that reading and writing through
+ * the router is no different from a store of one.
+ **/
+
+var $assert = require('assert');
+var $fs = require('fs');
+var $path = require('path');
+var $Q = require('q');
+
+var $awesomebar = require('../lib/awesomebar');
+var $check = require('../lib/check');
+var $convert = require('../convert-places-db');
+var $fixtures = require('./lib/fixtures');
+var $keys = require('../lib/keys');
+var $mutations = require('../lib/mutations');
+var $router = require('../lib/router');
+var $store = require('../lib/store');
+
+var EXAMPLE_URL = 'http://www.example.com/',
+    MDN_URL = 'https://developer.mozilla.org/docs';
+
+var T1 = $fixtures.NOW - 2 * $fixtures.PRTIME_PER_DAY,
+    T2 = $fixtures.NOW - $fixtures.PRTIME_PER_DAY;
+
+var FIXTURE = {
+  moz_places: [
+    $fixtures.place(1, EXAMPLE_URL, 'moc.elpmaxe.www.',
+                    { title: 'Example Domain', frecency: 20000,
+                      last_visit_date: T1 }),
+    $fixtures.place(2, MDN_URL, 'gro.allizom.repoleved.',
+                    { title: 'MDN Docs', frecency: 500, last_visit_date: T2 })
+  ],
+  moz_historyvisits: [
+    { id: 1, from_visit: 0, place_id: 1, visit_date: T1, visit_type: 2,
+      session: 1 },
+    { id: 2, from_visit: 1, place_id: 2, visit_date: T2, visit_type: 1,
+      session: 1 }
+  ],
+  moz_bookmarks: $fixtures.bookmarkRoots($fixtures.ADDED).concat([
+    $fixtures.bookmark(6, 1, 1, 2, 0, 'Example')
+  ])
+};
+
+var LAYOUT = {
+  databases: [
+    { name: 'main' },
+    { name: 'awesomebar', namespaces: 'AaN', cacheSize: 4 },
+    { name: 'history', namespaces: 'Hh', compression: false }
+  ]
+};
+
+describe('router', function() {
+  describe('normalizeLayout', function() {
+    it('gives the first database everything nobody else wants', function() {
+      $assert.deepStrictEqual($router.normalizeLayout(LAYOUT), {
+        databases: [
+          { name: 'main', namespaces: 'BFIKMTXb', cacheSize: null,
+            compression: null },
+          { name: 'awesomebar', namespaces: 'AaN', cacheSize: 4,
+            compression: null },
+          { name: 'history', namespaces: 'Hh', cacheSize: null,
+            compression: false }
+        ]
+      });
+    });
+
+    it('leaves a normalized layout alone', function() {
+      var layout = $router.normalizeLayout(LAYOUT);
+      $assert.deepStrictEqual($router.normalizeLayout(layout), layout);
+    });
+
+    it('complains about layouts that make no sense', function() {
+      [
+        [{}, /no databases/],
+        [{ databases: [{ name: '../up' }] }, /bad database name/],
+        [{ databases: [{ name: 'a' }, { name: 'a' }] }, /two databases/],
+        [{ databases: [{ name: 'a', namespaces: 'Q' }] },
+         /unknown namespace: Q/],
+        [{ databases: [{ name: 'a', namespaces: 'A' },
+                       { name: 'b', namespaces: 'AN' }] },
+         /A is in both a and b/],
+        [{ databases: [{ name: 'a', cacheSize: 0 }] }, /bad cache size/]
+      ].forEach(function(bad) {
+        $assert.throws(function() {
+          $router.normalizeLayout(bad[0]);
+        }, bad[1]);
+      });
+    });
+  });
+
+  describe('a converted store', function() {
+    var dir, source, dest;
+
+    beforeEach(function() {
+      dir = $fixtures.makeTempDir();
+      source = $path.join(dir, 'places.sqlite');
+      dest = $path.join(dir, 'split.ldb');
+      return $fixtures.writePlacesDb(source, FIXTURE).then(function() {
+        return convert(dest, { layout: LAYOUT });
+      });
+    });
+
+    afterEach(function() {
+      $fixtures.removeDir(dir);
+    });
+
+    function convert(path, options) {
+      options.source = source;
+      options.dest = path;
+      return $fixtures.quietly(function() {
+        return $convert.convertPlaces(options);
+      });
+    }
+
+    it('puts each namespace in its database', function() {
+      $assert.deepStrictEqual($fs.readdirSync(dest).sort(),
+                              ['awesomebar', 'history', 'layout.json',
+                               'main']);
+      // each of them is a store of one as far as openLevelStore cares
+      var namespacesByDatabase = {};
+      return ['main', 'awesomebar', 'history'].reduce(function(prev, name) {
+        return prev.then(function() {
+          var namespaces = {};
+          namespacesByDatabase[name] = namespaces;
+          return $fixtures.withStore($path.join(dest, name), function(db) {
+            return $store.forEachRow(db, {}, function(row) {
+              namespaces[row.key.charAt(0)] = true;
+            });
+          });
+        });
+      }, $Q()).then(function() {
+        $assert.deepStrictEqual(Object.keys(namespacesByDatabase.main).sort(),
+                                ['B', 'I', 'M', 'b']);
+        $assert.deepStrictEqual(
+          Object.keys(namespacesByDatabase.awesomebar).sort(), ['A', 'N']);
+        $assert.deepStrictEqual(
+          Object.keys(namespacesByDatabase.history).sort(), ['H', 'h']);
+      });
+    });
+
+    it('reads back the same as a store of one', function() {
+      var plain = $path.join(dir, 'plain.ldb');
+      return convert(plain, {})
+        .then(function() {
+          return $fixtures.readStore(plain);
+        })
+        .then(function(plainRows) {
+          return $fixtures.readStore(dest).then(function(splitRows) {
+            $assert.deepStrictEqual(splitRows, plainRows);
+          });
+        });
+    });
+
+    it('reads ranges across databases in order', function() {
+      var everything, firstB;
+      return $fixtures.withStore(dest, function(db) {
+        return $store.readRange(db, {}).then(function(rows) {
+          everything = rows.map(function(row) {
+            return row.key;
+          });
+          var sorted = everything.slice().sort();
+          $assert.deepStrictEqual(everything, sorted);
+          // from the end of 'A' into 'B', which is in another database
+          firstB = everything.indexOf($keys.bookmarkKey(0, 0, 1));
+          $assert.ok(firstB >= 2);
+          var from = everything[firstB - 2];
+          return $store.readRange(db, { gt: from, lt: 'C', limit: 4 });
+        }).then(function(rows) {
+          $assert.deepStrictEqual(rows.map(function(row) {
+            return row.key;
+          }), everything.slice(firstB - 1, firstB + 3));
+          return $store.readRange(db, { lt: 'I', reverse: true, limit: 3 });
+        }).then(function(rows) {
+          var before = everything.filter(function(key) {
+            return key < 'I';
+          });
+          $assert.deepStrictEqual(rows.map(function(row) {
+            return row.key;
+          }), before.reverse().slice(0, 3));
+        });
+      });
+    });
+
+    it('writes through to every database', function() {
+      return $fixtures.withStore(dest, function(db) {
+        return $mutations.addVisit(db, { url: MDN_URL, title: 'MDN Web Docs',
+                                         visitDate: $fixtures.NOW })
+          .then(function() {
+            return $mutations.tagURL(db, MDN_URL, ['docs']);
+          })
+          .then(function() {
+            return $awesomebar.queryAwesomebar(db, 'docs web');
+          })
+          .then(function(hits) {
+            $assert.deepStrictEqual(hits.map(function(hit) {
+              return hit.url;
+            }), [MDN_URL]);
+            return $store.readRange(db, $keys.prefixRange('H'));
+          })
+          .then(function(rows) {
+            $assert.strictEqual(rows.length, 3);
+            return $check.checkStore(db);
+          })
+          .then(function(result) {
+            $assert.deepStrictEqual(result.problems, []);
+          });
+      });
+    });
+
+    it('will not reopen the store with another layout', function() {
+      return $store.openLevelStore(dest, {
+        layout: { databases: [{ name: 'main' }] }
+      }).then(function() {
+        $assert.fail('opened with another layout');
+      }, function(err) {
+        $assert.match(err.message, /has a different layout/);
+      });
+    });
+
+    it('gets replaced, compacted and repaired as a whole', function() {
+      return convert(dest, { force: true })
+        .then(function() {
+          // converted without a layout this time, so it's a store of one
+          $assert.strictEqual($store.readLayout(dest), null);
+          $assert.ok($fs.existsSync($path.join(dest, 'CURRENT')));
+          return convert(dest, { force: true, layout: LAYOUT });
+        })
+        .then(function() {
+          return $fixtures.withStore(dest, $store.compactStore);
+        })
+        .then(function() {
+          return $store.repairStore(dest);
+        })
+        .then(function() {
+          return $fixtures.readStore(dest);
+        })
+        .then(function(rows) {
+          $assert.deepStrictEqual(Object.keys(rows).sort(),
+                                  ['A', 'B', 'H', 'I', 'M', 'N', 'b', 'h']);
+        });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Listing, renaming, merging and deleting tags, and that every namespace a
+ * tag lives in comes along.
+ **/
+
+var $assert = require('assert');
+var $Q = require('q');
+
+var $awesomebar = require('../lib/awesomebar');
+var $bookmarks = require('../lib/bookmarks');
+var $check = require('../lib/check');
+var $fixtures = require('./lib/fixtures');
+var $mutations = require('../lib/mutations');
+var $tags = require('../lib/tags');
+
+var EXAMPLE_URL = 'http://www.example.com/',
+    MDN_URL = 'https://developer.mozilla.org/docs';
+
+var place = $fixtures.place,
+    bookmark = $fixtures.bookmark;
+
+var FIXTURE = {
+  moz_places: [
+    place(1, EXAMPLE_URL, 'moc.elpmaxe.www.',
+          { title: 'Example Domain', frecency: 20000 }),
+    place(2, MDN_URL, 'gro.allizom.repoleved.',
+          { title: 'MDN Docs', frecency: 500 })
+  ],
+  moz_bookmarks: $fixtures.bookmarkRoots($fixtures.ADDED).concat([
+    bookmark(6, 1, 1, 2, 0, 'Example Home'),
+    bookmark(7, 1, 2, 2, 1, 'Reference'),
+    // tag folders live under the tags root (4), with a child per URL
+    bookmark(8, 2, null, 4, 0, 'reading'),
+    bookmark(9, 1, 1, 8, 0, null),
+    bookmark(10, 1, 2, 8, 1, null),
+    bookmark(11, 2, null, 4, 1, 'news'),
+    bookmark(12, 1, 1, 11, 0, null)
+  ])
+};
+
+function urlsOf(hits) {
+  return hits.map(function(hit) {
+    return hit.url;
+  });
+}
+
+describe('tags', function() {
+  var converted, db;
+
+  beforeEach(function() {
+    return $fixtures.openConvertedFixture(FIXTURE).then(function(opened) {
+      converted = opened;
+      db = opened.db;
+    });
+  });
+
+  afterEach(function() {
+    return $fixtures.closeConvertedFixture(converted);
+  });
+
+  /**
+   * Nothing left pointing at something that isn't there.
+   */
+  function checkStore() {
+    return $check.checkStore(db).then(function(result) {
+      $assert.deepStrictEqual(result.problems, []);
+    });
+  }
+
+  function bookmarkTags(url) {
+    return $bookmarks.bookmarksForUrl(db, url).then(function(nodes) {
+      return nodes.map(function(node) {
+        return node.tags;
+      });
+    });
+  }
+
+  describe('reading', function() {
+    it('lists every tag with its count', function() {
+      return $tags.listTags(db).then(function(tags) {
+        $assert.deepStrictEqual(tags, [
+          { tag: 'news', count: 1 },
+          { tag: 'reading', count: 2 }
+        ]);
+      });
+    });
+
+    it('lists the URLs for a tag', function() {
+      return $tags.urlsForTag(db, 'reading').then(function(urls) {
+        $assert.deepStrictEqual(urls, [EXAMPLE_URL, MDN_URL]);
+        return $tags.urlsForTag(db, 'nope');
+      }).then(function(urls) {
+        $assert.deepStrictEqual(urls, []);
+      });
+    });
+
+    it('gets the tags for a URL', function() {
+      return $tags.tagsForUrl(db, EXAMPLE_URL).then(function(tags) {
+        $assert.deepStrictEqual(tags.sort(), ['news', 'reading']);
+        return $tags.tagsForUrl(db, 'http://nowhere.example/');
+      }).then(function(tags) {
+        $assert.deepStrictEqual(tags, []);
+      });
+    });
+  });
+
+  describe('renameTag', function() {
+    it('renames the tag everywhere it lives', function() {
+      return $mutations.renameTag(db, 'reading', 'later')
+        .then(function(urls) {
+          $assert.deepStrictEqual(urls, [EXAMPLE_URL, MDN_URL]);
+          return $tags.listTags(db);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, [
+            { tag: 'later', count: 2 },
+            { tag: 'news', count: 1 }
+          ]);
+          return $tags.tagsForUrl(db, MDN_URL);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, ['later']);
+          return bookmarkTags(MDN_URL);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, [['later']]);
+          return $awesomebar.queryAwesomebar(db, 'later');
+        })
+        .then(function(hits) {
+          $assert.deepStrictEqual(urlsOf(hits), [EXAMPLE_URL, MDN_URL]);
+          return $awesomebar.queryAwesomebar(db, 'reading');
+        })
+        .then(function(hits) {
+          $assert.deepStrictEqual(hits, []);
+          return checkStore();
+        });
+    });
+
+    it('merges into a tag that already exists', function() {
+      return $mutations.renameTag(db, 'news', 'reading')
+        .then(function(urls) {
+          $assert.deepStrictEqual(urls, [EXAMPLE_URL]);
+          return $tags.listTags(db);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, [{ tag: 'reading', count: 2 }]);
+          return $tags.tagsForUrl(db, EXAMPLE_URL);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, ['reading']);
+          return checkStore();
+        });
+    });
+
+    it('wants a new name', function() {
+      return $mutations.renameTag(db, 'news', '').then(function() {
+        $assert.fail('renamed to nothing');
+      }, function(err) {
+        $assert.match(err.message, /no tag to merge into/);
+      });
+    });
+  });
+
+  describe('mergeTags', function() {
+    it('merges several tags into one', function() {
+      return $mutations.mergeTags(db, ['news', 'reading'], 'stuff')
+        .then(function(urls) {
+          $assert.deepStrictEqual(urls.sort(), [EXAMPLE_URL, MDN_URL]);
+          return $tags.listTags(db);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, [{ tag: 'stuff', count: 2 }]);
+          return bookmarkTags(EXAMPLE_URL);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, [['stuff']]);
+          return checkStore();
+        });
+    });
+  });
+
+  describe('deleteTag', function() {
+    it('takes the tag off every URL', function() {
+      return $mutations.deleteTag(db, 'reading')
+        .then(function(urls) {
+          $assert.deepStrictEqual(urls, [EXAMPLE_URL, MDN_URL]);
+          return $tags.listTags(db);
+        })
+        .then(function(tags) {
+          $assert.deepStrictEqual(tags, [{ tag: 'news', count: 1 }]);
+          return $Q.all([$tags.tagsForUrl(db, MDN_URL),
+                         bookmarkTags(MDN_URL)]);
+        })
+        .then(function(results) {
+          $assert.deepStrictEqual(results, [[], [null]]);
+          return $awesomebar.queryAwesomebar(db, 'reading');
+        })
+        .then(function(hits) {
+          $assert.deepStrictEqual(hits, []);
+          return checkStore();
+        });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * The awesomebar tokenizers, on their own and in a converted store.
+ **/
+
+var $assert = require('assert');
+var $path = require('path');
+var $url = require('url');
+
+var $awesomebar = require('../lib/awesomebar');
+var $convert = require('../convert-places-db');
+var $fixtures = require('./lib/fixtures');
+var $store = require('../lib/store');
+var $tokenizers = require('../lib/tokenizers');
+
+function termsOf(spec, href, title, bookmarkTitles, tags) {
+  var bookmarks = (bookmarkTitles || []).map(function(title) {
+    return { title: title };
+  });
+  return $tokenizers.getTokenizer(spec).terms($url.parse(href), title,
+                                              bookmarks, tags || []);
+}
+
+describe('tokenizers', function() {
+  describe('legacy', function() {
+    it('takes words from the host name, titles and tags', function() {
+      $assert.deepStrictEqual(
+        termsOf('legacy', 'http://www.example.com/some/path?q=query',
+                'The Example Domain', ['Home page'], ['reading']),
+        ['example', 'domain', 'home', 'page', 'reading']);
+    });
+
+    it('shreds anything that is not ASCII', function() {
+      $assert.deepStrictEqual(
+        termsOf('legacy', 'http://a.fr/', 'Crème brûlée recette'),
+        ['recette']);
+    });
+
+    it('folds queries by lowercasing them', function() {
+      $assert.strictEqual($tokenizers.getTokenizer('legacy').fold(' MDN '),
+                          'mdn');
+    });
+  });
+
+  describe('unicode', function() {
+    it('folds case and diacritics', function() {
+      $assert.deepStrictEqual(
+        termsOf('unicode', 'http://a.fr/', 'Crème Brûlée, Straße'),
+        ['creme', 'brulee', 'strasse']);
+    });
+
+    it('keeps words in other scripts', function() {
+      $assert.deepStrictEqual(
+        termsOf('unicode', 'http://a.ru/', 'Москва: Новости'),
+        ['москва', 'новости']);
+    });
+
+    it('makes bigrams of CJK runs', function() {
+      $assert.deepStrictEqual(
+        termsOf('unicode', 'http://a.jp/', '東京都の天気 予報', [], ['猫']),
+        ['東京', '京都', '都の', 'の天', '天気', '予報', '猫']);
+    });
+
+    it('normalizes compatibility forms', function() {
+      $assert.deepStrictEqual(
+        termsOf('unicode', 'http://a.jp/', 'ＦＵＬＬ ｗｉｄｔｈ'),
+        ['full', 'width']);
+    });
+
+    it('takes words from the whole URL', function() {
+      $assert.deepStrictEqual(
+        termsOf('unicode',
+                'https://www.xn--caf-dma.example.fr/recettes/' +
+                  'cr%C3%A8me-br%C3%BBl%C3%A9e?q=sucre+vanille', null),
+        ['cafe', 'example', 'recettes', 'creme', 'brulee', 'sucre',
+         'vanille']);
+    });
+
+    it('drops stop-words of the locales it is given', function() {
+      var title = 'The Cat and the Hat, der Hut und die Katze';
+      $assert.deepStrictEqual(termsOf('unicode', 'http://a.de/', title),
+                              ['cat', 'hat', 'der', 'hut', 'und', 'die',
+                               'katze']);
+      $assert.deepStrictEqual(termsOf('unicode:en,de', 'http://a.de/', title),
+                              ['cat', 'hat', 'hut', 'katze']);
+    });
+
+    it('drops single letters and very long tokens', function() {
+      $assert.deepStrictEqual(
+        termsOf('unicode', 'http://a.com/x/' + new Array(40).join('a'),
+                'A b 42 go'),
+        ['42', 'go']);
+    });
+
+    it('folds queries the way it folds terms', function() {
+      $assert.strictEqual(
+        $tokenizers.getTokenizer('unicode').fold(' CRÈME Brûlée 東京 '),
+        'creme brulee 東京');
+    });
+
+    it('is called by its full spec', function() {
+      $assert.strictEqual($tokenizers.getTokenizer('unicode').name,
+                          'unicode:en');
+      $assert.strictEqual($tokenizers.getTokenizer('unicode:fr,de').name,
+                          'unicode:fr,de');
+    });
+  });
+
+  describe('getTokenizer', function() {
+    it('complains about tokenizers and locales it does not know', function() {
+      $assert.throws(function() {
+        $tokenizers.getTokenizer('nope');
+      }, /unknown tokenizer: nope/);
+      $assert.throws(function() {
+        $tokenizers.getTokenizer('unicode:xx');
+      }, /no stop-words for locale: xx/);
+    });
+
+    it('finds registered tokenizers', function() {
+      $tokenizers.registerTokenizer('words', function(args) {
+        return {
+          name: 'words',
+          terms: function(url, title) {
+            return title ? title.split(' ') : [];
+          },
+          fold: function(text) {
+            return text;
+          }
+        };
+      });
+      $assert.deepStrictEqual(termsOf('words', 'http://a.com/', 'A b'),
+                              ['A', 'b']);
+      delete $tokenizers.TOKENIZERS.words;
+    });
+  });
+
+  describe('in a converted store', function() {
+    var FIXTURE = {
+      moz_places: [
+        { id: 1, url: 'http://cafe.example.fr/', title: 'Café Crème',
+          rev_host: 'rf.elpmaxe.efac.', visit_count: 1, frecency: 500,
+          last_visit_date: $fixtures.NOW, guid: 'place1______' }
+      ],
+      moz_bookmarks: $fixtures.bookmarkRoots($fixtures.NOW),
+      moz_inputhistory: [
+        { place_id: 1, input: 'Crè', use_count: 1 }
+      ]
+    };
+    var dir, dest;
+
+    before(function() {
+      dir = $fixtures.makeTempDir();
+      var source = $path.join(dir, 'places.sqlite');
+      dest = $path.join(dir, 'places.ldb');
+      return $fixtures.writePlacesDb(source, FIXTURE).then(function() {
+        return $fixtures.quietly(function() {
+          return $convert.convertPlaces({ source: source, dest: dest,
+                                          tokenizer: 'unicode' });
+        });
+      });
+    });
+
+    after(function() {
+      $fixtures.removeDir(dir);
+    });
+
+    it('records the tokenizer and writes folded terms', function() {
+      return $fixtures.readStore(dest).then(function(rows) {
+        $assert.deepStrictEqual(rows.M.map(function(row) {
+          return [row.fields[0], row.value];
+        }), [['infixLength', 3], ['keyCodec', 'decimal'],
+             ['tokenizer', 'unicode:en']]);
+        var terms = rows.A.map(function(row) {
+          return row.fields[0] + ' ' + row.fields[2];
+        });
+        $assert.deepStrictEqual(terms, [
+          'cafe cafe',
+          'cr cre',
+          'cre cre',
+          'creme creme',
+          'example example'
+        ]);
+        $assert.deepStrictEqual(rows.a.map(function(row) {
+          return row.fields[0];
+        }), ['cre']);
+      });
+    });
+
+    it('folds queries with the store\'s tokenizer', function() {
+      return $store.openLevelStore(dest).then(function(db) {
+        return $awesomebar.queryAwesomebar(db, 'CAFÉ')
+          .then(function(hits) {
+            $assert.deepStrictEqual(hits.map(function(hit) {
+              return hit.url;
+            }), ['http://cafe.example.fr/']);
+            return $awesomebar.queryAwesomebar(db, 'crè');
+          })
+          .then(function(hits) {
+            $assert.strictEqual(hits.length, 1);
+            $assert.strictEqual(hits[0].inputUseCount, 1);
+          })
+          .finally(function() {
+            return $store.closeLevelStore(db);
+          });
+      });
+    });
+
+    it('will not reopen the store with another tokenizer', function() {
+      return $store.openLevelStore(dest, { tokenizer: 'legacy' })
+        .then(function() {
+          $assert.fail('opened with the wrong tokenizer');
+        }, function(err) {
+          $assert.match(err.message, /uses the unicode:en tokenizer/);
+        });
+    });
+
+    it('will not open another store while this one is', function() {
+      return $store.openLevelStore(dest).then(function(db) {
+        return $fixtures.openConvertedFixture(FIXTURE)
+          .then(function() {
+            $assert.fail('opened a legacy store');
+          }, function(err) {
+            $assert.match(err.message, /uses the legacy tokenizer, but a /);
+          })
+          .finally(function() {
+            return $store.closeLevelStore(db);
+          });
+      });
+    });
+  });
+});